@@ -0,0 +1,202 @@
+const _ = require('lodash');
+const corporateActions = require('../api/corporateActions');
+
+const DEFAULT_HORIZONS = [5, 20, 60];
+// A HOLD call counts as correct when the realized move stays within this band
+const HOLD_BAND_PERCENT = 5;
+const CONFIDENCE_BUCKETS = [
+    { label: '0-40', min: 0, max: 40 },
+    { label: '40-60', min: 40, max: 60 },
+    { label: '60-80', min: 60, max: 80 },
+    { label: '80-100', min: 80, max: 101 }
+];
+
+class AccuracyTracker {
+    async evaluateSymbol(symbol, database, horizons = DEFAULT_HORIZONS, adjustment) {
+        const resolved = corporateActions.resolveAdjustment(adjustment);
+        const factors = await corporateActions.getAdjustmentFactors(symbol, database);
+        const prices = corporateActions.adjust(await this._getClosePrices(database, symbol), factors, resolved);
+        // Snapshot prices are in the terms of their analysis day, so they take the same adjustment as the closes
+        const snapshots = (await this._getSnapshots(database, symbol)).map(snapshot => {
+            const factor = corporateActions.priceFactorAfter(factors, snapshot.analysis_date, resolved);
+            return factor === 1 ? snapshot : {
+                ...snapshot,
+                target_price: snapshot.target_price * factor,
+                current_price: snapshot.current_price * factor,
+                price_range_low: snapshot.price_range_low * factor,
+                price_range_high: snapshot.price_range_high * factor
+            };
+        });
+        const outcomes = this.evaluateSnapshots(snapshots, prices, horizons);
+
+        return {
+            symbol,
+            snapshots: snapshots.length,
+            horizons: horizons.map(horizon => this.summarize(outcomes.filter(o => o.horizon === horizon), horizon)),
+            outcomes
+        };
+    }
+
+    async evaluateAll(database, horizons = DEFAULT_HORIZONS, adjustment) {
+        const symbols = await new Promise((resolve, reject) => {
+            database.all('SELECT DISTINCT stock_symbol FROM price_analysis ORDER BY stock_symbol', [], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows.map(row => row.stock_symbol));
+            });
+        });
+
+        const bySymbol = [];
+        let allOutcomes = [];
+        for (const symbol of symbols) {
+            const report = await this.evaluateSymbol(symbol, database, horizons, adjustment);
+            allOutcomes = allOutcomes.concat(report.outcomes);
+            bySymbol.push({ symbol, snapshots: report.snapshots, horizons: report.horizons });
+        }
+
+        return {
+            symbols: symbols.length,
+            horizons: horizons.map(horizon => this.summarize(allOutcomes.filter(o => o.horizon === horizon), horizon)),
+            bySymbol
+        };
+    }
+
+    // Compares each snapshot with the close `horizon` trading days after its analysis date
+    evaluateSnapshots(snapshots, prices, horizons = DEFAULT_HORIZONS) {
+        const outcomes = [];
+
+        snapshots.forEach(snapshot => {
+            const startIndex = _.sortedIndexBy(prices, { date: snapshot.analysis_date }, p => p.date);
+            // Skip the analysis day itself; the first realized bar is the next trading day
+            const firstIndex = prices[startIndex] && prices[startIndex].date === snapshot.analysis_date ? startIndex + 1 : startIndex;
+
+            horizons.forEach(horizon => {
+                const realized = prices[firstIndex + horizon - 1];
+                if (!realized || !snapshot.target_price || !snapshot.current_price) {
+                    return;
+                }
+
+                const realizedReturn = (realized.close - snapshot.current_price) / snapshot.current_price * 100;
+                outcomes.push({
+                    snapshotId: snapshot.id,
+                    analysisDate: snapshot.analysis_date,
+                    horizon,
+                    action: snapshot.recommendation_action || 'UNKNOWN',
+                    confidenceScore: snapshot.confidence_score,
+                    currentPrice: snapshot.current_price,
+                    targetPrice: snapshot.target_price,
+                    priceRange: { low: snapshot.price_range_low, high: snapshot.price_range_high },
+                    realizedDate: realized.date,
+                    realizedPrice: realized.close,
+                    realizedReturn,
+                    inRange: realized.close >= snapshot.price_range_low && realized.close <= snapshot.price_range_high,
+                    absoluteError: Math.abs(snapshot.target_price - realized.close),
+                    absolutePercentError: Math.abs(snapshot.target_price - realized.close) / realized.close * 100,
+                    directionCorrect: this._isDirectionCorrect(snapshot.recommendation_action, realizedReturn)
+                });
+            });
+        });
+
+        return outcomes;
+    }
+
+    summarize(outcomes, horizon) {
+        if (outcomes.length === 0) {
+            return { horizon, evaluated: 0 };
+        }
+
+        const directional = _.mapValues(_.groupBy(outcomes, 'action'), group => {
+            const scored = group.filter(o => o.directionCorrect !== null);
+            const correct = scored.filter(o => o.directionCorrect).length;
+            return {
+                count: group.length,
+                correct,
+                accuracy: scored.length ? correct / scored.length : null
+            };
+        });
+
+        return {
+            horizon,
+            evaluated: outcomes.length,
+            hitRate: outcomes.filter(o => o.inRange).length / outcomes.length,
+            meanAbsoluteError: _.meanBy(outcomes, 'absoluteError'),
+            meanAbsolutePercentError: _.meanBy(outcomes, 'absolutePercentError'),
+            directional,
+            calibration: this._calibration(outcomes)
+        };
+    }
+
+    // Treats the confidence score as the predicted probability that the price lands inside the range
+    _calibration(outcomes) {
+        const buckets = CONFIDENCE_BUCKETS.map(bucket => {
+            const members = outcomes.filter(o => o.confidenceScore >= bucket.min && o.confidenceScore < bucket.max);
+            if (members.length === 0) {
+                return { range: bucket.label, count: 0 };
+            }
+            const meanConfidence = _.meanBy(members, 'confidenceScore') / 100;
+            const hitRate = members.filter(o => o.inRange).length / members.length;
+            return {
+                range: bucket.label,
+                count: members.length,
+                meanConfidence,
+                hitRate,
+                gap: hitRate - meanConfidence
+            };
+        });
+
+        const filled = buckets.filter(b => b.count > 0);
+        const expectedCalibrationError = _.sumBy(filled, b => (b.count / outcomes.length) * Math.abs(b.gap));
+        // Higher confidence buckets should not hit less often than lower ones
+        const monotonic = filled.every((b, i) => i === 0 || b.hitRate >= filled[i - 1].hitRate);
+
+        return {
+            buckets,
+            expectedCalibrationError,
+            monotonic,
+            calibrated: expectedCalibrationError <= 0.1 && monotonic
+        };
+    }
+
+    _isDirectionCorrect(action, realizedReturn) {
+        if (!action) return null;
+        if (action.includes('BUY')) return realizedReturn > 0;
+        if (action.includes('SELL')) return realizedReturn < 0;
+        if (action === 'HOLD') return Math.abs(realizedReturn) <= HOLD_BAND_PERCENT;
+        return null;
+    }
+
+    // Latest daily-bar snapshot per analysis day, oldest first; intraday snapshots target a different horizon
+    async _getSnapshots(database, symbol) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT id, analysis_date, target_price, confidence_score, current_price,
+                       price_range_low, price_range_high, recommendation_action
+                FROM price_analysis
+                WHERE id IN (
+                    SELECT MAX(id) FROM price_analysis
+                    WHERE stock_symbol = ? AND COALESCE(bar_interval, '1d') = '1d'
+                    GROUP BY analysis_date
+                )
+                ORDER BY analysis_date ASC
+            `;
+            database.all(query, [symbol], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+    }
+
+    async _getClosePrices(database, symbol) {
+        return new Promise((resolve, reject) => {
+            database.all(
+                'SELECT date, close_price FROM daily_prices WHERE stock_symbol = ? ORDER BY date ASC',
+                [symbol],
+                (err, rows) => {
+                    if (err) return reject(err);
+                    resolve(rows.map(row => ({ date: row.date, close: row.close_price })));
+                }
+            );
+        });
+    }
+}
+
+module.exports = new AccuracyTracker();
@@ -0,0 +1,230 @@
+const _ = require('lodash');
+const priceAnalyzer = require('./priceAnalyzer');
+const modelProfiles = require('./modelProfiles');
+const corporateActions = require('../api/corporateActions');
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+const DEFAULT_OPTIONS = {
+    initialCapital: 10000,
+    commissionRate: 0.001,  // Fraction of traded value
+    commissionFixed: 0,     // Flat fee per trade
+    slippageBps: 5,         // Adverse price move applied to each fill
+    lookback: null,         // Bars handed to the analyzer at each step; defaults to the profile's, like analyzeStock
+    warmup: 50,             // Bars required before the first signal
+    riskFreeRate: 0,        // Annual, used for Sharpe
+    profile: null,          // Model profile name, defaults to 'default'
+    adjustment: null,       // Price series adjustment, defaults to PRICE_ADJUSTMENT
+    startDate: null,
+    endDate: null
+};
+
+class Backtester {
+    async run(symbol, database, options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ..._.omitBy(options, _.isNil) };
+        const profile = await modelProfiles.getProfile(opts.profile, database);
+        opts.lookback = opts.lookback || profile.lookback;
+        opts.adjustment = corporateActions.resolveAdjustment(opts.adjustment);
+        const bars = await corporateActions.adjustBars(symbol, database, await this._getBars(symbol, database, opts.endDate), opts.adjustment);
+
+        const firstIndex = Math.max(
+            opts.warmup - 1,
+            opts.startDate ? _.sortedIndexBy(bars, { date: opts.startDate }, 'date') : 0
+        );
+        if (bars.length - firstIndex < 2) {
+            throw new Error(`Not enough price history to backtest ${symbol}`);
+        }
+
+        const strategy = await this._simulateStrategy(bars, firstIndex, opts, profile);
+        const benchmark = this._simulateBuyAndHold(bars, firstIndex, opts);
+
+        const equityCurve = strategy.equity.map((point, i) => ({
+            date: point.date,
+            equity: point.equity,
+            benchmark: benchmark.equity[i].equity,
+            position: point.position
+        }));
+
+        return {
+            symbol,
+            options: { ...opts, profile: profile.name },
+            period: {
+                start: bars[firstIndex].date,
+                end: bars[bars.length - 1].date,
+                bars: bars.length - firstIndex
+            },
+            metrics: {
+                ...this.calculateMetrics(strategy.equity, opts),
+                trades: strategy.trades.length,
+                winRate: this._winRate(strategy.trades),
+                exposure: strategy.equity.filter(p => p.position > 0).length / strategy.equity.length,
+                signals: _.countBy(strategy.signals, 'action')
+            },
+            benchmark: this.calculateMetrics(benchmark.equity, opts),
+            trades: strategy.trades,
+            equityCurve
+        };
+    }
+
+    // Signals are computed on the close of bar i and filled at the open of bar i + 1
+    async _simulateStrategy(bars, firstIndex, opts, profile) {
+        let cash = opts.initialCapital;
+        let shares = 0;
+        let openTrade = null;
+        let pendingAction = null;
+        const trades = [];
+        const signals = [];
+        const equity = [];
+
+        for (let i = firstIndex; i < bars.length; i++) {
+            const bar = bars[i];
+
+            if (pendingAction === 'BUY' && shares === 0) {
+                const fillPrice = bar.open * (1 + opts.slippageBps / 10000);
+                const quantity = Math.floor((cash - opts.commissionFixed) / (fillPrice * (1 + opts.commissionRate)));
+                if (quantity > 0) {
+                    const commission = quantity * fillPrice * opts.commissionRate + opts.commissionFixed;
+                    cash -= quantity * fillPrice + commission;
+                    shares = quantity;
+                    openTrade = { entryDate: bar.date, entryPrice: fillPrice, shares: quantity, commission, entrySignal: pendingAction };
+                }
+            } else if (pendingAction === 'SELL' && shares > 0) {
+                const fillPrice = bar.open * (1 - opts.slippageBps / 10000);
+                const commission = shares * fillPrice * opts.commissionRate + opts.commissionFixed;
+                cash += shares * fillPrice - commission;
+                trades.push(this._closeTrade(openTrade, bar.date, fillPrice, commission));
+                shares = 0;
+                openTrade = null;
+            }
+            pendingAction = null;
+
+            equity.push({ date: bar.date, equity: cash + shares * bar.close, position: shares });
+
+            // Only bars up to and including today are visible to the analyzer
+            const window = bars.slice(Math.max(0, i + 1 - opts.lookback), i + 1);
+            const history = bars.slice(0, i + 1);
+            const calculations = await priceAnalyzer.runCalculations(window, { history, regimeHistory: history });
+            const targetPrice = priceAnalyzer.calculateTargetPrice(calculations, window, profile);
+            const confidence = priceAnalyzer.calculateConfidenceScore(calculations, window, profile);
+            const recommendation = priceAnalyzer.getRecommendation(targetPrice.price, bar.close, confidence.score, profile);
+
+            signals.push({ date: bar.date, action: recommendation.action });
+            if (recommendation.action.includes('BUY')) {
+                pendingAction = 'BUY';
+            } else if (recommendation.action.includes('SELL')) {
+                pendingAction = 'SELL';
+            }
+        }
+
+        if (openTrade) {
+            const lastBar = bars[bars.length - 1];
+            trades.push({ ...this._closeTrade(openTrade, null, lastBar.close, 0), open: true });
+        }
+
+        return { trades, signals, equity };
+    }
+
+    _closeTrade(trade, exitDate, exitPrice, exitCommission) {
+        const commission = trade.commission + exitCommission;
+        const pnl = (exitPrice - trade.entryPrice) * trade.shares - commission;
+        return {
+            ...trade,
+            exitDate,
+            exitPrice,
+            commission,
+            pnl,
+            returnPercent: pnl / (trade.entryPrice * trade.shares) * 100,
+            open: false
+        };
+    }
+
+    _simulateBuyAndHold(bars, firstIndex, opts) {
+        const entry = bars[firstIndex];
+        const fillPrice = entry.open * (1 + opts.slippageBps / 10000);
+        const shares = Math.floor((opts.initialCapital - opts.commissionFixed) / (fillPrice * (1 + opts.commissionRate)));
+        const cash = opts.initialCapital - shares * fillPrice - (shares * fillPrice * opts.commissionRate + opts.commissionFixed);
+
+        return {
+            equity: bars.slice(firstIndex).map(bar => ({ date: bar.date, equity: cash + shares * bar.close }))
+        };
+    }
+
+    calculateMetrics(equity, opts) {
+        const values = equity.map(p => p.equity);
+        const start = values[0];
+        const end = values[values.length - 1];
+        const years = (new Date(equity[equity.length - 1].date) - new Date(equity[0].date)) / (365.25 * 24 * 3600 * 1000);
+
+        const returns = [];
+        for (let i = 1; i < values.length; i++) {
+            returns.push(values[i] / values[i - 1] - 1);
+        }
+
+        const dailyRiskFree = opts.riskFreeRate / TRADING_DAYS_PER_YEAR;
+        const excess = returns.map(r => r - dailyRiskFree);
+        const meanExcess = _.mean(excess) || 0;
+        const stdDev = excess.length > 1
+            ? Math.sqrt(excess.reduce((sum, r) => sum + Math.pow(r - meanExcess, 2), 0) / (excess.length - 1))
+            : 0;
+
+        let peak = values[0];
+        let peakDate = equity[0].date;
+        let maxDrawdown = { value: 0, peakDate: null, troughDate: null };
+        equity.forEach(point => {
+            if (point.equity > peak) {
+                peak = point.equity;
+                peakDate = point.date;
+            }
+            const drawdown = (point.equity - peak) / peak;
+            if (drawdown < maxDrawdown.value) {
+                maxDrawdown = { value: drawdown, peakDate, troughDate: point.date };
+            }
+        });
+
+        return {
+            startEquity: start,
+            endEquity: end,
+            totalReturn: (end / start - 1) * 100,
+            cagr: years > 0 ? (Math.pow(end / start, 1 / years) - 1) * 100 : null,
+            sharpe: stdDev > 0 ? (meanExcess / stdDev) * Math.sqrt(TRADING_DAYS_PER_YEAR) : null,
+            maxDrawdown: maxDrawdown.value * 100,
+            maxDrawdownPeakDate: maxDrawdown.peakDate,
+            maxDrawdownTroughDate: maxDrawdown.troughDate
+        };
+    }
+
+    _winRate(trades) {
+        const closed = trades.filter(t => !t.open);
+        return closed.length ? closed.filter(t => t.pnl > 0).length / closed.length : null;
+    }
+
+    async _getBars(symbol, database, endDate) {
+        return new Promise((resolve, reject) => {
+            let query = `
+                SELECT date, open_price, high_price, low_price, close_price, volume
+                FROM daily_prices
+                WHERE stock_symbol = ?
+            `;
+            const params = [symbol];
+            if (endDate) {
+                query += ` AND date <= ?`;
+                params.push(endDate);
+            }
+            query += ` ORDER BY date ASC`;
+
+            database.all(query, params, (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows.map(row => ({
+                    date: row.date,
+                    open: row.open_price,
+                    high: row.high_price,
+                    low: row.low_price,
+                    close: row.close_price,
+                    volume: row.volume
+                })));
+            });
+        });
+    }
+}
+
+module.exports = new Backtester();
@@ -0,0 +1,337 @@
+const _ = require('lodash');
+const stockAPI = require('../api/stockData');
+const corporateActions = require('../api/corporateActions');
+const analysisEngine = require('./priceAnalyzer');
+const modelProfiles = require('./modelProfiles');
+const { get, all, run } = require('../database/query');
+
+const MAX_CONCURRENCY = 10;
+const DEFAULT_CONCURRENCY = Math.min(MAX_CONCURRENCY, Math.max(1, parseInt(process.env.BATCH_CONCURRENCY, 10) || 3));
+// A symbol still running after this long is recorded as failed and its worker moves on
+const DEFAULT_SYMBOL_TIMEOUT_MS = parseInt(process.env.BATCH_SYMBOL_TIMEOUT_MS, 10) || 120000;
+
+// Job statuses: pending -> running -> completed / cancelled; jobs left running or pending when the
+// server stopped are marked interrupted at startup and can be resumed
+const ITEM_STATUSES = ['pending', 'running', 'done', 'failed'];
+
+// On timeout also aborts the controller, so that the analysis saves nothing once it gets there
+const withTimeout = (promise, ms, symbol, controller) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`Timed out after ${ms / 1000}s analyzing ${symbol}`);
+            controller.abort(error);
+            reject(error);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+class BatchAnalysis {
+    constructor() {
+        // Jobs being processed by this server: id -> { cancelled, done }
+        this.activeJobs = new Map();
+    }
+
+    // Accepts an array or a comma/whitespace/newline separated list (e.g. an uploaded file's contents)
+    parseSymbols(input) {
+        const values = Array.isArray(input) ? input : String(input || '').split(/[\s,;]+/);
+        return _.uniq(values.map(s => String(s).trim().toUpperCase()).filter(Boolean));
+    }
+
+    async listUniverses(database) {
+        const rows = await all(database, 'SELECT * FROM universes ORDER BY name ASC', []);
+        return rows.map(row => this._formatUniverse(row));
+    }
+
+    async getUniverse(name, database) {
+        const row = await get(database, 'SELECT * FROM universes WHERE name = ?', [name]);
+        if (!row) {
+            throw new Error(`Unknown universe: ${name}`);
+        }
+        return this._formatUniverse(row);
+    }
+
+    async saveUniverse(name, description, symbols, database) {
+        const normalized = this.parseSymbols(symbols);
+        if (normalized.length === 0) {
+            throw new Error('A universe needs at least one symbol');
+        }
+        await run(
+            database,
+            `INSERT INTO universes (name, description, symbols, updated_at)
+             VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+             ON CONFLICT(name) DO UPDATE SET
+                description = excluded.description,
+                symbols = excluded.symbols,
+                updated_at = excluded.updated_at`,
+            [name, description || '', JSON.stringify(normalized)]
+        );
+        return this.getUniverse(name, database);
+    }
+
+    async deleteUniverse(name, database) {
+        await this.getUniverse(name, database);
+        await run(database, 'DELETE FROM universes WHERE name = ?', [name]);
+    }
+
+    // Validates the request, records the job and its symbols, and starts it in the background.
+    // request: { universe } or { symbols }, plus options { profile, adjustment, concurrency, timeoutMs, skipUpdate }
+    async createJob(database, request = {}) {
+        let symbols;
+        if (request.universe) {
+            symbols = (await this.getUniverse(request.universe, database)).symbols;
+        } else {
+            symbols = this.parseSymbols(request.symbols);
+        }
+        if (symbols.length === 0) {
+            throw new Error('A batch job needs a universe or at least one symbol');
+        }
+
+        const options = await this.normalizeOptions(request.options || {}, database);
+        const { lastID: jobId } = await run(
+            database,
+            'INSERT INTO batch_jobs (universe, options, status, total) VALUES (?, ?, ?, ?)',
+            [request.universe || null, JSON.stringify(options), 'pending', symbols.length]
+        );
+        for (const [position, symbol] of symbols.entries()) {
+            await run(
+                database,
+                'INSERT INTO batch_job_items (job_id, symbol, position, status) VALUES (?, ?, ?, ?)',
+                [jobId, symbol, position, 'pending']
+            );
+        }
+
+        this._start(jobId, options, database);
+        return this.getJob(jobId, database);
+    }
+
+    async normalizeOptions(options, database) {
+        const profile = options.profile || 'default';
+        await modelProfiles.getProfile(profile, database);
+        const concurrency = parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY;
+        const timeoutMs = parseInt(options.timeoutMs, 10) || DEFAULT_SYMBOL_TIMEOUT_MS;
+        if (concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+            throw new Error(`Concurrency must be between 1 and ${MAX_CONCURRENCY}`);
+        }
+        if (timeoutMs < 1000) {
+            throw new Error('timeoutMs must be at least 1000');
+        }
+        return {
+            profile,
+            adjustment: corporateActions.resolveAdjustment(options.adjustment),
+            concurrency,
+            timeoutMs,
+            skipUpdate: options.skipUpdate === true || options.skipUpdate === 'true'
+        };
+    }
+
+    // Re-runs the symbols that did not finish (and, unless retryFailed is false, the failed ones)
+    async resumeJob(jobId, database, { retryFailed = true } = {}) {
+        const job = await this._getJobRow(jobId, database);
+        if (this.activeJobs.has(job.id)) {
+            throw new Error(`Batch job ${job.id} is already running`);
+        }
+        const statuses = retryFailed ? ['running', 'failed'] : ['running'];
+        await run(
+            database,
+            `UPDATE batch_job_items SET status = 'pending', error = NULL
+             WHERE job_id = ? AND status IN (${statuses.map(() => '?').join(', ')})`,
+            [job.id, ...statuses]
+        );
+        await run(database, `UPDATE batch_jobs SET status = 'pending', finished_at = NULL WHERE id = ?`, [job.id]);
+
+        this._start(job.id, JSON.parse(job.options), database);
+        return this.getJob(job.id, database);
+    }
+
+    // Symbols already being analyzed finish; the remaining ones stay pending so the job can be resumed
+    async cancelJob(jobId, database) {
+        const job = await this._getJobRow(jobId, database);
+        const active = this.activeJobs.get(job.id);
+        if (active) {
+            active.cancelled = true;
+        } else if (!['completed', 'cancelled'].includes(job.status)) {
+            await run(
+                database,
+                `UPDATE batch_jobs SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [job.id]
+            );
+        }
+        return this.getJob(job.id, database);
+    }
+
+    // Run at startup: nothing is processing jobs from a previous server process any more
+    async markInterruptedJobs(database) {
+        return run(
+            database,
+            `UPDATE batch_jobs SET status = 'interrupted' WHERE status IN ('pending', 'running')`,
+            []
+        );
+    }
+
+    // Resolves with the job once this server has finished processing it
+    async waitForJob(jobId, database) {
+        const job = await this._getJobRow(jobId, database);
+        const active = this.activeJobs.get(job.id);
+        if (active) {
+            await active.done;
+        }
+        return this.getJob(job.id, database);
+    }
+
+    async getJob(jobId, database) {
+        const job = await this._getJobRow(jobId, database);
+        const items = await all(
+            database,
+            'SELECT * FROM batch_job_items WHERE job_id = ? ORDER BY position ASC',
+            [job.id]
+        );
+        return {
+            ...this._formatJob(job, _.countBy(items, 'status')),
+            items: items.map(item => ({
+                symbol: item.symbol,
+                status: item.status,
+                error: item.error,
+                snapshotId: item.snapshot_id,
+                targetPrice: item.target_price,
+                startedAt: item.started_at,
+                finishedAt: item.finished_at
+            }))
+        };
+    }
+
+    async listJobs(database, limit = 20) {
+        const jobs = await all(database, 'SELECT * FROM batch_jobs ORDER BY id DESC LIMIT ?', [limit]);
+        const counts = await all(
+            database,
+            `SELECT job_id, status, COUNT(*) AS count FROM batch_job_items
+             WHERE job_id IN (${jobs.map(() => '?').join(', ') || 'NULL'})
+             GROUP BY job_id, status`,
+            jobs.map(job => job.id)
+        );
+        const countsByJob = _.groupBy(counts, 'job_id');
+        return jobs.map(job => this._formatJob(job, _.fromPairs((countsByJob[job.id] || []).map(row => [row.status, row.count]))));
+    }
+
+    _start(jobId, options, database) {
+        const state = { cancelled: false };
+        this.activeJobs.set(jobId, state);
+        state.done = this._process(jobId, options, state, database)
+            .catch(error => {
+                console.error(`Batch job ${jobId} failed:`, error.message);
+                return run(database, `UPDATE batch_jobs SET status = 'interrupted' WHERE id = ?`, [jobId]);
+            })
+            .catch(error => console.error(`Could not update batch job ${jobId}:`, error.message))
+            .finally(() => this.activeJobs.delete(jobId));
+    }
+
+    // Up to options.concurrency workers take the pending symbols in order; a failure or timeout is
+    // recorded on the symbol and does not stop the job
+    async _process(jobId, options, state, database) {
+        await run(
+            database,
+            `UPDATE batch_jobs SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP) WHERE id = ?`,
+            [jobId]
+        );
+        const queue = await all(
+            database,
+            `SELECT symbol FROM batch_job_items WHERE job_id = ? AND status = 'pending' ORDER BY position ASC`,
+            [jobId]
+        );
+
+        const worker = async () => {
+            while (queue.length > 0 && !state.cancelled) {
+                const { symbol } = queue.shift();
+                await this._updateItem(database, jobId, symbol, `status = 'running', started_at = CURRENT_TIMESTAMP, finished_at = NULL`, []);
+                const controller = new AbortController();
+                const analysis = this._analyzeSymbol(symbol, options, database, controller.signal);
+                try {
+                    const result = await withTimeout(analysis, options.timeoutMs, symbol, controller);
+                    await this._updateItem(
+                        database, jobId, symbol,
+                        `status = 'done', error = NULL, snapshot_id = ?, target_price = ?, finished_at = CURRENT_TIMESTAMP`,
+                        [result.snapshotId, result.targetPrice]
+                    );
+                } catch (error) {
+                    console.warn(`Batch job ${jobId}: ${symbol} failed:`, error.message);
+                    await this._updateItem(
+                        database, jobId, symbol,
+                        `status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP`,
+                        [error.message]
+                    );
+                    // A timed-out analysis keeps the worker busy until it settles, so no more than
+                    // `concurrency` symbols are ever being fetched and analyzed at once
+                    await analysis.catch(() => {});
+                }
+            }
+        };
+        await Promise.all(_.times(Math.min(options.concurrency, queue.length), worker));
+
+        await run(
+            database,
+            'UPDATE batch_jobs SET status = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [state.cancelled ? 'cancelled' : 'completed', jobId]
+        );
+        console.log(`Batch job ${jobId} ${state.cancelled ? 'cancelled' : 'completed'}`);
+    }
+
+    async _analyzeSymbol(symbol, options, database, signal) {
+        if (!options.skipUpdate) {
+            await stockAPI.updateStockData(symbol, database, { signal });
+        }
+        const analysis = await analysisEngine.analyzeStock(symbol, database, {
+            profile: options.profile,
+            adjustment: options.adjustment,
+            signal
+        });
+        return { snapshotId: analysis.snapshotId, targetPrice: analysis.targetPrice };
+    }
+
+    _updateItem(database, jobId, symbol, assignments, params) {
+        return run(
+            database,
+            `UPDATE batch_job_items SET ${assignments} WHERE job_id = ? AND symbol = ?`,
+            [...params, jobId, symbol]
+        );
+    }
+
+    async _getJobRow(jobId, database) {
+        const row = await get(database, 'SELECT * FROM batch_jobs WHERE id = ?', [jobId]);
+        if (!row) {
+            throw new Error(`Unknown batch job: ${jobId}`);
+        }
+        return row;
+    }
+
+    _formatJob(job, counts) {
+        const progress = ITEM_STATUSES.reduce((result, status) => {
+            result[status] = counts[status] || 0;
+            return result;
+        }, { total: job.total });
+        progress.percent = job.total ? (progress.done + progress.failed) / job.total * 100 : 0;
+
+        return {
+            id: job.id,
+            universe: job.universe,
+            options: JSON.parse(job.options || '{}'),
+            status: job.status,
+            running: this.activeJobs.has(job.id),
+            progress,
+            createdAt: job.created_at,
+            startedAt: job.started_at,
+            finishedAt: job.finished_at
+        };
+    }
+
+    _formatUniverse(row) {
+        return {
+            name: row.name,
+            description: row.description,
+            symbols: JSON.parse(row.symbols || '[]'),
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+module.exports = new BatchAnalysis();
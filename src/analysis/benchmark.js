@@ -0,0 +1,18 @@
+const stockAPI = require('../api/stockData');
+
+// The benchmark a request asked for, else RISK_BENCHMARK_SYMBOL, else SPY
+function resolveBenchmark(benchmark) {
+    return (benchmark || process.env.RISK_BENCHMARK_SYMBOL || 'SPY').toUpperCase();
+}
+
+// Reads the benchmark's stored prices with `load`, fetching them into daily_prices first when there are none
+async function loadBenchmark(benchmark, database, load) {
+    const stored = await load();
+    if (stored.length > 0) {
+        return stored;
+    }
+    await stockAPI.updateStockData(benchmark, database);
+    return load();
+}
+
+module.exports = { resolveBenchmark, loadBenchmark };
@@ -0,0 +1,116 @@
+const technicalIndicators = require('technicalindicators');
+
+// The longest pattern (hammer with its preceding trend) needs five candles
+const WINDOW_SIZE = 5;
+
+const RELIABILITY_WEIGHTS = { high: 1, medium: 0.5, low: 0 };
+
+// detector is the technicalindicators function that checks the last candles of its input
+const PATTERNS = [
+    { id: 'doji', name: '十字星', detector: 'doji', bias: 'neutral', reliability: 'low',
+        note: '多空僵持，单独出现意义有限，需结合所处趋势和次日走势确认' },
+    { id: 'dragonfly_doji', name: '蜻蜓十字', detector: 'dragonflydoji', bias: 'bullish', reliability: 'low',
+        note: '下影线长，出现在下跌末端时提示下方有承接' },
+    { id: 'gravestone_doji', name: '墓碑十字', detector: 'gravestonedoji', bias: 'bearish', reliability: 'low',
+        note: '上影线长，出现在上涨末端时提示上方抛压' },
+    { id: 'hammer', name: '锤子线', detector: 'hammerpattern', bias: 'bullish', reliability: 'medium',
+        note: '下跌后出现的长下影小实体，次日收阳可确认反转' },
+    { id: 'hanging_man', name: '上吊线', detector: 'hangingman', bias: 'bearish', reliability: 'medium',
+        note: '上涨后出现的长下影小实体，次日收阴可确认见顶' },
+    { id: 'shooting_star', name: '射击之星', detector: 'shootingstar', bias: 'bearish', reliability: 'medium',
+        note: '上涨后出现的长上影小实体，提示上攻乏力' },
+    { id: 'bullish_engulfing', name: '看涨吞没', detector: 'bullishengulfingpattern', bias: 'bullish', reliability: 'high',
+        note: '阳线实体完全覆盖前一根阴线，下跌趋势中可靠性较高' },
+    { id: 'bearish_engulfing', name: '看跌吞没', detector: 'bearishengulfingpattern', bias: 'bearish', reliability: 'high',
+        note: '阴线实体完全覆盖前一根阳线，上涨趋势中可靠性较高' },
+    { id: 'bullish_harami', name: '看涨孕线', detector: 'bullishharami', bias: 'bullish', reliability: 'medium',
+        note: '小阳线孕于前一根大阴线内，下跌动能减弱，需后续确认' },
+    { id: 'bearish_harami', name: '看跌孕线', detector: 'bearishharami', bias: 'bearish', reliability: 'medium',
+        note: '小阴线孕于前一根大阳线内，上涨动能减弱，需后续确认' },
+    { id: 'bullish_harami_cross', name: '看涨十字孕线', detector: 'bullishharamicross', bias: 'bullish', reliability: 'medium',
+        note: '十字星孕于大阴线内，比普通孕线反转意味更强' },
+    { id: 'bearish_harami_cross', name: '看跌十字孕线', detector: 'bearishharamicross', bias: 'bearish', reliability: 'medium',
+        note: '十字星孕于大阳线内，比普通孕线反转意味更强' },
+    { id: 'piercing_line', name: '刺透形态', detector: 'piercingline', bias: 'bullish', reliability: 'medium',
+        note: '阳线收复前一根阴线实体一半以上' },
+    { id: 'dark_cloud_cover', name: '乌云盖顶', detector: 'darkcloudcover', bias: 'bearish', reliability: 'medium',
+        note: '阴线跌入前一根阳线实体一半以下' },
+    { id: 'morning_star', name: '启明星', detector: 'morningstar', bias: 'bullish', reliability: 'high',
+        note: '三根K线构成的底部反转形态，可靠性较高' },
+    { id: 'evening_star', name: '黄昏星', detector: 'eveningstar', bias: 'bearish', reliability: 'high',
+        note: '三根K线构成的顶部反转形态，可靠性较高' },
+    { id: 'morning_doji_star', name: '十字启明星', detector: 'morningdojistar', bias: 'bullish', reliability: 'high',
+        note: '中间为十字星的启明星，反转信号更强' },
+    { id: 'evening_doji_star', name: '十字黄昏星', detector: 'eveningdojistar', bias: 'bearish', reliability: 'high',
+        note: '中间为十字星的黄昏星，反转信号更强' },
+    { id: 'abandoned_baby', name: '弃婴形态', detector: 'abandonedbaby', bias: 'bullish', reliability: 'high',
+        note: '跳空十字星后反向跳空，少见但可靠性高' },
+    { id: 'three_white_soldiers', name: '红三兵', detector: 'threewhitesoldiers', bias: 'bullish', reliability: 'high',
+        note: '连续三根逐级抬高的阳线，多头持续发力' },
+    { id: 'three_black_crows', name: '三只乌鸦', detector: 'threeblackcrows', bias: 'bearish', reliability: 'high',
+        note: '连续三根逐级走低的阴线，空头持续发力' },
+    { id: 'tweezer_top', name: '平顶', detector: 'tweezertop', bias: 'bearish', reliability: 'low',
+        note: '相邻K线最高价相同，上方阻力明显' },
+    { id: 'tweezer_bottom', name: '平底', detector: 'tweezerbottom', bias: 'bullish', reliability: 'low',
+        note: '相邻K线最低价相同，下方支撑明显' }
+];
+
+class CandlestickPatterns {
+    constructor() {
+        this.patterns = PATTERNS;
+    }
+
+    // Scans the last `lookback` bars (all bars by default), oldest first.
+    // barsAgo is 0 for a pattern completed on the latest bar.
+    detect(stockData, lookback = null) {
+        if (!stockData || stockData.length < WINDOW_SIZE) {
+            return [];
+        }
+
+        const firstIndex = Math.max(WINDOW_SIZE - 1, lookback ? stockData.length - lookback : 0);
+        const found = [];
+
+        for (let i = firstIndex; i < stockData.length; i++) {
+            const window = stockData.slice(i + 1 - WINDOW_SIZE, i + 1);
+            const input = {
+                open: window.map(d => d.open),
+                high: window.map(d => d.high),
+                low: window.map(d => d.low),
+                close: window.map(d => d.close)
+            };
+
+            PATTERNS.forEach(pattern => {
+                let matched = false;
+                try {
+                    matched = technicalIndicators[pattern.detector](input);
+                } catch (error) {
+                    console.warn(`Candlestick pattern ${pattern.id} failed on ${stockData[i].date}:`, error.message);
+                }
+                if (matched) {
+                    found.push({
+                        pattern: pattern.id,
+                        name: pattern.name,
+                        date: stockData[i].date,
+                        price: stockData[i].close,
+                        bias: pattern.bias,
+                        reliability: pattern.reliability,
+                        note: pattern.note,
+                        barsAgo: stockData.length - 1 - i
+                    });
+                }
+            });
+        }
+
+        return found;
+    }
+
+    // Net direction of a set of patterns, weighted by reliability: > 0 bullish, < 0 bearish
+    netBias(patterns) {
+        return (patterns || []).reduce((sum, pattern) => {
+            const direction = pattern.bias === 'bullish' ? 1 : pattern.bias === 'bearish' ? -1 : 0;
+            return sum + direction * RELIABILITY_WEIGHTS[pattern.reliability];
+        }, 0);
+    }
+}
+
+module.exports = new CandlestickPatterns();
@@ -0,0 +1,388 @@
+const _ = require('lodash');
+
+const DEFAULT_OPTIONS = {
+    swingOrder: 5,          // A swing high/low is the extreme of the bars `swingOrder` either side
+    lookback: 120,          // Only patterns whose last swing falls in this many bars are reported
+    tolerance: 0.03,        // Max relative difference for "equal" peaks, troughs and shoulders
+    minPatternBars: 15,     // Multi-week patterns only
+    flatSlope: 0.05,        // Percent of price per bar below which a trendline counts as flat
+    minPoleMove: 0.10,      // Flag pole must move at least this fraction
+    maxPoleBars: 15,
+    minFlagBars: 5,
+    maxFlagBars: 20
+};
+
+const PATTERN_NAMES = {
+    head_and_shoulders: '头肩顶',
+    inverse_head_and_shoulders: '头肩底',
+    double_top: '双顶',
+    double_bottom: '双底',
+    ascending_triangle: '上升三角形',
+    descending_triangle: '下降三角形',
+    symmetrical_triangle: '对称三角形',
+    ascending_channel: '上升通道',
+    descending_channel: '下降通道',
+    horizontal_channel: '水平通道',
+    bull_flag: '上升旗形',
+    bear_flag: '下降旗形'
+};
+
+const lineThrough = (p1, p2) => (index) => (
+    p1.index === p2.index ? p1.price : p1.price + (p2.price - p1.price) * (index - p1.index) / (p2.index - p1.index)
+);
+
+// Least-squares line through a set of { index, price } points
+const fitLine = (points) => {
+    const meanX = _.meanBy(points, 'index');
+    const meanY = _.meanBy(points, 'price');
+    const sxx = _.sumBy(points, p => Math.pow(p.index - meanX, 2));
+    const slope = sxx === 0 ? 0 : _.sumBy(points, p => (p.index - meanX) * (p.price - meanY)) / sxx;
+    const line = (index) => meanY + slope * (index - meanX);
+    line.slope = slope;
+    return line;
+};
+
+class ChartPatterns {
+    detect(stockData, options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ..._.omitBy(options, _.isNil) };
+        if (!stockData || stockData.length < opts.minPatternBars + opts.swingOrder * 2) {
+            return [];
+        }
+
+        const swings = this.findSwingPoints(stockData, opts.swingOrder);
+        const firstIndex = stockData.length - opts.lookback;
+        const recentSwings = swings.filter(s => s.index >= firstIndex);
+
+        const patterns = [
+            ...this._headAndShoulders(stockData, swings, opts),
+            ...this._doubleTopsBottoms(stockData, swings, opts),
+            this._trendlinePattern(stockData, recentSwings, opts),
+            this._flag(stockData, opts)
+        ].filter(pattern => pattern && pattern.lastSwingIndex >= firstIndex);
+
+        // Keep the most recent instance of each pattern type, newest first
+        return _.uniqBy(_.orderBy(patterns, ['endIndex'], ['desc']), 'pattern')
+            .map(pattern => _.omit(pattern, ['lastSwingIndex']));
+    }
+
+    // Alternating swing highs and lows; consecutive swings of one type keep the more extreme
+    findSwingPoints(stockData, order = DEFAULT_OPTIONS.swingOrder) {
+        const swings = [];
+
+        for (let i = order; i < stockData.length - order; i++) {
+            const window = stockData.slice(i - order, i + order + 1);
+            if (stockData[i].high === _.maxBy(window, 'high').high) {
+                swings.push({ index: i, date: stockData[i].date, price: stockData[i].high, type: 'high' });
+            }
+            if (stockData[i].low === _.minBy(window, 'low').low) {
+                swings.push({ index: i, date: stockData[i].date, price: stockData[i].low, type: 'low' });
+            }
+        }
+
+        return swings.reduce((alternating, swing) => {
+            const last = alternating[alternating.length - 1];
+            if (last && last.type === swing.type) {
+                const moreExtreme = swing.type === 'high' ? swing.price > last.price : swing.price < last.price;
+                if (moreExtreme) {
+                    alternating[alternating.length - 1] = swing;
+                }
+            } else {
+                alternating.push(swing);
+            }
+            return alternating;
+        }, []);
+    }
+
+    _headAndShoulders(stockData, swings, opts) {
+        const found = [];
+
+        for (let i = 0; i + 4 < swings.length; i++) {
+            const [leftShoulder, leftTrough, head, rightTrough, rightShoulder] = swings.slice(i, i + 5);
+            const inverse = head.type === 'low';
+            const sign = inverse ? -1 : 1;
+
+            const headStandsOut = sign * (head.price - leftShoulder.price) > head.price * opts.tolerance &&
+                sign * (head.price - rightShoulder.price) > head.price * opts.tolerance;
+            const shouldersLevel = Math.abs(leftShoulder.price - rightShoulder.price) <= head.price * opts.tolerance * 2;
+            if (!headStandsOut || !shouldersLevel || rightShoulder.index - leftShoulder.index < opts.minPatternBars) {
+                continue;
+            }
+
+            const neckline = lineThrough(leftTrough, rightTrough);
+            const height = sign * (head.price - neckline(head.index));
+            found.push(this._withBreakout(stockData, {
+                pattern: inverse ? 'inverse_head_and_shoulders' : 'head_and_shoulders',
+                bias: inverse ? 'bullish' : 'bearish',
+                points: [
+                    { ...leftShoulder, label: '左肩' },
+                    { ...leftTrough, label: '颈线' },
+                    { ...head, label: '头部' },
+                    { ...rightTrough, label: '颈线' },
+                    { ...rightShoulder, label: '右肩' }
+                ],
+                startIndex: leftShoulder.index,
+                lastSwingIndex: rightShoulder.index,
+                height,
+                lines: { neckline: { from: leftTrough.index, line: neckline } },
+                breakoutLine: neckline
+            }));
+        }
+
+        return found;
+    }
+
+    _doubleTopsBottoms(stockData, swings, opts) {
+        const found = [];
+
+        for (let i = 0; i + 2 < swings.length; i++) {
+            const [first, middle, second] = swings.slice(i, i + 3);
+            const isTop = first.type === 'high';
+            const sign = isTop ? 1 : -1;
+            const peak = isTop ? Math.max(first.price, second.price) : Math.min(first.price, second.price);
+            const innerPeak = isTop ? Math.min(first.price, second.price) : Math.max(first.price, second.price);
+
+            const equalPeaks = Math.abs(first.price - second.price) <= peak * opts.tolerance;
+            const deepEnough = sign * (innerPeak - middle.price) >= peak * opts.tolerance;
+            if (!equalPeaks || !deepEnough || second.index - first.index < opts.minPatternBars) {
+                continue;
+            }
+
+            const neckline = () => middle.price;
+            found.push(this._withBreakout(stockData, {
+                pattern: isTop ? 'double_top' : 'double_bottom',
+                bias: isTop ? 'bearish' : 'bullish',
+                points: [
+                    { ...first, label: isTop ? '顶1' : '底1' },
+                    { ...middle, label: '颈线' },
+                    { ...second, label: isTop ? '顶2' : '底2' }
+                ],
+                startIndex: first.index,
+                lastSwingIndex: second.index,
+                height: sign * ((first.price + second.price) / 2 - middle.price),
+                lines: { neckline: { from: first.index, line: neckline } },
+                breakoutLine: neckline
+            }));
+        }
+
+        return found;
+    }
+
+    // Triangles and channels from trendlines fitted through the recent swing highs and lows
+    _trendlinePattern(stockData, swings, opts) {
+        const highs = swings.filter(s => s.type === 'high').slice(-4);
+        const lows = swings.filter(s => s.type === 'low').slice(-4);
+        if (highs.length < 2 || lows.length < 2) {
+            return null;
+        }
+
+        const startIndex = Math.min(highs[0].index, lows[0].index);
+        const lastSwingIndex = Math.max(_.last(highs).index, _.last(lows).index);
+        if (lastSwingIndex - startIndex < opts.minPatternBars) {
+            return null;
+        }
+
+        const upper = fitLine(highs);
+        const lower = fitLine(lows);
+        const lastIndex = stockData.length - 1;
+        if (upper(lastIndex) <= lower(lastIndex) || upper(startIndex) <= lower(startIndex)) {
+            return null;
+        }
+
+        const averagePrice = _.meanBy(swings, 'price');
+        const slopeDirection = (line) => {
+            const percentPerBar = line.slope / averagePrice * 100;
+            return Math.abs(percentPerBar) < opts.flatSlope ? 0 : Math.sign(percentPerBar);
+        };
+        const upperDirection = slopeDirection(upper);
+        const lowerDirection = slopeDirection(lower);
+        const parallel = Math.abs(upper.slope - lower.slope) / averagePrice * 100 < opts.flatSlope;
+
+        let pattern = null;
+        if (parallel && upperDirection === lowerDirection) {
+            pattern = ['descending_channel', 'horizontal_channel', 'ascending_channel'][upperDirection + 1];
+        } else if (upperDirection === 0 && lowerDirection > 0) {
+            pattern = 'ascending_triangle';
+        } else if (upperDirection < 0 && lowerDirection === 0) {
+            pattern = 'descending_triangle';
+        } else if (upperDirection < 0 && lowerDirection > 0) {
+            pattern = 'symmetrical_triangle';
+        }
+        if (!pattern) {
+            return null;
+        }
+
+        const bias = { ascending_triangle: 'bullish', ascending_channel: 'bullish',
+            descending_triangle: 'bearish', descending_channel: 'bearish' }[pattern] || 'neutral';
+        // Triangles project their widest part, channels their constant width
+        const height = pattern.endsWith('triangle')
+            ? upper(startIndex) - lower(startIndex)
+            : upper(lastIndex) - lower(lastIndex);
+
+        return this._withTrendlineBreakout(stockData, {
+            pattern,
+            bias,
+            points: _.sortBy([...highs, ...lows], 'index').map(s => ({ ...s, label: s.type === 'high' ? '高点' : '低点' })),
+            startIndex,
+            lastSwingIndex,
+            height,
+            lines: {
+                upperLine: { from: startIndex, line: upper },
+                lowerLine: { from: startIndex, line: lower }
+            }
+        }, upper, lower);
+    }
+
+    // A sharp pole followed by a tight consolidation that ends at the latest bar
+    _flag(stockData, opts) {
+        const lastIndex = stockData.length - 1;
+
+        for (let length = opts.maxFlagBars; length >= opts.minFlagBars; length--) {
+            const flagStart = lastIndex - length;
+            const poleEnd = flagStart - 1;
+            const poleStart = poleEnd - opts.maxPoleBars;
+            if (poleStart < 0) {
+                continue;
+            }
+
+            // The latest bar is left out of the flag so it can break out of it
+            const flag = stockData.slice(flagStart, lastIndex);
+            const pole = stockData.slice(poleStart, poleEnd + 1);
+            const flagHigh = _.maxBy(flag, 'high').high;
+            const flagLow = _.minBy(flag, 'low').low;
+
+            const poleLow = _.minBy(pole, 'low');
+            const poleHigh = _.maxBy(pole, 'high');
+            const poleHeight = poleHigh.high - poleLow.low;
+            const isBull = stockData[poleEnd].close >= poleLow.low * (1 + opts.minPoleMove) &&
+                pole.indexOf(poleLow) < pole.indexOf(poleHigh);
+            const isBear = stockData[poleEnd].close <= poleHigh.high * (1 - opts.minPoleMove) &&
+                pole.indexOf(poleHigh) < pole.indexOf(poleLow);
+            if (!isBull && !isBear) {
+                continue;
+            }
+
+            // The flag must stay tight and must not give back more than half the pole
+            const tight = flagHigh - flagLow <= poleHeight * 0.5;
+            const holds = isBull ? flagLow >= poleHigh.high - poleHeight * 0.5 : flagHigh <= poleLow.low + poleHeight * 0.5;
+            if (!tight || !holds) {
+                continue;
+            }
+
+            const toPoint = (bar, index, price) => ({ index, date: bar.date, price });
+            const upper = fitLine(flag.map((bar, i) => toPoint(bar, flagStart + i, bar.high)));
+            const lower = fitLine(flag.map((bar, i) => toPoint(bar, flagStart + i, bar.low)));
+            const poleStartBar = isBull ? poleLow : poleHigh;
+            const poleTopBar = isBull ? poleHigh : poleLow;
+            const poleStartIndex = poleStart + pole.indexOf(poleStartBar);
+            const poleTopIndex = poleStart + pole.indexOf(poleTopBar);
+
+            const flagPattern = this._withTrendlineBreakout(stockData, {
+                pattern: isBull ? 'bull_flag' : 'bear_flag',
+                bias: isBull ? 'bullish' : 'bearish',
+                points: [
+                    toPoint(poleStartBar, poleStartIndex, isBull ? poleLow.low : poleHigh.high),
+                    toPoint(poleTopBar, poleTopIndex, isBull ? poleHigh.high : poleLow.low)
+                ].map((point, i) => ({ ...point, label: i === 0 ? '旗杆起点' : '旗杆顶点' })),
+                startIndex: poleStartIndex,
+                lastSwingIndex: lastIndex,
+                height: poleHeight,
+                lines: {
+                    upperLine: { from: flagStart, line: upper },
+                    lowerLine: { from: flagStart, line: lower }
+                }
+            }, upper, lower, lastIndex);
+
+            // Breaking against the pole means the flag failed rather than completed
+            if (flagPattern.bias === (isBull ? 'bullish' : 'bearish')) {
+                return flagPattern;
+            }
+        }
+
+        return null;
+    }
+
+    // Neckline patterns: confirmed once a close crosses the neckline after the last swing
+    _withBreakout(stockData, candidate) {
+        const sign = candidate.bias === 'bullish' ? 1 : -1;
+        let breakoutIndex = null;
+        for (let i = candidate.lastSwingIndex + 1; i < stockData.length; i++) {
+            if (sign * (stockData[i].close - candidate.breakoutLine(i)) > 0) {
+                breakoutIndex = i;
+                break;
+            }
+        }
+
+        const levelIndex = breakoutIndex === null ? stockData.length - 1 : breakoutIndex;
+        const breakoutLevel = candidate.breakoutLine(levelIndex);
+        return this._format(stockData, candidate, {
+            status: breakoutIndex === null ? 'forming' : 'confirmed',
+            breakoutIndex,
+            breakoutLevel,
+            target: breakoutLevel + sign * candidate.height
+        });
+    }
+
+    // Trendline patterns break out in either direction; a neutral pattern takes the bias of its breakout
+    _withTrendlineBreakout(stockData, candidate, upper, lower, fromIndex = candidate.lastSwingIndex + 1) {
+        let breakoutIndex = null;
+        let breakoutSide = null;
+        for (let i = fromIndex; i < stockData.length; i++) {
+            if (stockData[i].close > upper(i)) {
+                breakoutSide = 1;
+            } else if (stockData[i].close < lower(i)) {
+                breakoutSide = -1;
+            }
+            if (breakoutSide) {
+                breakoutIndex = i;
+                break;
+            }
+        }
+
+        const lastIndex = stockData.length - 1;
+        const expectedSide = breakoutSide || { bullish: 1, bearish: -1 }[candidate.bias] || null;
+        const levelIndex = breakoutIndex === null ? lastIndex : breakoutIndex;
+        const breakoutLevel = expectedSide === null ? null : (expectedSide > 0 ? upper : lower)(levelIndex);
+
+        return this._format(stockData, {
+            ...candidate,
+            bias: breakoutSide ? (breakoutSide > 0 ? 'bullish' : 'bearish') : candidate.bias
+        }, {
+            status: breakoutIndex === null ? 'forming' : 'confirmed',
+            breakoutIndex,
+            breakoutLevel,
+            target: breakoutLevel === null ? null : breakoutLevel + expectedSide * candidate.height
+        });
+    }
+
+    _format(stockData, candidate, breakout) {
+        const lastIndex = stockData.length - 1;
+        const endIndex = breakout.breakoutIndex === null ? lastIndex : breakout.breakoutIndex;
+        const toSegment = ({ from, line }) => ({
+            startDate: stockData[from].date,
+            startPrice: line(from),
+            endDate: stockData[endIndex].date,
+            endPrice: line(endIndex)
+        });
+
+        return {
+            pattern: candidate.pattern,
+            name: PATTERN_NAMES[candidate.pattern],
+            bias: candidate.bias,
+            status: breakout.status,
+            startDate: stockData[candidate.startIndex].date,
+            endDate: stockData[endIndex].date,
+            endIndex,
+            lastSwingIndex: candidate.lastSwingIndex,
+            points: candidate.points.map(point => _.pick(point, ['date', 'price', 'label'])),
+            neckline: candidate.lines.neckline ? toSegment(candidate.lines.neckline) : null,
+            upperLine: candidate.lines.upperLine ? toSegment(candidate.lines.upperLine) : null,
+            lowerLine: candidate.lines.lowerLine ? toSegment(candidate.lines.lowerLine) : null,
+            height: candidate.height,
+            breakoutLevel: breakout.breakoutLevel,
+            breakoutDate: breakout.breakoutIndex === null ? null : stockData[breakout.breakoutIndex].date,
+            target: breakout.target
+        };
+    }
+}
+
+module.exports = new ChartPatterns();
@@ -0,0 +1,209 @@
+const _ = require('lodash');
+
+const DEFAULT_ASSUMPTIONS = {
+    riskFreeRate: null,         // Falls back to RISK_FREE_RATE, then 4%
+    equityRiskPremium: null,    // Falls back to DCF_EQUITY_RISK_PREMIUM, then 5.5%
+    beta: null,                 // Falls back to the stored beta, then 1
+    costOfDebt: 0.05,           // Pre-tax
+    taxRate: 0.21,
+    terminalGrowth: 0.025,
+    // growth: a rate, null for the company's own growth estimate, or 'fade' to move
+    // linearly from the previous stage's rate to the terminal growth
+    stages: [
+        { years: 5, growth: null },
+        { years: 5, growth: 'fade' }
+    ]
+};
+
+// The stored growth figures are trailing year-over-year rates; keep them in a sane band
+const MIN_ESTIMATED_GROWTH = -0.05;
+const MAX_ESTIMATED_GROWTH = 0.25;
+const SENSITIVITY_STEPS = [-0.02, -0.01, 0, 0.01, 0.02];
+const TERMINAL_SENSITIVITY_STEPS = [-0.01, -0.005, 0, 0.005, 0.01];
+
+class DcfValuation {
+    constructor() {
+        this.DEFAULT_ASSUMPTIONS = DEFAULT_ASSUMPTIONS;
+    }
+
+    // overview is the stock row as returned by stockAPI.getLocalStockData
+    value(overview, options = {}) {
+        const assumptions = this.resolveAssumptions(overview, options);
+        const baseCashFlow = overview.freeCashflow;
+        const shares = overview.shares_outstanding;
+
+        if (!baseCashFlow || baseCashFlow <= 0) {
+            throw new Error(`DCF needs a positive free cash flow; ${overview.symbol} reports ${baseCashFlow || 'none'}`);
+        }
+        if (!shares || shares <= 0) {
+            throw new Error(`Shares outstanding are missing for ${overview.symbol}`);
+        }
+
+        const wacc = this.calculateWacc(overview, assumptions);
+        const growthRates = this.growthSchedule(assumptions);
+        const result = this.discountCashFlows(baseCashFlow, growthRates, wacc.rate, assumptions.terminalGrowth);
+        const netDebt = (overview.totalDebt || 0) - (overview.totalCash || 0);
+        const equityValue = result.enterpriseValue - netDebt;
+
+        return {
+            symbol: overview.symbol,
+            assumptions,
+            wacc,
+            baseCashFlow,
+            sharesOutstanding: shares,
+            netDebt,
+            projections: result.projections,
+            presentValueOfCashFlows: result.presentValueOfCashFlows,
+            terminalValue: result.terminalValue,
+            presentValueOfTerminal: result.presentValueOfTerminal,
+            terminalShare: result.presentValueOfTerminal / result.enterpriseValue,
+            enterpriseValue: result.enterpriseValue,
+            equityValue,
+            intrinsicValue: equityValue / shares,
+            sensitivity: this.sensitivity(baseCashFlow, growthRates, wacc.rate, assumptions.terminalGrowth, netDebt, shares)
+        };
+    }
+
+    // Combines the intrinsic value with the technical target; weight is the share given to the DCF
+    blend(valuation, technicalTarget, currentPrice, weight = 0.5) {
+        const dcfWeight = _.clamp(Number(weight), 0, 1);
+        const targetPrice = technicalTarget
+            ? dcfWeight * valuation.intrinsicValue + (1 - dcfWeight) * technicalTarget
+            : valuation.intrinsicValue;
+        return {
+            weight: technicalTarget ? dcfWeight : 1,
+            technicalTarget: technicalTarget || null,
+            targetPrice,
+            upside: currentPrice ? (targetPrice / currentPrice - 1) * 100 : null
+        };
+    }
+
+    // "5:0.12,5:fade" -> [{ years: 5, growth: 0.12 }, { years: 5, growth: 'fade' }]; "auto" uses the company estimate
+    parseStages(spec) {
+        return String(spec).split(',').map(part => {
+            const [years, growth = 'auto'] = part.split(':').map(value => value.trim());
+            if (!(Number.isInteger(Number(years)) && Number(years) >= 1)
+                || (growth !== 'fade' && growth !== 'auto' && !Number.isFinite(Number(growth)))) {
+                throw new Error(`Invalid growth stage: ${part}`);
+            }
+            return {
+                years: Number(years),
+                growth: growth === 'auto' ? null : growth === 'fade' ? 'fade' : Number(growth)
+            };
+        });
+    }
+
+    resolveAssumptions(overview, options = {}) {
+        const assumptions = { ...DEFAULT_ASSUMPTIONS, ..._.omitBy(options, _.isNil) };
+        if (assumptions.riskFreeRate === null) {
+            assumptions.riskFreeRate = process.env.RISK_FREE_RATE ? parseFloat(process.env.RISK_FREE_RATE) : 0.04;
+        }
+        if (assumptions.equityRiskPremium === null) {
+            assumptions.equityRiskPremium = process.env.DCF_EQUITY_RISK_PREMIUM
+                ? parseFloat(process.env.DCF_EQUITY_RISK_PREMIUM)
+                : 0.055;
+        }
+        if (assumptions.beta === null) {
+            assumptions.beta = overview.beta || 1;
+        }
+
+        const estimatedGrowth = _.clamp(
+            overview.revenueGrowth !== null && overview.revenueGrowth !== undefined
+                ? overview.revenueGrowth
+                : (overview.earningsGrowth || 0),
+            MIN_ESTIMATED_GROWTH,
+            MAX_ESTIMATED_GROWTH
+        );
+        assumptions.stages = assumptions.stages.map(stage => ({
+            years: stage.years,
+            growth: stage.growth === null || stage.growth === undefined ? estimatedGrowth : stage.growth
+        }));
+
+        if (assumptions.stages.length === 0 || assumptions.stages.some(stage => !Number.isInteger(stage.years) || stage.years < 1)) {
+            throw new Error('Each growth stage needs a whole number of years');
+        }
+        if (assumptions.stages[0].growth === 'fade') {
+            throw new Error('The first growth stage cannot fade');
+        }
+        return assumptions;
+    }
+
+    // CAPM cost of equity, after-tax cost of debt, weighted by market value of equity and book debt
+    calculateWacc(overview, assumptions) {
+        const costOfEquity = assumptions.riskFreeRate + assumptions.beta * assumptions.equityRiskPremium;
+        const afterTaxCostOfDebt = assumptions.costOfDebt * (1 - assumptions.taxRate);
+        const equity = overview.marketCap || 0;
+        const debt = overview.totalDebt || 0;
+        const debtWeight = equity + debt > 0 ? debt / (equity + debt) : 0;
+
+        return {
+            rate: (1 - debtWeight) * costOfEquity + debtWeight * afterTaxCostOfDebt,
+            costOfEquity,
+            afterTaxCostOfDebt,
+            equityWeight: 1 - debtWeight,
+            debtWeight
+        };
+    }
+
+    // One growth rate per projected year
+    growthSchedule(assumptions) {
+        const rates = [];
+        assumptions.stages.forEach(stage => {
+            if (stage.growth === 'fade') {
+                const from = rates[rates.length - 1];
+                for (let year = 1; year <= stage.years; year++) {
+                    rates.push(from + (assumptions.terminalGrowth - from) * year / (stage.years + 1));
+                }
+            } else {
+                for (let year = 0; year < stage.years; year++) {
+                    rates.push(Number(stage.growth));
+                }
+            }
+        });
+        return rates;
+    }
+
+    // Intrinsic value per share for discount rates (rows) against terminal growth rates (columns)
+    sensitivity(baseCashFlow, growthRates, discountRate, terminalGrowth, netDebt, shares) {
+        const discountRates = SENSITIVITY_STEPS.map(step => discountRate + step);
+        const terminalGrowthRates = TERMINAL_SENSITIVITY_STEPS.map(step => terminalGrowth + step);
+
+        return {
+            discountRates,
+            terminalGrowthRates,
+            values: discountRates.map(rate => terminalGrowthRates.map(growth => {
+                if (rate <= growth) return null;
+                const { enterpriseValue } = this.discountCashFlows(baseCashFlow, growthRates, rate, growth);
+                return (enterpriseValue - netDebt) / shares;
+            }))
+        };
+    }
+
+    discountCashFlows(baseCashFlow, growthRates, discountRate, terminalGrowth) {
+        if (discountRate <= terminalGrowth) {
+            throw new Error(`Discount rate (${(discountRate * 100).toFixed(2)}%) must exceed terminal growth (${(terminalGrowth * 100).toFixed(2)}%)`);
+        }
+
+        let cashFlow = baseCashFlow;
+        const projections = growthRates.map((growth, index) => {
+            cashFlow *= 1 + growth;
+            const discountFactor = Math.pow(1 + discountRate, index + 1);
+            return { year: index + 1, growth, cashFlow, presentValue: cashFlow / discountFactor };
+        });
+
+        const presentValueOfCashFlows = _.sumBy(projections, 'presentValue');
+        // Gordon growth on the year after the last projection
+        const terminalValue = cashFlow * (1 + terminalGrowth) / (discountRate - terminalGrowth);
+        const presentValueOfTerminal = terminalValue / Math.pow(1 + discountRate, projections.length);
+
+        return {
+            projections,
+            presentValueOfCashFlows,
+            terminalValue,
+            presentValueOfTerminal,
+            enterpriseValue: presentValueOfCashFlows + presentValueOfTerminal
+        };
+    }
+}
+
+module.exports = new DcfValuation();
@@ -0,0 +1,189 @@
+const _ = require('lodash');
+const stockAPI = require('../api/stockData');
+const corporateActions = require('../api/corporateActions');
+const dcfValuation = require('./dcfValuation');
+
+const GROWTH_PERIODS = [1, 3, 5, 10];
+// Multi-stage DDM: the historical growth rate for a few years, then a fade to the stable rate
+const HIGH_GROWTH_YEARS = 5;
+const FADE_YEARS = 5;
+const MIN_HIGH_GROWTH = -0.05;
+const MAX_HIGH_GROWTH = 0.15;
+// Current yield this far above / below the 5-year average is flagged as cheap / expensive
+const YIELD_SIGNAL_BAND = 0.2;
+
+class DividendAnalysis {
+    // Amounts are restated for later splits so that every year is in today's shares
+    async getDividendHistory(symbol, database) {
+        const dividends = await corporateActions.getActions(symbol, database, 'dividend');
+        const factors = await corporateActions.getAdjustmentFactors(symbol, database);
+        return dividends.map(dividend => ({
+            date: dividend.date,
+            amount: dividend.value * corporateActions.priceFactorAfter(factors, dividend.date, 'split')
+        }));
+    }
+
+    // Loads the stored history, fetching it first if it was never fetched or when options.refresh is set
+    // (an empty history that was fetched means the stock pays no dividends)
+    async analyze(symbol, database, options = {}) {
+        let history = options.refresh ? [] : await this.getDividendHistory(symbol, database);
+        if (options.refresh || (history.length === 0 && !(await corporateActions.getFetchedAt(symbol, database, 'dividend')))) {
+            await stockAPI.updateCorporateActions(symbol, database);
+            history = await this.getDividendHistory(symbol, database);
+        }
+
+        const stockData = await stockAPI.getLocalStockData(symbol, database);
+        const { overview } = stockData;
+        const price = stockData.currentPrice ? stockData.currentPrice.price
+            : (stockData.historicalData.length ? stockData.historicalData[stockData.historicalData.length - 1].close : null);
+        const asOf = options.asOf || new Date().toISOString().split('T')[0];
+
+        const trailingAnnual = this.trailingAnnualDividend(history, asOf);
+        const annualDividend = trailingAnnual || overview.dividendRate || 0;
+        if (!annualDividend) {
+            return { symbol, paysDividend: false, history };
+        }
+
+        const annualTotals = this.annualTotals(history, asOf);
+        const growth = this.growthRates(annualTotals);
+        const currentYield = price ? annualDividend / price * 100 : null;
+
+        return {
+            symbol,
+            paysDividend: true,
+            price,
+            annualDividend,
+            trailingAnnualDividend: trailingAnnual,
+            dividendRate: overview.dividendRate,
+            currentYield,
+            payoutRatio: overview.payoutRatio,
+            history,
+            annualTotals,
+            growth,
+            consecutiveIncreases: this.consecutiveIncreases(annualTotals),
+            sustainability: this.sustainability(overview, annualDividend, annualTotals),
+            yieldSignal: this.yieldSignal(currentYield, overview.fiveYearAvgDividendYield),
+            ddm: this.dividendDiscountModel(overview, annualDividend, growth, price, options)
+        };
+    }
+
+    trailingAnnualDividend(history, asOf) {
+        const cutoff = new Date(`${asOf}T00:00:00Z`);
+        cutoff.setUTCFullYear(cutoff.getUTCFullYear() - 1);
+        const since = cutoff.toISOString().split('T')[0];
+        return _.sumBy(history.filter(d => d.date > since && d.date <= asOf), 'amount');
+    }
+
+    // Calendar-year totals, leaving out the year in progress
+    annualTotals(history, asOf) {
+        const currentYear = asOf.slice(0, 4);
+        return _.chain(history)
+            .filter(d => d.date.slice(0, 4) < currentYear)
+            .groupBy(d => d.date.slice(0, 4))
+            .map((dividends, year) => ({ year: Number(year), total: _.sumBy(dividends, 'amount'), payments: dividends.length }))
+            .sortBy('year')
+            .value();
+    }
+
+    // Compound annual growth of the yearly totals over the last 1/3/5/10 complete years
+    growthRates(annualTotals) {
+        return GROWTH_PERIODS.reduce((rates, years) => {
+            const last = annualTotals[annualTotals.length - 1];
+            const first = annualTotals[annualTotals.length - 1 - years];
+            rates[`${years}y`] = last && first && first.total > 0
+                ? Math.pow(last.total / first.total, 1 / years) - 1
+                : null;
+            return rates;
+        }, {});
+    }
+
+    consecutiveIncreases(annualTotals) {
+        let count = 0;
+        for (let i = annualTotals.length - 1; i > 0; i--) {
+            if (annualTotals[i].total <= annualTotals[i - 1].total) break;
+            count++;
+        }
+        return count;
+    }
+
+    // 0-100: payout ratio (40), free-cash-flow coverage (40) and no recent cuts (20)
+    sustainability(overview, annualDividend, annualTotals) {
+        const factors = [];
+        const payout = overview.payoutRatio;
+        let payoutPoints = 0;
+        if (payout !== null && payout !== undefined && payout > 0) {
+            payoutPoints = payout < 0.3 ? 40 : payout < 0.5 ? 35 : payout < 0.7 ? 25 : payout < 0.9 ? 10 : 0;
+            factors.push({ factor: 'payout_ratio', value: payout, points: payoutPoints });
+        } else {
+            factors.push({ factor: 'payout_ratio', value: payout || null, points: 0 });
+        }
+
+        const dividendsPaid = annualDividend * (overview.shares_outstanding || 0);
+        const coverage = dividendsPaid > 0 && overview.freeCashflow ? overview.freeCashflow / dividendsPaid : null;
+        const coveragePoints = coverage === null ? 0 : coverage >= 2 ? 40 : coverage >= 1.5 ? 30 : coverage >= 1 ? 20 : 0;
+        factors.push({ factor: 'fcf_coverage', value: coverage, points: coveragePoints });
+
+        const recent = annualTotals.slice(-6);
+        const cuts = recent.slice(1).filter((year, i) => year.total < recent[i].total * 0.99).length;
+        const historyPoints = recent.length < 2 ? 0 : cuts === 0 ? 20 : cuts === 1 ? 10 : 0;
+        factors.push({ factor: 'recent_cuts', value: cuts, points: historyPoints });
+
+        const score = payoutPoints + coveragePoints + historyPoints;
+        return {
+            score,
+            level: score >= 70 ? 'high' : score >= 40 ? 'medium' : 'low',
+            fcfCoverage: coverage,
+            factors
+        };
+    }
+
+    // Both yields are percentages, as stored
+    yieldSignal(currentYield, fiveYearAverage) {
+        if (!currentYield || !fiveYearAverage) {
+            return { signal: 'unknown', currentYield, fiveYearAverage: fiveYearAverage || null, ratio: null };
+        }
+        const ratio = currentYield / fiveYearAverage;
+        return {
+            signal: ratio > 1 + YIELD_SIGNAL_BAND ? 'undervalued' : ratio < 1 - YIELD_SIGNAL_BAND ? 'overvalued' : 'neutral',
+            currentYield,
+            fiveYearAverage,
+            ratio
+        };
+    }
+
+    // Required return is the CAPM cost of equity used by the DCF; stable growth is the DCF terminal growth
+    dividendDiscountModel(overview, annualDividend, growth, price, options = {}) {
+        const assumptions = dcfValuation.resolveAssumptions(overview, _.pick(options, ['riskFreeRate', 'equityRiskPremium', 'beta', 'terminalGrowth']));
+        const requiredReturn = dcfValuation.calculateWacc(overview, assumptions).costOfEquity;
+        const stableGrowth = assumptions.terminalGrowth;
+        const historicalGrowth = growth['5y'] !== null ? growth['5y'] : growth['3y'];
+        const highGrowth = _.clamp(
+            options.highGrowth !== undefined ? options.highGrowth : (historicalGrowth !== null ? historicalGrowth : stableGrowth),
+            MIN_HIGH_GROWTH,
+            MAX_HIGH_GROWTH
+        );
+
+        if (requiredReturn <= stableGrowth) {
+            return { requiredReturn, stableGrowth, highGrowth, gordon: null, multiStage: null, error: 'Required return must exceed stable growth' };
+        }
+
+        const gordon = annualDividend * (1 + stableGrowth) / (requiredReturn - stableGrowth);
+        const growthRates = dcfValuation.growthSchedule({
+            stages: [{ years: HIGH_GROWTH_YEARS, growth: highGrowth }, { years: FADE_YEARS, growth: 'fade' }],
+            terminalGrowth: stableGrowth
+        });
+        const multiStage = dcfValuation.discountCashFlows(annualDividend, growthRates, requiredReturn, stableGrowth).enterpriseValue;
+
+        return {
+            requiredReturn,
+            stableGrowth,
+            highGrowth,
+            gordon,
+            gordonUpside: price ? (gordon / price - 1) * 100 : null,
+            multiStage,
+            multiStageUpside: price ? (multiStage / price - 1) * 100 : null
+        };
+    }
+}
+
+module.exports = new DividendAnalysis();
@@ -0,0 +1,232 @@
+const {
+    EMA, RSI, MACD, BollingerBands, ATR, Stochastic, OBV, WilliamsR, CCI, MFI, IchimokuCloud, PSAR
+} = require('technicalindicators');
+
+const closesOf = (bars) => bars.map(d => d.close);
+const hlcOf = (bars) => ({
+    high: bars.map(d => d.high),
+    low: bars.map(d => d.low),
+    close: closesOf(bars)
+});
+
+function sma(values, period) {
+    const result = [];
+    for (let i = period - 1; i < values.length; i++) {
+        const sum = values.slice(i - period + 1, i + 1).reduce((a, b) => a + b, 0);
+        result.push(sum / period);
+    }
+    return result;
+}
+
+function adx(bars, period) {
+    const trueRange = [];
+    const plusDM = [];
+    const minusDM = [];
+
+    for (let i = 1; i < bars.length; i++) {
+        const tr1 = Math.abs(bars[i].high - bars[i].low);
+        const tr2 = Math.abs(bars[i].high - bars[i - 1].close);
+        const tr3 = Math.abs(bars[i].low - bars[i - 1].close);
+        trueRange.push(Math.max(tr1, tr2, tr3));
+
+        const upMove = bars[i].high - bars[i - 1].high;
+        const downMove = bars[i - 1].low - bars[i].low;
+
+        plusDM.push(upMove > downMove && upMove > 0 ? upMove : 0);
+        minusDM.push(downMove > upMove && downMove > 0 ? downMove : 0);
+    }
+
+    const atr = sma(trueRange, period);
+    const plusDI = sma(plusDM, period).map((dm, i) => (dm * 100) / atr[i]);
+    const minusDI = sma(minusDM, period).map((dm, i) => (dm * 100) / atr[i]);
+
+    const dx = plusDI.map((plus, i) => Math.abs(plus - minusDI[i]) / (plus + minusDI[i]) * 100);
+    return sma(dx, period);
+}
+
+// Rolling VWAP over `period` bars; the library version is anchored at the first bar, which
+// for daily data makes the value depend on how much history happened to be loaded
+function rollingVwap(bars, period) {
+    const result = [];
+    let priceVolume = 0;
+    let volume = 0;
+    bars.forEach((bar, i) => {
+        priceVolume += (bar.high + bar.low + bar.close) / 3 * bar.volume;
+        volume += bar.volume;
+        if (i >= period) {
+            const dropped = bars[i - period];
+            priceVolume -= (dropped.high + dropped.low + dropped.close) / 3 * dropped.volume;
+            volume -= dropped.volume;
+        }
+        if (i >= period - 1) {
+            result.push(volume > 0 ? priceVolume / volume : null);
+        }
+    });
+    return result;
+}
+
+const MAX_PERIOD = 500;
+const PERIOD = { integer: true, min: 1, max: MAX_PERIOD };
+
+// Each definition: id, name, description, params (positional, with defaults and optional
+// integer/min/max bounds), minBars(params) and compute(bars, params) returning one value per
+// bar once warmed up.
+// `outputs` labels the fields of object values; `range` marks bounded oscillators.
+module.exports = [
+    {
+        id: 'sma',
+        name: 'SMA',
+        description: '简单移动平均线 (SMA) 是一段时间内的平均价格，用于平滑短期波动并观察趋势。',
+        params: [{ name: 'period', default: 20, ...PERIOD }],
+        minBars: ({ period }) => period,
+        compute: (bars, { period }) => sma(closesOf(bars), period)
+    },
+    {
+        id: 'ema',
+        name: 'EMA',
+        description: '指数移动平均线 (EMA) 对近期价格赋予更高权重，使均线对最新行情更敏感。',
+        params: [{ name: 'period', default: 12, ...PERIOD }],
+        minBars: ({ period }) => period,
+        compute: (bars, { period }) => EMA.calculate({ period, values: closesOf(bars) })
+    },
+    {
+        id: 'rsi',
+        name: 'RSI',
+        description: '相对强弱指数 (RSI) 衡量价格上涨与下跌的平均幅度，数值高于70通常视为超买，低于30视为超卖。',
+        params: [{ name: 'period', default: 14, ...PERIOD }],
+        range: [0, 100],
+        minBars: ({ period }) => period,
+        compute: (bars, { period }) => RSI.calculate({ period, values: closesOf(bars) })
+    },
+    {
+        id: 'macd',
+        name: 'MACD',
+        description: '移动平均收敛背离 (MACD) 通过快慢指数移动平均线的差值来判断趋势强弱和方向。',
+        params: [
+            { name: 'fastPeriod', default: 12, ...PERIOD },
+            { name: 'slowPeriod', default: 26, ...PERIOD },
+            { name: 'signalPeriod', default: 9, ...PERIOD }
+        ],
+        outputs: { MACD: 'MACD', signal: 'Signal', histogram: 'Histogram' },
+        minBars: ({ slowPeriod }) => slowPeriod,
+        compute: (bars, params) => MACD.calculate({ ...params, values: closesOf(bars) })
+    },
+    {
+        id: 'bollinger',
+        name: '布林带',
+        description: '布林带由中轨均线及上下标准差轨道组成，可辅助判断价格的波动区间与压力支撑。',
+        params: [
+            { name: 'period', default: 20, ...PERIOD },
+            { name: 'stdDev', default: 2, min: 0.1, max: 10 }
+        ],
+        outputs: { upperBand: '上轨', middleBand: '中轨', lowerBand: '下轨', pb: '%B' },
+        minBars: ({ period }) => period,
+        compute: (bars, { period, stdDev }) => BollingerBands.calculate({ period, stdDev, values: closesOf(bars) })
+            .map(entry => ({
+                upperBand: entry.upper,
+                middleBand: entry.middle,
+                lowerBand: entry.lower,
+                pb: entry.pb
+            }))
+    },
+    {
+        id: 'adx',
+        name: 'ADX',
+        description: '平均趋向指数 (ADX) 衡量趋势强度，数值越高代表趋势越明显，通常25以上被视为强趋势。',
+        params: [{ name: 'period', default: 14, ...PERIOD }],
+        range: [0, 100],
+        minBars: ({ period }) => period,
+        compute: (bars, { period }) => adx(bars, period)
+    },
+    {
+        id: 'atr',
+        name: 'ATR',
+        description: '平均真实波幅 (ATR) 衡量每日价格波动幅度，常用于设置止损距离（如收盘价减去2倍ATR）。',
+        params: [{ name: 'period', default: 14, ...PERIOD }],
+        minBars: ({ period }) => period + 1,
+        compute: (bars, { period }) => ATR.calculate({ ...hlcOf(bars), period })
+    },
+    {
+        id: 'stochastic',
+        name: '随机指标',
+        description: '随机指标 (Stochastic) 比较收盘价在近期高低区间中的位置，%K高于80视为超买，低于20视为超卖，%K上穿%D为看涨信号。',
+        params: [
+            { name: 'period', default: 14, ...PERIOD },
+            { name: 'signalPeriod', default: 3, ...PERIOD }
+        ],
+        outputs: { k: '%K', d: '%D' },
+        minBars: ({ period, signalPeriod }) => period + signalPeriod,
+        compute: (bars, { period, signalPeriod }) => Stochastic.calculate({ ...hlcOf(bars), period, signalPeriod })
+    },
+    {
+        id: 'obv',
+        name: 'OBV',
+        description: '能量潮 (OBV) 按涨跌累加成交量，OBV上升说明资金流入，与价格背离时需警惕趋势反转。',
+        params: [],
+        minBars: () => 2,
+        compute: (bars) => OBV.calculate({ close: closesOf(bars), volume: bars.map(d => d.volume) })
+    },
+    {
+        id: 'vwap',
+        name: 'VWAP',
+        description: '成交量加权平均价 (VWAP) 是按成交量加权的平均成交价格，价格位于VWAP之上通常代表买方占优。',
+        params: [{ name: 'period', default: 20, ...PERIOD }],
+        minBars: ({ period }) => period,
+        compute: (bars, { period }) => rollingVwap(bars, period)
+    },
+    {
+        id: 'williamsr',
+        name: '威廉指标',
+        description: '威廉指标 (Williams %R) 取值在-100到0之间，高于-20视为超买，低于-80视为超卖。',
+        params: [{ name: 'period', default: 14, ...PERIOD }],
+        range: [-100, 0],
+        minBars: ({ period }) => period,
+        compute: (bars, { period }) => WilliamsR.calculate({ ...hlcOf(bars), period })
+    },
+    {
+        id: 'cci',
+        name: 'CCI',
+        description: '顺势指标 (CCI) 衡量价格偏离其统计平均值的程度，高于100视为超买，低于-100视为超卖。',
+        params: [{ name: 'period', default: 20, ...PERIOD }],
+        minBars: ({ period }) => period,
+        compute: (bars, { period }) => CCI.calculate({ ...hlcOf(bars), period })
+    },
+    {
+        id: 'mfi',
+        name: 'MFI',
+        description: '资金流量指数 (MFI) 是结合成交量的RSI，高于80视为超买，低于20视为超卖。',
+        params: [{ name: 'period', default: 14, ...PERIOD }],
+        range: [0, 100],
+        minBars: ({ period }) => period + 1,
+        compute: (bars, { period }) => MFI.calculate({ ...hlcOf(bars), volume: bars.map(d => d.volume), period })
+    },
+    {
+        id: 'ichimoku',
+        name: '一目均衡表',
+        description: '一目均衡表 (Ichimoku) 以转换线、基准线和先行带构成的云层判断趋势，价格在云层之上为多头，之下为空头。',
+        params: [
+            { name: 'conversionPeriod', default: 9, ...PERIOD },
+            { name: 'basePeriod', default: 26, ...PERIOD },
+            { name: 'spanPeriod', default: 52, ...PERIOD },
+            { name: 'displacement', default: 26, integer: true, min: 0, max: MAX_PERIOD }
+        ],
+        outputs: { conversion: '转换线', base: '基准线', spanA: '先行带A', spanB: '先行带B' },
+        minBars: ({ spanPeriod }) => spanPeriod,
+        compute: (bars, params) => IchimokuCloud.calculate({
+            high: bars.map(d => d.high),
+            low: bars.map(d => d.low),
+            ...params
+        })
+    },
+    {
+        id: 'psar',
+        name: '抛物线SAR',
+        description: '抛物线转向指标 (Parabolic SAR) 给出跟踪止损位，价格在SAR之上为上升趋势，跌破SAR则趋势可能反转。',
+        params: [
+            { name: 'step', default: 0.02, min: 0.001, max: 1 },
+            { name: 'max', default: 0.2, min: 0.001, max: 1 }
+        ],
+        minBars: () => 2,
+        compute: (bars, { step, max }) => PSAR.calculate({ high: bars.map(d => d.high), low: bars.map(d => d.low), step, max })
+    }
+];
@@ -0,0 +1,172 @@
+const builtinIndicators = require('./builtin');
+
+// Indicators every analysis reports unless the request asks for its own list
+const DEFAULT_INDICATORS = [
+    'sma(20)', 'sma(50)', 'sma(200)',
+    'ema(12)', 'ema(26)',
+    'rsi(14)',
+    'macd(12,26,9)',
+    'bollinger(20,2)',
+    'adx(14)',
+    'atr(14)',
+    'stochastic(14,3)',
+    'obv',
+    'vwap(20)',
+    'williamsr(14)',
+    'cci(20)',
+    'mfi(14)',
+    'ichimoku(9,26,52,26)',
+    'psar(0.02,0.2)'
+];
+
+const definitions = {};
+
+function registerIndicator(definition) {
+    if (!definition.id || typeof definition.compute !== 'function') {
+        throw new Error('An indicator needs an id and a compute function');
+    }
+    definitions[definition.id] = {
+        params: [],
+        minBars: () => 1,
+        ...definition
+    };
+}
+
+function getIndicator(id) {
+    const definition = definitions[id];
+    if (!definition) {
+        throw new Error(`Unknown indicator: ${id}. Available: ${Object.keys(definitions).join(', ')}`);
+    }
+    return definition;
+}
+
+function listIndicators() {
+    return Object.values(definitions).map(definition => {
+        const defaults = resolveParams(definition, []);
+        return {
+            id: definition.id,
+            name: definition.name,
+            description: definition.description,
+            params: definition.params,
+            outputs: definition.outputs || null,
+            range: definition.range || null,
+            key: indicatorKey(definition.id, defaults),
+            minBars: definition.minBars(defaults)
+        };
+    });
+}
+
+function resolveParams(definition, values) {
+    if (values.length > definition.params.length) {
+        throw new Error(`${definition.id} takes at most ${definition.params.length} parameters`);
+    }
+    return definition.params.reduce((params, param, index) => {
+        const value = values[index] === undefined ? param.default : Number(values[index]);
+        if (!Number.isFinite(value)) {
+            throw new Error(`Invalid ${param.name} for ${definition.id}: ${values[index]}`);
+        }
+        if (param.integer && !Number.isInteger(value)) {
+            throw new Error(`${param.name} for ${definition.id} must be an integer, got ${values[index]}`);
+        }
+        if ((param.min !== undefined && value < param.min) || (param.max !== undefined && value > param.max)) {
+            throw new Error(`${param.name} for ${definition.id} must be between ${param.min ?? '-∞'} and ${param.max ?? '∞'}, got ${values[index]}`);
+        }
+        params[param.name] = value;
+        return params;
+    }, {});
+}
+
+// Results are keyed by id plus every parameter, so rsi(7) and rsi(14) can coexist
+function indicatorKey(id, params) {
+    const values = Object.values(params);
+    return values.length ? `${id}(${values.join(',')})` : id;
+}
+
+// Accepts "rsi(7),bollinger(50,2.5),sma" or an array of such specs
+function parseIndicatorSpecs(specs) {
+    const list = Array.isArray(specs) ? specs : (String(specs).match(/[\w-]+(\([^)]*\))?/g) || []);
+    return list.map(spec => {
+        const match = String(spec).trim().match(/^([\w-]+)(?:\(([^)]*)\))?$/);
+        if (!match) {
+            throw new Error(`Invalid indicator spec: ${spec}`);
+        }
+        const definition = getIndicator(match[1].toLowerCase());
+        const values = match[2] ? match[2].split(',').map(v => v.trim()).filter(Boolean) : [];
+        const params = resolveParams(definition, values);
+        return { id: definition.id, params, key: indicatorKey(definition.id, params) };
+    });
+}
+
+// Returns the full series, or null when there are not enough bars for the indicator
+function calculateIndicator(spec, bars) {
+    const [{ id, params }] = parseIndicatorSpecs([spec]);
+    const definition = getIndicator(id);
+    if (!bars || bars.length < definition.minBars(params)) {
+        return null;
+    }
+    return definition.compute(bars, params);
+}
+
+function computeIndicators(bars, specs = DEFAULT_INDICATORS) {
+    return parseIndicatorSpecs(specs).reduce((results, { id, params, key }) => {
+        const definition = getIndicator(id);
+        const minBars = definition.minBars(params);
+        let values = null;
+        let error = null;
+
+        if (bars.length < minBars) {
+            error = `Needs at least ${minBars} bars, got ${bars.length}`;
+        } else {
+            try {
+                values = definition.compute(bars, params);
+            } catch (computeError) {
+                console.error(`Error calculating indicator ${key}:`, computeError.message);
+                error = computeError.message;
+            }
+        }
+
+        results[key] = {
+            id,
+            name: definition.name,
+            description: definition.description,
+            params,
+            outputs: definition.outputs || null,
+            range: definition.range || null,
+            minBars,
+            values,
+            latest: values && values.length ? values[values.length - 1] : null,
+            error
+        };
+        return results;
+    }, {});
+}
+
+// One-line rendering of the latest value, used by the LLM prompt
+function formatIndicatorValue(result) {
+    if (result.latest === null || result.latest === undefined) {
+        return 'N/A';
+    }
+    if (typeof result.latest === 'number') {
+        return result.latest.toFixed(4);
+    }
+    return Object.keys(result.latest)
+        .map(field => {
+            const label = result.outputs && result.outputs[field] ? result.outputs[field] : field;
+            const value = result.latest[field];
+            return `${label}=${typeof value === 'number' ? value.toFixed(4) : value}`;
+        })
+        .join(', ');
+}
+
+builtinIndicators.forEach(registerIndicator);
+
+module.exports = {
+    DEFAULT_INDICATORS,
+    registerIndicator,
+    getIndicator,
+    listIndicators,
+    parseIndicatorSpecs,
+    calculateIndicator,
+    computeIndicators,
+    formatIndicatorValue
+};
@@ -2,6 +2,7 @@ const _ = require('lodash');
 const axios = require('axios');
 const stockDataService = require('../api/stockData');
 const historyService = require('../api/historyService');
+const { formatIndicatorValue } = require('./indicators');
 class LLMAnalyzer {
     constructor() {}
     async getAnalysis(symbol, db) {
@@ -75,11 +76,11 @@ class LLMAnalyzer {
             console.error(`Error fetching latest analysis for ${symbol}:`, error.message);
         }
     }
-    async _getRecentPrices(symbol, db, limit = 30) {
+    async _getRecentPrices(symbol, db, limit = 30, adjustment = null) {
         try {
             historyService.setDatabase(db);
             // Get stock price history with the specified limit
-            const priceHistory = await historyService.getStockPriceHistory(symbol, null, null, limit);
+            const priceHistory = await historyService.getStockPriceHistory(symbol, null, null, limit, adjustment);
             return priceHistory;
         } catch (error) {
             console.error(`Error fetching recent prices for ${symbol}:`, error.message);
@@ -150,11 +151,17 @@ Analyze the stock ${overview.symbol} (${overview.name}).
 - Current Price: $${analysis.currentPrice.toFixed(2) || 'N/A'}
 - Target Price: $${analysis.targetPrice.toFixed(2) || 'N/A'}
 - Price Range (Low/High): $${analysis.priceRange.low.toFixed(2) || 'N/A'} / $${analysis.priceRange.high.toFixed(2) || 'N/A'}
+- Volatility: ${this._formatVolatility(analysis)}
 - Confidence Score: ${analysis.confidenceScore ? (analysis.confidenceScore * 1).toFixed(0) + '%' : 'N/A'}
 - Analysis Method: ${analysis.method || 'N/A'}
-- RSI (14-day): ${_.get(analysis, 'technicalIndicators.rsi', []).slice(-1)[0] || 'N/A'}
-- MACD: ${JSON.stringify(_.get(analysis, 'technicalIndicators.macd', []).slice(-1)[0]) || 'N/A'}
-- Bollinger Bands: ${JSON.stringify(_.get(analysis, 'technicalIndicators.bollinger', []).slice(-1)[0]) || 'N/A'}
+- Technical Indicators:
+${this._formatIndicators(analysis)}
+- Candlestick Patterns (last 30 days):
+${this._formatCandlestickPatterns(analysis)}
+- Timeframe Alignment (daily / weekly / monthly):
+${this._formatTimeframeAlignment(analysis)}
+- Market Regime:
+${this._formatMarketRegime(analysis)}
 - Price Change: ${analysis.priceChange ? '$' + analysis.priceChange.toFixed(2) : 'N/A'} (${analysis.priceChangePercent ? analysis.priceChangePercent.toFixed(2) + '%' : 'N/A'})
 - Volume: ${analysis.volume ? analysis.volume.toLocaleString() : 'N/A'}
 - Recent Prices (last 30 days): 
@@ -170,6 +177,70 @@ Your response should be structured with the following markdown headers:
         // console.log("Generated prompt for LLM:", prompt);
         return prompt;
     }
+    // Lists whatever indicators the analysis carries; older snapshots only have the fixed RSI/MACD/Bollinger set
+    _formatIndicators(analysis) {
+        if (!_.isEmpty(analysis.indicators)) {
+            return _.map(analysis.indicators, (result, key) => `  - ${result.name} ${key}: ${formatIndicatorValue(result)}`).join('\n');
+        }
+        return [
+            `  - RSI (14-day): ${_.get(analysis, 'technicalIndicators.rsi', []).slice(-1)[0] || 'N/A'}`,
+            `  - MACD: ${JSON.stringify(_.get(analysis, 'technicalIndicators.macd', []).slice(-1)[0]) || 'N/A'}`,
+            `  - Bollinger Bands: ${JSON.stringify(_.get(analysis, 'technicalIndicators.bollinger', []).slice(-1)[0]) || 'N/A'}`
+        ].join('\n');
+    }
+    _formatCandlestickPatterns(analysis) {
+        const patterns = (analysis.candlestickPatterns || []).filter(pattern => pattern.barsAgo < 30);
+        if (patterns.length === 0) {
+            return '  - None detected';
+        }
+        return patterns
+            .map(p => `  - [${p.date}] ${p.pattern} (${p.bias}, ${p.reliability} reliability) close:${p.price.toFixed(2)}`)
+            .join('\n');
+    }
+
+    _formatTimeframeAlignment(analysis) {
+        const confluence = analysis.timeframeAlignment;
+        if (!confluence) {
+            return '  - N/A';
+        }
+        const describe = (signal) => `${signal.timeframe} ${signal.indicator} ${signal.state}`
+            + (typeof signal.value === 'number' ? ` (${signal.value.toFixed(2)})` : '');
+        const lines = [`  - Alignment: ${confluence.alignment}, net direction ${confluence.direction} (score ${confluence.score.toFixed(2)})`];
+        _.forEach(confluence.timeframes, (timeframe, name) => {
+            lines.push(`  - ${name}: ${timeframe.signals.length ? timeframe.signals.map(signal => `${signal.indicator} ${signal.state}`).join(', ') : 'insufficient data'}`);
+        });
+        lines.push(`  - Agreeing: ${confluence.agreements.length ? confluence.agreements.map(describe).join('; ') : 'none'}`);
+        lines.push(`  - Conflicting: ${confluence.conflicts.length ? confluence.conflicts.map(describe).join('; ') : 'none'}`);
+        return lines.join('\n');
+    }
+
+    _formatMarketRegime(analysis) {
+        const regimes = analysis.marketRegime;
+        if (!regimes || !regimes.stock) {
+            return '  - N/A';
+        }
+        const describe = (regime) => `${regime.behavior}, ${regime.volatility} volatility, ${regime.direction}`
+            + ` (Hurst ${typeof regime.hurst === 'number' ? regime.hurst.toFixed(2) : 'N/A'}, ADX ${typeof regime.adx === 'number' ? regime.adx.toFixed(1) : 'N/A'})`;
+        const lines = [`  - ${analysis.symbol}: ${describe(regimes.stock)}`];
+        if (regimes.benchmark) {
+            lines.push(`  - Benchmark ${regimes.benchmark.symbol}: ${describe(regimes.benchmark)}`);
+        }
+        return lines.join('\n');
+    }
+
+    _formatVolatility(analysis) {
+        const volatility = analysis.calculations && analysis.calculations.volatility;
+        if (!volatility || !volatility.estimators) {
+            return 'N/A';
+        }
+        const pct = (value) => (value ? `${(value * 100).toFixed(1)}%` : 'N/A');
+        const { estimators } = volatility;
+        return `${volatility.forecastHorizon}-day ${volatility.model.toUpperCase()} forecast ${pct(volatility.annualizedVolatility)} annualized`
+            + ` (${volatility.currentLevel}${volatility.percentile !== null ? `, ${volatility.percentile.toFixed(0)}th percentile of own history` : ''});`
+            + ` close-to-close ${pct(estimators.closeToClose)}, EWMA ${pct(estimators.ewma)},`
+            + ` Parkinson ${pct(estimators.parkinson)}, Garman-Klass ${pct(estimators.garmanKlass)}`;
+    }
+
     async _callLLM(prompt) {
         const { LLM_API_ENDPOINT, LLM_API_KEY, LLM_MODEL_NAME } = process.env;
         if (!LLM_API_ENDPOINT || !LLM_API_KEY || !LLM_MODEL_NAME) {
@@ -0,0 +1,104 @@
+const _ = require('lodash');
+const { calculateIndicator } = require('./indicators');
+
+// Below this many returns the rescaled-range fit has too few window sizes
+const MIN_HURST_RETURNS = 100;
+const MIN_HURST_WINDOW = 8;
+const HURST_TRENDING = 0.55;
+const HURST_MEAN_REVERTING = 0.45;
+const ADX_TRENDING = 25;
+const ADX_RANGING = 20;
+
+const VOLATILITY_REGIMES = { high: 'high', medium: 'normal', low: 'low' };
+
+// Anis-Lloyd expected R/S of n independent returns:
+// Γ((n-1)/2) / (√π Γ(n/2)) · Σ √((n-i)/i), the gamma ratio built up two steps at a time
+const expectedRescaledRange = (n) => {
+    let gammaRatio = n % 2 === 0 ? Math.sqrt(Math.PI) : 2 / Math.sqrt(Math.PI);
+    for (let k = n % 2 === 0 ? 2 : 3; k < n; k += 2) {
+        gammaRatio *= (k - 1) / k;
+    }
+    let sum = 0;
+    for (let i = 1; i < n; i++) {
+        sum += Math.sqrt((n - i) / i);
+    }
+    return gammaRatio / Math.sqrt(Math.PI) * sum;
+};
+
+class MarketRegime {
+    // behavior: trending / mean_reverting / mixed, from one vote each by ADX and the Hurst exponent;
+    // volatility: high / normal / low, from the volatility forecast's rank in the stock's own history;
+    // direction: up / down / flat, from the moving-average trend
+    classify(stockData, calculations = {}) {
+        const hurst = this.hurst(stockData.map(bar => bar.close));
+        const adxValues = calculateIndicator('adx(14)', stockData);
+        const adx = adxValues && adxValues.length ? adxValues[adxValues.length - 1] : null;
+
+        const adxVote = adx === null ? 0 : adx >= ADX_TRENDING ? 1 : adx < ADX_RANGING ? -1 : 0;
+        const hurstVote = hurst === null ? 0 : hurst > HURST_TRENDING ? 1 : hurst < HURST_MEAN_REVERTING ? -1 : 0;
+        const votes = adxVote + hurstVote;
+
+        const volatility = calculations.volatility || {};
+        return {
+            behavior: votes > 0 ? 'trending' : votes < 0 ? 'mean_reverting' : 'mixed',
+            volatility: VOLATILITY_REGIMES[volatility.currentLevel] || 'normal',
+            direction: this.direction(stockData, calculations.trends),
+            hurst,
+            adx,
+            volatilityPercentile: volatility.percentile !== undefined ? volatility.percentile : null
+        };
+    }
+
+    direction(stockData, trends) {
+        const trend = trends ? trends.trend : 'neutral';
+        if (trend.includes('uptrend')) return 'up';
+        if (trend.includes('downtrend')) return 'down';
+        if (trends && trends.movingAverages) return 'flat';
+
+        // Shorter histories: SMA(20) against SMA(50)
+        const sma20 = calculateIndicator('sma(20)', stockData);
+        const sma50 = calculateIndicator('sma(50)', stockData);
+        if (!sma20 || !sma50) return 'flat';
+        const short = sma20[sma20.length - 1];
+        const medium = sma50[sma50.length - 1];
+        const close = stockData[stockData.length - 1].close;
+        if (close > short && short > medium) return 'up';
+        if (close < short && short < medium) return 'down';
+        return 'flat';
+    }
+
+    // Rescaled-range estimate over doubling window sizes with the Anis-Lloyd correction: 0.5 plus the slope
+    // of log(R/S / expected R/S) against log(window), since the raw slope reads random walks as trending.
+    // About 0.5 for a random walk, higher for persistent (trending) and lower for anti-persistent series
+    hurst(closes) {
+        const returns = closes.slice(1).map((close, i) => Math.log(close / closes[i]));
+        if (returns.length < MIN_HURST_RETURNS) return null;
+
+        const points = [];
+        for (let size = MIN_HURST_WINDOW; size <= returns.length / 2; size *= 2) {
+            const ratios = _.chunk(returns.slice(returns.length % size), size).map(chunk => {
+                const mean = _.mean(chunk);
+                let cumulative = 0;
+                let max = -Infinity;
+                let min = Infinity;
+                chunk.forEach(r => {
+                    cumulative += r - mean;
+                    max = Math.max(max, cumulative);
+                    min = Math.min(min, cumulative);
+                });
+                const std = Math.sqrt(_.sumBy(chunk, r => Math.pow(r - mean, 2)) / chunk.length);
+                return std > 0 ? (max - min) / std : null;
+            }).filter(ratio => ratio !== null && ratio > 0);
+            if (ratios.length) points.push([Math.log(size), Math.log(_.mean(ratios) / expectedRescaledRange(size))]);
+        }
+        if (points.length < 3) return null;
+
+        const xMean = _.meanBy(points, p => p[0]);
+        const yMean = _.meanBy(points, p => p[1]);
+        const covariance = _.sumBy(points, ([x, y]) => (x - xMean) * (y - yMean));
+        const variance = _.sumBy(points, ([x]) => Math.pow(x - xMean, 2));
+        return 0.5 + covariance / variance;
+    }
+}
+
+module.exports = new MarketRegime();
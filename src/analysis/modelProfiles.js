@@ -0,0 +1,276 @@
+const _ = require('lodash');
+const { run } = require('../database/query');
+const monteCarlo = require('./monteCarlo');
+
+const RANGE_MODELS = ['volatility', 'gbm', 'bootstrap'];
+
+const TARGET_SOURCES = ['bollinger_upper', 'bollinger_middle', 'fibonacci', 'resistance', 'support', 'ma_projection', 'chart_pattern'];
+
+const REGIMES = ['trending', 'mean_reverting', 'high_volatility', 'low_volatility'];
+
+// The original hard-coded model; other profiles only need to override what differs
+const DEFAULT_PROFILE = {
+    name: 'default',
+    description: '默认模型：各技术目标价来源均衡加权',
+    weights: {
+        bollinger_upper: 0.15,
+        bollinger_middle: 0.10,
+        fibonacci: 0.20,
+        resistance: 0.15,
+        support: 0.15,
+        ma_projection: 0.15,
+        chart_pattern: 0.15
+    },
+    // chart_pattern (measured move of a confirmed chart pattern) is opt-in
+    enabledSources: ['bollinger_upper', 'bollinger_middle', 'fibonacci', 'resistance', 'support', 'ma_projection'],
+    maProjectionPercent: 5,
+    // Multipliers on the source weights in each detected regime (sources not listed keep their weight);
+    // the behavior and volatility multipliers combine
+    regimeWeights: {
+        trending: { ma_projection: 1.5, fibonacci: 1.25, chart_pattern: 1.25, bollinger_middle: 0.5 },
+        mean_reverting: { bollinger_middle: 1.5, support: 1.25, resistance: 1.25 },
+        high_volatility: { bollinger_middle: 1.25, bollinger_upper: 0.75 },
+        low_volatility: {}
+    },
+    // Most recent bars the calculations see (Fibonacci range, support/resistance, SMA200, volatility)
+    lookback: 250,
+    rangeMultiplier: 0.5,
+    // 'volatility': target ± annualized volatility * rangeMultiplier.
+    // 'gbm' / 'bootstrap': 5th-95th percentile of simulated prices rangeHorizon trading days ahead.
+    rangeModel: 'volatility',
+    rangeHorizon: 20,
+    rangeSimulationPaths: 1000,
+    confidence: {
+        base: 50,
+        rsiNeutral: 10,
+        rsiMissing: -10,
+        trendDefined: 15,
+        trendMissing: -15,
+        lowVolatility: 10,
+        mediumVolatility: 5,
+        volatilityMissing: -10,
+        supportResistance: 10,
+        supportResistanceMissing: -10,
+        patternConfirms: 5,
+        patternConflicts: -5,
+        // Daily, weekly and monthly trends all agree / point in opposite directions
+        timeframesAligned: 10,
+        timeframesConflict: -10,
+        data200: 15,
+        data100: 5,
+        dataLimited: -20
+    },
+    recommendation: {
+        buyThreshold: 10,
+        strongBuyThreshold: 20,
+        sellThreshold: -10,
+        strongSellThreshold: -20,
+        minConfidence: 60,
+        strongMinConfidence: 40
+    }
+};
+
+const BUILTIN_PROFILES = [
+    DEFAULT_PROFILE,
+    {
+        name: 'conservative',
+        description: '保守模型：偏重均值与支撑位，区间更宽，买卖门槛更高',
+        weights: {
+            bollinger_upper: 0.05,
+            bollinger_middle: 0.20,
+            fibonacci: 0.15,
+            resistance: 0.10,
+            support: 0.20,
+            ma_projection: 0.10
+        },
+        maProjectionPercent: 3,
+        rangeMultiplier: 0.75,
+        recommendation: {
+            buyThreshold: 15,
+            strongBuyThreshold: 25,
+            sellThreshold: -8,
+            strongSellThreshold: -15,
+            minConfidence: 70,
+            strongMinConfidence: 60
+        }
+    },
+    {
+        name: 'momentum',
+        description: '动量模型：顺势加重均线延伸与阻力位，忽略布林中轨',
+        weights: {
+            bollinger_upper: 0.20,
+            fibonacci: 0.15,
+            resistance: 0.20,
+            support: 0.15,
+            ma_projection: 0.30
+        },
+        enabledSources: ['bollinger_upper', 'fibonacci', 'resistance', 'support', 'ma_projection'],
+        maProjectionPercent: 8,
+        confidence: {
+            trendDefined: 20,
+            trendMissing: -20
+        },
+        recommendation: {
+            buyThreshold: 8,
+            strongBuyThreshold: 15,
+            minConfidence: 55,
+            strongMinConfidence: 45
+        }
+    }
+];
+
+// Arrays (enabledSources) replace the default instead of merging index by index
+const mergeProfile = (config) => _.mergeWith({}, DEFAULT_PROFILE, config, (defaultValue, value) => (
+    Array.isArray(value) ? value : undefined
+));
+
+// Throws unless every value of the section is a finite number (and not negative for weights)
+function checkNumbers(label, values, { nonNegative = false } = {}) {
+    if (values === undefined) {
+        return;
+    }
+    if (!_.isPlainObject(values)) {
+        throw new Error(`${label} must be an object of numbers`);
+    }
+    Object.entries(values).forEach(([key, value]) => {
+        if (!Number.isFinite(value) || (nonNegative && value < 0)) {
+            throw new Error(`${label}.${key} must be a ${nonNegative ? 'non-negative ' : ''}number, got ${JSON.stringify(value)}`);
+        }
+    });
+}
+
+function checkInteger(field, value, min, max) {
+    if (value !== undefined && !(Number.isInteger(value) && value >= min && value <= max)) {
+        throw new Error(`${field} must be an integer between ${min} and ${max}`);
+    }
+}
+
+class ModelProfiles {
+    constructor() {
+        this.DEFAULT_PROFILE = DEFAULT_PROFILE;
+        this.TARGET_SOURCES = TARGET_SOURCES;
+        this.RANGE_MODELS = RANGE_MODELS;
+    }
+
+    // Built-in rows are rewritten on every start so they follow the definitions above
+    async seedBuiltinProfiles(database) {
+        for (const profile of BUILTIN_PROFILES) {
+            await run(
+                database,
+                `INSERT INTO model_profiles (name, description, config, is_builtin) VALUES (?, ?, ?, 1)
+                 ON CONFLICT(name) DO UPDATE SET
+                    description = excluded.description,
+                    config = excluded.config,
+                    is_builtin = 1`,
+                [profile.name, profile.description, JSON.stringify(_.omit(profile, ['name', 'description']))]
+            );
+        }
+    }
+
+    async listProfiles(database) {
+        const rows = await new Promise((resolve, reject) => {
+            database.all('SELECT * FROM model_profiles ORDER BY is_builtin DESC, name ASC', [], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        });
+        return rows.map(row => this._formatRow(row));
+    }
+
+    // Falls back to the built-in definition when the profile has not been seeded (e.g. CLI runs)
+    async getProfile(name, database) {
+        const profileName = name || DEFAULT_PROFILE.name;
+        const row = database ? await new Promise((resolve, reject) => {
+            database.get('SELECT * FROM model_profiles WHERE name = ?', [profileName], (err, row) => {
+                if (err) return reject(err);
+                resolve(row);
+            });
+        }) : null;
+
+        if (row) {
+            return this._formatRow(row);
+        }
+
+        const builtin = BUILTIN_PROFILES.find(profile => profile.name === profileName);
+        if (!builtin) {
+            throw new Error(`Unknown model profile: ${profileName}`);
+        }
+        return { ...mergeProfile(builtin), builtin: true };
+    }
+
+    async saveProfile(name, description, config, database) {
+        if (BUILTIN_PROFILES.some(profile => profile.name === name)) {
+            throw new Error(`Built-in model profile ${name} cannot be modified`);
+        }
+        if (config.enabledSources !== undefined && !Array.isArray(config.enabledSources)) {
+            throw new Error('enabledSources must be an array of target price sources');
+        }
+        const unknownSources = _.difference(
+            _.union(Object.keys(config.weights || {}), config.enabledSources || []),
+            TARGET_SOURCES
+        );
+        if (unknownSources.length > 0) {
+            throw new Error(`Unknown target price sources: ${unknownSources.join(', ')}`);
+        }
+        if (config.rangeModel && !RANGE_MODELS.includes(config.rangeModel)) {
+            throw new Error(`Unknown range model: ${config.rangeModel}. Available: ${RANGE_MODELS.join(', ')}`);
+        }
+        const regimeWeights = config.regimeWeights || {};
+        const unknownRegimes = _.difference(Object.keys(regimeWeights), REGIMES);
+        if (unknownRegimes.length > 0) {
+            throw new Error(`Unknown regimes: ${unknownRegimes.join(', ')}. Available: ${REGIMES.join(', ')}`);
+        }
+        const unknownRegimeSources = _.difference(_.flatMap(_.values(regimeWeights), weights => Object.keys(weights || {})), TARGET_SOURCES);
+        if (unknownRegimeSources.length > 0) {
+            throw new Error(`Unknown target price sources in regimeWeights: ${unknownRegimeSources.join(', ')}`);
+        }
+        checkNumbers('weights', config.weights, { nonNegative: true });
+        Object.entries(regimeWeights).forEach(([regime, weights]) => (
+            checkNumbers(`regimeWeights.${regime}`, weights, { nonNegative: true })
+        ));
+        checkNumbers('confidence', config.confidence);
+        checkNumbers('recommendation', config.recommendation);
+        ['rangeMultiplier', 'maProjectionPercent'].forEach(field => {
+            if (config[field] !== undefined && !(Number.isFinite(config[field]) && config[field] >= 0)) {
+                throw new Error(`${field} must be a non-negative number`);
+            }
+        });
+        if (config.lookback !== undefined && !(Number.isInteger(config.lookback) && config.lookback >= 50)) {
+            throw new Error('lookback must be an integer of at least 50 bars');
+        }
+        checkInteger('rangeHorizon', config.rangeHorizon, 1, monteCarlo.MAX_HORIZON);
+        checkInteger('rangeSimulationPaths', config.rangeSimulationPaths, monteCarlo.MIN_PATHS, monteCarlo.MAX_PATHS);
+
+        await run(
+            database,
+            `INSERT INTO model_profiles (name, description, config, is_builtin, updated_at)
+             VALUES (?, ?, ?, 0, CURRENT_TIMESTAMP)
+             ON CONFLICT(name) DO UPDATE SET
+                description = excluded.description,
+                config = excluded.config,
+                updated_at = excluded.updated_at`,
+            [name, description || '', JSON.stringify(_.omit(config, ['name', 'description', 'builtin']))]
+        );
+        return this.getProfile(name, database);
+    }
+
+    async deleteProfile(name, database) {
+        const profile = await this.getProfile(name, database);
+        if (profile.builtin) {
+            throw new Error(`Built-in model profile ${name} cannot be deleted`);
+        }
+        await run(database, 'DELETE FROM model_profiles WHERE name = ?', [name]);
+    }
+
+    _formatRow(row) {
+        return {
+            ...mergeProfile(JSON.parse(row.config || '{}')),
+            name: row.name,
+            description: row.description,
+            builtin: row.is_builtin === 1,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+module.exports = new ModelProfiles();
@@ -0,0 +1,169 @@
+const _ = require('lodash');
+
+const TRADING_DAYS_PER_YEAR = 252;
+const PERCENTILES = [5, 25, 50, 75, 95];
+const METHODS = ['gbm', 'bootstrap'];
+const MIN_PATHS = 100;
+const MAX_PATHS = 10000;
+const MAX_HORIZON = 504;
+
+const DEFAULT_OPTIONS = {
+    method: 'gbm',
+    horizons: [5, 20, 60],
+    paths: 2000,
+    lookback: 252,      // Bars of history used for drift, volatility and the bootstrap sample
+    seed: null,         // Random when omitted; the seed used is returned so a run can be repeated
+    targetPrice: null
+};
+
+// mulberry32: small, fast and good enough for sampling paths
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Box-Muller transform
+function createNormal(random) {
+    return () => {
+        const u = 1 - random();
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    };
+}
+
+// Linear interpolation between the closest ranks of a sorted array
+function percentile(sorted, p) {
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Projects trading dates forward from the last bar, skipping weekends (holidays are ignored)
+function nextTradingDates(lastDate, count) {
+    const dates = [];
+    const date = new Date(`${lastDate}T00:00:00Z`);
+    while (dates.length < count) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        const day = date.getUTCDay();
+        if (day !== 0 && day !== 6) {
+            dates.push(date.toISOString().split('T')[0]);
+        }
+    }
+    return dates;
+}
+
+class MonteCarlo {
+    constructor() {
+        this.METHODS = METHODS;
+        this.PERCENTILES = PERCENTILES;
+        this.MIN_PATHS = MIN_PATHS;
+        this.MAX_PATHS = MAX_PATHS;
+        this.MAX_HORIZON = MAX_HORIZON;
+    }
+
+    // stockData is oldest first. Every step draws one daily log return: from a normal
+    // distribution with the historical mean and deviation (gbm) or from the history itself (bootstrap).
+    simulate(stockData, options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ..._.omitBy(options, _.isNil) };
+        if (!METHODS.includes(opts.method)) {
+            throw new Error(`Unknown simulation method: ${opts.method}. Available: ${METHODS.join(', ')}`);
+        }
+
+        const horizons = _.sortBy(_.uniq(opts.horizons.map(Number)));
+        if (horizons.length === 0 || horizons.some(h => !Number.isInteger(h) || h < 1 || h > MAX_HORIZON)) {
+            throw new Error(`Horizons must be whole numbers of trading days between 1 and ${MAX_HORIZON}`);
+        }
+        const pathCount = Math.min(MAX_PATHS, Math.max(MIN_PATHS, Math.floor(opts.paths)));
+
+        const history = stockData.slice(-(opts.lookback + 1));
+        const logReturns = [];
+        for (let i = 1; i < history.length; i++) {
+            logReturns.push(Math.log(history[i].close / history[i - 1].close));
+        }
+        if (logReturns.length < 20) {
+            throw new Error('At least 20 daily returns are needed to simulate price paths');
+        }
+
+        const mean = _.mean(logReturns);
+        const stdDev = Math.sqrt(_.sumBy(logReturns, r => Math.pow(r - mean, 2)) / (logReturns.length - 1));
+        const seed = opts.seed === null ? Math.floor(Math.random() * 4294967296) : Number(opts.seed);
+        const random = createRandom(seed);
+        const normal = createNormal(random);
+        const drawReturn = opts.method === 'gbm'
+            ? () => mean + stdDev * normal()
+            : () => logReturns[Math.floor(random() * logReturns.length)];
+
+        const lastBar = stockData[stockData.length - 1];
+        const startPrice = lastBar.close;
+        const targetPrice = opts.targetPrice ? Number(opts.targetPrice) : null;
+        const targetIsAbove = targetPrice !== null && targetPrice >= startPrice;
+        const maxHorizon = horizons[horizons.length - 1];
+        const dates = nextTradingDates(lastBar.date, maxHorizon);
+
+        const prices = new Float64Array(pathCount).fill(startPrice);
+        const reached = new Uint8Array(pathCount);
+        let reachedCount = 0;
+
+        const bands = [this._band(0, lastBar.date, [startPrice])];
+        const horizonResults = [];
+
+        for (let day = 1; day <= maxHorizon; day++) {
+            for (let path = 0; path < pathCount; path++) {
+                prices[path] *= Math.exp(drawReturn());
+                if (targetPrice !== null && !reached[path]
+                    && (targetIsAbove ? prices[path] >= targetPrice : prices[path] <= targetPrice)) {
+                    reached[path] = 1;
+                    reachedCount++;
+                }
+            }
+
+            const sorted = Float64Array.from(prices).sort();
+            bands.push(this._band(day, dates[day - 1], sorted));
+
+            if (horizons.includes(day)) {
+                const finishedBeyond = targetPrice === null ? null
+                    : _.sumBy(sorted, price => (targetIsAbove ? price >= targetPrice : price <= targetPrice) ? 1 : 0);
+                horizonResults.push({
+                    days: day,
+                    date: dates[day - 1],
+                    percentiles: _.omit(bands[day], ['day', 'date']),
+                    mean: _.mean(sorted),
+                    probabilityUp: _.sumBy(sorted, price => price > startPrice ? 1 : 0) / pathCount,
+                    // Touched the target at any close up to the horizon / still beyond it at the horizon
+                    probabilityReachTarget: targetPrice === null ? null : reachedCount / pathCount,
+                    probabilityBeyondTarget: targetPrice === null ? null : finishedBeyond / pathCount
+                });
+            }
+        }
+
+        return {
+            method: opts.method,
+            paths: pathCount,
+            seed,
+            lookback: logReturns.length,
+            startDate: lastBar.date,
+            startPrice,
+            targetPrice,
+            annualizedDrift: mean * TRADING_DAYS_PER_YEAR * 100,
+            annualizedVolatility: stdDev * Math.sqrt(TRADING_DAYS_PER_YEAR) * 100,
+            horizons: horizonResults,
+            bands
+        };
+    }
+
+    _band(day, date, sortedPrices) {
+        return PERCENTILES.reduce((band, p) => {
+            band[`p${p}`] = percentile(sortedPrices, p);
+            return band;
+        }, { day, date });
+    }
+}
+
+module.exports = new MonteCarlo();
@@ -1,24 +1,49 @@
-const technicalIndicators = require('technicalindicators');
 const _ = require('lodash');
 const stockAPI = require('../api/stockData');
-
-const { EMA, RSI, MACD, BollingerBands } = technicalIndicators;
+const corporateActions = require('../api/corporateActions');
+const intradayData = require('../api/intradayData');
+const modelProfiles = require('./modelProfiles');
+const { DEFAULT_INDICATORS, calculateIndicator, computeIndicators } = require('./indicators');
+const candlestickPatterns = require('./candlestickPatterns');
+const chartPatterns = require('./chartPatterns');
+const monteCarlo = require('./monteCarlo');
+const volatilityModels = require('./volatilityModels');
+const timeframeConfluence = require('./timeframeConfluence');
+const relativeStrength = require('./relativeStrength');
+const { resolveBenchmark, loadBenchmark } = require('./benchmark');
+const marketRegime = require('./marketRegime');
+
+// Patterns completed within this many bars feed the confidence score
+const RECENT_PATTERN_BARS = 5;
+// Patterns kept in snapshots and passed to the LLM prompt
+const SNAPSHOT_PATTERN_BARS = 30;
+// Fixed so that simulated price ranges are reproducible between runs and in backtests
+const RANGE_SIMULATION_SEED = 1;
+const TRADING_DAYS_PER_YEAR = 252;
 
 class PriceAnalyzer {
-    constructor() {
-        this.methods = ['SMA', 'EMA', 'RSI', 'MACD', 'Bollinger', 'Fibonacci', 'SupportResistance'];
-    }
-
-    async analyzeStock(symbol, database) {
+    // options.interval ('1d' by default, or an intraday interval such as '1h') selects the bars analyzed;
+    // the profile's lookback then counts bars of that interval. options.benchmark adds the relative
+    // strength against that symbol (daily bars only). Aborting options.signal (an AbortSignal) cancels
+    // the market data requests in flight, and nothing more is fetched or saved
+    async analyzeStock(symbol, database, options = {}) {
         try {
-            let stockData = await this.getStockPricesFromDB(symbol, database);
+            const profile = await modelProfiles.getProfile(options.profile, database);
+            const adjustment = corporateActions.resolveAdjustment(options.adjustment);
+            const interval = options.interval || '1d';
+            const barsPerDay = interval === '1d' ? 1 : intradayData.resolveInterval(interval).barsPerDay;
+            let stockData = await this.getBars(symbol, database, interval, adjustment);
 
             // Check if we have sufficient data for analysis
             if (!stockData || stockData.length === 0) {
-                console.warn(`No cached data found for ${symbol}. Attempting to refresh from API.`);
+                console.warn(`No cached ${interval} data found for ${symbol}. Attempting to refresh from API.`);
                 try {
-                    await stockAPI.updateStockData(symbol, database);
-                    stockData = await this.getStockPricesFromDB(symbol, database);
+                    if (interval === '1d') {
+                        await stockAPI.updateStockData(symbol, database, { signal: options.signal });
+                    } else {
+                        await intradayData.updateIntradayData(symbol, interval, database);
+                    }
+                    stockData = await this.getBars(symbol, database, interval, adjustment);
                 } catch (refreshError) {
                     console.error(`Failed to refresh data for ${symbol}:`, refreshError.message);
                 }
@@ -34,7 +59,9 @@ class PriceAnalyzer {
                 realTimePrice = await stockAPI.getLatestPriceFromDB(symbol, database);
             } catch (priceError) {
                 console.warn(`Failed to fetch real-time price from database for ${symbol}:`, priceError.message);
-                // Fallback to last historical price
+            }
+            // Fallback to last historical price (also when only intraday bars are stored)
+            if (!realTimePrice) {
                 realTimePrice = {
                     price: stockData[stockData.length - 1].close,
                     change: 0,
@@ -43,27 +70,31 @@ class PriceAnalyzer {
                 };
             }
 
+            // The whole stored history is read; the calculations see the profile's lookback window,
+            // and the weekly/monthly resamples of the daily history
+            const history = stockData;
+            stockData = stockData.slice(-profile.lookback);
+
             // If we have very limited data (less than 50 points), provide a warning but continue
             if (stockData.length < 50) {
                 console.warn('Limited data available for analysis. Results may be less accurate.');
             }
 
-            const calculations = {
-                technical: stockData.length >= 50 ? await this.calculateTechnicalIndicators(stockData) : null,
-                fibonacci: stockData.length >= 50 ? this.calculateFibonacciLevels(stockData) : null,
-                supportResistance: stockData.length >= 50 ? this.findSupportResistanceLevels(stockData) : { support: [], resistance: [] },
-                trends: stockData.length >= 200 ? this.analyzeTrends(stockData) : { trend: 'neutral', movingAverages: null },
-                volatility: stockData.length >= 20 ? this.calculateVolatility(stockData) : { standardDeviation: 0, annualizedVolatility: 0, currentLevel: 'low' }
-            };
+            const calculations = await this.runCalculations(stockData, {
+                periodsPerYear: TRADING_DAYS_PER_YEAR * barsPerDay,
+                history: interval === '1d' ? history : null,
+                regimeHistory: history
+            });
+            const indicators = computeIndicators(stockData, options.indicators || DEFAULT_INDICATORS);
 
-            const targetPrice = this.calculateTargetPrice(calculations, stockData);
-            const confidence = this.calculateConfidenceScore(calculations, stockData);
+            const targetPrice = this.calculateTargetPrice(calculations, stockData, profile);
+            const confidence = this.calculateConfidenceScore(calculations, stockData, profile);
 
             // 获取分析师目标价和推荐信息
             let analystData = {};
             try {
                 // 直接从API获取分析师信息
-                const overview = await stockAPI.getCompanyOverview(symbol);
+                const overview = await stockAPI.getCompanyOverview(symbol, { signal: options.signal });
                 if (overview) {
                     analystData = {
                         analystTargetPrice: overview.targetMeanPrice,
@@ -79,6 +110,23 @@ class PriceAnalyzer {
                 console.warn(`Could not fetch analyst data for ${symbol}:`, analystError.message);
             }
 
+            let relativeStrengthResult = null;
+            if (options.benchmark && interval === '1d') {
+                try {
+                    relativeStrengthResult = await relativeStrength.analyze(symbol, database, { benchmark: options.benchmark, adjustment });
+                } catch (rsError) {
+                    console.warn(`Could not compare ${symbol} with ${options.benchmark}:`, rsError.message);
+                    relativeStrengthResult = { benchmark: options.benchmark.toUpperCase(), error: rsError.message };
+                }
+            }
+
+            // Market regime of the benchmark, for context next to the stock's own regime. Only when a benchmark is
+            // requested or configured, as loading one stores it like any other stock
+            const benchmarkSymbol = options.benchmark || process.env.RISK_BENCHMARK_SYMBOL ? resolveBenchmark(options.benchmark) : null;
+            const benchmarkRegime = interval === '1d' && benchmarkSymbol && benchmarkSymbol !== symbol.toUpperCase()
+                ? await this.getBenchmarkRegime(benchmarkSymbol, database, adjustment, profile.lookback)
+                : null;
+
             const analysis = {
                 symbol,
                 analysisDate: new Date().toISOString().split('T')[0],
@@ -91,15 +139,29 @@ class PriceAnalyzer {
                 analysisMethod: targetPrice.method,
                 priceRange: {
                     low: targetPrice.rangeLow,
-                    high: targetPrice.rangeHigh
+                    high: targetPrice.rangeHigh,
+                    model: targetPrice.rangeModel
                 },
                 technicalIndicators: calculations.technical,
+                indicators,
+                candlestickPatterns: candlestickPatterns.detect(stockData),
+                chartPatterns: calculations.chartPatterns,
+                timeframeAlignment: calculations.timeframes,
+                relativeStrength: relativeStrengthResult,
+                marketRegime: { stock: calculations.regime, benchmark: benchmarkRegime },
                 calculations: calculations,
-                recommendation: this.getRecommendation(targetPrice.price, realTimePrice.price, confidence.score),
+                breakdown: targetPrice.breakdown,
+                modelProfile: profile.name,
+                priceAdjustment: adjustment,
+                interval,
+                recommendation: this.getRecommendation(targetPrice.price, realTimePrice.price, confidence.score, profile),
                 ...analystData
             };
 
-            await this.saveAnalysisToDatabase(analysis, database);
+            if (options.signal) {
+                options.signal.throwIfAborted();
+            }
+            analysis.snapshotId = await this.saveAnalysisToDatabase(analysis, database);
             return analysis;
         } catch (error) {
             console.error('Error analyzing stock:', error.message);
@@ -107,15 +169,58 @@ class PriceAnalyzer {
         }
     }
 
-    async getStockPricesFromDB(symbol, database) {
-        return new Promise((resolve, reject) => {
+    // Pure part of the analysis: only uses the bars it is given, so it can be replayed bar by bar.
+    // options.periodsPerYear annualizes volatility for bars other than daily; options.history (daily bars
+    // up to the last one in stockData) adds the daily/weekly/monthly confluence, and options.regimeHistory
+    // (bars of the same interval up to the last one) is what the volatility regime is ranked against
+    async runCalculations(stockData, options = {}) {
+        const calculations = {
+            technical: stockData.length >= 50 ? await this.calculateTechnicalIndicators(stockData) : null,
+            fibonacci: stockData.length >= 50 ? this.calculateFibonacciLevels(stockData) : null,
+            supportResistance: stockData.length >= 50 ? this.findSupportResistanceLevels(stockData) : { support: [], resistance: [] },
+            trends: stockData.length >= 200 ? this.analyzeTrends(stockData) : { trend: 'neutral', movingAverages: null },
+            volatility: stockData.length >= 20 ? this.calculateVolatility(stockData, 20, options.periodsPerYear, options.regimeHistory) : { standardDeviation: 0, annualizedVolatility: 0, currentLevel: 'low' },
+            candlestickPatterns: candlestickPatterns.detect(stockData, RECENT_PATTERN_BARS),
+            chartPatterns: stockData.length >= 50 ? chartPatterns.detect(stockData) : [],
+            timeframes: options.history ? timeframeConfluence.analyze(options.history) : null
+        };
+        calculations.regime = marketRegime.classify(stockData, calculations);
+        return calculations;
+    }
+
+    // Fetches the benchmark history when none is stored; null when it cannot be loaded
+    async getBenchmarkRegime(benchmark, database, adjustment, lookback) {
+        try {
+            const history = await loadBenchmark(benchmark, database, () => this.getStockPricesFromDB(benchmark, database, adjustment));
+            const bars = history.slice(-lookback);
+            if (bars.length < 50) {
+                return null;
+            }
+            const regime = marketRegime.classify(bars, {
+                volatility: this.calculateVolatility(bars, 20, TRADING_DAYS_PER_YEAR, history),
+                trends: bars.length >= 200 ? this.analyzeTrends(bars) : null
+            });
+            return { symbol: benchmark, ...regime };
+        } catch (error) {
+            console.warn(`Could not classify the regime of benchmark ${benchmark}:`, error.message);
+            return null;
+        }
+    }
+
+    getBars(symbol, database, interval, adjustment) {
+        return interval === '1d'
+            ? this.getStockPricesFromDB(symbol, database, adjustment)
+            : intradayData.getIntradayBars(symbol, interval, database, { adjustment });
+    }
+
+    async getStockPricesFromDB(symbol, database, adjustment) {
+        const bars = await new Promise((resolve, reject) => {
             const db = database;
             const query = `
                 SELECT date, open_price, high_price, low_price, close_price, volume
                 FROM daily_prices
                 WHERE stock_symbol = ?
                 ORDER BY date ASC
-                LIMIT 200
             `;
 
             db.all(query, [symbol], (err, rows) => {
@@ -136,6 +241,7 @@ class PriceAnalyzer {
                 resolve(formattedData);
             });
         });
+        return corporateActions.adjustBars(symbol, database, bars, adjustment);
     }
 
     async calculateTechnicalIndicators(stockData) {
@@ -144,37 +250,18 @@ class PriceAnalyzer {
             return null;
         }
 
-        const closes = stockData.map(d => d.close);
-        const highs = stockData.map(d => d.high);
-        const lows = stockData.map(d => d.low);
-
+        // Fixed shape read by the target price model and older snapshots; see `indicators` for the full set
         try {
             return {
-                sma20: stockData.length >= 20 ? this.calculateSMA(closes, 20) : null,
-                sma50: stockData.length >= 50 ? this.calculateSMA(closes, 50) : null,
-                sma200: stockData.length >= 200 ? this.calculateSMA(closes, 200) : null,
-                ema12: stockData.length >= 12 && EMA ? EMA.calculate({ period: 12, values: closes }) : null,
-                ema26: stockData.length >= 26 && EMA ? EMA.calculate({ period: 26, values: closes }) : null,
-                rsi: stockData.length >= 14 && RSI ? RSI.calculate({ period: 14, values: closes }) : null,
-                macd: stockData.length >= 26 && MACD ? MACD.calculate({
-                    fastPeriod: 12,
-                    slowPeriod: 26,
-                    signalPeriod: 9,
-                    values: closes
-                }) : null,
-                bollinger: stockData.length >= 20 && BollingerBands
-                    ? BollingerBands.calculate({
-                        period: 20,
-                        stdDev: 2,
-                        values: closes
-                    }).map(entry => ({
-                        upperBand: entry.upper,
-                        middleBand: entry.middle,
-                        lowerBand: entry.lower,
-                        pb: entry.pb
-                    }))
-                    : null,
-                adx: stockData.length >= 14 ? this.calculateADX(highs, lows, closes) : null
+                sma20: calculateIndicator('sma(20)', stockData),
+                sma50: calculateIndicator('sma(50)', stockData),
+                sma200: calculateIndicator('sma(200)', stockData),
+                ema12: calculateIndicator('ema(12)', stockData),
+                ema26: calculateIndicator('ema(26)', stockData),
+                rsi: calculateIndicator('rsi(14)', stockData),
+                macd: calculateIndicator('macd(12,26,9)', stockData),
+                bollinger: calculateIndicator('bollinger(20,2)', stockData),
+                adx: calculateIndicator('adx(14)', stockData)
             };
         } catch (error) {
             console.error('Error calculating technical indicators:', error.message);
@@ -191,41 +278,6 @@ class PriceAnalyzer {
         return result;
     }
 
-    calculateADX(highs, lows, closes, period = 14) {
-        const trueRange = [];
-        const plusDM = [];
-        const minusDM = [];
-
-        for (let i = 1; i < highs.length; i++) {
-            const tr1 = Math.abs(highs[i] - lows[i]);
-            const tr2 = Math.abs(highs[i] - closes[i - 1]);
-            const tr3 = Math.abs(lows[i] - closes[i - 1]);
-            trueRange.push(Math.max(tr1, tr2, tr3));
-
-            const upMove = highs[i] - highs[i - 1];
-            const downMove = lows[i - 1] - lows[i];
-
-            if (upMove > downMove && upMove > 0) {
-                plusDM.push(upMove);
-            } else {
-                plusDM.push(0);
-            }
-
-            if (downMove > upMove && downMove > 0) {
-                minusDM.push(downMove);
-            } else {
-                minusDM.push(0);
-            }
-        }
-
-        const atr = this.calculateSMA(trueRange, period);
-        const plusDI = this.calculateSMA(plusDM, period).map((dm, i) => (dm * 100) / atr[i]);
-        const minusDI = this.calculateSMA(minusDM, period).map((dm, i) => (dm * 100) / atr[i]);
-
-        const dx = plusDI.map((plus, i) => Math.abs(plus - minusDI[i]) / (plus + minusDI[i]) * 100);
-        return this.calculateSMA(dx, period);
-    }
-
     calculateFibonacciLevels(stockData) {
         // Handle empty or insufficient data
         if (!stockData || stockData.length < 2) {
@@ -356,9 +408,12 @@ class PriceAnalyzer {
         return { trend, movingAverages };
     }
 
-    calculateVolatility(stockData, period = 20) {
+    // annualizedVolatility is the forecast (GARCH, or EWMA on short histories) and currentLevel
+    // ranks it against the stock's own rolling volatility over regimeHistory (stockData when not given);
+    // both feed the range and confidence
+    calculateVolatility(stockData, period = 20, periodsPerYear = TRADING_DAYS_PER_YEAR, regimeHistory = null) {
         // Handle empty or insufficient data
-        if (!stockData || stockData.length < 2) {
+        if (!stockData || stockData.length < 3) {
             return {
                 standardDeviation: 0,
                 annualizedVolatility: 0,
@@ -366,94 +421,104 @@ class PriceAnalyzer {
             };
         }
 
-        // Use available data if less than requested period
-        const actualPeriod = Math.min(period, stockData.length);
-        const closes = stockData.slice(-actualPeriod).map(d => d.close);
-        
-        // Need at least 2 data points to calculate returns
-        if (closes.length < 2) {
-            return {
-                standardDeviation: 0,
-                annualizedVolatility: 0,
-                currentLevel: 'low'
-            };
-        }
-
-        const returns = [];
-
-        for (let i = 1; i < closes.length; i++) {
-            returns.push(Math.log(closes[i] / closes[i - 1]));
-        }
-
-        const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
-        const variance = returns.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / returns.length;
-        const volatility = Math.sqrt(variance) * Math.sqrt(252);
+        const estimate = volatilityModels.estimate(stockData, { period, periodsPerYear, regimeHistory });
 
         return {
-            standardDeviation: Math.sqrt(variance),
-            annualizedVolatility: volatility,
-            currentLevel: volatility > 0.25 ? 'high' : volatility > 0.15 ? 'medium' : 'low'
+            standardDeviation: estimate.forecast / Math.sqrt(periodsPerYear),
+            annualizedVolatility: estimate.forecast,
+            historicalVolatility: estimate.closeToClose,
+            currentLevel: estimate.regime.level,
+            percentile: estimate.regime.percentile,
+            model: estimate.model,
+            forecastHorizon: estimate.forecastHorizon,
+            estimators: {
+                closeToClose: estimate.closeToClose,
+                ewma: estimate.ewma,
+                parkinson: estimate.parkinson,
+                garmanKlass: estimate.garmanKlass,
+                garch: estimate.garch
+            }
         };
     }
 
-    calculateTargetPrice(calculations, stockData) {
+    // Which sources apply follows the regime: trend-following sources in the trend's direction, both
+    // support and resistance when mean-reverting; their weights are scaled by profile.regimeWeights
+    calculateTargetPrice(calculations, stockData, profile = modelProfiles.DEFAULT_PROFILE) {
         const currentPrice = stockData[stockData.length - 1].close;
         const { technical, fibonacci, supportResistance, trends, volatility } = calculations;
+        const regime = calculations.regime || marketRegime.classify(stockData, calculations);
+        const meanReverting = regime.behavior === 'mean_reverting';
+        const regimeWeights = profile.regimeWeights || {};
+        const regimeMultiplier = (family) => [regime.behavior, `${regime.volatility}_volatility`]
+            .reduce((multiplier, key) => multiplier * _.get(regimeWeights, [key, family], 1), 1);
 
         let targetPrice = currentPrice;
         let method = 'weighted_average';
-        let weights = [];
 
         const priceTargets = [];
+        // Directional sources (fibonacci_up, ma_projection_down, ...) share the weight of their family
+        const addTarget = (price, source, family = source) => {
+            const weight = profile.weights[family] * regimeMultiplier(family);
+            if (profile.enabledSources.includes(family) && weight > 0) {
+                priceTargets.push({ price, weight, source });
+            }
+        };
 
         if (technical && technical.bollinger && technical.bollinger.length > 0) {
             const bb = technical.bollinger[technical.bollinger.length - 1];
-            if (bb.upperBand) priceTargets.push({ price: bb.upperBand, weight: 0.15, source: 'bollinger_upper' });
-            if (bb.middleBand) priceTargets.push({ price: bb.middleBand, weight: 0.10, source: 'bollinger_middle' });
+            if (bb.upperBand) addTarget(bb.upperBand, 'bollinger_upper');
+            if (bb.middleBand) addTarget(bb.middleBand, 'bollinger_middle');
         }
 
-        if (fibonacci && trends && trends.trend.includes('uptrend')) {
+        if (fibonacci && regime.direction === 'up') {
             if (fibonacci.levels && fibonacci.levels['61.8%']) {
-                priceTargets.push({ price: fibonacci.levels['61.8%'], weight: 0.20, source: 'fibonacci_up' });
+                addTarget(fibonacci.levels['61.8%'], 'fibonacci_up', 'fibonacci');
             }
-        } else if (fibonacci && trends && trends.trend.includes('downtrend')) {
+        } else if (fibonacci && regime.direction === 'down') {
             if (fibonacci.levels && fibonacci.levels['38.2%']) {
-                priceTargets.push({ price: fibonacci.levels['38.2%'], weight: 0.20, source: 'fibonacci_down' });
+                addTarget(fibonacci.levels['38.2%'], 'fibonacci_down', 'fibonacci');
             }
         }
 
-        if (supportResistance && supportResistance.resistance && supportResistance.resistance.length > 0 && trends && trends.trend.includes('uptrend')) {
+        if (supportResistance && supportResistance.resistance && supportResistance.resistance.length > 0 && (regime.direction === 'up' || meanReverting)) {
             const nearestResistance = supportResistance.resistance[0];
             if (nearestResistance && nearestResistance.price) {
-                priceTargets.push({ price: nearestResistance.price, weight: 0.15, source: 'resistance' });
+                addTarget(nearestResistance.price, 'resistance');
             }
         }
 
-        if (supportResistance && supportResistance.support && supportResistance.support.length > 0 && trends && trends.trend.includes('downtrend')) {
+        if (supportResistance && supportResistance.support && supportResistance.support.length > 0 && (regime.direction === 'down' || meanReverting)) {
             const nearestSupport = supportResistance.support[0];
             if (nearestSupport && nearestSupport.price) {
-                priceTargets.push({ price: nearestSupport.price, weight: 0.15, source: 'support' });
+                addTarget(nearestSupport.price, 'support');
             }
         }
 
-        if (trends && trends.movingAverages) {
-            if (trends.trend.includes('uptrend') && trends.movingAverages.medium) {
-                priceTargets.push({ price: trends.movingAverages.medium * 1.05, weight: 0.15, source: 'ma_projection_up' });
-            } else if (trends.trend.includes('downtrend') && trends.movingAverages.medium) {
-                priceTargets.push({ price: trends.movingAverages.medium * 0.95, weight: 0.15, source: 'ma_projection_down' });
+        if (trends && trends.movingAverages && !meanReverting) {
+            const projection = profile.maProjectionPercent / 100;
+            if (regime.direction === 'up' && trends.movingAverages.medium) {
+                addTarget(trends.movingAverages.medium * (1 + projection), 'ma_projection_up', 'ma_projection');
+            } else if (regime.direction === 'down' && trends.movingAverages.medium) {
+                addTarget(trends.movingAverages.medium * (1 - projection), 'ma_projection_down', 'ma_projection');
             }
         }
 
+        // Measured move of the most recent chart pattern that has broken out
+        const brokenOutPattern = (calculations.chartPatterns || []).find(pattern => pattern.status === 'confirmed' && pattern.target);
+        if (brokenOutPattern) {
+            addTarget(brokenOutPattern.target, 'chart_pattern');
+        }
+
         // If we have no price targets from technical analysis, use a simple approach based on current price
         if (priceTargets.length === 0) {
             // For limited data, return current price as target with wider range
-            const rangeAdjustment = (volatility && volatility.annualizedVolatility) ? 
-                volatility.annualizedVolatility * currentPrice * 0.5 : currentPrice * 0.1;
+            const range = this.calculatePriceRange(currentPrice, volatility, stockData, profile);
             return {
                 price: currentPrice,
                 method: 'current_price',
-                rangeLow: currentPrice - rangeAdjustment,
-                rangeHigh: currentPrice + rangeAdjustment,
+                rangeLow: range.low,
+                rangeHigh: range.high,
+                rangeModel: range.model,
                 breakdown: []
             };
         }
@@ -464,68 +529,105 @@ class PriceAnalyzer {
             targetPrice = priceTargets.reduce((sum, target) => sum + target.price * target.weight, 0) / totalWeight;
         }
 
-        const rangeAdjustment = (volatility && volatility.annualizedVolatility) ? 
-            volatility.annualizedVolatility * targetPrice * 0.5 : targetPrice * 0.1;
+        const range = this.calculatePriceRange(targetPrice, volatility, stockData, profile);
 
         return {
             price: targetPrice,
             method: method,
-            rangeLow: targetPrice - rangeAdjustment,
-            rangeHigh: targetPrice + rangeAdjustment,
+            rangeLow: range.low,
+            rangeHigh: range.high,
+            rangeModel: range.model,
             breakdown: priceTargets
         };
     }
 
-    calculateConfidenceScore(calculations, stockData) {
-        let score = 50;
+    calculatePriceRange(targetPrice, volatility, stockData, profile = modelProfiles.DEFAULT_PROFILE) {
+        if (profile.rangeModel && profile.rangeModel !== 'volatility') {
+            try {
+                const simulation = monteCarlo.simulate(stockData, {
+                    method: profile.rangeModel,
+                    horizons: [profile.rangeHorizon],
+                    paths: profile.rangeSimulationPaths,
+                    seed: RANGE_SIMULATION_SEED
+                });
+                const { percentiles } = simulation.horizons[0];
+                return { low: percentiles.p5, high: percentiles.p95, model: profile.rangeModel };
+            } catch (error) {
+                console.warn('Falling back to the volatility price range:', error.message);
+            }
+        }
+
+        const rangeAdjustment = (volatility && volatility.annualizedVolatility) ?
+            volatility.annualizedVolatility * targetPrice * profile.rangeMultiplier : targetPrice * 0.1;
+        return { low: targetPrice - rangeAdjustment, high: targetPrice + rangeAdjustment, model: 'volatility' };
+    }
+
+    calculateConfidenceScore(calculations, stockData, profile = modelProfiles.DEFAULT_PROFILE) {
+        const points = profile.confidence;
+        let score = points.base;
 
         // Adjust score based on available data
         if (calculations.technical && calculations.technical.rsi && calculations.technical.rsi.length > 0) {
             const rsi = calculations.technical.rsi[calculations.technical.rsi.length - 1];
             if (rsi >= 30 && rsi <= 70) {
-                score += 10;
+                score += points.rsiNeutral;
             }
         } else {
             // Reduce score if RSI is not available
-            score -= 10;
+            score += points.rsiMissing;
         }
 
         if (calculations.trends && calculations.trends.trend && calculations.trends.trend !== 'neutral') {
-            score += 15;
+            score += points.trendDefined;
         } else {
             // Reduce score if trend analysis is not available
-            score -= 15;
+            score += points.trendMissing;
         }
 
         if (calculations.volatility && calculations.volatility.currentLevel) {
             if (calculations.volatility.currentLevel === 'low') {
-                score += 10;
+                score += points.lowVolatility;
             } else if (calculations.volatility.currentLevel === 'medium') {
-                score += 5;
+                score += points.mediumVolatility;
             }
         } else {
             // Reduce score if volatility analysis is not available
-            score -= 10;
+            score += points.volatilityMissing;
         }
 
         if (calculations.supportResistance &&
            (calculations.supportResistance.support.length >= 2 || calculations.supportResistance.resistance.length >= 2)) {
-            score += 10;
+            score += points.supportResistance;
         } else {
             // Reduce score if support/resistance analysis is not available
-            score -= 10;
+            score += points.supportResistanceMissing;
+        }
+
+        // Recent candlestick patterns either confirm or contradict the trend
+        const trend = calculations.trends ? calculations.trends.trend : 'neutral';
+        const patternBias = candlestickPatterns.netBias(calculations.candlestickPatterns);
+        if (patternBias !== 0 && trend !== 'neutral') {
+            const confirms = (patternBias > 0) === trend.includes('uptrend');
+            score += confirms ? points.patternConfirms : points.patternConflicts;
+        }
+
+        const alignment = calculations.timeframes ? calculations.timeframes.alignment : null;
+        if (alignment === 'bullish' || alignment === 'bearish') {
+            score += points.timeframesAligned;
+        } else if (alignment === 'conflicting') {
+            score += points.timeframesConflict;
         }
 
         // Adjust score based on data quantity
         if (stockData.length >= 200) {
-            score += 15;
+            score += points.data200;
         } else if (stockData.length >= 100) {
-            score += 5;
+            score += points.data100;
         } else if (stockData.length >= 50) {
             // No change for 50-99 data points
         } else if (stockData.length > 0) {
             // Reduce score for limited data
-            score -= 20;
+            score += points.dataLimited;
         } else {
             // No data available
             score = 0;
@@ -537,22 +639,23 @@ class PriceAnalyzer {
         };
     }
 
-    getRecommendation(targetPrice, currentPrice, confidenceScore) {
+    getRecommendation(targetPrice, currentPrice, confidenceScore, profile = modelProfiles.DEFAULT_PROFILE) {
         const priceChange = (targetPrice - currentPrice) / currentPrice * 100;
+        const thresholds = profile.recommendation;
 
         let recommendation = 'HOLD';
         let reasoning = 'Target price close to current price';
 
-        if (priceChange > 10 && confidenceScore >= 60) {
+        if (priceChange > thresholds.buyThreshold && confidenceScore >= thresholds.minConfidence) {
             recommendation = 'BUY';
             reasoning = `Target price indicates ${priceChange.toFixed(1)}% upside potential`;
-        } else if (priceChange > 20 && confidenceScore >= 40) {
+        } else if (priceChange > thresholds.strongBuyThreshold && confidenceScore >= thresholds.strongMinConfidence) {
             recommendation = 'STRONG BUY';
             reasoning = `Strong upside potential of ${priceChange.toFixed(1)}%`;
-        } else if (priceChange < -10 && confidenceScore >= 60) {
+        } else if (priceChange < thresholds.sellThreshold && confidenceScore >= thresholds.minConfidence) {
             recommendation = 'SELL';
             reasoning = `Target price indicates ${Math.abs(priceChange).toFixed(1)}% downside risk`;
-        } else if (priceChange < -20 && confidenceScore >= 40) {
+        } else if (priceChange < thresholds.strongSellThreshold && confidenceScore >= thresholds.strongMinConfidence) {
             recommendation = 'STRONG SELL';
             reasoning = `Significant downside risk of ${Math.abs(priceChange).toFixed(1)}%`;
         }
@@ -564,26 +667,36 @@ class PriceAnalyzer {
         };
     }
 
+    recentPatterns(patterns, bars = SNAPSHOT_PATTERN_BARS) {
+        return (patterns || []).filter(pattern => pattern.barsAgo < bars);
+    }
+
+    // Snapshots keep only the latest value of each requested indicator, not the whole series
+    _latestIndicatorValues(indicators) {
+        return _.mapValues(indicators || {}, result => _.omit(result, ['values', 'description']));
+    }
+
     async saveAnalysisToDatabase(analysis, database) {
         return new Promise((resolve, reject) => {
             const db = database;
+            const analystData = {
+                analystTargetPrice: analysis.analystTargetPrice,
+                analystTargetPriceHigh: analysis.analystTargetPriceHigh,
+                analystTargetPriceLow: analysis.analystTargetPriceLow,
+                analystTargetPriceMedian: analysis.analystTargetPriceMedian,
+                analystRecommendationKey: analysis.analystRecommendationKey,
+                analystRecommendationMean: analysis.analystRecommendationMean,
+                numberOfAnalystOpinions: analysis.numberOfAnalystOpinions
+            };
+            // Every run is stored as its own snapshot
             const query = `
                 INSERT INTO price_analysis
                 (stock_symbol, analysis_date, target_price, confidence_score, analysis_method,
-                 price_range_low, price_range_high, technical_indicators, current_price, price_change, price_change_percent, volume)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                ON CONFLICT(stock_symbol) DO UPDATE SET
-                    analysis_date = excluded.analysis_date,
-                    target_price = excluded.target_price,
-                    confidence_score = excluded.confidence_score,
-                    analysis_method = excluded.analysis_method,
-                    price_range_low = excluded.price_range_low,
-                    price_range_high = excluded.price_range_high,
-                    technical_indicators = excluded.technical_indicators,
-                    current_price = excluded.current_price,
-                    price_change = excluded.price_change,
-                    price_change_percent = excluded.price_change_percent,
-                    volume = excluded.volume
+                 price_range_low, price_range_high, technical_indicators, target_breakdown,
+                 recommendation_action, recommendation, analyst_data, model_profile, indicators,
+                 candlestick_patterns, current_price, price_change, price_change_percent, volume, bar_interval,
+                 timeframe_alignment, market_regime)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
 
             db.run(query, [
@@ -595,16 +708,26 @@ class PriceAnalyzer {
                 analysis.priceRange.low,
                 analysis.priceRange.high,
                 JSON.stringify(analysis.technicalIndicators),
+                JSON.stringify(analysis.breakdown || []),
+                analysis.recommendation ? analysis.recommendation.action : null,
+                JSON.stringify(analysis.recommendation || null),
+                JSON.stringify(analystData),
+                analysis.modelProfile || null,
+                JSON.stringify(this._latestIndicatorValues(analysis.indicators)),
+                JSON.stringify(this.recentPatterns(analysis.candlestickPatterns)),
                 analysis.currentPrice,
                 analysis.priceChange,
                 analysis.priceChangePercent,
-                analysis.volume
+                analysis.volume,
+                analysis.interval || '1d',
+                JSON.stringify(analysis.timeframeAlignment || null),
+                JSON.stringify(analysis.marketRegime || null)
             ], function(err) {
                 if (err) {
                     reject(err);
                     return;
                 }
-                resolve();
+                resolve(this.lastID);
             });
         });
     }
@@ -0,0 +1,161 @@
+const _ = require('lodash');
+const corporateActions = require('../api/corporateActions');
+const { resolveBenchmark, loadBenchmark } = require('./benchmark');
+const { all } = require('../database/query');
+
+// Trading days in each RS rank period
+const RANK_PERIODS = { '1m': 21, '3m': 63, '6m': 126, '12m': 252 };
+
+const DEFAULT_OPTIONS = {
+    benchmark: null,            // Defaults to resolveBenchmark()
+    correlationWindow: 63,      // About three months of daily returns
+    adjustment: null
+};
+
+const correlation = (xs, ys) => {
+    const xMean = _.mean(xs);
+    const yMean = _.mean(ys);
+    let covariance = 0;
+    let xVariance = 0;
+    let yVariance = 0;
+    xs.forEach((x, i) => {
+        covariance += (x - xMean) * (ys[i] - yMean);
+        xVariance += Math.pow(x - xMean, 2);
+        yVariance += Math.pow(ys[i] - yMean, 2);
+    });
+    return xVariance > 0 && yVariance > 0 ? covariance / Math.sqrt(xVariance * yVariance) : null;
+};
+
+class RelativeStrength {
+    constructor() {
+        this.RANK_PERIODS = RANK_PERIODS;
+    }
+
+    // Relative-strength line against the benchmark, RS rank within the locally stored stocks and
+    // rolling correlation of daily returns. The benchmark is fetched into daily_prices when missing
+    async analyze(symbol, database, options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ..._.omitBy(options, _.isNil) };
+        const benchmark = resolveBenchmark(opts.benchmark);
+        const adjustment = corporateActions.resolveAdjustment(opts.adjustment);
+        if (benchmark === symbol.toUpperCase()) {
+            throw new Error('The benchmark must differ from the analyzed symbol');
+        }
+
+        const prices = await this._getClosePrices(database, symbol, adjustment);
+        const benchmarkPrices = await loadBenchmark(benchmark, database, () => this._getClosePrices(database, benchmark, adjustment));
+
+        const benchmarkByDate = _.keyBy(benchmarkPrices, 'date');
+        const pairs = prices
+            .filter(price => benchmarkByDate[price.date])
+            .map(price => ({ date: price.date, close: price.close, benchmarkClose: benchmarkByDate[price.date].close }));
+        if (pairs.length < 2) {
+            throw new Error(`Not enough overlapping price history with ${benchmark}`);
+        }
+
+        const line = this.relativeStrengthLine(pairs);
+        return {
+            symbol,
+            benchmark,
+            adjustment,
+            observations: pairs.length,
+            line,
+            latest: line[line.length - 1].value,
+            periods: await this.periodReturns(symbol, benchmark, pairs, database, adjustment),
+            correlation: this.rollingCorrelation(pairs, opts.correlationWindow)
+        };
+    }
+
+    // Stock / benchmark price ratio, rebased to 100 on the first shared date
+    relativeStrengthLine(pairs) {
+        const base = pairs[0].close / pairs[0].benchmarkClose;
+        return pairs.map(pair => ({ date: pair.date, value: pair.close / pair.benchmarkClose / base * 100 }));
+    }
+
+    // Returns over each rank period against the benchmark, and the 1-99 rank of the stock's return
+    // among all stocks stored locally, leaving out the benchmark itself (99 = outperformed every other stored stock)
+    async periodReturns(symbol, benchmark, pairs, database, adjustment) {
+        const asOf = pairs[pairs.length - 1].date;
+        const universe = await this._universeReturns(database, asOf, adjustment);
+
+        return _.mapValues(RANK_PERIODS, (bars) => {
+            if (pairs.length <= bars) {
+                return { stockReturn: null, benchmarkReturn: null, excessReturn: null, rank: null, universe: 0 };
+            }
+            const start = pairs[pairs.length - 1 - bars];
+            const end = pairs[pairs.length - 1];
+            const stockReturn = (end.close / start.close - 1) * 100;
+            const benchmarkReturn = (end.benchmarkClose / start.benchmarkClose - 1) * 100;
+
+            const others = universe
+                .filter(entry => entry.symbol !== symbol && entry.symbol !== benchmark && entry.returns[bars] !== undefined)
+                .map(entry => entry.returns[bars]);
+            const rank = others.length
+                ? Math.round(1 + 98 * others.filter(value => value < stockReturn).length / others.length)
+                : null;
+
+            return { stockReturn, benchmarkReturn, excessReturn: stockReturn - benchmarkReturn, rank, universe: others.length + 1 };
+        });
+    }
+
+    rollingCorrelation(pairs, window) {
+        const returns = pairs.slice(1).map((pair, i) => ({
+            date: pair.date,
+            stock: pair.close / pairs[i].close - 1,
+            benchmark: pair.benchmarkClose / pairs[i].benchmarkClose - 1
+        }));
+
+        const rolling = [];
+        for (let i = window; i <= returns.length; i++) {
+            const slice = returns.slice(i - window, i);
+            rolling.push({ date: returns[i - 1].date, value: correlation(slice.map(r => r.stock), slice.map(r => r.benchmark)) });
+        }
+        return {
+            window,
+            latest: rolling.length ? rolling[rolling.length - 1].value : null,
+            full: returns.length >= 3 ? correlation(returns.map(r => r.stock), returns.map(r => r.benchmark)) : null,
+            rolling
+        };
+    }
+
+    // Percent return over each rank period for every stored stock, as of the same date
+    async _universeReturns(database, asOf, adjustment) {
+        const offsets = Object.values(RANK_PERIODS);
+        const rows = await all(
+            database,
+            `SELECT stock_symbol, date, close_price, bars_ago FROM (
+                SELECT stock_symbol, date, close_price,
+                    ROW_NUMBER() OVER (PARTITION BY stock_symbol ORDER BY date DESC) - 1 AS bars_ago
+                FROM daily_prices
+                WHERE date <= ?
+            ) WHERE bars_ago IN (0, ${offsets.join(', ')})`,
+            [asOf]
+        );
+
+        const entries = [];
+        for (const [symbol, closes] of Object.entries(_.groupBy(rows, 'stock_symbol'))) {
+            const latest = _.find(closes, { bars_ago: 0 });
+            if (!latest) continue;
+            const factors = adjustment === 'raw' ? [] : await corporateActions.getAdjustmentFactors(symbol, database);
+            const returns = {};
+            closes.filter(row => row.bars_ago > 0).forEach(row => {
+                // Older closes are restated for actions between the two dates, as in the adjusted series
+                const start = row.close_price * corporateActions.priceFactorAfter(factors, row.date, adjustment)
+                    / corporateActions.priceFactorAfter(factors, latest.date, adjustment);
+                returns[row.bars_ago] = (latest.close_price / start - 1) * 100;
+            });
+            entries.push({ symbol, returns });
+        }
+        return entries;
+    }
+
+    async _getClosePrices(database, symbol, adjustment) {
+        const rows = await all(
+            database,
+            'SELECT date, close_price FROM daily_prices WHERE stock_symbol = ? ORDER BY date ASC',
+            [symbol]
+        );
+        return corporateActions.adjustBars(symbol, database, rows.map(row => ({ date: row.date, close: row.close_price })), adjustment);
+    }
+}
+
+module.exports = new RelativeStrength();
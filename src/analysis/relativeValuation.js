@@ -0,0 +1,206 @@
+const _ = require('lodash');
+const { get, all, run } = require('../database/query');
+
+// impliedPrice(peerMultiple, stock) turns the peer multiple back into a price for this stock
+const MULTIPLES = [
+    {
+        key: 'trailingPE', column: 'trailing_pe', name: '市盈率 (TTM)',
+        impliedPrice: (multiple, stock) => stock.price * multiple / stock.trailing_pe
+    },
+    {
+        key: 'forwardPE', column: 'forward_pe', name: '预期市盈率',
+        impliedPrice: (multiple, stock) => stock.price * multiple / stock.forward_pe
+    },
+    {
+        key: 'priceToBook', column: 'price_to_book', name: '市净率',
+        impliedPrice: (multiple, stock) => stock.price * multiple / stock.price_to_book
+    },
+    {
+        key: 'priceToSales', column: 'price_to_sales_trailing_12months', name: '市销率 (TTM)',
+        impliedPrice: (multiple, stock) => stock.price * multiple / stock.price_to_sales_trailing_12months
+    },
+    {
+        key: 'enterpriseToEbitda', column: 'enterprise_to_ebitda', name: 'EV/EBITDA',
+        impliedPrice: (multiple, stock) => {
+            if (!stock.ebitda || !stock.shares_outstanding) return null;
+            const equityValue = multiple * stock.ebitda - (stock.total_debt || 0) + (stock.total_cash || 0);
+            return equityValue / stock.shares_outstanding;
+        }
+    }
+];
+
+// Negative or zero multiples (loss-making companies) say nothing about relative value
+const isUsable = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const median = (values) => {
+    const sorted = _.sortBy(values);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+class RelativeValuation {
+    constructor() {
+        this.MULTIPLES = MULTIPLES;
+    }
+
+    // Peers come from options.peers, then options.peerSet, then stocks in the same industry
+    // (or sector when the industry has no other stored stock)
+    async analyze(symbol, database, options = {}) {
+        const stock = await this._getStock(database, symbol);
+        if (!stock) {
+            throw new Error(`Stock ${symbol} not found in local database.`);
+        }
+
+        const { peerGroup, peers } = await this._resolvePeers(stock, database, options);
+        const multiples = MULTIPLES.map(multiple => this._compareMultiple(multiple, stock, peers));
+        const impliedPrices = multiples.map(m => m.impliedPrice).filter(price => isUsable(price));
+        const fairValue = impliedPrices.length ? median(impliedPrices) : null;
+
+        return {
+            symbol: stock.symbol,
+            name: stock.name,
+            currentPrice: stock.price,
+            peerGroup,
+            peers: peers.map(peer => ({
+                symbol: peer.symbol,
+                name: peer.name,
+                industry: peer.industry,
+                multiples: MULTIPLES.reduce((values, multiple) => {
+                    values[multiple.key] = isUsable(peer[multiple.column]) ? peer[multiple.column] : null;
+                    return values;
+                }, {})
+            })),
+            multiples,
+            // Median of the per-multiple implied prices, so one outlier multiple cannot dominate
+            fairValue,
+            upside: fairValue && stock.price ? (fairValue / stock.price - 1) * 100 : null
+        };
+    }
+
+    async listPeerSets(database) {
+        const rows = await all(database, 'SELECT * FROM peer_sets ORDER BY name ASC', []);
+        return rows.map(row => this._formatPeerSet(row));
+    }
+
+    async getPeerSet(name, database) {
+        const row = await get(database, 'SELECT * FROM peer_sets WHERE name = ?', [name]);
+        if (!row) {
+            throw new Error(`Unknown peer set: ${name}`);
+        }
+        return this._formatPeerSet(row);
+    }
+
+    async savePeerSet(name, description, symbols, database) {
+        const normalized = _.uniq((symbols || []).map(s => String(s).trim().toUpperCase()).filter(Boolean));
+        if (normalized.length === 0) {
+            throw new Error('A peer set needs at least one symbol');
+        }
+        await run(
+            database,
+            `INSERT INTO peer_sets (name, description, symbols, updated_at)
+             VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+             ON CONFLICT(name) DO UPDATE SET
+                description = excluded.description,
+                symbols = excluded.symbols,
+                updated_at = excluded.updated_at`,
+            [name, description || '', JSON.stringify(normalized)]
+        );
+        return this.getPeerSet(name, database);
+    }
+
+    async deletePeerSet(name, database) {
+        await this.getPeerSet(name, database);
+        await run(database, 'DELETE FROM peer_sets WHERE name = ?', [name]);
+    }
+
+    _compareMultiple(multiple, stock, peers) {
+        const value = isUsable(stock[multiple.column]) ? stock[multiple.column] : null;
+        const peerValues = peers.map(peer => peer[multiple.column]).filter(isUsable);
+        const peerMedian = peerValues.length ? median(peerValues) : null;
+        const impliedPrice = value !== null && peerMedian !== null && stock.price
+            ? multiple.impliedPrice(peerMedian, stock)
+            : null;
+
+        return {
+            key: multiple.key,
+            name: multiple.name,
+            value,
+            peerCount: peerValues.length,
+            peerMedian,
+            peerMean: peerValues.length ? _.mean(peerValues) : null,
+            peerLow: peerValues.length ? _.min(peerValues) : null,
+            peerHigh: peerValues.length ? _.max(peerValues) : null,
+            // Share of peers trading at a lower multiple: low means cheap relative to the group
+            percentile: value !== null && peerValues.length
+                ? peerValues.filter(v => v < value).length / peerValues.length * 100
+                : null,
+            impliedPrice: isUsable(impliedPrice) ? impliedPrice : null
+        };
+    }
+
+    async _resolvePeers(stock, database, options) {
+        let symbols = null;
+        let peerGroup = null;
+
+        if (options.peers && options.peers.length) {
+            symbols = options.peers;
+            peerGroup = { type: 'custom', name: null };
+        } else if (options.peerSet) {
+            const peerSet = await this.getPeerSet(options.peerSet, database);
+            symbols = peerSet.symbols;
+            peerGroup = { type: 'peer_set', name: peerSet.name };
+        }
+
+        if (symbols) {
+            const normalized = _.without(_.uniq(symbols.map(s => s.toUpperCase())), stock.symbol);
+            const rows = normalized.length ? await this._getStocks(database, `s.symbol IN (${normalized.map(() => '?').join(',')})`, normalized) : [];
+            const missing = _.difference(normalized, rows.map(row => row.symbol));
+            return { peerGroup: { ...peerGroup, missing }, peers: rows };
+        }
+
+        if (stock.industry) {
+            const rows = await this._getStocks(database, 's.industry = ? AND s.symbol != ?', [stock.industry, stock.symbol]);
+            if (rows.length > 0) {
+                return { peerGroup: { type: 'industry', name: stock.industry, missing: [] }, peers: rows };
+            }
+        }
+        if (stock.sector) {
+            const rows = await this._getStocks(database, 's.sector = ? AND s.symbol != ?', [stock.sector, stock.symbol]);
+            return { peerGroup: { type: 'sector', name: stock.sector, missing: [] }, peers: rows };
+        }
+        return { peerGroup: { type: 'industry', name: null, missing: [] }, peers: [] };
+    }
+
+    // Joined with the latest price, falling back to the last stored close
+    _stockQuery(where) {
+        return `
+            SELECT s.*, COALESCE(lp.current_price, (
+                SELECT close_price FROM daily_prices dp
+                WHERE dp.stock_symbol = s.symbol
+                ORDER BY dp.date DESC LIMIT 1
+            )) AS price
+            FROM stocks s
+            LEFT JOIN latest_prices lp ON lp.stock_symbol = s.symbol
+            WHERE ${where}
+        `;
+    }
+
+    _getStock(database, symbol) {
+        return get(database, this._stockQuery('s.symbol = ?'), [symbol]);
+    }
+
+    _getStocks(database, where, params) {
+        return all(database, this._stockQuery(where), params);
+    }
+
+    _formatPeerSet(row) {
+        return {
+            name: row.name,
+            description: row.description,
+            symbols: JSON.parse(row.symbols || '[]'),
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+module.exports = new RelativeValuation();
@@ -0,0 +1,230 @@
+const _ = require('lodash');
+const corporateActions = require('../api/corporateActions');
+const { resolveBenchmark, loadBenchmark } = require('./benchmark');
+
+const TRADING_DAYS_PER_YEAR = 252;
+// One-sided standard normal quantiles for the parametric VaR
+const Z_SCORES = { 0.95: 1.6448536, 0.99: 2.3263479 };
+
+const DEFAULT_OPTIONS = {
+    benchmark: null,        // Defaults to resolveBenchmark()
+    riskFreeRate: null,     // Annual; falls back to RISK_FREE_RATE, then 0
+    rollingWindow: 63,      // About three months of trading days
+    confidenceLevels: [0.95, 0.99],
+    startDate: null,
+    endDate: null,
+    adjustment: null        // Price series adjustment, defaults to PRICE_ADJUSTMENT
+};
+
+const standardDeviation = (values) => {
+    if (values.length < 2) return 0;
+    const mean = _.mean(values);
+    return Math.sqrt(_.sumBy(values, v => Math.pow(v - mean, 2)) / (values.length - 1));
+};
+
+const normalDensity = (z) => Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+class RiskMetrics {
+    async analyze(symbol, database, options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ..._.omitBy(options, _.isNil) };
+        const benchmarkSymbol = resolveBenchmark(opts.benchmark);
+        const riskFreeRate = opts.riskFreeRate !== null ? opts.riskFreeRate : parseFloat(process.env.RISK_FREE_RATE || '0');
+
+        opts.adjustment = corporateActions.resolveAdjustment(opts.adjustment);
+        const prices = await this._getClosePrices(database, symbol, opts);
+        if (prices.length < 3) {
+            throw new Error(`Not enough price history to compute risk metrics for ${symbol}`);
+        }
+
+        const returns = this.dailyReturns(prices);
+        const values = returns.map(r => r.value);
+        const dailyRiskFree = riskFreeRate / TRADING_DAYS_PER_YEAR;
+
+        return {
+            symbol,
+            period: {
+                start: prices[0].date,
+                end: prices[prices.length - 1].date,
+                tradingDays: prices.length
+            },
+            riskFreeRate,
+            adjustment: opts.adjustment,
+            totalReturn: (prices[prices.length - 1].close / prices[0].close - 1) * 100,
+            annualizedReturn: (Math.pow(prices[prices.length - 1].close / prices[0].close, TRADING_DAYS_PER_YEAR / values.length) - 1) * 100,
+            annualizedVolatility: standardDeviation(values) * Math.sqrt(TRADING_DAYS_PER_YEAR) * 100,
+            downsideDeviation: this.downsideDeviation(values, dailyRiskFree) * Math.sqrt(TRADING_DAYS_PER_YEAR) * 100,
+            sharpe: this.sharpe(values, dailyRiskFree),
+            sortino: this.sortino(values, dailyRiskFree),
+            maxDrawdown: this.maxDrawdown(prices),
+            valueAtRisk: opts.confidenceLevels.map(level => this.valueAtRisk(values, level)),
+            rolling: this.rollingRatios(returns, opts.rollingWindow, dailyRiskFree),
+            benchmark: await this._benchmarkMetrics(symbol, benchmarkSymbol, returns, database, opts, dailyRiskFree)
+        };
+    }
+
+    dailyReturns(prices) {
+        return prices.slice(1).map((price, i) => ({
+            date: price.date,
+            value: price.close / prices[i].close - 1
+        }));
+    }
+
+    // Annualized; null when returns have no dispersion
+    sharpe(values, dailyRiskFree = 0) {
+        const stdDev = standardDeviation(values);
+        return stdDev > 0 ? (_.mean(values) - dailyRiskFree) / stdDev * Math.sqrt(TRADING_DAYS_PER_YEAR) : null;
+    }
+
+    sortino(values, dailyRiskFree = 0) {
+        const downside = this.downsideDeviation(values, dailyRiskFree);
+        return downside > 0 ? (_.mean(values) - dailyRiskFree) / downside * Math.sqrt(TRADING_DAYS_PER_YEAR) : null;
+    }
+
+    // Root mean square of returns below the target, over all periods
+    downsideDeviation(values, target = 0) {
+        if (values.length === 0) return 0;
+        return Math.sqrt(_.sumBy(values, v => Math.pow(Math.min(0, v - target), 2)) / values.length);
+    }
+
+    // Duration counts trading days from the peak until the price recovers it (or until today)
+    maxDrawdown(prices) {
+        let peakIndex = 0;
+        let worst = { value: 0, peakIndex: 0, troughIndex: 0 };
+
+        prices.forEach((price, i) => {
+            if (price.close > prices[peakIndex].close) {
+                peakIndex = i;
+            }
+            const drawdown = price.close / prices[peakIndex].close - 1;
+            if (drawdown < worst.value) {
+                worst = { value: drawdown, peakIndex, troughIndex: i };
+            }
+        });
+
+        if (worst.value === 0) {
+            return { value: 0, peakDate: null, troughDate: null, recoveryDate: null, declineDays: 0, durationDays: 0, recovered: true };
+        }
+
+        const peakPrice = prices[worst.peakIndex].close;
+        const recoveryIndex = _.findIndex(prices, price => price.close >= peakPrice, worst.troughIndex);
+        const endIndex = recoveryIndex === -1 ? prices.length - 1 : recoveryIndex;
+
+        return {
+            value: worst.value * 100,
+            peakDate: prices[worst.peakIndex].date,
+            troughDate: prices[worst.troughIndex].date,
+            recoveryDate: recoveryIndex === -1 ? null : prices[recoveryIndex].date,
+            declineDays: worst.troughIndex - worst.peakIndex,
+            durationDays: endIndex - worst.peakIndex,
+            recovered: recoveryIndex !== -1
+        };
+    }
+
+    // One-day VaR and CVaR as positive loss percentages
+    valueAtRisk(values, level) {
+        const sorted = _.sortBy(values);
+        const cutoff = Math.max(1, Math.floor(sorted.length * (1 - level)));
+        const tail = sorted.slice(0, cutoff);
+
+        const mean = _.mean(values);
+        const stdDev = standardDeviation(values);
+        const z = Z_SCORES[level];
+
+        return {
+            level,
+            historical: {
+                var: -tail[tail.length - 1] * 100,
+                cvar: -_.mean(tail) * 100
+            },
+            parametric: z === undefined ? null : {
+                var: -(mean - z * stdDev) * 100,
+                cvar: -(mean - stdDev * normalDensity(z) / (1 - level)) * 100
+            }
+        };
+    }
+
+    rollingRatios(returns, window, dailyRiskFree = 0) {
+        const rolling = [];
+        for (let i = window; i <= returns.length; i++) {
+            const values = returns.slice(i - window, i).map(r => r.value);
+            rolling.push({
+                date: returns[i - 1].date,
+                sharpe: this.sharpe(values, dailyRiskFree),
+                sortino: this.sortino(values, dailyRiskFree)
+            });
+        }
+        return rolling;
+    }
+
+    // Beta, Jensen's alpha and correlation over the dates both series traded
+    benchmarkStatistics(returns, benchmarkReturns, dailyRiskFree = 0) {
+        const benchmarkByDate = _.keyBy(benchmarkReturns, 'date');
+        const pairs = returns
+            .filter(r => benchmarkByDate[r.date])
+            .map(r => [r.value, benchmarkByDate[r.date].value]);
+        if (pairs.length < 3) {
+            return null;
+        }
+
+        const stock = pairs.map(p => p[0]);
+        const market = pairs.map(p => p[1]);
+        const stockMean = _.mean(stock);
+        const marketMean = _.mean(market);
+        const covariance = _.sum(pairs.map(([s, m]) => (s - stockMean) * (m - marketMean))) / (pairs.length - 1);
+        const marketVariance = Math.pow(standardDeviation(market), 2);
+        const stockStdDev = standardDeviation(stock);
+
+        const beta = marketVariance > 0 ? covariance / marketVariance : null;
+        return {
+            observations: pairs.length,
+            beta,
+            alpha: beta === null ? null
+                : ((stockMean - dailyRiskFree) - beta * (marketMean - dailyRiskFree)) * TRADING_DAYS_PER_YEAR * 100,
+            correlation: marketVariance > 0 && stockStdDev > 0
+                ? covariance / (Math.sqrt(marketVariance) * stockStdDev)
+                : null
+        };
+    }
+
+    async _benchmarkMetrics(symbol, benchmarkSymbol, returns, database, opts, dailyRiskFree) {
+        let benchmarkPrices = [];
+        if (benchmarkSymbol !== symbol) {
+            try {
+                benchmarkPrices = await loadBenchmark(benchmarkSymbol, database, () => this._getClosePrices(database, benchmarkSymbol, opts));
+            } catch (error) {
+                console.warn(`Could not load benchmark ${benchmarkSymbol}:`, error.message);
+            }
+        }
+
+        const statistics = this.benchmarkStatistics(returns, this.dailyReturns(benchmarkPrices), dailyRiskFree);
+        return {
+            symbol: benchmarkSymbol,
+            ...(statistics || { observations: 0, beta: null, alpha: null, correlation: null }),
+            error: statistics ? null : `Not enough overlapping price history with ${benchmarkSymbol}`
+        };
+    }
+
+    async _getClosePrices(database, symbol, { startDate, endDate, adjustment }) {
+        const prices = await new Promise((resolve, reject) => {
+            let query = 'SELECT date, close_price FROM daily_prices WHERE stock_symbol = ?';
+            const params = [symbol];
+            if (startDate) {
+                query += ' AND date >= ?';
+                params.push(startDate);
+            }
+            if (endDate) {
+                query += ' AND date <= ?';
+                params.push(endDate);
+            }
+            query += ' ORDER BY date ASC';
+
+            database.all(query, params, (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows.map(row => ({ date: row.date, close: row.close_price })));
+            });
+        });
+        return corporateActions.adjustBars(symbol, database, prices, adjustment);
+    }
+}
+
+module.exports = new RiskMetrics();
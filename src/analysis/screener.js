@@ -0,0 +1,289 @@
+const _ = require('lodash');
+const { calculateIndicator } = require('./indicators');
+const corporateActions = require('../api/corporateActions');
+const { get, all, run } = require('../database/query');
+
+// Numeric filters on stored fundamentals: result key -> stocks column
+const FUNDAMENTAL_FIELDS = {
+    marketCap: 'market_cap',
+    peRatio: 'pe_ratio',
+    forwardPE: 'forward_pe',
+    priceToBook: 'price_to_book',
+    priceToSales: 'price_to_sales_trailing_12months',
+    dividendYield: 'dividend_yield',
+    payoutRatio: 'payout_ratio',
+    beta: 'beta',
+    debtToEquity: 'debt_to_equity',
+    returnOnEquity: 'return_on_equity',
+    profitMargins: 'profit_margins',
+    revenueGrowth: 'revenue_growth',
+    earningsGrowth: 'earnings_growth',
+    recommendationMean: 'recommendation_mean'
+};
+
+// Filters matching one value (or any of a list) exactly
+const TEXT_FIELDS = { sector: 'sector', industry: 'industry', country: 'country' };
+
+// Numeric filters on values computed from the stored daily bars and the latest analysis snapshot
+const TECHNICAL_FIELDS = ['price', 'rsi', 'sma200', 'priceVsSma200', 'targetPrice', 'upside', 'analystUpside'];
+
+const MACD_DIRECTIONS = ['bullish', 'bearish'];
+const MAX_CROSSOVER_DAYS = 60;
+// Enough daily bars for SMA(200) and a settled MACD(12,26,9)
+const TECHNICAL_BARS = 300;
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const SORT_FIELDS = ['symbol', 'name', ...Object.keys(TEXT_FIELDS), ...Object.keys(FUNDAMENTAL_FIELDS), ...TECHNICAL_FIELDS];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const last = (values) => (values && values.length ? values[values.length - 1] : null);
+
+class Screener {
+    constructor() {
+        this.FUNDAMENTAL_FIELDS = FUNDAMENTAL_FIELDS;
+        this.TEXT_FIELDS = TEXT_FIELDS;
+        this.TECHNICAL_FIELDS = TECHNICAL_FIELDS;
+        this.SORT_FIELDS = SORT_FIELDS;
+    }
+
+    // Validates the filters and sort order of a screen and fills the defaults; throws on anything unknown.
+    // filters: { peRatio: { max: 20 }, sector: ['Technology'], rsi: { max: 30 }, priceAboveSma200: true,
+    //            macdCrossover: { direction: 'bullish', withinDays: 5 }, upside: { min: 10 } }
+    normalizeCriteria(criteria = {}) {
+        const filters = {};
+        _.forEach(criteria.filters || {}, (value, field) => {
+            if (value === null || value === undefined || value === '') return;
+
+            if (FUNDAMENTAL_FIELDS[field] || TECHNICAL_FIELDS.includes(field)) {
+                const range = _.omitBy(_.pick(value, ['min', 'max']), bound => _.isNil(bound) || bound === '');
+                if (_.isEmpty(range) || !_.every(range, bound => isNumber(Number(bound)))) {
+                    throw new Error(`Filter ${field} needs a numeric min and/or max`);
+                }
+                filters[field] = _.mapValues(range, Number);
+            } else if (TEXT_FIELDS[field]) {
+                const values = _.castArray(value).map(v => String(v).trim()).filter(Boolean);
+                if (values.length) filters[field] = values;
+            } else if (field === 'priceAboveSma200') {
+                filters[field] = value === true || value === 'true';
+            } else if (field === 'macdCrossover') {
+                const direction = value.direction || 'bullish';
+                const withinDays = Number(value.withinDays || 5);
+                if (!MACD_DIRECTIONS.includes(direction)) {
+                    throw new Error(`Unknown MACD crossover direction: ${direction}. Use one of ${MACD_DIRECTIONS.join(', ')}`);
+                }
+                if (!Number.isInteger(withinDays) || withinDays < 1 || withinDays > MAX_CROSSOVER_DAYS) {
+                    throw new Error(`MACD crossover withinDays must be between 1 and ${MAX_CROSSOVER_DAYS}`);
+                }
+                filters[field] = { direction, withinDays };
+            } else {
+                throw new Error(`Unknown screener filter: ${field}`);
+            }
+        });
+
+        const sort = criteria.sort || 'symbol';
+        if (!SORT_FIELDS.includes(sort)) {
+            throw new Error(`Unknown sort field: ${sort}. Use one of ${SORT_FIELDS.join(', ')}`);
+        }
+        const order = criteria.order === 'desc' ? 'desc' : 'asc';
+        return { filters, sort, order };
+    }
+
+    // Fundamental filters run in SQL; technical conditions are computed per remaining stock from the
+    // stored daily bars. Stocks missing a value a filter needs are left out. Results sort with nulls last
+    async screen(database, criteria = {}, options = {}) {
+        const { filters, sort, order } = this.normalizeCriteria(criteria);
+        const adjustment = corporateActions.resolveAdjustment(options.adjustment);
+        const page = Math.max(1, parseInt(options.page, 10) || 1);
+        const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(options.pageSize, 10) || DEFAULT_PAGE_SIZE));
+
+        const stocks = await this._getCandidates(database, filters);
+        const targets = _.keyBy(await this._getLatestTargets(database), 'stock_symbol');
+
+        const results = [];
+        for (const stock of stocks) {
+            const result = await this._evaluate(stock, targets[stock.symbol], database, adjustment);
+            if (this._matches(result, filters)) {
+                results.push(result);
+            }
+        }
+
+        const [withValue, withoutValue] = _.partition(results, result => result[sort] !== null && result[sort] !== undefined);
+        const sorted = _.orderBy(withValue, [sort, 'symbol'], [order, 'asc']).concat(_.sortBy(withoutValue, 'symbol'));
+        return {
+            criteria: { filters, sort, order },
+            total: sorted.length,
+            page,
+            pageSize,
+            results: sorted.slice((page - 1) * pageSize, page * pageSize)
+        };
+    }
+
+    async listScreens(database) {
+        const rows = await all(database, 'SELECT * FROM saved_screens ORDER BY name ASC', []);
+        return rows.map(row => this._formatScreen(row));
+    }
+
+    async getScreen(name, database) {
+        const row = await get(database, 'SELECT * FROM saved_screens WHERE name = ?', [name]);
+        if (!row) {
+            throw new Error(`Unknown screen: ${name}`);
+        }
+        return this._formatScreen(row);
+    }
+
+    async saveScreen(name, description, criteria, database) {
+        const normalized = this.normalizeCriteria(criteria);
+        await run(
+            database,
+            `INSERT INTO saved_screens (name, description, criteria, updated_at)
+             VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+             ON CONFLICT(name) DO UPDATE SET
+                description = excluded.description,
+                criteria = excluded.criteria,
+                updated_at = excluded.updated_at`,
+            [name, description || '', JSON.stringify(normalized)]
+        );
+        return this.getScreen(name, database);
+    }
+
+    async deleteScreen(name, database) {
+        await this.getScreen(name, database);
+        await run(database, 'DELETE FROM saved_screens WHERE name = ?', [name]);
+    }
+
+    async _evaluate(stock, target, database, adjustment) {
+        const rows = await all(
+            database,
+            `SELECT date, open_price, high_price, low_price, close_price, volume FROM daily_prices
+             WHERE stock_symbol = ? ORDER BY date DESC LIMIT ?`,
+            [stock.symbol, TECHNICAL_BARS + MAX_CROSSOVER_DAYS]
+        );
+        const bars = await corporateActions.adjustBars(stock.symbol, database, rows.reverse().map(row => ({
+            date: row.date,
+            open: row.open_price,
+            high: row.high_price,
+            low: row.low_price,
+            close: row.close_price,
+            volume: row.volume
+        })), adjustment);
+
+        const close = bars.length ? bars[bars.length - 1].close : null;
+        const price = isNumber(stock.price) ? stock.price : close;
+        const sma200 = last(calculateIndicator('sma(200)', bars));
+        const targetPrice = target ? target.target_price : null;
+
+        return {
+            symbol: stock.symbol,
+            name: stock.name,
+            ..._.mapValues(TEXT_FIELDS, column => stock[column] || null),
+            ..._.mapValues(FUNDAMENTAL_FIELDS, column => (isNumber(stock[column]) ? stock[column] : null)),
+            price,
+            rsi: last(calculateIndicator('rsi(14)', bars)),
+            sma200,
+            priceVsSma200: isNumber(sma200) && isNumber(close) ? (close / sma200 - 1) * 100 : null,
+            macdCrossover: this._lastMacdCrossover(bars),
+            targetPrice,
+            targetDate: target ? target.analysis_date : null,
+            upside: isNumber(targetPrice) && price ? (targetPrice / price - 1) * 100 : null,
+            analystUpside: isNumber(stock.target_mean_price) && price ? (stock.target_mean_price / price - 1) * 100 : null
+        };
+    }
+
+    // Most recent sign change of the MACD histogram (MACD line crossing its signal line)
+    _lastMacdCrossover(bars) {
+        const histogram = (calculateIndicator('macd(12,26,9)', bars) || [])
+            .map(value => value.histogram)
+            .filter(isNumber);
+        for (let i = histogram.length - 1; i > 0; i--) {
+            if (histogram[i] > 0 && histogram[i - 1] <= 0) {
+                return { direction: 'bullish', barsAgo: histogram.length - 1 - i };
+            }
+            if (histogram[i] < 0 && histogram[i - 1] >= 0) {
+                return { direction: 'bearish', barsAgo: histogram.length - 1 - i };
+            }
+        }
+        return null;
+    }
+
+    _matches(result, filters) {
+        return _.every(filters, (filter, field) => {
+            if (field === 'priceAboveSma200') {
+                return isNumber(result.priceVsSma200) && (result.priceVsSma200 > 0) === filter;
+            }
+            if (field === 'macdCrossover') {
+                const crossover = result.macdCrossover;
+                return Boolean(crossover) && crossover.direction === filter.direction && crossover.barsAgo < filter.withinDays;
+            }
+            if (TEXT_FIELDS[field]) {
+                return true;
+            }
+            const value = result[field];
+            if (!isNumber(value)) return false;
+            return (filter.min === undefined || value >= filter.min) && (filter.max === undefined || value <= filter.max);
+        });
+    }
+
+    // Stocks passing the fundamental and text filters, joined with the latest price
+    // (falling back to the last stored close)
+    _getCandidates(database, filters) {
+        const conditions = [];
+        const params = [];
+        _.forEach(filters, (filter, field) => {
+            if (FUNDAMENTAL_FIELDS[field]) {
+                const column = `s.${FUNDAMENTAL_FIELDS[field]}`;
+                if (filter.min !== undefined) {
+                    conditions.push(`${column} >= ?`);
+                    params.push(filter.min);
+                }
+                if (filter.max !== undefined) {
+                    conditions.push(`${column} <= ?`);
+                    params.push(filter.max);
+                }
+            } else if (TEXT_FIELDS[field]) {
+                conditions.push(`s.${TEXT_FIELDS[field]} IN (${filter.map(() => '?').join(', ')})`);
+                params.push(...filter);
+            }
+        });
+
+        return all(
+            database,
+            `SELECT s.*, COALESCE(lp.current_price, (
+                SELECT close_price FROM daily_prices dp
+                WHERE dp.stock_symbol = s.symbol
+                ORDER BY dp.date DESC LIMIT 1
+            )) AS price
+            FROM stocks s
+            LEFT JOIN latest_prices lp ON lp.stock_symbol = s.symbol
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY s.symbol ASC`,
+            params
+        );
+    }
+
+    // Target price of each stock's most recent daily analysis snapshot
+    _getLatestTargets(database) {
+        return all(
+            database,
+            `SELECT stock_symbol, target_price, analysis_date FROM (
+                SELECT stock_symbol, target_price, analysis_date,
+                    ROW_NUMBER() OVER (PARTITION BY stock_symbol ORDER BY analysis_date DESC, id DESC) AS position
+                FROM price_analysis
+                WHERE COALESCE(bar_interval, '1d') = '1d'
+            ) WHERE position = 1`,
+            []
+        );
+    }
+
+    _formatScreen(row) {
+        return {
+            name: row.name,
+            description: row.description,
+            criteria: JSON.parse(row.criteria || '{}'),
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+module.exports = new Screener();
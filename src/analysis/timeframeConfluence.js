@@ -0,0 +1,117 @@
+const _ = require('lodash');
+const { calculateIndicator } = require('./indicators');
+
+const TIMEFRAMES = ['daily', 'weekly', 'monthly'];
+// Most recent bars of each timeframe the signals are computed on; enough for SMA(50) and MACD(12,26,9)
+const TIMEFRAME_BARS = 120;
+const RSI_OVERBOUGHT = 70;
+const RSI_OVERSOLD = 30;
+// Bars over which the SMA(20) slope is measured for the trend
+const SLOPE_BARS = 5;
+
+const BIAS_SCORES = { bullish: 1, neutral: 0, bearish: -1 };
+
+const last = (values) => (values && values.length ? values[values.length - 1] : null);
+
+// Monday of the bar's week, so weeks are grouped the same way across years
+const weekKey = (date) => {
+    const day = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().split('T')[0];
+};
+
+class TimeframeConfluence {
+    constructor() {
+        this.TIMEFRAMES = TIMEFRAMES;
+    }
+
+    // Weekly/monthly bars from daily bars (oldest first); each bar is dated with its last trading day
+    resample(bars, timeframe) {
+        if (timeframe === 'daily') return bars;
+        const keyOf = timeframe === 'weekly' ? weekKey : (date) => date.slice(0, 7);
+
+        return _.values(_.groupBy(bars, bar => keyOf(bar.date))).map(group => ({
+            date: group[group.length - 1].date,
+            open: group[0].open,
+            high: _.maxBy(group, 'high').high,
+            low: _.minBy(group, 'low').low,
+            close: group[group.length - 1].close,
+            volume: _.sumBy(group, bar => bar.volume || 0)
+        }));
+    }
+
+    // Trend, SMA position, RSI and MACD signals on each timeframe, and where they agree or conflict.
+    // alignment: bullish/bearish when every timeframe with a trend agrees on it, conflicting when
+    // the trends point in opposite directions, mixed otherwise
+    analyze(dailyBars) {
+        const timeframes = TIMEFRAMES.reduce((result, timeframe) => {
+            result[timeframe] = this.analyzeTimeframe(this.resample(dailyBars, timeframe).slice(-TIMEFRAME_BARS));
+            return result;
+        }, {});
+
+        const signals = _.flatMap(TIMEFRAMES, timeframe => timeframes[timeframe].signals.map(signal => ({ timeframe, ...signal })));
+        const score = signals.length ? _.sumBy(signals, signal => BIAS_SCORES[signal.bias]) / signals.length : 0;
+        const direction = score > 0 ? 'bullish' : score < 0 ? 'bearish' : 'neutral';
+
+        const trends = _.compact(TIMEFRAMES.map(timeframe => _.find(timeframes[timeframe].signals, { indicator: 'trend' })))
+            .map(signal => signal.bias);
+        let alignment = 'mixed';
+        if (trends.includes('bullish') && trends.includes('bearish')) {
+            alignment = 'conflicting';
+        } else if (trends.length >= 2 && _.uniq(trends).length === 1 && trends[0] !== 'neutral') {
+            alignment = trends[0];
+        }
+
+        return {
+            alignment,
+            direction,
+            score,
+            timeframes,
+            agreements: direction === 'neutral' ? [] : signals.filter(signal => signal.bias === direction),
+            conflicts: signals.filter(signal => signal.bias !== 'neutral' && signal.bias !== direction)
+        };
+    }
+
+    analyzeTimeframe(bars) {
+        const close = bars.length ? bars[bars.length - 1].close : null;
+        const sma20 = calculateIndicator('sma(20)', bars);
+        const sma50 = calculateIndicator('sma(50)', bars);
+        const rsi = last(calculateIndicator('rsi(14)', bars));
+        const macd = last(calculateIndicator('macd(12,26,9)', bars));
+        const signals = [];
+
+        if (sma20 && sma50 && sma20.length > SLOPE_BARS) {
+            const short = last(sma20);
+            const rising = short > sma20[sma20.length - 1 - SLOPE_BARS];
+            const state = short > last(sma50) && rising ? 'uptrend'
+                : short < last(sma50) && !rising ? 'downtrend' : 'sideways';
+            signals.push({ indicator: 'trend', state, bias: state === 'uptrend' ? 'bullish' : state === 'downtrend' ? 'bearish' : 'neutral' });
+        }
+        if (sma20) {
+            const state = close >= last(sma20) ? 'above_sma' : 'below_sma';
+            signals.push({ indicator: 'sma', state, value: last(sma20), bias: state === 'above_sma' ? 'bullish' : 'bearish' });
+        }
+        if (rsi !== null) {
+            // Overbought / oversold read as a pullback / rebound risk against the move
+            const state = rsi > RSI_OVERBOUGHT ? 'overbought' : rsi < RSI_OVERSOLD ? 'oversold' : 'neutral';
+            signals.push({ indicator: 'rsi', state, value: rsi, bias: state === 'overbought' ? 'bearish' : state === 'oversold' ? 'bullish' : 'neutral' });
+        }
+        if (macd && typeof macd.histogram === 'number') {
+            const state = macd.histogram > 0 ? 'bullish' : macd.histogram < 0 ? 'bearish' : 'neutral';
+            signals.push({ indicator: 'macd', state, value: macd.histogram, bias: state });
+        }
+
+        return {
+            bars: bars.length,
+            date: bars.length ? bars[bars.length - 1].date : null,
+            close,
+            sma20: last(sma20),
+            sma50: last(sma50),
+            rsi,
+            macdHistogram: macd ? macd.histogram : null,
+            signals
+        };
+    }
+}
+
+module.exports = new TimeframeConfluence();
@@ -0,0 +1,176 @@
+const _ = require('lodash');
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+const DEFAULT_OPTIONS = {
+    period: 20,             // Window of the close-to-close and range-based estimators
+    ewmaLambda: 0.94,       // RiskMetrics decay for daily data
+    garchLookback: 500,     // Returns used to fit GARCH(1,1)
+    forecastHorizon: 20,    // Bars the forecast volatility averages over
+    regimeLookback: 756,    // About three years of rolling volatility to rank the current value against
+    periodsPerYear: TRADING_DAYS_PER_YEAR // Bars per year used to annualize; higher for intraday bars
+};
+
+// Below this many returns GARCH estimates are too unstable and EWMA is used instead
+const MIN_GARCH_RETURNS = 60;
+// Below this many rolling values the regime falls back to the fixed 15% / 25% cutoffs
+const MIN_REGIME_SAMPLES = 60;
+const REGIME_PERCENTILES = { low: 33, high: 67 };
+
+const annualize = (variance, periodsPerYear = TRADING_DAYS_PER_YEAR) => Math.sqrt(variance * periodsPerYear);
+
+const logReturns = (bars) => bars.slice(1).map((bar, i) => Math.log(bar.close / bars[i].close));
+
+const sampleVariance = (values) => {
+    const mean = _.mean(values);
+    return _.sumBy(values, v => Math.pow(v - mean, 2)) / values.length;
+};
+
+class VolatilityModels {
+    // All volatilities are annualized fractions (0.25 = 25%), like calculateVolatility has always returned
+    // options.regimeHistory (bars up to the last one in stockData) is what the regime ranks against,
+    // so a short analysis window still sees regimeLookback bars of rolling volatility
+    estimate(stockData, options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ..._.omitBy(options, _.isNil) };
+        const returns = logReturns(stockData);
+
+        const closeToClose = this.closeToClose(stockData, opts.period, opts.periodsPerYear);
+        const garch = this.garch(returns.slice(-opts.garchLookback), opts.forecastHorizon, opts.periodsPerYear);
+        const ewma = this.ewma(returns, opts.ewmaLambda, opts.periodsPerYear);
+        const forecast = garch ? garch.forecast : ewma;
+        const regime = this.regime(opts.regimeHistory || stockData, forecast, opts);
+
+        return {
+            model: garch ? 'garch' : 'ewma',
+            forecast,
+            forecastHorizon: opts.forecastHorizon,
+            closeToClose,
+            ewma,
+            parkinson: this.parkinson(stockData, opts.period, opts.periodsPerYear),
+            garmanKlass: this.garmanKlass(stockData, opts.period, opts.periodsPerYear),
+            garch,
+            regime
+        };
+    }
+
+    closeToClose(stockData, period = DEFAULT_OPTIONS.period, periodsPerYear = TRADING_DAYS_PER_YEAR) {
+        const returns = logReturns(stockData.slice(-(period + 1)));
+        return returns.length < 2 ? 0 : annualize(sampleVariance(returns), periodsPerYear);
+    }
+
+    // Exponentially weighted variance seeded with the variance of the first 20 returns
+    ewma(returns, lambda = DEFAULT_OPTIONS.ewmaLambda, periodsPerYear = TRADING_DAYS_PER_YEAR) {
+        if (returns.length < 2) return 0;
+        let variance = sampleVariance(returns.slice(0, 20));
+        returns.forEach(r => {
+            variance = lambda * variance + (1 - lambda) * r * r;
+        });
+        return annualize(variance, periodsPerYear);
+    }
+
+    // Uses only the high/low range, which is more efficient than close-to-close for the same window
+    parkinson(stockData, period = DEFAULT_OPTIONS.period, periodsPerYear = TRADING_DAYS_PER_YEAR) {
+        const bars = stockData.slice(-period).filter(bar => bar.high > 0 && bar.low > 0);
+        if (bars.length === 0) return 0;
+        const sum = _.sumBy(bars, bar => Math.pow(Math.log(bar.high / bar.low), 2));
+        return annualize(sum / (4 * Math.LN2 * bars.length), periodsPerYear);
+    }
+
+    garmanKlass(stockData, period = DEFAULT_OPTIONS.period, periodsPerYear = TRADING_DAYS_PER_YEAR) {
+        const bars = stockData.slice(-period).filter(bar => bar.high > 0 && bar.low > 0 && bar.open > 0);
+        if (bars.length === 0) return 0;
+        const sum = _.sumBy(bars, bar => (
+            0.5 * Math.pow(Math.log(bar.high / bar.low), 2)
+            - (2 * Math.LN2 - 1) * Math.pow(Math.log(bar.close / bar.open), 2)
+        ));
+        return annualize(Math.max(0, sum / bars.length), periodsPerYear);
+    }
+
+    // GARCH(1,1) with variance targeting: omega is tied to the sample variance, and alpha/beta are
+    // picked by a coarse-then-fine grid search on the Gaussian log-likelihood.
+    garch(returns, horizon = DEFAULT_OPTIONS.forecastHorizon, periodsPerYear = TRADING_DAYS_PER_YEAR) {
+        if (returns.length < MIN_GARCH_RETURNS) {
+            return null;
+        }
+
+        const mean = _.mean(returns);
+        const residuals = returns.map(r => r - mean);
+        const longRunVariance = sampleVariance(returns);
+        if (longRunVariance <= 0) {
+            return null;
+        }
+
+        let best = { logLikelihood: -Infinity };
+        const search = (alphas, betas) => {
+            alphas.forEach(alpha => betas.forEach(beta => {
+                if (alpha <= 0 || beta < 0 || alpha + beta >= 0.999) return;
+                const fit = this._garchLikelihood(residuals, longRunVariance, alpha, beta);
+                if (fit.logLikelihood > best.logLikelihood) {
+                    best = { alpha, beta, ...fit };
+                }
+            }));
+        };
+        search(_.range(0.02, 0.31, 0.02), _.range(0, 0.99, 0.02));
+        if (best.logLikelihood === -Infinity) {
+            return null;
+        }
+        search(_.range(best.alpha - 0.02, best.alpha + 0.021, 0.005), _.range(best.beta - 0.02, best.beta + 0.021, 0.005));
+
+        const { alpha, beta, nextVariance } = best;
+        const persistence = alpha + beta;
+        // Average of the h-step-ahead variances, each decaying towards the long-run variance
+        const forecastVariance = _.mean(_.range(horizon).map(step => (
+            longRunVariance + Math.pow(persistence, step) * (nextVariance - longRunVariance)
+        )));
+
+        return {
+            omega: longRunVariance * (1 - persistence),
+            alpha,
+            beta,
+            persistence,
+            halfLife: Math.log(0.5) / Math.log(persistence),
+            longRunVolatility: annualize(longRunVariance, periodsPerYear),
+            nextDayVolatility: annualize(nextVariance, periodsPerYear),
+            forecast: annualize(forecastVariance, periodsPerYear),
+            logLikelihood: best.logLikelihood
+        };
+    }
+
+    // Ranks the forecast against the stock's own rolling close-to-close volatility
+    regime(stockData, volatility, options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ..._.omitBy(options, _.isNil) };
+        const history = stockData.slice(-(opts.regimeLookback + opts.period));
+        const rolling = [];
+        for (let end = opts.period + 1; end <= history.length; end++) {
+            rolling.push(this.closeToClose(history.slice(end - opts.period - 1, end), opts.period, opts.periodsPerYear));
+        }
+
+        if (rolling.length < MIN_REGIME_SAMPLES) {
+            return {
+                level: volatility > 0.25 ? 'high' : volatility > 0.15 ? 'medium' : 'low',
+                percentile: null,
+                samples: rolling.length
+            };
+        }
+
+        const percentile = _.filter(rolling, v => v <= volatility).length / rolling.length * 100;
+        return {
+            level: percentile >= REGIME_PERCENTILES.high ? 'high' : percentile >= REGIME_PERCENTILES.low ? 'medium' : 'low',
+            percentile,
+            samples: rolling.length
+        };
+    }
+
+    _garchLikelihood(residuals, longRunVariance, alpha, beta) {
+        const omega = longRunVariance * (1 - alpha - beta);
+        let variance = longRunVariance;
+        let logLikelihood = 0;
+        residuals.forEach(e => {
+            logLikelihood -= 0.5 * (Math.log(variance) + e * e / variance);
+            variance = omega + alpha * e * e + beta * variance;
+        });
+        return { logLikelihood, nextVariance: variance };
+    }
+}
+
+module.exports = new VolatilityModels();
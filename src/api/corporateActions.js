@@ -0,0 +1,153 @@
+const { all, run } = require('../database/query');
+
+const ACTION_TYPES = ['split', 'dividend'];
+// raw: prices as stored; split: back-adjusted for splits; total: splits and cash dividends
+const ADJUSTMENTS = ['raw', 'split', 'total'];
+const DEFAULT_ADJUSTMENT = process.env.PRICE_ADJUSTMENT || 'split';
+
+// Split values are share ratios (4 for a 4:1 split, 0.1 for a 1:10 reverse split) and dividends are
+// cash per share as of the ex-date, in the same unadjusted terms as the stored daily prices
+class CorporateActions {
+    constructor() {
+        this.ADJUSTMENTS = ADJUSTMENTS;
+        this.DEFAULT_ADJUSTMENT = DEFAULT_ADJUSTMENT;
+    }
+
+    resolveAdjustment(adjustment) {
+        const value = adjustment || DEFAULT_ADJUSTMENT;
+        if (!ADJUSTMENTS.includes(value)) {
+            throw new Error(`Unknown price adjustment: ${value}. Use one of ${ADJUSTMENTS.join(', ')}`);
+        }
+        return value;
+    }
+
+    async saveActions(symbol, type, actions, database) {
+        if (!ACTION_TYPES.includes(type)) {
+            throw new Error(`Unknown corporate action type: ${type}`);
+        }
+        for (const action of actions) {
+            await run(
+                database,
+                `INSERT INTO corporate_actions (stock_symbol, action_date, action_type, value) VALUES (?, ?, ?, ?)
+                 ON CONFLICT(stock_symbol, action_date, action_type) DO UPDATE SET value = excluded.value`,
+                [symbol, action.date, type, action.value]
+            );
+        }
+        await run(
+            database,
+            `INSERT INTO corporate_action_fetches (stock_symbol, action_type, fetched_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+             ON CONFLICT(stock_symbol, action_type) DO UPDATE SET fetched_at = excluded.fetched_at`,
+            [symbol, type]
+        );
+        return actions.length;
+    }
+
+    // When the actions of this type were last saved from upstream (null if never), even if there were none
+    async getFetchedAt(symbol, database, type) {
+        const rows = await all(
+            database,
+            'SELECT fetched_at FROM corporate_action_fetches WHERE stock_symbol = ? AND action_type = ?',
+            [symbol, type]
+        );
+        return rows.length ? rows[0].fetched_at : null;
+    }
+
+    async getActions(symbol, database, type = null) {
+        let query = 'SELECT action_date, action_type, value FROM corporate_actions WHERE stock_symbol = ?';
+        const params = [symbol];
+        if (type) {
+            query += ' AND action_type = ?';
+            params.push(type);
+        }
+        query += ' ORDER BY action_date ASC';
+
+        const rows = await all(database, query, params);
+        return rows.map(row => ({ date: row.action_date, type: row.action_type, value: row.value }));
+    }
+
+    // Actions with the stored closes either side of them, which the adjustment factors are derived from
+    async getAdjustmentFactors(symbol, database) {
+        const rows = await all(
+            database,
+            `SELECT ca.action_date, ca.action_type, ca.value,
+                (SELECT close_price FROM daily_prices dp
+                 WHERE dp.stock_symbol = ca.stock_symbol AND dp.date < ca.action_date
+                 ORDER BY dp.date DESC LIMIT 1) AS previous_close,
+                (SELECT close_price FROM daily_prices dp
+                 WHERE dp.stock_symbol = ca.stock_symbol AND dp.date >= ca.action_date
+                 ORDER BY dp.date ASC LIMIT 1) AS close
+             FROM corporate_actions ca
+             WHERE ca.stock_symbol = ?
+             ORDER BY ca.action_date ASC`,
+            [symbol]
+        );
+
+        return rows
+            .map(row => ({ date: row.action_date, type: row.action_type, ...this.factorFor(row) }))
+            .filter(action => action.priceFactor !== 1 || action.volumeFactor !== 1);
+    }
+
+    // Multipliers applied to every bar before the action date
+    factorFor(row) {
+        const none = { priceFactor: 1, volumeFactor: 1 };
+        // Only actions inside the stored history move its prices
+        if (!row.previous_close || !row.close) return none;
+
+        if (row.action_type === 'split') {
+            if (!(row.value > 0) || row.value === 1) return none;
+            // A stored history without a price gap at the split date is already adjusted for it
+            const gap = Math.log(row.previous_close / row.close);
+            if (Math.abs(gap - Math.log(row.value)) > Math.abs(gap)) return none;
+            return { priceFactor: 1 / row.value, volumeFactor: row.value };
+        }
+
+        const factor = 1 - row.value / row.previous_close;
+        return factor > 0 && factor < 1 ? { priceFactor: factor, volumeFactor: 1 } : none;
+    }
+
+    // Back-adjusts bars (oldest first) so the latest bar keeps its stored prices
+    adjust(bars, factors, adjustment) {
+        const applicable = factors.filter(f => adjustment === 'total' || f.type === 'split');
+        if (adjustment === 'raw' || applicable.length === 0) return bars;
+
+        const adjusted = new Array(bars.length);
+        let priceFactor = 1;
+        let volumeFactor = 1;
+        let next = applicable.length - 1;
+        for (let i = bars.length - 1; i >= 0; i--) {
+            const bar = bars[i];
+            while (next >= 0 && applicable[next].date > bar.date) {
+                priceFactor *= applicable[next].priceFactor;
+                volumeFactor *= applicable[next].volumeFactor;
+                next--;
+            }
+            if (priceFactor === 1 && volumeFactor === 1) {
+                adjusted[i] = bar;
+                continue;
+            }
+            adjusted[i] = { ...bar };
+            ['open', 'high', 'low', 'close'].forEach(field => {
+                if (typeof bar[field] === 'number') adjusted[i][field] = bar[field] * priceFactor;
+            });
+            if (typeof bar.volume === 'number') adjusted[i].volume = Math.round(bar.volume * volumeFactor);
+        }
+        return adjusted;
+    }
+
+    // Cumulative price factor for a single value observed on `date`, e.g. a stored target price
+    priceFactorAfter(factors, date, adjustment) {
+        return factors
+            .filter(f => f.date > date && (adjustment === 'total' || (adjustment === 'split' && f.type === 'split')))
+            .reduce((factor, f) => factor * f.priceFactor, 1);
+    }
+
+    // Loads the symbol's actions and adjusts bars read from daily_prices
+    async adjustBars(symbol, database, bars, adjustment) {
+        const resolved = this.resolveAdjustment(adjustment);
+        if (resolved === 'raw' || bars.length === 0) return bars;
+        const factors = await this.getAdjustmentFactors(symbol, database);
+        return this.adjust(bars, factors, resolved);
+    }
+}
+
+module.exports = new CorporateActions();
@@ -1,3 +1,6 @@
+const _ = require('lodash');
+const corporateActions = require('./corporateActions');
+
 class HistoryService {
     constructor() {
         this.db = null;
@@ -7,6 +10,36 @@ class HistoryService {
         this.db = database;
     }
 
+    _formatAnalysisRow(row) {
+        return {
+            id: row.id,
+            symbol: row.stock_symbol,
+            date: row.analysis_date,
+            targetPrice: row.target_price,
+            confidenceScore: row.confidence_score,
+            method: row.analysis_method,
+            modelProfile: row.model_profile,
+            interval: row.bar_interval || '1d',
+            priceRange: {
+                low: row.price_range_low,
+                high: row.price_range_high
+            },
+            technicalIndicators: JSON.parse(row.technical_indicators || '{}'),
+            indicators: JSON.parse(row.indicators || '{}'),
+            candlestickPatterns: JSON.parse(row.candlestick_patterns || '[]'),
+            timeframeAlignment: JSON.parse(row.timeframe_alignment || 'null'),
+            marketRegime: JSON.parse(row.market_regime || 'null'),
+            breakdown: JSON.parse(row.target_breakdown || '[]'),
+            recommendation: JSON.parse(row.recommendation || 'null'),
+            analystData: JSON.parse(row.analyst_data || '{}'),
+            currentPrice: row.current_price,
+            priceChange: row.price_change,
+            priceChange_Percent: row.price_change_percent,
+            volume: row.volume,
+            createdAt: row.created_at
+        };
+    }
+
     async getAnalysisHistory(symbol, limit = 30) {
         return new Promise((resolve, reject) => {
             const db = this.db;
@@ -14,7 +47,7 @@ class HistoryService {
                 SELECT *
                 FROM price_analysis
                 WHERE stock_symbol = ?
-                ORDER BY analysis_date DESC
+                ORDER BY analysis_date DESC, id DESC
                 LIMIT ?
             `;
 
@@ -24,31 +57,151 @@ class HistoryService {
                     return;
                 }
 
-                const formattedRows = rows.map(row => ({
-                    id: row.id,
-                    symbol: row.stock_symbol,
-                    date: row.analysis_date,
-                    targetPrice: row.target_price,
-                    confidenceScore: row.confidence_score,
-                    method: row.analysis_method,
-                    priceRange: {
-                        low: row.price_range_low,
-                        high: row.price_range_high
-                    },
-                    technicalIndicators: JSON.parse(row.technical_indicators || '{}'),
-                    currentPrice: row.current_price,
-                    priceChange: row.price_change,
-                    priceChange_Percent: row.price_change_percent,
-                    createdAt: row.created_at
-                }));
+                resolve(rows.map(row => this._formatAnalysisRow(row)));
+            });
+        });
+    }
 
-                resolve(formattedRows);
+    async getAnalysisSnapshot(symbol, id) {
+        return new Promise((resolve, reject) => {
+            const db = this.db;
+            db.get('SELECT * FROM price_analysis WHERE stock_symbol = ? AND id = ?', [symbol, id], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(row ? this._formatAnalysisRow(row) : null);
             });
         });
     }
 
-    async getStockPriceHistory(symbol, startDate = null, endDate = null, limit = 100) {
+    // Compares two snapshots of the same symbol. Without ids, compares the latest two.
+    async compareAnalysisSnapshots(symbol, fromId = null, toId = null) {
+        let from;
+        let to;
+
+        if ((fromId != null || toId != null) && !(Number.isInteger(fromId) && Number.isInteger(toId))) {
+            throw new Error('Both snapshot ids are required to compare specific snapshots');
+        }
+        if (fromId != null) {
+            [from, to] = await Promise.all([
+                this.getAnalysisSnapshot(symbol, fromId),
+                this.getAnalysisSnapshot(symbol, toId)
+            ]);
+        } else {
+            [to, from] = await this.getAnalysisHistory(symbol, 2);
+        }
+
+        if (!from || !to) {
+            return null;
+        }
+
+        const diffValue = (before, after) => ({
+            from: before,
+            to: after,
+            change: before != null && after != null ? after - before : null,
+            changePercent: before ? ((after - before) / before) * 100 : null
+        });
+
+        const fromSources = _.keyBy(from.breakdown, 'source');
+        const toSources = _.keyBy(to.breakdown, 'source');
+        const breakdown = _.union(Object.keys(fromSources), Object.keys(toSources)).map(source => ({
+            source,
+            status: !fromSources[source] ? 'added' : !toSources[source] ? 'removed' : 'changed',
+            price: diffValue(_.get(fromSources[source], 'price', null), _.get(toSources[source], 'price', null)),
+            weight: diffValue(_.get(fromSources[source], 'weight', null), _.get(toSources[source], 'weight', null))
+        }));
+
+        const analystFields = _.union(Object.keys(from.analystData), Object.keys(to.analystData));
+        const analystData = analystFields
+            .filter(field => !_.isEqual(from.analystData[field], to.analystData[field]))
+            .reduce((changes, field) => {
+                changes[field] = { from: from.analystData[field], to: to.analystData[field] };
+                return changes;
+            }, {});
+
+        return {
+            symbol,
+            from: { id: from.id, date: from.date, createdAt: from.createdAt },
+            to: { id: to.id, date: to.date, createdAt: to.createdAt },
+            targetPrice: diffValue(from.targetPrice, to.targetPrice),
+            confidenceScore: diffValue(from.confidenceScore, to.confidenceScore),
+            currentPrice: diffValue(from.currentPrice, to.currentPrice),
+            priceRange: {
+                low: diffValue(from.priceRange.low, to.priceRange.low),
+                high: diffValue(from.priceRange.high, to.priceRange.high)
+            },
+            method: { from: from.method, to: to.method },
+            modelProfile: { from: from.modelProfile, to: to.modelProfile },
+            recommendation: {
+                from: from.recommendation ? from.recommendation.action : null,
+                to: to.recommendation ? to.recommendation.action : null,
+                changed: _.get(from, 'recommendation.action') !== _.get(to, 'recommendation.action')
+            },
+            breakdown,
+            analystData
+        };
+    }
+
+    // How target price and confidence moved over time, oldest first
+    async getTargetPriceTimeline(symbol, startDate = null, endDate = null) {
         return new Promise((resolve, reject) => {
+            const db = this.db;
+            let query = `
+                SELECT id, analysis_date, target_price, confidence_score, current_price,
+                       price_range_low, price_range_high, recommendation_action, model_profile, created_at
+                FROM price_analysis
+                WHERE stock_symbol = ?
+            `;
+            const params = [symbol];
+
+            if (startDate) {
+                query += ` AND analysis_date >= ?`;
+                params.push(startDate);
+            }
+
+            if (endDate) {
+                query += ` AND analysis_date <= ?`;
+                params.push(endDate);
+            }
+
+            query += ` ORDER BY analysis_date ASC, id ASC`;
+
+            db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                const timeline = rows.map((row, index) => {
+                    const previous = rows[index - 1];
+                    return {
+                        id: row.id,
+                        date: row.analysis_date,
+                        createdAt: row.created_at,
+                        targetPrice: row.target_price,
+                        confidenceScore: row.confidence_score,
+                        currentPrice: row.current_price,
+                        priceRange: {
+                            low: row.price_range_low,
+                            high: row.price_range_high
+                        },
+                        recommendation: row.recommendation_action,
+                        modelProfile: row.model_profile,
+                        targetPriceChange: previous ? row.target_price - previous.target_price : null,
+                        confidenceChange: previous ? row.confidence_score - previous.confidence_score : null
+                    };
+                });
+
+                resolve(timeline);
+            });
+        });
+    }
+
+    async getStockPriceHistory(symbol, startDate = null, endDate = null, limit = 100, adjustment = null) {
+        const resolved = corporateActions.resolveAdjustment(adjustment);
+        const prices = await new Promise((resolve, reject) => {
             const db = this.db;
             let query = `
                 SELECT *
@@ -90,6 +243,7 @@ class HistoryService {
                 resolve(formattedRows);
             });
         });
+        return corporateActions.adjustBars(symbol, this.db, prices, resolved);
     }
 
     async getWatchlist() {
@@ -220,31 +374,23 @@ class HistoryService {
         });
     }
 
-    async cleanupOldData(daysToKeep = 365) {
-        return new Promise((resolve, reject) => {
-            const db = this.db.db;
-            // DuckDB uses CURRENT_DATE and INTERVAL syntax
-            const queries = [
-                `DELETE FROM daily_prices WHERE date < CURRENT_DATE - INTERVAL '${daysToKeep} days'`,
-                `DELETE FROM price_analysis WHERE analysis_date < CURRENT_DATE - INTERVAL '${daysToKeep} days'`
-            ];
-
-            let completed = 0;
-            const total = queries.length;
-
-            queries.forEach((query, index) => {
-                db.run(query, (err) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-                    completed++;
-                    if (completed === total) {
-                        resolve({ deletedQueries: total });
-                    }
-                });
+    // Deletes analysis snapshots older than analysisDays and daily bars older than priceDays.
+    // Both are kept by default: snapshots are the append-only record the accuracy tracker and
+    // history diffs read, the backfill fetches years of bars on purpose and backtests, SMA(200)
+    // and 12-month relative strength depend on them. Returns the rows deleted
+    async cleanupOldData({ analysisDays = null, priceDays = null } = {}) {
+        const deleteOlderThan = (table, column, days) => new Promise((resolve, reject) => {
+            if (!days) return resolve(0);
+            this.db.run(`DELETE FROM ${table} WHERE ${column} < date('now', ?)`, [`-${days} days`], function(err) {
+                if (err) return reject(err);
+                resolve(this.changes);
             });
         });
+
+        return {
+            priceAnalysis: await deleteOlderThan('price_analysis', 'analysis_date', analysisDays),
+            dailyPrices: await deleteOlderThan('daily_prices', 'date', priceDays)
+        };
     }
 }
 
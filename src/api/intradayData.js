@@ -0,0 +1,129 @@
+const stockAPI = require('./stockData');
+const corporateActions = require('./corporateActions');
+const { get, all, run } = require('../database/query');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// maxDays: how far back the proxy serves the interval (yfinance limits); barsPerDay: US regular session;
+// retentionDays: how long stored bars are kept, which can exceed maxDays as updates accumulate
+const INTERVALS = {
+    '1m': { maxDays: 7, barsPerDay: 390, retentionDays: 30 },
+    '5m': { maxDays: 60, barsPerDay: 78, retentionDays: 90 },
+    '15m': { maxDays: 60, barsPerDay: 26, retentionDays: 180 },
+    '30m': { maxDays: 60, barsPerDay: 13, retentionDays: 365 },
+    '1h': { maxDays: 730, barsPerDay: 7, retentionDays: 730 }
+};
+
+// INTRADAY_RETENTION_DAYS="1m=14,1h=1095" overrides the defaults per interval
+const parseRetention = (value) => (value || '').split(',').reduce((overrides, entry) => {
+    const [interval, days] = entry.split('=').map(part => part && part.trim());
+    if (!interval) return overrides;
+    if (!INTERVALS[interval] || !(Number(days) > 0)) {
+        console.warn(`Ignoring intraday retention setting: ${entry}`);
+        return overrides;
+    }
+    overrides[interval] = Number(days);
+    return overrides;
+}, {});
+
+const RETENTION_OVERRIDES = parseRetention(process.env.INTRADAY_RETENTION_DAYS);
+
+class IntradayData {
+    constructor() {
+        this.INTERVALS = INTERVALS;
+    }
+
+    resolveInterval(interval) {
+        if (!INTERVALS[interval]) {
+            throw new Error(`Unknown intraday interval: ${interval}. Use one of ${Object.keys(INTERVALS).join(', ')}`);
+        }
+        return INTERVALS[interval];
+    }
+
+    retentionDays(interval) {
+        return RETENTION_OVERRIDES[interval] || this.resolveInterval(interval).retentionDays;
+    }
+
+    // Fetches from the day of the last stored bar (or as far back as the proxy allows), then applies retention
+    async updateIntradayData(symbol, interval, database) {
+        const config = this.resolveInterval(interval);
+        const row = await get(
+            database,
+            'SELECT MAX(timestamp) AS last_timestamp FROM intraday_prices WHERE stock_symbol = ? AND interval = ?',
+            [symbol, interval]
+        );
+
+        const earliest = new Date(Date.now() - (config.maxDays - 1) * DAY_MS).toISOString().split('T')[0];
+        const lastDate = row && row.last_timestamp ? row.last_timestamp.split('T')[0] : null;
+        const start = lastDate && lastDate > earliest ? lastDate : earliest;
+
+        const bars = await stockAPI.getHistoricalData(symbol, null, { start, interval });
+        for (const bar of bars) {
+            await run(
+                database,
+                `INSERT INTO intraday_prices (stock_symbol, interval, timestamp, open_price, high_price, low_price, close_price, volume)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(stock_symbol, interval, timestamp) DO UPDATE SET
+                    open_price = excluded.open_price,
+                    high_price = excluded.high_price,
+                    low_price = excluded.low_price,
+                    close_price = excluded.close_price,
+                    volume = excluded.volume`,
+                [symbol, interval, bar.date, bar.open, bar.high, bar.low, bar.close, bar.volume]
+            );
+        }
+
+        const removed = await this.applyRetention(database, [interval]);
+        console.log(`Updated ${interval} bars for ${symbol} since ${start} (${bars.length} bars, ${removed[interval]} expired)`);
+        return { symbol, interval, start, fetched: bars.length, removed: removed[interval] };
+    }
+
+    // Deletes bars older than each interval's retention window; returns the number removed per interval
+    async applyRetention(database, intervals = Object.keys(INTERVALS)) {
+        const removed = {};
+        for (const interval of intervals) {
+            const cutoff = new Date(Date.now() - this.retentionDays(interval) * DAY_MS).toISOString();
+            const { changes } = await run(
+                database,
+                'DELETE FROM intraday_prices WHERE interval = ? AND timestamp < ?',
+                [interval, cutoff]
+            );
+            removed[interval] = changes;
+        }
+        return removed;
+    }
+
+    // Bars oldest first, shaped like the daily bars (date holds the timestamp) so the analysis code can use either.
+    // Split/dividend factors come from the stored daily history
+    async getIntradayBars(symbol, interval, database, options = {}) {
+        this.resolveInterval(interval);
+        let query = `
+            SELECT timestamp, open_price, high_price, low_price, close_price, volume
+            FROM intraday_prices
+            WHERE stock_symbol = ? AND interval = ?
+        `;
+        const params = [symbol, interval];
+        if (options.start) {
+            query += ' AND timestamp >= ?';
+            params.push(options.start);
+        }
+        if (options.end) {
+            query += ' AND timestamp <= ?';
+            params.push(options.end);
+        }
+        query += ' ORDER BY timestamp ASC';
+
+        const rows = await all(database, query, params);
+        const bars = rows.map(row => ({
+            date: row.timestamp,
+            open: row.open_price,
+            high: row.high_price,
+            low: row.low_price,
+            close: row.close_price,
+            volume: row.volume
+        }));
+        return corporateActions.adjustBars(symbol, database, bars, options.adjustment);
+    }
+}
+
+module.exports = new IntradayData();
@@ -0,0 +1,40 @@
+const PROVIDER_METHODS = ['getQuote', 'getHistory', 'getProfile', 'getAnalystTargets', 'getDividends', 'getSplits'];
+
+// Tries each provider in order and returns the first successful result.
+class FallbackProvider {
+    constructor(providers) {
+        this.providers = providers.filter(Boolean);
+        this.name = this.providers.map(p => p.name).join(' -> ');
+
+        PROVIDER_METHODS.forEach(method => {
+            this[method] = (...args) => this._callWithFallback(method, args);
+        });
+    }
+
+    async _callWithFallback(method, args) {
+        let lastError = null;
+
+        for (const provider of this.providers) {
+            if (typeof provider[method] !== 'function') {
+                continue;
+            }
+            try {
+                return await provider[method](...args);
+            } catch (error) {
+                // The options with the caller's AbortSignal are always the last argument
+                const options = args[args.length - 1];
+                if (options && options.signal && options.signal.aborted) {
+                    throw error;
+                }
+                lastError = error;
+                console.warn(`Provider ${provider.name} failed on ${method}(${args[0]}):`, error.message);
+            }
+        }
+
+        throw lastError || new Error(`No market data provider supports ${method}`);
+    }
+}
+
+FallbackProvider.PROVIDER_METHODS = PROVIDER_METHODS;
+
+module.exports = FallbackProvider;
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const YFinanceProxyProvider = require('./yfinanceProxyProvider');
+
+const DEFAULT_FIXTURE_DIR = './fixtures/market-data';
+
+// History fixtures recorded for a longer period can stand in for a shorter one
+const HISTORY_PERIOD_PREFERENCE = ['max', '10y', '5y', '2y', '1y', '6mo', '3mo', '1mo', '5d', '1d'];
+
+function resolveFixtureDir(target) {
+    return path.resolve(target || process.env.MARKET_DATA_FIXTURE_DIR || DEFAULT_FIXTURE_DIR);
+}
+
+// "/ticker/AAPL/history" + { period: '3mo', interval: '1h' } -> { symbol: 'AAPL', name: 'history-3mo-1h', suffix: '-1h' }
+function fixtureKey(requestPath, params = {}) {
+    const [, , symbol, endpoint] = requestPath.split('/');
+    const suffix = params.interval && params.interval !== '1d' ? `-${params.interval}` : '';
+    let name = endpoint;
+    if (params.period) name += `-${params.period}`;
+    return { symbol: symbol.toUpperCase(), name: name + suffix, suffix };
+}
+
+// Replays raw yfinance proxy responses recorded on disk, so the normal response mapping still applies
+class FixtureProvider extends YFinanceProxyProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = options.name || 'fixture';
+        this.fixtureDir = resolveFixtureDir(options.target);
+    }
+
+    _candidateFiles(symbol, name, suffix = '') {
+        const symbolDir = path.join(this.fixtureDir, symbol);
+        const candidates = [path.join(symbolDir, `${name}.json`)];
+
+        if (name.startsWith('history')) {
+            HISTORY_PERIOD_PREFERENCE.forEach(period => {
+                candidates.push(path.join(symbolDir, `history-${period}${suffix}.json`));
+            });
+            candidates.push(path.join(symbolDir, `history${suffix}.json`));
+        }
+
+        return candidates;
+    }
+
+    async _request(requestPath, params, options = {}) {
+        if (options.signal) {
+            options.signal.throwIfAborted();
+        }
+        const { symbol, name, suffix } = fixtureKey(requestPath, params);
+        const file = this._candidateFiles(symbol, name, suffix).find(candidate => fs.existsSync(candidate));
+
+        if (!file) {
+            throw new Error(`No fixture recorded for ${symbol} (${name}) in ${this.fixtureDir}`);
+        }
+
+        const content = await fs.promises.readFile(file, 'utf8');
+        return JSON.parse(content);
+    }
+}
+
+// Calls the real proxy and writes every response into the fixture directory
+class RecordingProvider extends YFinanceProxyProvider {
+    constructor(options = {}) {
+        super({ ...options, target: process.env.API_BASE_URL });
+        this.name = options.name || 'fixture-record';
+        this.fixtureDir = resolveFixtureDir(options.target);
+    }
+
+    async _request(requestPath, params, options = {}) {
+        const data = await super._request(requestPath, params, options);
+        const { symbol, name } = fixtureKey(requestPath, params);
+        const symbolDir = path.join(this.fixtureDir, symbol);
+
+        try {
+            await fs.promises.mkdir(symbolDir, { recursive: true });
+            await fs.promises.writeFile(path.join(symbolDir, `${name}.json`), JSON.stringify(data, null, 2));
+        } catch (error) {
+            console.warn(`Could not record fixture ${symbol}/${name}:`, error.message);
+        }
+
+        return data;
+    }
+}
+
+module.exports = {
+    FixtureProvider,
+    RecordingProvider
+};
@@ -0,0 +1,101 @@
+const YFinanceProxyProvider = require('./yfinanceProxyProvider');
+const { FixtureProvider, RecordingProvider } = require('./fixtureProvider');
+const FallbackProvider = require('./fallbackProvider');
+
+const DEFAULT_PROVIDER = 'yfinance-proxy';
+
+const factories = {
+    'yfinance-proxy': (options) => new YFinanceProxyProvider(options),
+    'fixture': (options) => new FixtureProvider(options),
+    'fixture-record': (options) => new RecordingProvider(options)
+};
+
+function registerProvider(name, factory) {
+    factories[name] = factory;
+}
+
+function listProviders() {
+    return Object.keys(factories);
+}
+
+// A provider spec is either "name" or "name@target", where target is the provider's base URL
+// or fixture directory, e.g. "yfinance-proxy@http://backup:8080" or "fixture@./fixtures/market-data"
+function createProvider(spec) {
+    const separatorIndex = spec.indexOf('@');
+    const name = (separatorIndex === -1 ? spec : spec.slice(0, separatorIndex)).trim();
+    const target = separatorIndex === -1 ? undefined : spec.slice(separatorIndex + 1).trim();
+
+    const factory = factories[name];
+    if (!factory) {
+        throw new Error(`Unknown market data provider: ${name}. Available: ${listProviders().join(', ')}`);
+    }
+
+    const provider = factory({ target });
+    provider.name = target ? `${name}@${target}` : name;
+    return provider;
+}
+
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// "AAPL=yfinance-proxy,0700.HK=yfinance-proxy@http://hk-proxy:8080"
+function parseSymbolProviders(value) {
+    return parseList(value).reduce((map, entry) => {
+        const separatorIndex = entry.indexOf('=');
+        if (separatorIndex > 0) {
+            map[entry.slice(0, separatorIndex).trim().toUpperCase()] = entry.slice(separatorIndex + 1).trim();
+        }
+        return map;
+    }, {});
+}
+
+class MarketDataProviders {
+    constructor(config) {
+        this.configure(config);
+    }
+
+    configure(config = null) {
+        this.config = config;
+        this.cache = {};
+    }
+
+    _resolveConfig() {
+        if (!this.config) {
+            this.config = {
+                primary: process.env.MARKET_DATA_PROVIDER || DEFAULT_PROVIDER,
+                fallbacks: parseList(process.env.MARKET_DATA_FALLBACK_PROVIDERS),
+                symbolProviders: parseSymbolProviders(process.env.MARKET_DATA_SYMBOL_PROVIDERS)
+            };
+        }
+        return this.config;
+    }
+
+    _getProvider(spec) {
+        if (!this.cache[spec]) {
+            this.cache[spec] = createProvider(spec);
+        }
+        return this.cache[spec];
+    }
+
+    // Provider chain for a symbol: the symbol override (or the deployment default) first, then the fallbacks
+    forSymbol(symbol) {
+        const config = this._resolveConfig();
+        const primary = (config.symbolProviders || {})[String(symbol).toUpperCase()] || config.primary || DEFAULT_PROVIDER;
+        const specs = [primary, ...(config.fallbacks || []).filter(spec => spec !== primary)];
+        const chainKey = specs.join('|');
+
+        if (!this.cache[chainKey]) {
+            const providers = specs.map(spec => this._getProvider(spec));
+            this.cache[chainKey] = providers.length === 1 ? providers[0] : new FallbackProvider(providers);
+        }
+        return this.cache[chainKey];
+    }
+}
+
+module.exports = {
+    MarketDataProviders,
+    registerProvider,
+    createProvider,
+    listProviders
+};
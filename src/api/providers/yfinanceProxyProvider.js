@@ -0,0 +1,189 @@
+const axios = require('axios');
+
+// 映射旧的周期到yfinance代理的周期
+const PERIOD_MAP = {
+    '1day': '1d',
+    '1week': '5d',
+    '1month': '1mo',
+    '3month': '3mo',
+    'year': '1y'
+};
+const YFINANCE_PERIODS = ['1d', '5d', '1mo', '3mo', '6mo', '1y', '2y', '5y', '10y', 'ytd', 'max'];
+const REQUEST_TIMEOUT_MS = parseInt(process.env.MARKET_DATA_REQUEST_TIMEOUT_MS || '30000', 10);
+
+class YFinanceProxyProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'yfinance-proxy';
+        this.baseAPIURL = options.target || process.env.API_BASE_URL;
+    }
+
+    // Every method takes options.signal (an AbortSignal) last, which cancels the request to the proxy
+    async _request(path, params, options = {}) {
+        const response = await axios.get(`${this.baseAPIURL}${path}`, { params, timeout: REQUEST_TIMEOUT_MS, signal: options.signal });
+        return response.data;
+    }
+
+    async getQuote(symbol, options = {}) {
+        const quote = await this._request(`/ticker/${symbol}/fast-info`, undefined, options);
+        if (!quote || !quote.lastPrice) {
+            throw new Error('No data found for symbol: ' + symbol);
+        }
+
+        return {
+            symbol: symbol,
+            price: quote.lastPrice,  // Current price
+            previous_close: quote.previousClose || quote.lastPrice,  // Previous close
+            change: quote.lastPrice - (quote.previousClose || quote.lastPrice),  // Change
+            changePercent: quote.previousClose ? ((quote.lastPrice - quote.previousClose) / quote.previousClose) * 100 : 0,  // Change percent
+            volume: quote.lastVolume || 0,  // Volume
+            timestamp: new Date().toISOString().split('T')[0]  // Current date
+        };
+    }
+
+    // period is a yfinance period ('1y', '5y', 'max', ...) or one of the legacy names above;
+    // options.start (YYYY-MM-DD) fetches from that date instead, for incremental updates.
+    // options.interval ('1h', '15m', ...) returns intraday bars dated with their full ISO timestamp
+    async getHistory(symbol, period = '3mo', options = {}) {
+        const interval = options.interval || '1d';
+        const params = options.start
+            ? { start: options.start, interval }
+            : { period: this._resolvePeriod(period), interval };
+        const historical = await this._request(`/ticker/${symbol}/history`, params, options);
+
+        if (!historical || !Array.isArray(historical) || historical.length === 0) {
+            throw new Error('No historical data found for symbol: ' + symbol);
+        }
+
+        // Transform data to match expected format
+        return historical
+            .filter(item => item.Close != null) // 过滤掉空数据
+            .map(item => ({
+                date: this._barDate(item.Date || item.Datetime, interval),
+                open: item.Open,
+                high: item.High,
+                low: item.Low,
+                close: item.Close,
+                volume: item.Volume
+            }))
+            .filter(item => !options.start || item.date >= options.start);
+    }
+
+    _barDate(value, interval) {
+        const iso = new Date(value).toISOString();
+        return interval === '1d' ? iso.split('T')[0] : iso; // 日线只保留日期部分
+    }
+
+    _resolvePeriod(period) {
+        if (YFINANCE_PERIODS.includes(period)) return period;
+        if (PERIOD_MAP[period]) return PERIOD_MAP[period];
+        console.warn(`Unknown history period ${period}, using 3mo`);
+        return '3mo';
+    }
+
+    async getProfile(symbol, options = {}) {
+        const info = await this._request(`/ticker/${symbol}/info`, undefined, options);
+        if (!info || !info.symbol) {
+            throw new Error('No company profile found for symbol: ' + symbol);
+        }
+
+        return {
+            symbol: info.symbol || symbol,
+            name: info.longName,
+            shortName: info.shortName || info.symbol,
+            sector: info.sector,
+            industry: info.industry,
+            description: info.longBusinessSummary,
+            marketCap: info.marketCap,
+            peRatio: info.trailingPE || info.forwardPE,
+            pbRatio: info.priceToBook,
+            dividendYield: info.dividendYield,
+            eps: info.eps || info.trailingEps,
+            beta: info.beta,
+            week52High: info.fiftyTwoWeekHigh,
+            week52Low: info.fiftyTwoWeekLow,
+            shares_outstanding: info.sharesOutstanding || info.sharesOutstanding,
+            fiftyDayAverage: info.fiftyDayAverage,
+            twoHundredDayAverage: info.twoHundredDayAverage,
+            averageDailyVolume10Day: info.averageDailyVolume10Day,
+            debtToEquity: info.debtToEquity,
+            returnOnEquity: info.returnOnEquity,
+            totalRevenue: info.totalRevenue,
+            netIncomeToCommon: info.netIncomeToCommon,
+            grossMargins: info.grossMargins,
+            operatingMargins: info.operatingMargins,
+            address1: info.address1,
+            city: info.city,
+            state: info.state,
+            zip: info.zip,
+            country: info.country,
+            phone: info.phone,
+            website: info.website,
+            fullTimeEmployees: info.fullTimeEmployees,
+            companyOfficers: info.companyOfficers || [],
+            dividendRate: info.dividendRate,
+            payoutRatio: info.payoutRatio,
+            fiveYearAvgDividendYield: info.fiveYearAvgDividendYield,
+            trailingPE: info.trailingPE,
+            forwardPE: info.forwardPE,
+            priceToSalesTrailing12Months: info.priceToSalesTrailing12Months,
+            bookValue: info.bookValue,
+            priceToBook: info.priceToBook,
+            profitMargins: info.profitMargins,
+            enterpriseValue: info.enterpriseValue,
+            enterpriseToRevenue: info.enterpriseToRevenue,
+            enterpriseToEbitda: info.enterpriseToEbitda,
+            ebitda: info.ebitda,
+            totalCash: info.totalCash,
+            totalCashPerShare: info.totalCashPerShare,
+            totalDebt: info.totalDebt,
+            quickRatio: info.quickRatio,
+            currentRatio: info.currentRatio,
+            revenuePerShare: info.revenuePerShare,
+            returnOnAssets: info.returnOnAssets,
+            grossProfits: info.grossProfits,
+            freeCashflow: info.freeCashflow,
+            operatingCashflow: info.operatingCashflow,
+            earningsGrowth: info.earningsGrowth,
+            revenueGrowth: info.revenueGrowth,
+            ebitdaMargins: info.ebitdaMargins,
+            financialCurrency: info.financialCurrency,
+            recommendationMean: info.recommendationMean,
+            recommendationKey: info.recommendationKey,
+            numberOfAnalystOpinions: info.numberOfAnalystOpinions,
+            targetHighPrice: info.targetHighPrice,
+            targetLowPrice: info.targetLowPrice,
+            targetMeanPrice: info.targetMeanPrice,
+            targetMedianPrice: info.targetMedianPrice
+        };
+    }
+
+    async getAnalystTargets(symbol, options = {}) {
+        return this._request(`/ticker/${symbol}/analyst-price-targets`, undefined, options);
+    }
+
+    // Cash dividends per share by ex-dividend date, oldest first
+    async getDividends(symbol, options = {}) {
+        const dividends = await this._request(`/ticker/${symbol}/dividends`, undefined, options);
+        return this._dateSeries(dividends, 'Dividends').map(([date, amount]) => ({ date, amount }));
+    }
+
+    // Share ratio per split date (4 for a 4:1 split), oldest first
+    async getSplits(symbol, options = {}) {
+        const splits = await this._request(`/ticker/${symbol}/splits`, undefined, options);
+        return this._dateSeries(splits, 'Stock Splits').map(([date, ratio]) => ({ date, ratio }));
+    }
+
+    // The proxy serializes a pandas series either as records or as a date -> value map
+    _dateSeries(series, valueKey) {
+        const entries = Array.isArray(series)
+            ? series.map(item => [item.Date, item[valueKey]])
+            : Object.entries(series || {});
+
+        return entries
+            .filter(([, value]) => value > 0)
+            .map(([date, value]) => [new Date(date).toISOString().split('T')[0], value])
+            .sort((a, b) => a[0].localeCompare(b[0]));
+    }
+}
+
+module.exports = YFinanceProxyProvider;
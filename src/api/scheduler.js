@@ -0,0 +1,318 @@
+const _ = require('lodash');
+const historyService = require('./historyService');
+const intradayData = require('./intradayData');
+const batchAnalysis = require('../analysis/batchAnalysis');
+const llmAnalyzer = require('../analysis/llmAnalyzer');
+const { get, all, run } = require('../database/query');
+
+const MINUTE_MS = 60 * 1000;
+// nextRun gives up after a year without a matching minute (e.g. "0 0 31 2 *")
+const MAX_LOOKAHEAD_MS = 366 * 24 * 60 * MINUTE_MS;
+
+// Five cron fields: minute hour day-of-month month day-of-week (0 or 7 = Sunday)
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const envFlag = (value) => value === 'true' || value === '1';
+const envDays = (value, fallback) => (value === undefined ? fallback : parseInt(value, 10) || null);
+
+// Empty schedules disable a job
+const JOB_DEFINITIONS = [
+    {
+        name: 'refresh_analysis',
+        description: '收盘后更新跟踪股票的行情并重新分析，可选重新生成LLM分析',
+        handler: 'refreshAndAnalyze',
+        schedule: process.env.SCHEDULE_REFRESH_ANALYSIS !== undefined ? process.env.SCHEDULE_REFRESH_ANALYSIS : '30 16 * * 1-5'
+    },
+    {
+        name: 'cleanup',
+        description: '清理过期的分析快照、日线和日内K线',
+        handler: 'cleanup',
+        schedule: process.env.SCHEDULE_CLEANUP !== undefined ? process.env.SCHEDULE_CLEANUP : '0 3 * * 0'
+    }
+];
+
+// Supports *, numbers, ranges (1-5), lists (1,15) and steps (*/15, 9-17/2)
+const parseCronField = (expression, { name, min, max }) => {
+    const values = new Set();
+    expression.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        let [start, end] = range === '*' ? [min, max] : range.split('-').map(Number);
+        if (end === undefined) end = stepText === undefined ? start : max;
+        if (![start, end, step].every(Number.isInteger) || start < min || end > max || start > end || step < 1) {
+            throw new Error(`Invalid cron ${name} field: ${expression}`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+        }
+    });
+    return { values, any: expression === '*' };
+};
+
+const parseCron = (expression) => {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error(`Invalid cron expression "${expression}": expected ${CRON_FIELDS.length} fields`);
+    }
+    return _.zipObject(CRON_FIELDS.map(field => field.name), parts.map((part, i) => parseCronField(part, CRON_FIELDS[i])));
+};
+
+class Scheduler {
+    constructor() {
+        this.timezone = process.env.SCHEDULER_TIMEZONE || 'America/New_York';
+        this.enabled = process.env.SCHEDULER_ENABLED !== 'false';
+        this.timer = null;
+        this.running = new Set();
+        this.lastTick = null;
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short'
+        });
+        this.jobs = JOB_DEFINITIONS.map(definition => this._loadJob(definition));
+    }
+
+    // Checks the schedules at the start of every minute. Jobs left running by a previous
+    // process are recorded as interrupted
+    async start(database) {
+        await run(
+            database,
+            `UPDATE scheduled_jobs SET last_status = 'interrupted' WHERE last_status = 'running'`,
+            []
+        );
+        for (const job of this.jobs) {
+            await run(
+                database,
+                `INSERT INTO scheduled_jobs (name, schedule, enabled) VALUES (?, ?, ?)
+                 ON CONFLICT(name) DO UPDATE SET schedule = excluded.schedule, enabled = excluded.enabled`,
+                [job.name, job.schedule, this.enabled && job.cron ? 1 : 0]
+            );
+        }
+        if (!this.enabled) {
+            console.log('Scheduler disabled (SCHEDULER_ENABLED=false)');
+            return;
+        }
+
+        const tick = () => this._tick(database).catch(error => console.error('Scheduler tick failed:', error.message));
+        const startTimer = setTimeout(() => {
+            tick();
+            this.timer = setInterval(tick, MINUTE_MS);
+            this.timer.unref();
+        }, MINUTE_MS - (Date.now() % MINUTE_MS) + 1000);
+        startTimer.unref();
+        this.timer = startTimer;
+        console.log(`Scheduler started (${this.timezone}): ${this.jobs.filter(job => job.cron).map(job => `${job.name} "${job.schedule}"`).join(', ') || 'no jobs scheduled'}`);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Runs a job now, whether or not it is scheduled; records status, duration and result in scheduled_jobs
+    async runJob(name, database, trigger = 'manual') {
+        const job = this.jobs.find(j => j.name === name);
+        if (!job) {
+            throw new Error(`Unknown scheduled job: ${name}. Use one of ${this.jobs.map(j => j.name).join(', ')}`);
+        }
+        if (this.running.has(name)) {
+            throw new Error(`Scheduled job ${name} is already running`);
+        }
+
+        this.running.add(name);
+        const startedAt = Date.now();
+        let status = 'success';
+        let result = null;
+        let errorMessage = null;
+        try {
+            await run(
+                database,
+                `UPDATE scheduled_jobs SET last_status = 'running', last_run_at = ?, last_trigger = ?, last_error = NULL WHERE name = ?`,
+                [new Date(startedAt).toISOString(), trigger, name]
+            );
+            console.log(`Scheduled job ${name} started (${trigger})`);
+            result = await this[job.handler](database);
+        } catch (error) {
+            status = 'failed';
+            errorMessage = error.message;
+            console.error(`Scheduled job ${name} failed:`, error.message);
+        } finally {
+            this.running.delete(name);
+        }
+
+        const duration = Date.now() - startedAt;
+        await run(
+            database,
+            `UPDATE scheduled_jobs SET last_status = ?, last_finished_at = ?, last_duration_ms = ?, last_error = ?,
+                last_result = ?, run_count = run_count + 1
+             WHERE name = ?`,
+            [status, new Date().toISOString(), duration, errorMessage, JSON.stringify(result), name]
+        );
+        console.log(`Scheduled job ${name} finished with ${status} in ${(duration / 1000).toFixed(1)}s`);
+        return this.getJobStatus(name, database);
+    }
+
+    async getStatus(database) {
+        return {
+            enabled: this.enabled,
+            timezone: this.timezone,
+            jobs: await Promise.all(this.jobs.map(job => this.getJobStatus(job.name, database)))
+        };
+    }
+
+    async getJobStatus(name, database) {
+        const job = this.jobs.find(j => j.name === name);
+        const row = await get(database, 'SELECT * FROM scheduled_jobs WHERE name = ?', [name]) || {};
+        return {
+            name: job.name,
+            description: job.description,
+            schedule: job.schedule || null,
+            scheduleError: job.scheduleError,
+            enabled: this.enabled && Boolean(job.cron),
+            running: this.running.has(name),
+            nextRunAt: this.enabled && job.cron ? this.nextRun(job.cron) : null,
+            lastRunAt: row.last_run_at || null,
+            lastFinishedAt: row.last_finished_at || null,
+            lastDurationMs: row.last_duration_ms === undefined ? null : row.last_duration_ms,
+            lastStatus: row.last_status || null,
+            lastTrigger: row.last_trigger || null,
+            lastError: row.last_error || null,
+            lastResult: JSON.parse(row.last_result || 'null'),
+            runCount: row.run_count || 0
+        };
+    }
+
+    // Date and time fields of a moment in the scheduler's timezone
+    timeParts(date) {
+        const parts = _.fromPairs(this.formatter.formatToParts(date).map(part => [part.type, part.value]));
+        return {
+            key: `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`,
+            minute: Number(parts.minute),
+            hour: Number(parts.hour),
+            dayOfMonth: Number(parts.day),
+            month: Number(parts.month),
+            dayOfWeek: WEEKDAYS[parts.weekday]
+        };
+    }
+
+    matches(cron, parts) {
+        return this.matchesDay(cron, parts) && cron.hour.values.has(parts.hour) && cron.minute.values.has(parts.minute);
+    }
+
+    // Day of month and day of week match if either does when both are restricted, as in cron
+    matchesDay(cron, parts) {
+        const dayOfMonth = cron.dayOfMonth.values.has(parts.dayOfMonth);
+        const dayOfWeek = cron.dayOfWeek.values.has(parts.dayOfWeek);
+        const day = cron.dayOfMonth.any || cron.dayOfWeek.any ? dayOfMonth && dayOfWeek : dayOfMonth || dayOfWeek;
+        return day && cron.month.values.has(parts.month);
+    }
+
+    // Skips whole days, then whole hours, that cannot match before looking at minutes. Jumps are made
+    // in local time, so a DST change only means one more step
+    nextRun(cron, from = new Date()) {
+        let time = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+        const limit = time + MAX_LOOKAHEAD_MS;
+        while (time < limit) {
+            const parts = this.timeParts(new Date(time));
+            let minutes;
+            if (!this.matchesDay(cron, parts)) {
+                minutes = 24 * 60 - (parts.hour * 60 + parts.minute);
+            } else if (!cron.hour.values.has(parts.hour)) {
+                minutes = 60 - parts.minute;
+            } else if (!cron.minute.values.has(parts.minute)) {
+                const next = _.min([...cron.minute.values].filter(minute => minute > parts.minute));
+                minutes = (next === undefined ? 60 : next) - parts.minute;
+            } else {
+                return new Date(time).toISOString();
+            }
+            time += minutes * MINUTE_MS;
+        }
+        return null;
+    }
+
+    async _tick(database) {
+        const parts = this.timeParts(new Date());
+        // A late or repeated timer must not start a job twice in the same minute
+        if (parts.key === this.lastTick) return;
+        this.lastTick = parts.key;
+
+        for (const job of this.jobs) {
+            if (job.cron && this.matches(job.cron, parts) && !this.running.has(job.name)) {
+                this.runJob(job.name, database, 'schedule').catch(error => {
+                    console.error(`Scheduled job ${job.name} could not start:`, error.message);
+                });
+            }
+        }
+    }
+
+    // Tracked symbols are SCHEDULER_UNIVERSE when set, otherwise every stock stored locally.
+    // Runs as a batch job, so progress and per-symbol errors are also visible under /api/jobs
+    async refreshAndAnalyze(database) {
+        const universe = process.env.SCHEDULER_UNIVERSE || null;
+        const symbols = universe
+            ? null
+            : (await all(database, 'SELECT symbol FROM stocks ORDER BY symbol ASC', [])).map(row => row.symbol);
+        if (!universe && symbols.length === 0) {
+            return { batchJobId: null, symbols: 0 };
+        }
+
+        const created = await batchAnalysis.createJob(database, {
+            universe,
+            symbols,
+            options: { profile: process.env.SCHEDULER_PROFILE || 'default' }
+        });
+        const job = await batchAnalysis.waitForJob(created.id, database);
+        const result = { batchJobId: job.id, symbols: job.progress.total, done: job.progress.done, failed: job.progress.failed };
+
+        if (envFlag(process.env.SCHEDULER_LLM_ANALYSIS)) {
+            result.llm = { done: 0, failed: 0 };
+            for (const item of job.items.filter(i => i.status === 'done')) {
+                try {
+                    await llmAnalyzer.generateAndSaveAnalysis(item.symbol, database);
+                    result.llm.done++;
+                } catch (error) {
+                    console.warn(`Could not regenerate LLM analysis for ${item.symbol}:`, error.message);
+                    result.llm.failed++;
+                }
+            }
+        }
+        return result;
+    }
+
+    async cleanup(database) {
+        const deleted = await historyService.cleanupOldData({
+            analysisDays: envDays(process.env.CLEANUP_ANALYSIS_RETENTION_DAYS, null),
+            priceDays: envDays(process.env.CLEANUP_PRICE_RETENTION_DAYS, null)
+        });
+        return { ...deleted, intradayPrices: _.sum(_.values(await intradayData.applyRetention(database))) };
+    }
+
+    _loadJob(definition) {
+        const job = { ...definition, cron: null, scheduleError: null };
+        if (!definition.schedule) return job;
+        try {
+            job.cron = parseCron(definition.schedule);
+        } catch (error) {
+            console.error(`Scheduled job ${definition.name} disabled:`, error.message);
+            job.scheduleError = error.message;
+        }
+        return job;
+    }
+}
+
+module.exports = new Scheduler();
+module.exports.parseCron = parseCron;
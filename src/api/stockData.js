@@ -1,84 +1,39 @@
-const axios = require('axios');
 const _ = require('lodash');
+const { MarketDataProviders } = require('./providers');
+const corporateActions = require('./corporateActions');
+
+const DEFAULT_BACKFILL_PERIOD = process.env.HISTORY_BACKFILL_PERIOD || '5y';
+// Approximate calendar days covered by each backfill period, to tell whether a stored backfill is long enough
+const BACKFILL_PERIOD_DAYS = {
+    '1mo': 31,
+    '3mo': 92,
+    '6mo': 183,
+    '1y': 366,
+    '2y': 731,
+    '5y': 1827,
+    '10y': 3653,
+    'max': Infinity
+};
 
 class StockDataAPI {
     constructor() {
-        this.baseAPIURL = process.env.API_BASE_URL;
+        this.providers = new MarketDataProviders();
     }
 
-    async getStockPrice(symbol) {
+    // options.signal (an AbortSignal) cancels the provider requests of these methods
+    async getStockPrice(symbol, options = {}) {
         try {
-            const response = await axios.get(`${this.baseAPIURL}/ticker/${symbol}/fast-info`);
-
-            const quote = response.data;
-            if (!quote || !quote.lastPrice) {
-                throw new Error('No data found for symbol: ' + symbol);
-            }
-
-            return {
-                symbol: symbol,
-                price: quote.lastPrice,  // Current price
-                previous_close: quote.previousClose || quote.lastPrice,  // Previous close
-                change: quote.lastPrice - (quote.previousClose || quote.lastPrice),  // Change
-                changePercent: quote.previousClose ? ((quote.lastPrice - quote.previousClose) / quote.previousClose) * 100 : 0,  // Change percent
-                volume: quote.lastVolume || 0,  // Volume
-                timestamp: new Date().toISOString().split('T')[0]  // Current date
-            };
+            return await this.providers.forSymbol(symbol).getQuote(symbol, options);
         } catch (error) {
             console.error('Error fetching stock price:', error.message);
             throw error;
         }
     }
 
-    async getHistoricalData(symbol, period = '3mo') {
+    // options.start fetches only the bars from that date on
+    async getHistoricalData(symbol, period = '3mo', options = {}) {
         try {
-            // 映射旧的周期到新的API周期
-            let newPeriod = '3mo';
-            switch (period) {
-                case '1day':
-                    newPeriod = '1d';
-                    break;
-                case '1week':
-                    newPeriod = '5d';
-                    break;
-                case '1month':
-                    newPeriod = '1mo';
-                    break;
-                case '3month':
-                    newPeriod = '3mo';
-                    break;
-                case 'year':
-                    newPeriod = '1y';
-                    break;
-                default:
-                    newPeriod = '3mo'; // Default to 3 months
-            }
-
-            const response = await axios.get(`${this.baseAPIURL}/ticker/${symbol}/history`, {
-                params: {
-                    period: newPeriod,
-                    interval: '1d'
-                }
-            });
-
-            const historical = response.data;
-            if (!historical || !Array.isArray(historical) || historical.length === 0) {
-                throw new Error('No historical data found for symbol: ' + symbol);
-            }
-
-            // Transform data to match expected format
-            const historicalData = historical
-                .filter(item => item.Close != null) // 过滤掉空数据
-                .map(item => ({
-                    date: new Date(item.Date).toISOString().split('T')[0], // 提取日期部分
-                    open: item.Open,
-                    high: item.High,
-                    low: item.Low,
-                    close: item.Close,
-                    volume: item.Volume
-                }));
-
-            return historicalData;
+            return await this.providers.forSymbol(symbol).getHistory(symbol, period, options);
         } catch (error) {
             console.error('Error fetching historical data:', error.message);
             // Return empty array if no historical data available
@@ -86,95 +41,25 @@ class StockDataAPI {
         }
     }
 
-    async getCompanyOverview(symbol) {
+    async getCompanyOverview(symbol, options = {}) {
         try {
-            const response = await axios.get(`${this.baseAPIURL}/ticker/${symbol}/info`);
-
-            const info = response.data;
-            if (!info || !info.symbol) {
-                throw new Error('No company profile found for symbol: ' + symbol);
-            }
+            const provider = this.providers.forSymbol(symbol);
+            const profile = await provider.getProfile(symbol, options);
 
             // 尝试获取分析师价格目标
             let analystTargetPrice = null;
             try {
-                const analystResponse = await axios.get(`${this.baseAPIURL}/ticker/${symbol}/analyst-price-targets`);
-                if (analystResponse.data && analystResponse.data.mean) {
-                    analystTargetPrice = analystResponse.data.mean;
+                const analystTargets = await provider.getAnalystTargets(symbol, options);
+                if (analystTargets && analystTargets.mean) {
+                    analystTargetPrice = analystTargets.mean;
                 }
             } catch (analystError) {
                 console.warn(`Could not fetch analyst price targets for ${symbol}:`, analystError.message);
             }
 
             return {
-                symbol: info.symbol || symbol,
-                name: info.longName,
-                shortName: info.shortName || info.symbol,
-                sector: info.sector,
-                industry: info.industry,
-                description: info.longBusinessSummary,
-                marketCap: info.marketCap,
-                peRatio: info.trailingPE || info.forwardPE,
-                pbRatio: info.priceToBook,
-                dividendYield: info.dividendYield,
-                eps: info.eps || info.trailingEps,
-                beta: info.beta,
-                week52High: info.fiftyTwoWeekHigh,
-                week52Low: info.fiftyTwoWeekLow,
-                shares_outstanding: info.sharesOutstanding || info.sharesOutstanding,
+                ...profile,
                 analystTargetPrice: analystTargetPrice,
-                fiftyDayAverage: info.fiftyDayAverage,
-                twoHundredDayAverage: info.twoHundredDayAverage,
-                averageDailyVolume10Day: info.averageDailyVolume10Day,
-                debtToEquity: info.debtToEquity,
-                returnOnEquity: info.returnOnEquity,
-                totalRevenue: info.totalRevenue,
-                netIncomeToCommon: info.netIncomeToCommon,
-                grossMargins: info.grossMargins,
-                operatingMargins: info.operatingMargins,
-                address1: info.address1,
-                city: info.city,
-                state: info.state,
-                zip: info.zip,
-                country: info.country,
-                phone: info.phone,
-                website: info.website,
-                fullTimeEmployees: info.fullTimeEmployees,
-                companyOfficers: info.companyOfficers || [],
-                dividendRate: info.dividendRate,
-                payoutRatio: info.payoutRatio,
-                fiveYearAvgDividendYield: info.fiveYearAvgDividendYield,
-                trailingPE: info.trailingPE,
-                forwardPE: info.forwardPE,
-                priceToSalesTrailing12Months: info.priceToSalesTrailing12Months,
-                bookValue: info.bookValue,
-                priceToBook: info.priceToBook,
-                profitMargins: info.profitMargins,
-                enterpriseValue: info.enterpriseValue,
-                enterpriseToRevenue: info.enterpriseToRevenue,
-                enterpriseToEbitda: info.enterpriseToEbitda,
-                ebitda: info.ebitda,
-                totalCash: info.totalCash,
-                totalCashPerShare: info.totalCashPerShare,
-                totalDebt: info.totalDebt,
-                quickRatio: info.quickRatio,
-                currentRatio: info.currentRatio,
-                revenuePerShare: info.revenuePerShare,
-                returnOnAssets: info.returnOnAssets,
-                grossProfits: info.grossProfits,
-                freeCashflow: info.freeCashflow,
-                operatingCashflow: info.operatingCashflow,
-                earningsGrowth: info.earningsGrowth,
-                revenueGrowth: info.revenueGrowth,
-                ebitdaMargins: info.ebitdaMargins,
-                financialCurrency: info.financialCurrency,
-                recommendationMean: info.recommendationMean,
-                recommendationKey: info.recommendationKey,
-                numberOfAnalystOpinions: info.numberOfAnalystOpinions,
-                targetHighPrice: info.targetHighPrice,
-                targetLowPrice: info.targetLowPrice,
-                targetMeanPrice: info.targetMeanPrice,
-                targetMedianPrice: info.targetMedianPrice,
                 // 分析师评级字段
                 analystRatingStrongBuy: null, // 可以从分析师评级数据获取
                 analystRatingBuy: null, // 可以从分析师评级数据获取
@@ -188,23 +73,24 @@ class StockDataAPI {
         }
     }
 
-    async getStockData(symbol, database) {
+    async getStockData(symbol, database, options = {}) {
         try {
-            return await this.getLocalStockData(symbol, database);
+            return await this.getLocalStockData(symbol, database, options);
         } catch (error) {
             console.error('Error fetching comprehensive stock data from local DB:', error.message);
             throw error;
         }
     }
 
-    async _fetchRemoteStockData(symbol) {
+    // history: { period } for a backfill or { start } for an incremental update
+    async _fetchRemoteStockData(symbol, history = {}, options = {}) {
         try {
-            const currentPrice = await this.getStockPrice(symbol);
-            const overview = await this.getCompanyOverview(symbol);
+            const currentPrice = await this.getStockPrice(symbol, options);
+            const overview = await this.getCompanyOverview(symbol, options);
             
             let historicalData = [];
             try {
-                historicalData = await this.getHistoricalData(symbol);
+                historicalData = await this.getHistoricalData(symbol, history.period, { start: history.start, signal: options.signal });
             } catch (histError) {
                 console.warn(`Could not fetch historical data for ${symbol}:`, histError.message);
                 historicalData = [];
@@ -223,7 +109,8 @@ class StockDataAPI {
         }
     }
 
-    async getLocalStockData(symbol, database) {
+    // options.adjustment: 'raw', 'split' or 'total' (see corporateActions)
+    async getLocalStockData(symbol, database, options = {}) {
         const db = database;
         if (!db) {
             throw new Error('Database connection is not provided.');
@@ -305,7 +192,8 @@ class StockDataAPI {
 
         const currentPrice = await this.getLatestPriceFromDB(symbol, database);
         
-        const historicalData = await new Promise((resolve, reject) => {
+        const adjustment = corporateActions.resolveAdjustment(options.adjustment);
+        const rawHistoricalData = await new Promise((resolve, reject) => {
             db.all('SELECT * FROM daily_prices WHERE stock_symbol = ? ORDER BY date DESC LIMIT 200', [symbol], (err, rows) => {
                 if (err) return reject(err);
                 resolve(rows.map(item => ({
@@ -318,23 +206,48 @@ class StockDataAPI {
                 })).reverse()); // Reverse to have oldest first
             });
         });
+        const historicalData = await corporateActions.adjustBars(symbol, database, rawHistoricalData, adjustment);
 
         return {
             symbol,
             currentPrice,
             historicalData,
+            adjustment,
             overview,
             lastUpdated: overview.updated_at || new Date().toISOString()
         };
     }
 
-    async updateStockData(symbol, database) {
+    // Backfills options.backfill (default HISTORY_BACKFILL_PERIOD) when the stored history does not cover it yet;
+    // otherwise only fetches from the last stored date, which is re-fetched in case it was saved mid-session.
+    // Aborting options.signal (an AbortSignal) cancels the provider requests, and nothing is saved after it
+    async updateStockData(symbol, database, options = {}) {
         try {
-            const stockData = await this._fetchRemoteStockData(symbol);
+            const backfillPeriod = options.backfill || DEFAULT_BACKFILL_PERIOD;
+            if (!BACKFILL_PERIOD_DAYS[backfillPeriod]) {
+                throw new Error(`Unknown backfill period: ${backfillPeriod}. Use one of ${Object.keys(BACKFILL_PERIOD_DAYS).join(', ')}`);
+            }
 
+            const state = await this._getHistoryState(symbol, database);
+            const needsBackfill = options.backfill || !state.lastDate
+                || !BACKFILL_PERIOD_DAYS[state.backfillPeriod]
+                || BACKFILL_PERIOD_DAYS[state.backfillPeriod] < BACKFILL_PERIOD_DAYS[backfillPeriod];
+            const stockData = await this._fetchRemoteStockData(
+                symbol,
+                needsBackfill ? { period: backfillPeriod } : { start: state.lastDate },
+                { signal: options.signal }
+            );
+
+            if (options.signal) {
+                options.signal.throwIfAborted();
+            }
             await this.saveStockToDatabase(stockData, database);
+            if (needsBackfill && stockData.historicalData.length > 0) {
+                await this._setBackfillPeriod(symbol, backfillPeriod, database);
+            }
+            await this.updateCorporateActions(symbol, database, { signal: options.signal });
 
-            console.log(`Successfully updated data for ${symbol}`);
+            console.log(`Successfully updated data for ${symbol} (${needsBackfill ? `${backfillPeriod} backfill` : `since ${state.lastDate}`}, ${stockData.historicalData.length} bars)`);
             return stockData;
         } catch (error) {
             console.error(`Error updating stock data for ${symbol}:`, error.message);
@@ -342,6 +255,30 @@ class StockDataAPI {
         }
     }
 
+    async _getHistoryState(symbol, database) {
+        return new Promise((resolve, reject) => {
+            database.get(
+                `SELECT
+                    (SELECT MAX(date) FROM daily_prices WHERE stock_symbol = ?) AS last_date,
+                    (SELECT history_backfill_period FROM stocks WHERE symbol = ?) AS backfill_period`,
+                [symbol, symbol],
+                (err, row) => {
+                    if (err) return reject(err);
+                    resolve({ lastDate: row.last_date, backfillPeriod: row.backfill_period });
+                }
+            );
+        });
+    }
+
+    async _setBackfillPeriod(symbol, period, database) {
+        return new Promise((resolve, reject) => {
+            database.run('UPDATE stocks SET history_backfill_period = ? WHERE symbol = ?', [period, symbol], (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    }
+
     async getLatestPriceFromDB(symbol, database) {
         return new Promise((resolve, reject) => {
             const db = database;
@@ -378,14 +315,49 @@ class StockDataAPI {
 
     async getAnalystPriceTargets(symbol) {
         try {
-            const response = await axios.get(`${this.baseAPIURL}/ticker/${symbol}/analyst-price-targets`);
-            return response.data;
+            return await this.providers.forSymbol(symbol).getAnalystTargets(symbol);
         } catch (error) {
             console.error('Error fetching analyst price targets:', error.message);
             throw error;
         }
     }
 
+    async getDividends(symbol, options = {}) {
+        try {
+            return await this.providers.forSymbol(symbol).getDividends(symbol, options);
+        } catch (error) {
+            console.error('Error fetching dividends:', error.message);
+            throw error;
+        }
+    }
+
+    async getSplits(symbol, options = {}) {
+        try {
+            return await this.providers.forSymbol(symbol).getSplits(symbol, options);
+        } catch (error) {
+            console.error('Error fetching splits:', error.message);
+            throw error;
+        }
+    }
+
+    // Not every provider serves splits and dividends, so a failed fetch only skips that action type
+    async updateCorporateActions(symbol, database, options = {}) {
+        const counts = {};
+        try {
+            const splits = await this.getSplits(symbol, options);
+            counts.splits = await corporateActions.saveActions(symbol, 'split', splits.map(s => ({ date: s.date, value: s.ratio })), database);
+        } catch (error) {
+            console.warn(`Could not update splits for ${symbol}:`, error.message);
+        }
+        try {
+            const dividends = await this.getDividends(symbol, options);
+            counts.dividends = await corporateActions.saveActions(symbol, 'dividend', dividends.map(d => ({ date: d.date, value: d.amount })), database);
+        } catch (error) {
+            console.warn(`Could not update dividends for ${symbol}:`, error.message);
+        }
+        return counts;
+    }
+
     async saveStockToDatabase(stockData, database) {
         const { symbol, currentPrice, historicalData, overview } = stockData;
         const db = database;
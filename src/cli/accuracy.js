@@ -0,0 +1,46 @@
+require('dotenv').config();
+const { db, initialize, close } = require('../database/init');
+const accuracyTracker = require('../analysis/accuracyTracker');
+
+// Usage: npm run accuracy -- [SYMBOL] [--horizons 5,20,60]
+const args = process.argv.slice(2);
+const horizonsIndex = args.indexOf('--horizons');
+const horizons = horizonsIndex !== -1
+    ? args[horizonsIndex + 1].split(',').map(h => parseInt(h)).filter(h => h > 0)
+    : undefined;
+const symbol = args.find((arg, index) => !arg.startsWith('--') && (horizonsIndex === -1 || index !== horizonsIndex + 1));
+
+const formatPercent = (value) => (value === null || value === undefined ? 'N/A' : `${(value * 100).toFixed(1)}%`);
+
+initialize(async (err) => {
+    if (err) {
+        process.exit(1);
+        return;
+    }
+
+    try {
+        const report = symbol
+            ? await accuracyTracker.evaluateSymbol(symbol.toUpperCase(), db, horizons)
+            : await accuracyTracker.evaluateAll(db, horizons);
+
+        console.log(`\nTarget price accuracy for ${symbol ? symbol.toUpperCase() : `${report.symbols} symbols`}`);
+        report.horizons.forEach(summary => {
+            if (!summary.evaluated) {
+                console.log(`  ${summary.horizon}d: not enough realized prices yet`);
+                return;
+            }
+            console.log(`  ${summary.horizon}d: n=${summary.evaluated} hit rate=${formatPercent(summary.hitRate)} ` +
+                `MAE=${summary.meanAbsoluteError.toFixed(2)} MAPE=${summary.meanAbsolutePercentError.toFixed(2)}% ` +
+                `ECE=${summary.calibration.expectedCalibrationError.toFixed(3)} calibrated=${summary.calibration.calibrated}`);
+            Object.keys(summary.directional).forEach(action => {
+                const stats = summary.directional[action];
+                console.log(`      ${action}: ${stats.correct}/${stats.count} (${formatPercent(stats.accuracy)})`);
+            });
+        });
+    } catch (error) {
+        console.error('Accuracy report failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        close();
+    }
+});
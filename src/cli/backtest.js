@@ -0,0 +1,77 @@
+require('dotenv').config();
+const { db, initialize, close } = require('../database/init');
+const backtester = require('../analysis/backtester');
+
+// Usage: npm run backtest -- SYMBOL [--start 2023-01-01] [--end 2024-12-31] [--capital 10000]
+//        [--commission-rate 0.001] [--commission-fixed 0] [--slippage-bps 5] [--lookback 200]
+//        [--profile conservative] [--json]
+const OPTION_FLAGS = {
+    '--start': 'startDate',
+    '--end': 'endDate',
+    '--capital': 'initialCapital',
+    '--commission-rate': 'commissionRate',
+    '--commission-fixed': 'commissionFixed',
+    '--slippage-bps': 'slippageBps',
+    '--lookback': 'lookback',
+    '--profile': 'profile'
+};
+
+const args = process.argv.slice(2);
+const options = {};
+let symbol = null;
+let printJson = false;
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--json') {
+        printJson = true;
+    } else if (OPTION_FLAGS[arg]) {
+        const key = OPTION_FLAGS[arg];
+        const value = args[++i];
+        options[key] = key.endsWith('Date') || key === 'profile' ? value : parseFloat(value);
+    } else if (!arg.startsWith('--')) {
+        symbol = arg.toUpperCase();
+    }
+}
+
+if (!symbol) {
+    console.error('Usage: npm run backtest -- SYMBOL [--start YYYY-MM-DD] [--end YYYY-MM-DD] [--capital N] ' +
+        '[--commission-rate R] [--commission-fixed N] [--slippage-bps N] [--lookback N] [--profile NAME] [--json]');
+    process.exit(1);
+}
+
+const format = (value, digits = 2, suffix = '') => (value === null || value === undefined ? 'N/A' : `${value.toFixed(digits)}${suffix}`);
+
+initialize(async (err) => {
+    if (err) {
+        process.exit(1);
+        return;
+    }
+
+    try {
+        const result = await backtester.run(symbol, db, options);
+
+        if (printJson) {
+            console.log(JSON.stringify(result, null, 2));
+            return;
+        }
+
+        const { metrics, benchmark, period, trades } = result;
+        console.log(`\nBacktest ${symbol} ${period.start} -> ${period.end} (${period.bars} bars, profile ${result.options.profile})`);
+        console.log(`  Strategy:     return ${format(metrics.totalReturn, 2, '%')}  CAGR ${format(metrics.cagr, 2, '%')}  ` +
+            `Sharpe ${format(metrics.sharpe)}  max drawdown ${format(metrics.maxDrawdown, 2, '%')}`);
+        console.log(`  Buy and hold: return ${format(benchmark.totalReturn, 2, '%')}  CAGR ${format(benchmark.cagr, 2, '%')}  ` +
+            `Sharpe ${format(benchmark.sharpe)}  max drawdown ${format(benchmark.maxDrawdown, 2, '%')}`);
+        console.log(`  Trades: ${metrics.trades}  win rate ${metrics.winRate === null ? 'N/A' : format(metrics.winRate * 100, 1, '%')}  ` +
+            `exposure ${format(metrics.exposure * 100, 1, '%')}`);
+        trades.forEach(trade => {
+            console.log(`    ${trade.entryDate} @ ${format(trade.entryPrice)} -> ${trade.exitDate || 'open'} @ ${format(trade.exitPrice)}  ` +
+                `${trade.shares} shares  P&L ${format(trade.pnl)} (${format(trade.returnPercent, 2, '%')})`);
+        });
+    } catch (error) {
+        console.error('Backtest failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        close();
+    }
+});
@@ -17,101 +17,203 @@ const db = new sqlite3.Database(dbPath, (err) => {
     }
 });
 
-// Function to run migrations
-const migrateDatabase = (callback) => {
-    db.all('PRAGMA table_info(stocks)', (err, columns) => {
+// price_analysis keeps one row per analysis run (append-only snapshots)
+const PRICE_ANALYSIS_TABLE = `CREATE TABLE IF NOT EXISTS price_analysis (
+            id INTEGER PRIMARY KEY,
+            stock_symbol TEXT NOT NULL,
+            analysis_date DATE NOT NULL,
+            target_price REAL,
+            confidence_score REAL,
+            analysis_method TEXT,
+            price_range_low REAL,
+            price_range_high REAL,
+            technical_indicators TEXT,
+            target_breakdown TEXT,
+            recommendation_action TEXT,
+            recommendation TEXT,
+            analyst_data TEXT,
+            model_profile TEXT,
+            indicators TEXT,
+            candlestick_patterns TEXT,
+            current_price REAL,
+            price_change REAL,
+            price_change_percent REAL,
+            volume INTEGER,
+            bar_interval TEXT,
+            timeframe_alignment TEXT,
+            market_regime TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`;
+
+const LEGACY_PRICE_ANALYSIS_COLUMNS = [
+    'id', 'stock_symbol', 'analysis_date', 'target_price', 'confidence_score', 'analysis_method',
+    'price_range_low', 'price_range_high', 'technical_indicators', 'current_price', 'price_change',
+    'price_change_percent', 'volume', 'created_at'
+];
+
+const runQueriesInOrder = (queries, callback) => {
+    const runQuery = (index) => {
+        if (index >= queries.length) {
+            return callback(null);
+        }
+        db.run(queries[index], (err) => {
+            if (err) {
+                console.error(`Error running migration: ${queries[index]}`, err.message);
+                return callback(err);
+            }
+            runQuery(index + 1);
+        });
+    };
+    runQuery(0);
+};
+
+// Older databases declared stock_symbol UNIQUE and upserted a single row per symbol.
+// Rebuild the table without the constraint, keeping the existing rows as the first snapshots.
+// The rebuild runs in one transaction, so a failed copy leaves the old table as it was.
+const migratePriceAnalysis = (callback) => {
+    db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'price_analysis'`, (err, row) => {
+        if (err) {
+            console.error('Error reading price_analysis schema:', err.message);
+            return callback(err);
+        }
+
+        const queries = [];
+        const rebuild = Boolean(row && /stock_symbol\s+TEXT\s+NOT\s+NULL\s+UNIQUE/i.test(row.sql));
+        if (rebuild) {
+            const columns = LEGACY_PRICE_ANALYSIS_COLUMNS.join(', ');
+            queries.push(
+                'BEGIN',
+                'ALTER TABLE price_analysis RENAME TO price_analysis_legacy',
+                PRICE_ANALYSIS_TABLE,
+                `INSERT INTO price_analysis (${columns}) SELECT ${columns} FROM price_analysis_legacy`,
+                'DROP TABLE price_analysis_legacy',
+                'COMMIT'
+            );
+        }
+        queries.push('CREATE INDEX IF NOT EXISTS idx_price_analysis_symbol_date ON price_analysis (stock_symbol, analysis_date)');
+
+        runQueriesInOrder(queries, (migrationErr) => {
+            if (migrationErr && rebuild) {
+                return db.run('ROLLBACK', () => callback(migrationErr));
+            }
+            if (migrationErr) return callback(migrationErr);
+            if (rebuild) {
+                console.log('Migrated price_analysis to append-only snapshots.');
+            }
+            callback(null);
+        });
+    });
+};
+
+// Columns added to existing tables after their first release
+const STOCKS_COLUMNS = {
+    'description': 'TEXT',
+    'market_cap': 'INTEGER',
+    'pe_ratio': 'REAL',
+    'pb_ratio': 'REAL',
+    'dividend_yield': 'REAL',
+    'eps': 'REAL',
+    'beta': 'REAL',
+    'week_52_high': 'REAL',
+    'week_52_low': 'REAL',
+    'shares_outstanding': 'INTEGER',
+    'fifty_day_average': 'REAL',
+    'two_hundred_day_average': 'REAL',
+    'average_daily_volume_10day': 'INTEGER',
+    'debt_to_equity': 'REAL',
+    'return_on_equity': 'REAL',
+    'total_revenue': 'INTEGER',
+    'net_income_to_common': 'INTEGER',
+    'gross_margins': 'REAL',
+    'operating_margins': 'REAL',
+    'address1': 'TEXT',
+    'city': 'TEXT',
+    'state': 'TEXT',
+    'zip': 'TEXT',
+    'country': 'TEXT',
+    'phone': 'TEXT',
+    'website': 'TEXT',
+    'full_time_employees': 'INTEGER',
+    'company_officers': 'TEXT',
+    'dividend_rate': 'REAL',
+    'payout_ratio': 'REAL',
+    'five_year_avg_dividend_yield': 'REAL',
+    'trailing_pe': 'REAL',
+    'forward_pe': 'REAL',
+    'price_to_sales_trailing_12months': 'REAL',
+    'book_value': 'REAL',
+    'price_to_book': 'REAL',
+    'profit_margins': 'REAL',
+    'enterprise_value': 'INTEGER',
+    'enterprise_to_revenue': 'REAL',
+    'enterprise_to_ebitda': 'REAL',
+    'ebitda': 'INTEGER',
+    'total_cash': 'INTEGER',
+    'total_cash_per_share': 'REAL',
+    'total_debt': 'INTEGER',
+    'quick_ratio': 'REAL',
+    'current_ratio': 'REAL',
+    'revenue_per_share': 'REAL',
+    'return_on_assets': 'REAL',
+    'gross_profits': 'INTEGER',
+    'free_cashflow': 'INTEGER',
+    'operating_cashflow': 'INTEGER',
+    'earnings_growth': 'REAL',
+    'revenue_growth': 'REAL',
+    'ebitda_margins': 'REAL',
+    'financial_currency': 'TEXT',
+    'recommendation_mean': 'REAL',
+    'recommendation_key': 'TEXT',
+    'number_of_analyst_opinions': 'INTEGER',
+    'target_high_price': 'REAL',
+    'target_low_price': 'REAL',
+    'target_mean_price': 'REAL',
+    'target_median_price': 'REAL',
+    'history_backfill_period': 'TEXT'
+};
+
+const PRICE_ANALYSIS_COLUMNS = {
+    'model_profile': 'TEXT',
+    'indicators': 'TEXT',
+    'candlestick_patterns': 'TEXT',
+    'bar_interval': 'TEXT',
+    'timeframe_alignment': 'TEXT',
+    'market_regime': 'TEXT'
+};
+
+const addMissingColumns = (table, newColumns, callback) => {
+    db.all(`PRAGMA table_info(${table})`, (err, columns) => {
         if (err) {
             console.error('Error getting table info:', err.message);
             return callback(err);
         }
 
         const existingColumns = columns.map(c => c.name);
-        const newColumns = {
-            'description': 'TEXT',
-            'market_cap': 'INTEGER',
-            'pe_ratio': 'REAL',
-            'pb_ratio': 'REAL',
-            'dividend_yield': 'REAL',
-            'eps': 'REAL',
-            'beta': 'REAL',
-            'week_52_high': 'REAL',
-            'week_52_low': 'REAL',
-            'shares_outstanding': 'INTEGER',
-            'fifty_day_average': 'REAL',
-            'two_hundred_day_average': 'REAL',
-            'average_daily_volume_10day': 'INTEGER',
-            'debt_to_equity': 'REAL',
-            'return_on_equity': 'REAL',
-            'total_revenue': 'INTEGER',
-            'net_income_to_common': 'INTEGER',
-            'gross_margins': 'REAL',
-            'operating_margins': 'REAL',
-            'address1': 'TEXT',
-            'city': 'TEXT',
-            'state': 'TEXT',
-            'zip': 'TEXT',
-            'country': 'TEXT',
-            'phone': 'TEXT',
-            'website': 'TEXT',
-            'full_time_employees': 'INTEGER',
-            'company_officers': 'TEXT',
-            'dividend_rate': 'REAL',
-            'payout_ratio': 'REAL',
-            'five_year_avg_dividend_yield': 'REAL',
-            'trailing_pe': 'REAL',
-            'forward_pe': 'REAL',
-            'price_to_sales_trailing_12months': 'REAL',
-            'book_value': 'REAL',
-            'price_to_book': 'REAL',
-            'profit_margins': 'REAL',
-            'enterprise_value': 'INTEGER',
-            'enterprise_to_revenue': 'REAL',
-            'enterprise_to_ebitda': 'REAL',
-            'ebitda': 'INTEGER',
-            'total_cash': 'INTEGER',
-            'total_cash_per_share': 'REAL',
-            'total_debt': 'INTEGER',
-            'quick_ratio': 'REAL',
-            'current_ratio': 'REAL',
-            'revenue_per_share': 'REAL',
-            'return_on_assets': 'REAL',
-            'gross_profits': 'INTEGER',
-            'free_cashflow': 'INTEGER',
-            'operating_cashflow': 'INTEGER',
-            'earnings_growth': 'REAL',
-            'revenue_growth': 'REAL',
-            'ebitda_margins': 'REAL',
-            'financial_currency': 'TEXT',
-            'recommendation_mean': 'REAL',
-            'recommendation_key': 'TEXT',
-            'number_of_analyst_opinions': 'INTEGER',
-            'target_high_price': 'REAL',
-            'target_low_price': 'REAL',
-            'target_mean_price': 'REAL',
-            'target_median_price': 'REAL'
-        };
-
         const columnsToAdd = Object.keys(newColumns).filter(name => !existingColumns.includes(name));
 
         if (columnsToAdd.length === 0) {
-            console.log('Database schema is up to date.');
             return callback(null);
         }
 
-        const migrationQueries = columnsToAdd.map(name => `ALTER TABLE stocks ADD COLUMN ${name} ${newColumns[name]}`);
-        
-        let completedMigrations = 0;
-        migrationQueries.forEach(query => {
-            db.run(query, (err) => {
-                if (err) {
-                    console.error(`Error running migration: ${query}`, err.message);
-                    return callback(err);
-                }
-                completedMigrations++;
-                if (completedMigrations === migrationQueries.length) {
-                    console.log('Database migration completed successfully.');
-                    callback(null);
-                }
+        const migrationQueries = columnsToAdd.map(name => `ALTER TABLE ${table} ADD COLUMN ${name} ${newColumns[name]}`);
+        runQueriesInOrder(migrationQueries, (migrationErr) => {
+            if (migrationErr) return callback(migrationErr);
+            console.log(`Added columns to ${table}: ${columnsToAdd.join(', ')}`);
+            callback(null);
+        });
+    });
+};
+
+// Function to run migrations
+const migrateDatabase = (callback) => {
+    addMissingColumns('stocks', STOCKS_COLUMNS, (err) => {
+        if (err) return callback(err);
+        migratePriceAnalysis((priceAnalysisErr) => {
+            if (priceAnalysisErr) return callback(priceAnalysisErr);
+            addMissingColumns('price_analysis', PRICE_ANALYSIS_COLUMNS, (columnsErr) => {
+                if (columnsErr) return callback(columnsErr);
+                console.log('Database schema is up to date.');
+                callback(null);
             });
         });
     });
@@ -141,6 +243,20 @@ const initializeDatabase = (callback) => {
             PRIMARY KEY (stock_symbol, date)
         )`,
 
+        // timestamp is the bar open as an ISO-8601 UTC string
+        `CREATE TABLE IF NOT EXISTS intraday_prices (
+            stock_symbol TEXT NOT NULL,
+            interval TEXT NOT NULL,
+            timestamp TEXT NOT NULL,
+            open_price REAL,
+            high_price REAL,
+            low_price REAL,
+            close_price REAL,
+            volume INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (stock_symbol, interval, timestamp)
+        )`,
+
         `CREATE TABLE IF NOT EXISTS latest_prices (
             stock_symbol TEXT PRIMARY KEY,
             current_price REAL,
@@ -151,21 +267,97 @@ const initializeDatabase = (callback) => {
             last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
         )`,
 
-        `CREATE TABLE IF NOT EXISTS price_analysis (
+        PRICE_ANALYSIS_TABLE,
+
+        `CREATE TABLE IF NOT EXISTS model_profiles (
+            name TEXT PRIMARY KEY,
+            description TEXT,
+            config TEXT NOT NULL,
+            is_builtin INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS corporate_actions (
+            stock_symbol TEXT NOT NULL,
+            action_date DATE NOT NULL,
+            action_type TEXT NOT NULL,
+            value REAL NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (stock_symbol, action_date, action_type)
+        )`,
+
+        // Last successful upstream fetch per action type, so that an empty history is not refetched
+        `CREATE TABLE IF NOT EXISTS corporate_action_fetches (
+            stock_symbol TEXT NOT NULL,
+            action_type TEXT NOT NULL,
+            fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (stock_symbol, action_type)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS peer_sets (
+            name TEXT PRIMARY KEY,
+            description TEXT,
+            symbols TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        // criteria holds the screen's filters and sort order as JSON
+        `CREATE TABLE IF NOT EXISTS saved_screens (
+            name TEXT PRIMARY KEY,
+            description TEXT,
+            criteria TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS universes (
+            name TEXT PRIMARY KEY,
+            description TEXT,
+            symbols TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS batch_jobs (
             id INTEGER PRIMARY KEY,
-            stock_symbol TEXT NOT NULL UNIQUE,
-            analysis_date DATE NOT NULL,
+            universe TEXT,
+            options TEXT,
+            status TEXT NOT NULL,
+            total INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            started_at DATETIME,
+            finished_at DATETIME
+        )`,
+
+        // One row per symbol of a batch job; status is pending, running, done or failed
+        `CREATE TABLE IF NOT EXISTS batch_job_items (
+            job_id INTEGER NOT NULL,
+            symbol TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            status TEXT NOT NULL,
+            error TEXT,
+            snapshot_id INTEGER,
             target_price REAL,
-            confidence_score REAL,
-            analysis_method TEXT,
-            price_range_low REAL,
-            price_range_high REAL,
-            technical_indicators TEXT,
-            current_price REAL,
-            price_change REAL,
-            price_change_percent REAL,
-            volume INTEGER,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            started_at DATETIME,
+            finished_at DATETIME,
+            PRIMARY KEY (job_id, symbol)
+        )`,
+
+        // Last run of each in-process scheduled job; last_result is a JSON summary
+        `CREATE TABLE IF NOT EXISTS scheduled_jobs (
+            name TEXT PRIMARY KEY,
+            schedule TEXT,
+            enabled INTEGER DEFAULT 1,
+            last_run_at DATETIME,
+            last_finished_at DATETIME,
+            last_duration_ms INTEGER,
+            last_status TEXT,
+            last_trigger TEXT,
+            last_error TEXT,
+            last_result TEXT,
+            run_count INTEGER DEFAULT 0
         )`,
 
         `CREATE TABLE IF NOT EXISTS llm_analysis (
@@ -0,0 +1,31 @@
+// Promise wrappers around the sqlite3 callback API
+
+function get(database, query, params = []) {
+    return new Promise((resolve, reject) => {
+        database.get(query, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+}
+
+function all(database, query, params = []) {
+    return new Promise((resolve, reject) => {
+        database.all(query, params, (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows);
+        });
+    });
+}
+
+// Resolves with the statement's { changes, lastID }
+function run(database, query, params = []) {
+    return new Promise((resolve, reject) => {
+        database.run(query, params, function (err) {
+            if (err) return reject(err);
+            resolve({ changes: this.changes, lastID: this.lastID });
+        });
+    });
+}
+
+module.exports = { get, all, run };
@@ -4,9 +4,24 @@ const cors = require('cors');
 const path = require('path');
 const { db, initialize, close } = require('./database/init');
 const stockAPI = require('./api/stockData');
+const intradayData = require('./api/intradayData');
+const corporateActions = require('./api/corporateActions');
 const analysisEngine = require('./analysis/priceAnalyzer');
 const historyService = require('./api/historyService');
 const llmAnalyzer = require('./analysis/llmAnalyzer');
+const accuracyTracker = require('./analysis/accuracyTracker');
+const backtester = require('./analysis/backtester');
+const riskMetrics = require('./analysis/riskMetrics');
+const relativeStrength = require('./analysis/relativeStrength');
+const monteCarlo = require('./analysis/monteCarlo');
+const dcfValuation = require('./analysis/dcfValuation');
+const relativeValuation = require('./analysis/relativeValuation');
+const dividendAnalysis = require('./analysis/dividendAnalysis');
+const screener = require('./analysis/screener');
+const batchAnalysis = require('./analysis/batchAnalysis');
+const scheduler = require('./api/scheduler');
+const modelProfiles = require('./analysis/modelProfiles');
+const { listIndicators, parseIndicatorSpecs } = require('./analysis/indicators');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,6 +39,15 @@ function initializeServer() {
         }
 
         historyService.setDatabase(db);
+        modelProfiles.seedBuiltinProfiles(db).catch(seedError => {
+            console.error('Failed to seed model profiles:', seedError.message);
+        });
+        batchAnalysis.markInterruptedJobs(db).catch(jobsError => {
+            console.error('Failed to mark interrupted batch jobs:', jobsError.message);
+        });
+        scheduler.start(db).catch(schedulerError => {
+            console.error('Failed to start scheduler:', schedulerError.message);
+        });
 
         console.log('Stock Price Analyzer server initialized');
 
@@ -37,20 +61,32 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-app.get('/api/stock/:symbol', async (req, res) => {
+// Answers an unknown ?adjustment= with a 400 before any prices are read
+function checkAdjustment(req, res, next) {
+    if (req.query.adjustment) {
+        try {
+            corporateActions.resolveAdjustment(req.query.adjustment);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+    }
+    next();
+}
+
+app.get('/api/stock/:symbol', checkAdjustment, async (req, res) => {
     const { symbol } = req.params;
     try {
         let stockData;
         try {
             // 1. Try to get data from local DB
-            stockData = await stockAPI.getStockData(symbol, db);
+            stockData = await stockAPI.getStockData(symbol, db, { adjustment: req.query.adjustment });
         } catch (error) {
             // 2. If not found, fetch from remote and save
             if (error.message.includes('Stock not found in local database')) {
                 console.log(`Cache miss for ${symbol}. Fetching from remote API.`);
                 await stockAPI.updateStockData(symbol, db);
                 // 3. Try again to get data from local DB
-                stockData = await stockAPI.getStockData(symbol, db);
+                stockData = await stockAPI.getStockData(symbol, db, { adjustment: req.query.adjustment });
             } else {
                 // Re-throw other errors
                 throw error;
@@ -62,26 +98,121 @@ app.get('/api/stock/:symbol', async (req, res) => {
     }
 });
 
-app.get('/api/analysis/:symbol', async (req, res) => {
+// Answers an unknown ?profile= with a 404 before the analysis starts
+async function checkProfile(req, res, next) {
+    if (req.query.profile) {
+        try {
+            await modelProfiles.getProfile(req.query.profile, db);
+        } catch (error) {
+            return res.status(404).json({ error: error.message });
+        }
+    }
+    next();
+}
+
+app.get('/api/analysis/:symbol', checkProfile, checkAdjustment, async (req, res) => {
+    if (req.query.indicators) {
+        try {
+            parseIndicatorSpecs(req.query.indicators);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+    }
+
     try {
         const { symbol } = req.params;
-        const analysis = await analysisEngine.analyzeStock(symbol, db);
+        const analysis = await analysisEngine.analyzeStock(symbol, db, {
+            profile: req.query.profile,
+            indicators: req.query.indicators,
+            adjustment: req.query.adjustment,
+            interval: req.query.interval,
+            benchmark: req.query.benchmark
+        });
         res.json(analysis);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+app.get('/api/indicators', (req, res) => {
+    res.json(listIndicators());
+});
+
+app.get('/api/profiles', async (req, res) => {
+    try {
+        const profiles = await modelProfiles.listProfiles(db);
+        res.json(profiles);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/profiles/:name', async (req, res) => {
+    try {
+        const profile = await modelProfiles.getProfile(req.params.name, db);
+        res.json(profile);
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+app.put('/api/profiles/:name', async (req, res) => {
+    try {
+        const { description, ...config } = req.body;
+        const profile = await modelProfiles.saveProfile(req.params.name, description, config, db);
+        res.json(profile);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/profiles/:name', async (req, res) => {
+    try {
+        await modelProfiles.deleteProfile(req.params.name, db);
+        res.json({ deleted: req.params.name });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
 app.post('/api/stock/:symbol/refresh', async (req, res) => {
     try {
         const { symbol } = req.params;
-        await stockAPI.updateStockData(symbol, db);
+        await stockAPI.updateStockData(symbol, db, { backfill: req.query.backfill });
         res.json({ message: 'Stock data refreshed successfully' });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+app.get('/api/intraday/:symbol', checkAdjustment, async (req, res) => {
+    try {
+        const { symbol } = req.params;
+        const { interval = '1h', start, end, limit, adjustment } = req.query;
+        if (!intradayData.INTERVALS[interval]) {
+            return res.status(400).json({ error: `Unknown intraday interval: ${interval}` });
+        }
+        const bars = await intradayData.getIntradayBars(symbol, interval, db, { start, end, adjustment });
+        res.json(limit ? bars.slice(-parseInt(limit)) : bars);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/intraday/:symbol/refresh', async (req, res) => {
+    try {
+        const { symbol } = req.params;
+        const { interval = '1h' } = req.query;
+        if (!intradayData.INTERVALS[interval]) {
+            return res.status(400).json({ error: `Unknown intraday interval: ${interval}` });
+        }
+        const result = await intradayData.updateIntradayData(symbol, interval, db);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.get('/api/history/:symbol', async (req, res) => {
     try {
         const { symbol } = req.params;
@@ -93,15 +224,16 @@ app.get('/api/history/:symbol', async (req, res) => {
     }
 });
 
-app.get('/api/history/:symbol/prices', async (req, res) => {
+app.get('/api/history/:symbol/prices', checkAdjustment, async (req, res) => {
     try {
         const { symbol } = req.params;
-        const { startDate, endDate, limit = 100 } = req.query;
+        const { startDate, endDate, limit = 100, adjustment } = req.query;
         const priceHistory = await historyService.getStockPriceHistory(
             symbol,
             startDate,
             endDate,
-            parseInt(limit)
+            parseInt(limit),
+            adjustment
         );
         res.json(priceHistory);
     } catch (error) {
@@ -109,6 +241,55 @@ app.get('/api/history/:symbol/prices', async (req, res) => {
     }
 });
 
+app.get('/api/history/:symbol/timeline', async (req, res) => {
+    try {
+        const { symbol } = req.params;
+        const { startDate, endDate } = req.query;
+        const timeline = await historyService.getTargetPriceTimeline(symbol, startDate, endDate);
+        res.json(timeline);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/history/:symbol/diff', async (req, res) => {
+    const { from, to } = req.query;
+    const isId = (value) => /^\d+$/.test(value);
+    if ((from !== undefined || to !== undefined) && !(isId(from) && isId(to))) {
+        return res.status(400).json({ error: 'Both from and to must be snapshot ids, or neither to compare the latest two' });
+    }
+
+    try {
+        const { symbol } = req.params;
+        const diff = await historyService.compareAnalysisSnapshots(
+            symbol,
+            from ? parseInt(from) : null,
+            to ? parseInt(to) : null
+        );
+        if (diff) {
+            res.json(diff);
+        } else {
+            res.status(404).json({ message: 'Not enough analysis snapshots to compare.' });
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/history/:symbol/snapshots/:id', async (req, res) => {
+    try {
+        const { symbol, id } = req.params;
+        const snapshot = await historyService.getAnalysisSnapshot(symbol, parseInt(id));
+        if (snapshot) {
+            res.json(snapshot);
+        } else {
+            res.status(404).json({ message: 'Analysis snapshot not found.' });
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.get('/api/performance/:symbol', async (req, res) => {
     try {
         const { symbol } = req.params;
@@ -120,6 +301,385 @@ app.get('/api/performance/:symbol', async (req, res) => {
     }
 });
 
+// Optional numeric query parameter: undefined when absent; anything else must be a finite number in range
+const parseQueryNumber = (query, name, { integer = false, min = -Infinity, max = Infinity } = {}) => {
+    const raw = query[name];
+    if (raw === undefined || raw === '') return undefined;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+        const range = Number.isFinite(max) ? ` between ${min} and ${max}` : Number.isFinite(min) ? ` of at least ${min}` : '';
+        throw new Error(`${name} must be ${integer ? 'a whole number' : 'a number'}${range}`);
+    }
+    return value;
+};
+
+// "5,20,60" -> [5, 20, 60]; undefined falls back to the tracker's default horizons
+const parseHorizons = (value) => {
+    if (!value) return undefined;
+    const horizons = String(value).split(',').map(h => parseInt(h)).filter(h => h > 0);
+    return horizons.length > 0 ? horizons : undefined;
+};
+
+app.get('/api/accuracy', checkAdjustment, async (req, res) => {
+    try {
+        const report = await accuracyTracker.evaluateAll(db, parseHorizons(req.query.horizons), req.query.adjustment);
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/accuracy/:symbol', checkAdjustment, async (req, res) => {
+    try {
+        const { symbol } = req.params;
+        const report = await accuracyTracker.evaluateSymbol(symbol, db, parseHorizons(req.query.horizons), req.query.adjustment);
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/backtest/:symbol', checkProfile, checkAdjustment, async (req, res) => {
+    try {
+        const { symbol } = req.params;
+        const { startDate, endDate, initialCapital, commissionRate, commissionFixed, slippageBps, lookback, profile, adjustment } = req.query;
+        const toNumber = (value) => (value === undefined ? undefined : parseFloat(value));
+        const result = await backtester.run(symbol, db, {
+            startDate,
+            endDate,
+            initialCapital: toNumber(initialCapital),
+            commissionRate: toNumber(commissionRate),
+            commissionFixed: toNumber(commissionFixed),
+            slippageBps: toNumber(slippageBps),
+            lookback: lookback ? parseInt(lookback) : undefined,
+            profile,
+            adjustment
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/risk/:symbol', checkAdjustment, async (req, res) => {
+    try {
+        const { symbol } = req.params;
+        const { benchmark, startDate, endDate, window, riskFreeRate, adjustment } = req.query;
+        const result = await riskMetrics.analyze(symbol, db, {
+            benchmark,
+            startDate,
+            endDate,
+            adjustment,
+            rollingWindow: window ? parseInt(window) : undefined,
+            riskFreeRate: riskFreeRate === undefined ? undefined : parseFloat(riskFreeRate)
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/relative-strength/:symbol', checkAdjustment, async (req, res) => {
+    try {
+        const { symbol } = req.params;
+        const { benchmark, window, adjustment } = req.query;
+        const result = await relativeStrength.analyze(symbol, db, {
+            benchmark,
+            adjustment,
+            correlationWindow: window ? parseInt(window) : undefined
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Forward price distribution; the target defaults to the latest analysis snapshot
+app.get('/api/simulation/:symbol', checkAdjustment, async (req, res) => {
+    const { method, horizons, adjustment } = req.query;
+    let options;
+    try {
+        if (method !== undefined && !monteCarlo.METHODS.includes(method)) {
+            throw new Error(`Unknown simulation method: ${method}. Available: ${monteCarlo.METHODS.join(', ')}`);
+        }
+        const horizonList = horizons ? String(horizons).split(',').map(h => Number(h)) : undefined;
+        if (horizonList && horizonList.some(h => !Number.isInteger(h) || h < 1 || h > monteCarlo.MAX_HORIZON)) {
+            throw new Error(`Horizons must be whole numbers of trading days between 1 and ${monteCarlo.MAX_HORIZON}`);
+        }
+        options = {
+            method,
+            horizons: horizonList,
+            paths: parseQueryNumber(req.query, 'paths', { integer: true, min: monteCarlo.MIN_PATHS, max: monteCarlo.MAX_PATHS }),
+            lookback: parseQueryNumber(req.query, 'lookback', { integer: true, min: 20 }),
+            seed: parseQueryNumber(req.query, 'seed', { integer: true, min: 0 }),
+            targetPrice: parseQueryNumber(req.query, 'target', { min: 0 })
+        };
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const { symbol } = req.params;
+        const stockData = await analysisEngine.getStockPricesFromDB(symbol, db, adjustment);
+        if (stockData.length === 0) {
+            return res.status(404).json({ error: `No price history for ${symbol}` });
+        }
+
+        if (options.targetPrice === undefined) {
+            const [latest] = await historyService.getAnalysisHistory(symbol, 1);
+            options.targetPrice = latest ? latest.targetPrice : null;
+        }
+
+        const result = monteCarlo.simulate(stockData, options);
+        res.json({ symbol, ...result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DCF intrinsic value, blended with the technical target of the latest analysis snapshot
+app.get('/api/valuation/:symbol', async (req, res) => {
+    let assumptions;
+    let weight;
+    try {
+        assumptions = {
+            riskFreeRate: parseQueryNumber(req.query, 'riskFreeRate'),
+            equityRiskPremium: parseQueryNumber(req.query, 'equityRiskPremium'),
+            beta: parseQueryNumber(req.query, 'beta'),
+            costOfDebt: parseQueryNumber(req.query, 'costOfDebt', { min: 0 }),
+            taxRate: parseQueryNumber(req.query, 'taxRate', { min: 0, max: 1 }),
+            terminalGrowth: parseQueryNumber(req.query, 'terminalGrowth'),
+            stages: req.query.stages ? dcfValuation.parseStages(req.query.stages) : undefined
+        };
+        weight = parseQueryNumber(req.query, 'weight', { min: 0, max: 1 });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const { symbol } = req.params;
+        const stockData = await stockAPI.getLocalStockData(symbol, db);
+        const valuation = dcfValuation.value(stockData.overview, assumptions);
+
+        const [latest] = await historyService.getAnalysisHistory(symbol, 1);
+        const currentPrice = stockData.currentPrice ? stockData.currentPrice.price : null;
+        res.json({
+            ...valuation,
+            currentPrice,
+            upside: currentPrice ? (valuation.intrinsicValue / currentPrice - 1) * 100 : null,
+            blend: dcfValuation.blend(valuation, latest ? latest.targetPrice : null, currentPrice, weight)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Comparables: ?peers=A,B,C for an ad hoc list, ?peerSet=name for a saved one, otherwise the industry
+app.get('/api/relative-valuation/:symbol', async (req, res) => {
+    try {
+        const { symbol } = req.params;
+        const { peers, peerSet } = req.query;
+        const result = await relativeValuation.analyze(symbol, db, {
+            peers: peers ? peers.split(',').map(s => s.trim()).filter(Boolean) : undefined,
+            peerSet
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/peer-sets', async (req, res) => {
+    try {
+        res.json(await relativeValuation.listPeerSets(db));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/peer-sets/:name', async (req, res) => {
+    try {
+        const { description, symbols } = req.body;
+        const peerSet = await relativeValuation.savePeerSet(req.params.name, description, symbols, db);
+        res.json(peerSet);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/peer-sets/:name', async (req, res) => {
+    try {
+        await relativeValuation.deletePeerSet(req.params.name, db);
+        res.json({ deleted: req.params.name });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Body: { filters, sort, order, page, pageSize, adjustment }, or { screen: name } to run a saved screen
+// (filters/sort/order given alongside override the saved ones)
+app.post('/api/screener', async (req, res) => {
+    const { screen, filters, sort, order, page, pageSize, adjustment } = req.body || {};
+    let criteria;
+    try {
+        if (adjustment) {
+            corporateActions.resolveAdjustment(adjustment);
+        }
+        const saved = screen ? (await screener.getScreen(screen, db)).criteria : {};
+        criteria = screener.normalizeCriteria({
+            filters: filters || saved.filters,
+            sort: sort || saved.sort,
+            order: order || saved.order
+        });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        res.json(await screener.screen(db, criteria, { page, pageSize, adjustment }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/screens', async (req, res) => {
+    try {
+        res.json(await screener.listScreens(db));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/screens/:name', async (req, res) => {
+    try {
+        const { description, criteria } = req.body;
+        res.json(await screener.saveScreen(req.params.name, description, criteria, db));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/screens/:name', async (req, res) => {
+    try {
+        await screener.deleteScreen(req.params.name, db);
+        res.json({ deleted: req.params.name });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+app.get('/api/universes', async (req, res) => {
+    try {
+        res.json(await batchAnalysis.listUniverses(db));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// symbols may be an array or a comma/newline separated string
+app.put('/api/universes/:name', async (req, res) => {
+    try {
+        const { description, symbols } = req.body;
+        res.json(await batchAnalysis.saveUniverse(req.params.name, description, symbols, db));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/universes/:name', async (req, res) => {
+    try {
+        await batchAnalysis.deleteUniverse(req.params.name, db);
+        res.json({ deleted: req.params.name });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Body: { universe } or { symbols }, plus { options: { profile, adjustment, concurrency, timeoutMs, skipUpdate } }.
+// Responds right away; poll GET /api/jobs/:id for progress
+app.post('/api/jobs', async (req, res) => {
+    try {
+        res.status(202).json(await batchAnalysis.createJob(db, req.body || {}));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/jobs', async (req, res) => {
+    try {
+        res.json(await batchAnalysis.listJobs(db, parseInt(req.query.limit, 10) || 20));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+    try {
+        res.json(await batchAnalysis.getJob(req.params.id, db));
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+app.post('/api/jobs/:id/resume', async (req, res) => {
+    try {
+        res.status(202).json(await batchAnalysis.resumeJob(req.params.id, db, {
+            retryFailed: req.query.retryFailed !== 'false'
+        }));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+    try {
+        res.json(await batchAnalysis.cancelJob(req.params.id, db));
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+app.get('/api/admin/scheduler', async (req, res) => {
+    try {
+        res.json(await scheduler.getStatus(db));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Starts a scheduled job now; responds when it has started, poll the status endpoint for the result
+app.post('/api/admin/scheduler/:name/run', async (req, res) => {
+    const { name } = req.params;
+    if (!scheduler.jobs.some(job => job.name === name)) {
+        return res.status(404).json({ error: `Unknown scheduled job: ${name}` });
+    }
+    if (scheduler.running.has(name)) {
+        return res.status(409).json({ error: `Scheduled job ${name} is already running` });
+    }
+    scheduler.runJob(name, db).catch(error => console.error(`Scheduled job ${name} failed:`, error.message));
+    res.status(202).json({ started: name });
+});
+
+app.get('/api/dividends/:symbol', async (req, res) => {
+    let highGrowth;
+    try {
+        highGrowth = parseQueryNumber(req.query, 'highGrowth');
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const { symbol } = req.params;
+        const result = await dividendAnalysis.analyze(symbol, db, {
+            refresh: req.query.refresh === 'true',
+            highGrowth
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.get('/api/llm-analysis/:symbol', async (req, res) => {
     try {
         const { symbol } = req.params;
@@ -144,12 +704,25 @@ app.post('/api/llm-analysis/:symbol/refresh', async (req, res) => {
     }
 });
 
-app.get('/api/llm-analysis/:symbol/prompt', async (req, res) => {
+app.get('/api/llm-analysis/:symbol/prompt', checkProfile, checkAdjustment, async (req, res) => {
+    if (req.query.indicators) {
+        try {
+            parseIndicatorSpecs(req.query.indicators);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+    }
+
     try {
         const { symbol } = req.params;
-        const stockData = await stockAPI.getStockData(symbol, db);
-        const analysis = await analysisEngine.analyzeStock(symbol, db);
-        const prices = await llmAnalyzer._getRecentPrices(symbol, db, 30);
+        const { adjustment } = req.query;
+        const stockData = await stockAPI.getStockData(symbol, db, { adjustment });
+        const analysis = await analysisEngine.analyzeStock(symbol, db, {
+            profile: req.query.profile,
+            indicators: req.query.indicators,
+            adjustment
+        });
+        const prices = await llmAnalyzer._getRecentPrices(symbol, db, 30, adjustment);
         
         // Generate the prompt using the public method from the LLM analyzer
         const prompt = llmAnalyzer.generatePrompt(stockData.overview, analysis, prices);
@@ -1,9 +1,10 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
-import { CssBaseline, AppBar, Toolbar, Typography, Container } from '@mui/material';
+import { CssBaseline, AppBar, Toolbar, Typography, Container, Button } from '@mui/material';
 import HomePage from './pages/HomePage';
 import StockAnalysis from './pages/StockAnalysis';
+import Screener from './pages/Screener';
 import './App.css';
 
 const theme = createTheme({
@@ -28,6 +29,9 @@ function App() {
             <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
               📈 股票目标价分析器
             </Typography>
+            <Button color="inherit" component={Link} to="/screener">
+              股票筛选
+            </Button>
           </Toolbar>
         </AppBar>
 
@@ -35,6 +39,7 @@ function App() {
           <Routes>
             <Route path="/" element={<HomePage />} />
             <Route path="/analysis/:symbol" element={<StockAnalysis />} />
+            <Route path="/screener" element={<Screener />} />
           </Routes>
         </Container>
       </Router>
@@ -11,7 +11,12 @@ import {
   ListItem,
   ListItemText,
   Tooltip,
-  Grid
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
 } from '@mui/material';
 import TrendingUpIcon from '@mui/icons-material/TrendingUp';
 import TrendingDownIcon from '@mui/icons-material/TrendingDown';
@@ -38,6 +43,54 @@ const getVolatilityText = (level) => {
   return volatilityMap[level] || level;
 };
 
+const formatVolatility = (value) => (value ? `${(value * 100).toFixed(1)}%` : 'N/A');
+
+const getVolatilityDetail = (volatility) => {
+  if (!volatility.estimators) {
+    return '年化波动率分析';
+  }
+  const { estimators } = volatility;
+  const percentile = volatility.percentile !== null && volatility.percentile !== undefined
+    ? `，处于自身历史 ${volatility.percentile.toFixed(0)}% 分位`
+    : '';
+  return `${volatility.forecastHorizon}日${volatility.model.toUpperCase()}预测 ${formatVolatility(volatility.annualizedVolatility)}${percentile}；`
+    + `收盘价 ${formatVolatility(estimators.closeToClose)} · EWMA ${formatVolatility(estimators.ewma)} · `
+    + `Parkinson ${formatVolatility(estimators.parkinson)} · Garman-Klass ${formatVolatility(estimators.garmanKlass)}`;
+};
+
+const timeframeLabels = { daily: '日线', weekly: '周线', monthly: '月线' };
+
+const regimeBehaviorLabels = { trending: '趋势市', mean_reverting: '均值回归', mixed: '无明显特征' };
+const regimeVolatilityLabels = { high: '高波动', normal: '正常波动', low: '低波动' };
+
+const getRegimeText = (regime) =>
+  `${regimeBehaviorLabels[regime.behavior] || regime.behavior} · ${regimeVolatilityLabels[regime.volatility] || regime.volatility}`;
+
+const getRegimeDetail = (regime) =>
+  `Hurst ${typeof regime.hurst === 'number' ? regime.hurst.toFixed(2) : 'N/A'}，ADX ${typeof regime.adx === 'number' ? regime.adx.toFixed(1) : 'N/A'}`;
+
+const alignmentLabels = {
+  bullish: { label: '多周期同向看涨', color: 'success' },
+  bearish: { label: '多周期同向看跌', color: 'error' },
+  conflicting: { label: '周期趋势相互矛盾', color: 'warning' },
+  mixed: { label: '周期信号不一致', color: 'default' }
+};
+
+const signalLabels = {
+  trend: { uptrend: '上升趋势', downtrend: '下降趋势', sideways: '横盘' },
+  sma: { above_sma: '位于SMA20上方', below_sma: '位于SMA20下方' },
+  rsi: { overbought: 'RSI超买', oversold: 'RSI超卖', neutral: 'RSI中性' },
+  macd: { bullish: 'MACD多头', bearish: 'MACD空头', neutral: 'MACD中性' }
+};
+
+const biasColors = { bullish: 'success', bearish: 'error', neutral: 'default' };
+
+const rsPeriodLabels = { '1m': '1个月', '3m': '3个月', '6m': '6个月', '12m': '12个月' };
+
+const formatPercent = (value) => (value === null || value === undefined ? 'N/A' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`);
+
+const getSignalText = (signal) => (signalLabels[signal.indicator] || {})[signal.state] || `${signal.indicator} ${signal.state}`;
+
 const AnalysisResultsPanel = ({ analysis }) => {
   if (!analysis) {
     return <Typography color="text.secondary">暂无分析数据</Typography>;
@@ -118,6 +171,14 @@ const AnalysisResultsPanel = ({ analysis }) => {
                 <InfoOutlinedIcon fontSize="inherit" sx={{ ml: 0.5 }} />
               </Box>
             </Tooltip>
+            {analysis.modelProfile && (
+              <Chip
+                label={`模型: ${analysis.modelProfile}`}
+                size="small"
+                variant="outlined"
+                sx={{ ml: 'auto' }}
+              />
+            )}
           </Box>
           <Typography variant="h5" color="primary">
             ${analysis.targetPrice.toFixed(2)}
@@ -340,7 +401,110 @@ const AnalysisResultsPanel = ({ analysis }) => {
         </Card>
       )}
 
-      
+      {analysis.timeframeAlignment && (
+        <Card variant="outlined" sx={{ mb: 2 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+              <Typography variant="subtitle2" color="text.secondary">
+                多周期共振
+              </Typography>
+              <Chip
+                label={(alignmentLabels[analysis.timeframeAlignment.alignment] || alignmentLabels.mixed).label}
+                color={(alignmentLabels[analysis.timeframeAlignment.alignment] || alignmentLabels.mixed).color}
+                size="small"
+              />
+            </Box>
+            {Object.keys(timeframeLabels).map(timeframe => {
+              const result = analysis.timeframeAlignment.timeframes[timeframe];
+              if (!result) return null;
+              return (
+                <Box key={timeframe} sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5, mb: 1 }}>
+                  <Typography variant="body2" sx={{ minWidth: 40 }}>
+                    <strong>{timeframeLabels[timeframe]}</strong>
+                  </Typography>
+                  {result.signals.length === 0 ? (
+                    <Typography variant="caption" color="text.secondary">数据不足（{result.bars} 根K线）</Typography>
+                  ) : result.signals.map(signal => (
+                    <Chip
+                      key={signal.indicator}
+                      label={getSignalText(signal)}
+                      color={biasColors[signal.bias]}
+                      variant="outlined"
+                      size="small"
+                    />
+                  ))}
+                </Box>
+              );
+            })}
+            {analysis.timeframeAlignment.conflicts.length > 0 && (
+              <Typography variant="caption" color="text.secondary" display="block">
+                与整体方向相反：{analysis.timeframeAlignment.conflicts
+                  .map(signal => `${timeframeLabels[signal.timeframe]}${getSignalText(signal)}`)
+                  .join('、')}
+              </Typography>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {analysis.relativeStrength && (
+        <Card variant="outlined" sx={{ mb: 2 }}>
+          <CardContent>
+            <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+              相对强度（对比 {analysis.relativeStrength.benchmark}）
+            </Typography>
+            {analysis.relativeStrength.error ? (
+              <Typography variant="body2" color="text.secondary">{analysis.relativeStrength.error}</Typography>
+            ) : (
+              <>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>周期</TableCell>
+                      <TableCell align="right">本股</TableCell>
+                      <TableCell align="right">基准</TableCell>
+                      <TableCell align="right">超额</TableCell>
+                      <TableCell align="right">RS排名</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {Object.keys(rsPeriodLabels).map(period => {
+                      const result = analysis.relativeStrength.periods[period];
+                      return (
+                        <TableRow key={period}>
+                          <TableCell>{rsPeriodLabels[period]}</TableCell>
+                          <TableCell align="right">{formatPercent(result.stockReturn)}</TableCell>
+                          <TableCell align="right">{formatPercent(result.benchmarkReturn)}</TableCell>
+                          <TableCell
+                            align="right"
+                            sx={{ color: result.excessReturn === null ? 'inherit' : result.excessReturn >= 0 ? 'success.main' : 'error.main' }}
+                          >
+                            {formatPercent(result.excessReturn)}
+                          </TableCell>
+                          <TableCell align="right">
+                            {result.rank === null ? 'N/A' : `${result.rank}（${result.universe}只）`}
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+                <Typography variant="body2" sx={{ mt: 1 }}>
+                  {analysis.relativeStrength.correlation.window}日滚动相关系数: <strong>
+                    {analysis.relativeStrength.correlation.latest === null ? 'N/A' : analysis.relativeStrength.correlation.latest.toFixed(2)}
+                  </strong>
+                  {analysis.relativeStrength.correlation.full !== null && (
+                    <> · 全样本: {analysis.relativeStrength.correlation.full.toFixed(2)}</>
+                  )}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  RS排名为该周期涨幅在本地已保存股票中的排名（1–99，越高越强）
+                </Typography>
+              </>
+            )}
+          </CardContent>
+        </Card>
+      )}
 
       <Card variant="outlined">
         <CardContent>
@@ -378,7 +542,17 @@ const AnalysisResultsPanel = ({ analysis }) => {
                   <ListItem disablePadding>
                     <ListItemText
                       primary={`波动性: ${getVolatilityText(analysis.calculations.volatility.currentLevel)}`}
-                      secondary="年化波动率分析"
+                      secondary={getVolatilityDetail(analysis.calculations.volatility)}
+                    />
+                  </ListItem>
+                )}
+                {analysis.marketRegime && analysis.marketRegime.stock && (
+                  <ListItem disablePadding>
+                    <ListItemText
+                      primary={`市场状态: ${getRegimeText(analysis.marketRegime.stock)}`}
+                      secondary={`${getRegimeDetail(analysis.marketRegime.stock)}${analysis.marketRegime.benchmark
+                        ? `；基准 ${analysis.marketRegime.benchmark.symbol}: ${getRegimeText(analysis.marketRegime.benchmark)}`
+                        : ''}`}
                     />
                   </ListItem>
                 )}
@@ -0,0 +1,151 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  Chip,
+  Divider,
+  LinearProgress
+} from '@mui/material';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+
+const formatPrice = (value) => (value === null || value === undefined ? 'N/A' : `$${value.toFixed(2)}`);
+const formatRate = (value) => (value === null || value === undefined ? 'N/A' : `${(value * 100).toFixed(2)}%`);
+const formatYield = (value) => (value === null || value === undefined ? 'N/A' : `${value.toFixed(2)}%`);
+const formatUpside = (value) => (value === null || value === undefined ? '' : ` (${value >= 0 ? '+' : ''}${value.toFixed(1)}%)`);
+
+const yieldSignals = {
+  undervalued: { label: '股息率高于5年均值', color: 'success' },
+  overvalued: { label: '股息率低于5年均值', color: 'error' },
+  neutral: { label: '股息率接近5年均值', color: 'default' },
+  unknown: { label: '无5年均值数据', color: 'default' }
+};
+
+const sustainabilityColors = { high: 'success', medium: 'warning', low: 'error' };
+const sustainabilityLabels = { high: '高', medium: '中等', low: '低' };
+
+const factorLabels = {
+  payout_ratio: '派息率',
+  fcf_coverage: '自由现金流覆盖倍数',
+  recent_cuts: '近5年减派次数'
+};
+
+const formatFactor = (factor) => {
+  if (factor.value === null || factor.value === undefined) return 'N/A';
+  if (factor.factor === 'payout_ratio') return formatRate(factor.value);
+  if (factor.factor === 'fcf_coverage') return `${factor.value.toFixed(2)}x`;
+  return factor.value;
+};
+
+const DividendPanel = ({ dividends }) => {
+  if (!dividends) {
+    return <Typography color="text.secondary">暂无分红数据</Typography>;
+  }
+  if (!dividends.paysDividend) {
+    return <Typography color="text.secondary">该股票目前不派发股息</Typography>;
+  }
+
+  const { growth, sustainability, yieldSignal, ddm } = dividends;
+  const signal = yieldSignals[yieldSignal.signal] || yieldSignals.unknown;
+
+  return (
+    <Box>
+      <Grid container spacing={1}>
+        <Grid item xs={6}>
+          <Typography variant="body2"><strong>年度股息:</strong> {formatPrice(dividends.annualDividend)}</Typography>
+        </Grid>
+        <Grid item xs={6}>
+          <Typography variant="body2"><strong>股息率:</strong> {formatYield(dividends.currentYield)}</Typography>
+        </Grid>
+        <Grid item xs={6}>
+          <Typography variant="body2"><strong>5年平均股息率:</strong> {formatYield(yieldSignal.fiveYearAverage)}</Typography>
+        </Grid>
+        <Grid item xs={6}>
+          <Typography variant="body2"><strong>连续增长:</strong> {dividends.consecutiveIncreases} 年</Typography>
+        </Grid>
+        <Grid item xs={12}>
+          <Chip label={signal.label} color={signal.color} size="small" />
+        </Grid>
+      </Grid>
+
+      <Divider sx={{ my: 2 }} />
+
+      <Typography variant="subtitle2" color="primary" sx={{ fontWeight: 'bold', mb: 1 }}>
+        股息增长率（年复合）
+      </Typography>
+      <Grid container spacing={1}>
+        {Object.keys(growth).map(period => (
+          <Grid item xs={3} key={period}>
+            <Typography variant="body2"><strong>{period.replace('y', '年')}:</strong> {formatRate(growth[period])}</Typography>
+          </Grid>
+        ))}
+      </Grid>
+
+      <Divider sx={{ my: 2 }} />
+
+      <Typography variant="subtitle2" color="primary" sx={{ fontWeight: 'bold', mb: 1 }}>
+        可持续性: {sustainabilityLabels[sustainability.level]} ({sustainability.score}/100)
+      </Typography>
+      <LinearProgress
+        variant="determinate"
+        value={sustainability.score}
+        color={sustainabilityColors[sustainability.level]}
+        sx={{ mb: 1 }}
+      />
+      {sustainability.factors.map(factor => (
+        <Typography variant="body2" key={factor.factor}>
+          {factorLabels[factor.factor]}: {formatFactor(factor)}（{factor.points} 分）
+        </Typography>
+      ))}
+
+      <Divider sx={{ my: 2 }} />
+
+      <Typography variant="subtitle2" color="primary" sx={{ fontWeight: 'bold', mb: 1 }}>
+        股息折现模型 (DDM)
+      </Typography>
+      {ddm.error ? (
+        <Typography variant="body2" color="text.secondary">{ddm.error}</Typography>
+      ) : (
+        <>
+          <Typography variant="body2">
+            <strong>戈登增长模型:</strong> {formatPrice(ddm.gordon)}{formatUpside(ddm.gordonUpside)}
+          </Typography>
+          <Typography variant="body2">
+            <strong>多阶段模型:</strong> {formatPrice(ddm.multiStage)}{formatUpside(ddm.multiStageUpside)}
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            要求回报率 {formatRate(ddm.requiredReturn)}，前5年增长 {formatRate(ddm.highGrowth)} 后逐步过渡到永续增长 {formatRate(ddm.stableGrowth)}
+          </Typography>
+        </>
+      )}
+
+      {dividends.annualTotals.length > 0 && (
+        <>
+          <Divider sx={{ my: 2 }} />
+          <Typography variant="subtitle2" color="primary" sx={{ fontWeight: 'bold', mb: 1 }}>
+            历年股息
+          </Typography>
+          <ResponsiveContainer width="100%" height={180}>
+            <BarChart data={dividends.annualTotals} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+              <YAxis tick={{ fontSize: 11 }} tickFormatter={(value) => `$${value.toFixed(2)}`} />
+              <Tooltip formatter={(value) => formatPrice(value)} />
+              <Bar dataKey="total" name="年度股息" fill="#1976d2" />
+            </BarChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default DividendPanel;
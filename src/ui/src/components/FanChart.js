@@ -0,0 +1,139 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts';
+
+// Trading days of history drawn before the simulated bands
+const HISTORY_BARS = 120;
+
+const formatPrice = (value) => (value === null || value === undefined ? 'N/A' : `$${value.toFixed(2)}`);
+const formatProbability = (value) => (value === null || value === undefined ? 'N/A' : `${(value * 100).toFixed(1)}%`);
+
+const buildChartData = (history, simulation) => {
+  const past = (history || [])
+    .slice(-HISTORY_BARS)
+    .filter(item => item.date < simulation.startDate)
+    .map(item => ({ date: item.date, close: item.close }));
+
+  // Band at day 0 collapses onto the last close so the fan starts from the price line
+  const future = simulation.bands.map(band => ({
+    date: band.date,
+    close: band.day === 0 ? simulation.startPrice : undefined,
+    outer: [band.p5, band.p95],
+    inner: [band.p25, band.p75],
+    median: band.p50
+  }));
+
+  return [...past, ...future];
+};
+
+const FanTooltip = ({ active, payload, label }) => {
+  if (!active || !payload || !payload.length) return null;
+  const point = payload[0].payload;
+  return (
+    <Box sx={{ bgcolor: 'background.paper', border: '1px solid #ccc', p: 1 }}>
+      <Typography variant="body2"><strong>{label}</strong></Typography>
+      {point.close !== undefined && (
+        <Typography variant="body2">收盘价: {formatPrice(point.close)}</Typography>
+      )}
+      {point.outer && (
+        <>
+          <Typography variant="body2">中位数: {formatPrice(point.median)}</Typography>
+          <Typography variant="body2">25%-75%: {formatPrice(point.inner[0])} - {formatPrice(point.inner[1])}</Typography>
+          <Typography variant="body2">5%-95%: {formatPrice(point.outer[0])} - {formatPrice(point.outer[1])}</Typography>
+        </>
+      )}
+    </Box>
+  );
+};
+
+const FanChart = ({ history, simulation }) => {
+  if (!simulation) {
+    return <Typography color="text.secondary">暂无模拟数据</Typography>;
+  }
+
+  const data = buildChartData(history, simulation);
+
+  return (
+    <Box>
+      <Typography variant="caption" color="text.secondary">
+        {simulation.method === 'gbm' ? '几何布朗运动' : '历史收益重抽样'} · {simulation.paths} 条路径 ·
+        基于 {simulation.lookback} 个交易日：年化漂移 {simulation.annualizedDrift.toFixed(2)}%，年化波动率 {simulation.annualizedVolatility.toFixed(2)}%
+      </Typography>
+
+      <ResponsiveContainer width="100%" height={360}>
+        <ComposedChart data={data} margin={{ top: 10, right: 20, left: 0, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="date" tick={{ fontSize: 11 }} minTickGap={30} />
+          <YAxis domain={['auto', 'auto']} tickFormatter={(value) => `$${value.toFixed(0)}`} />
+          <Tooltip content={<FanTooltip />} />
+          <Legend />
+          <Area type="monotone" dataKey="outer" name="5%-95%" stroke="none" fill="#90caf9" fillOpacity={0.35} />
+          <Area type="monotone" dataKey="inner" name="25%-75%" stroke="none" fill="#1976d2" fillOpacity={0.35} />
+          <Line type="monotone" dataKey="median" name="中位数" stroke="#0d47a1" strokeDasharray="4 4" dot={false} />
+          <Line type="monotone" dataKey="close" name="收盘价" stroke="#424242" dot={false} connectNulls={false} />
+          <ReferenceLine x={simulation.startDate} stroke="#9e9e9e" />
+          {simulation.targetPrice && (
+            <ReferenceLine
+              y={simulation.targetPrice}
+              stroke="#2e7d32"
+              strokeDasharray="6 3"
+              label={{ value: `目标价 ${formatPrice(simulation.targetPrice)}`, position: 'insideTopLeft', fontSize: 11 }}
+            />
+          )}
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      <Table size="small" sx={{ mt: 1 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>周期</TableCell>
+            <TableCell align="right">5%</TableCell>
+            <TableCell align="right">25%</TableCell>
+            <TableCell align="right">50%</TableCell>
+            <TableCell align="right">75%</TableCell>
+            <TableCell align="right">95%</TableCell>
+            <TableCell align="right">上涨概率</TableCell>
+            <TableCell align="right">触及目标价</TableCell>
+            <TableCell align="right">到期仍达目标价</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {simulation.horizons.map(horizon => (
+            <TableRow key={horizon.days}>
+              <TableCell>{horizon.days} 天 ({horizon.date})</TableCell>
+              <TableCell align="right">{formatPrice(horizon.percentiles.p5)}</TableCell>
+              <TableCell align="right">{formatPrice(horizon.percentiles.p25)}</TableCell>
+              <TableCell align="right">{formatPrice(horizon.percentiles.p50)}</TableCell>
+              <TableCell align="right">{formatPrice(horizon.percentiles.p75)}</TableCell>
+              <TableCell align="right">{formatPrice(horizon.percentiles.p95)}</TableCell>
+              <TableCell align="right">{formatProbability(horizon.probabilityUp)}</TableCell>
+              <TableCell align="right">{formatProbability(horizon.probabilityReachTarget)}</TableCell>
+              <TableCell align="right">{formatProbability(horizon.probabilityBeyondTarget)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+export default FanChart;
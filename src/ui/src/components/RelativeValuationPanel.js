@@ -0,0 +1,117 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+
+const formatPrice = (value) => (value === null || value === undefined ? 'N/A' : `$${value.toFixed(2)}`);
+const formatMultiple = (value) => (value === null || value === undefined ? 'N/A' : `${value.toFixed(2)}x`);
+
+const peerGroupText = (peerGroup) => {
+  switch (peerGroup.type) {
+    case 'custom': return '自定义可比公司';
+    case 'peer_set': return `可比组合: ${peerGroup.name}`;
+    case 'sector': return `同板块: ${peerGroup.name}`;
+    default: return peerGroup.name ? `同行业: ${peerGroup.name}` : '无行业信息';
+  }
+};
+
+// Low percentile = cheaper than most peers on that multiple
+const percentileColor = (value) => {
+  if (value === null || value === undefined) return 'inherit';
+  if (value <= 33) return 'success';
+  if (value >= 67) return 'error';
+  return 'warning';
+};
+
+const RelativeValuationPanel = ({ valuation }) => {
+  if (!valuation) {
+    return <Typography color="text.secondary">暂无可比估值数据</Typography>;
+  }
+
+  const { peerGroup, peers, multiples } = valuation;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 2, mb: 1 }}>
+        <Typography variant="h6">
+          {formatPrice(valuation.fairValue)}
+        </Typography>
+        {valuation.upside !== null && (
+          <Typography
+            variant="body2"
+            sx={{ color: valuation.upside >= 0 ? 'success.main' : 'error.main' }}
+          >
+            相对现价 {valuation.upside.toFixed(2)}%
+          </Typography>
+        )}
+      </Box>
+      <Typography variant="caption" color="text.secondary" display="block">
+        可比公允价值取各倍数隐含价格的中位数 · {peerGroupText(peerGroup)}（{peers.length} 家）
+      </Typography>
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, my: 1 }}>
+        {peers.map(peer => (
+          <Chip key={peer.symbol} label={peer.symbol} size="small" title={peer.name} />
+        ))}
+        {(peerGroup.missing || []).map(symbol => (
+          <Chip key={symbol} label={`${symbol} (无本地数据)`} size="small" variant="outlined" />
+        ))}
+      </Box>
+
+      {peers.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          本地数据库中没有可比公司，请先刷新同行业股票的数据或指定可比公司。
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>倍数</TableCell>
+              <TableCell align="right">本股</TableCell>
+              <TableCell align="right">同业中位数</TableCell>
+              <TableCell>同业分位</TableCell>
+              <TableCell align="right">隐含价格</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {multiples.map(multiple => (
+              <TableRow key={multiple.key}>
+                <TableCell>{multiple.name}</TableCell>
+                <TableCell align="right">{formatMultiple(multiple.value)}</TableCell>
+                <TableCell align="right">
+                  {formatMultiple(multiple.peerMedian)}
+                  <Typography variant="caption" color="text.secondary" display="block">
+                    {multiple.peerCount} 家
+                  </Typography>
+                </TableCell>
+                <TableCell sx={{ minWidth: 90 }}>
+                  {multiple.percentile === null ? 'N/A' : (
+                    <>
+                      <LinearProgress
+                        variant="determinate"
+                        value={multiple.percentile}
+                        color={percentileColor(multiple.percentile)}
+                      />
+                      <Typography variant="caption">{multiple.percentile.toFixed(0)}%</Typography>
+                    </>
+                  )}
+                </TableCell>
+                <TableCell align="right">{formatPrice(multiple.impliedPrice)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default RelativeValuationPanel;
@@ -0,0 +1,157 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  Divider,
+  Tooltip as MuiTooltip
+} from '@mui/material';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts';
+
+const formatNumber = (value, digits = 2) => (
+  value === null || value === undefined ? 'N/A' : value.toFixed(digits)
+);
+
+const formatPercent = (value, digits = 2) => (
+  value === null || value === undefined ? 'N/A' : `${value.toFixed(digits)}%`
+);
+
+const Metric = ({ label, value, hint, color }) => (
+  <Grid item xs={6}>
+    <MuiTooltip title={hint || ''} placement="top">
+      <Typography variant="body2">
+        <strong>{label}:</strong>{' '}
+        <Box component="span" sx={{ color: color || 'inherit' }}>{value}</Box>
+      </Typography>
+    </MuiTooltip>
+  </Grid>
+);
+
+const ratioColor = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value >= 1) return 'success.main';
+  if (value < 0) return 'error.main';
+  return undefined;
+};
+
+const RiskMetricsPanel = ({ risk }) => {
+  if (!risk) {
+    return <Typography color="text.secondary">暂无风险数据</Typography>;
+  }
+
+  const { maxDrawdown, benchmark } = risk;
+  const rolling = (risk.rolling || []).map(point => ({
+    date: point.date,
+    sharpe: point.sharpe === null ? null : Number(point.sharpe.toFixed(2)),
+    sortino: point.sortino === null ? null : Number(point.sortino.toFixed(2))
+  }));
+
+  return (
+    <Box>
+      <Typography variant="caption" color="text.secondary">
+        统计区间 {risk.period.start} 至 {risk.period.end}（{risk.period.tradingDays} 个交易日），无风险利率 {formatPercent(risk.riskFreeRate * 100)}
+      </Typography>
+
+      <Grid container spacing={1} sx={{ mt: 1 }}>
+        <Metric label="区间收益" value={formatPercent(risk.totalReturn)} />
+        <Metric label="年化收益" value={formatPercent(risk.annualizedReturn)} />
+        <Metric label="年化波动率" value={formatPercent(risk.annualizedVolatility)} />
+        <Metric label="下行波动率" value={formatPercent(risk.downsideDeviation)} hint="只计算低于无风险收益的日收益波动" />
+        <Metric label="夏普比率" value={formatNumber(risk.sharpe)} color={ratioColor(risk.sharpe)} hint="单位总波动获得的超额收益，大于1通常视为较好" />
+        <Metric label="索提诺比率" value={formatNumber(risk.sortino)} color={ratioColor(risk.sortino)} hint="单位下行波动获得的超额收益" />
+      </Grid>
+
+      <Divider sx={{ my: 2 }} />
+
+      <Typography variant="subtitle2" color="primary" sx={{ fontWeight: 'bold', mb: 1 }}>
+        最大回撤
+      </Typography>
+      <Grid container spacing={1}>
+        <Metric label="回撤幅度" value={formatPercent(maxDrawdown.value)} color="error.main" />
+        <Metric label="下跌天数" value={`${maxDrawdown.declineDays} 天`} />
+        <Metric label="峰值日期" value={maxDrawdown.peakDate || 'N/A'} />
+        <Metric label="谷底日期" value={maxDrawdown.troughDate || 'N/A'} />
+        <Metric
+          label="恢复日期"
+          value={maxDrawdown.recovered ? (maxDrawdown.recoveryDate || 'N/A') : '尚未恢复'}
+        />
+        <Metric label="持续天数" value={`${maxDrawdown.durationDays} 天`} hint="从峰值到收复峰值（或至今）的交易日数" />
+      </Grid>
+
+      <Divider sx={{ my: 2 }} />
+
+      <Typography variant="subtitle2" color="primary" sx={{ fontWeight: 'bold', mb: 1 }}>
+        单日风险价值 (VaR / CVaR)
+      </Typography>
+      <Grid container spacing={1}>
+        {risk.valueAtRisk.map(entry => (
+          <React.Fragment key={entry.level}>
+            <Metric
+              label={`历史法 ${entry.level * 100}%`}
+              value={`${formatPercent(entry.historical.var)} / ${formatPercent(entry.historical.cvar)}`}
+              hint="按历史日收益分位数计算的单日损失 / 超过该损失时的平均损失"
+            />
+            <Metric
+              label={`参数法 ${entry.level * 100}%`}
+              value={entry.parametric
+                ? `${formatPercent(entry.parametric.var)} / ${formatPercent(entry.parametric.cvar)}`
+                : 'N/A'}
+              hint="假设日收益服从正态分布计算"
+            />
+          </React.Fragment>
+        ))}
+      </Grid>
+
+      <Divider sx={{ my: 2 }} />
+
+      <Typography variant="subtitle2" color="primary" sx={{ fontWeight: 'bold', mb: 1 }}>
+        相对基准 {benchmark.symbol}
+      </Typography>
+      {benchmark.error ? (
+        <Typography variant="body2" color="text.secondary">
+          {benchmark.error}
+        </Typography>
+      ) : (
+        <Grid container spacing={1}>
+          <Metric label="Beta" value={formatNumber(benchmark.beta)} hint="大于1表示波动大于基准" />
+          <Metric label="Alpha (年化)" value={formatPercent(benchmark.alpha)} color={ratioColor(benchmark.alpha)} />
+          <Metric label="相关系数" value={formatNumber(benchmark.correlation)} />
+          <Metric label="样本天数" value={benchmark.observations} />
+        </Grid>
+      )}
+
+      {rolling.length > 0 && (
+        <>
+          <Divider sx={{ my: 2 }} />
+          <Typography variant="subtitle2" color="primary" sx={{ fontWeight: 'bold', mb: 1 }}>
+            滚动夏普 / 索提诺比率
+          </Typography>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={rolling} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="date" tick={{ fontSize: 10 }} minTickGap={30} />
+              <YAxis tick={{ fontSize: 10 }} />
+              <Tooltip />
+              <Legend />
+              <ReferenceLine y={0} stroke="#9e9e9e" />
+              <Line type="monotone" dataKey="sharpe" name="夏普" stroke="#1976d2" dot={false} connectNulls />
+              <Line type="monotone" dataKey="sortino" name="索提诺" stroke="#ff9800" dot={false} connectNulls />
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default RiskMetricsPanel;
@@ -9,20 +9,49 @@ import {
   Legend,
   ResponsiveContainer,
   BarChart,
-  Bar
+  Bar,
+  ReferenceDot,
+  ReferenceLine
 } from 'recharts';
 
-const StockChart = ({ data }) => {
+const patternColors = {
+  bullish: '#2e7d32',
+  bearish: '#d32f2f',
+  neutral: '#757575'
+};
+
+const chartPatternStatus = {
+  confirmed: '已突破',
+  forming: '形成中'
+};
+
+const StockChart = ({ data, patterns = [], chartPatterns = [], relativeStrength = null }) => {
   if (!data || data.length === 0) {
     return <div>暂无数据</div>;
   }
 
+  const formatDate = (date) => new Date(date).toLocaleDateString('zh-CN', { month: 'short', day: 'numeric' });
+
+  const patternsByDate = patterns.reduce((map, pattern) => {
+    (map[pattern.date] = map[pattern.date] || []).push(pattern);
+    return map;
+  }, {});
+
+  // Relative-strength line against the benchmark, drawn on its own axis (100 = first shared date)
+  const rsLine = relativeStrength && relativeStrength.line ? relativeStrength.line : [];
+  const rsByDate = rsLine.reduce((map, point) => {
+    map[point.date] = point.value;
+    return map;
+  }, {});
+
   const chartData = data.map(item => ({
-    date: new Date(item.date).toLocaleDateString('zh-CN', { month: 'short', day: 'numeric' }),
+    date: formatDate(item.date),
     close: item.close,
     high: item.high,
     low: item.low,
-    volume: item.volume / 1000000
+    volume: item.volume / 1000000,
+    rs: rsByDate[item.date],
+    patterns: patternsByDate[item.date] || []
   }));
 
   const CustomTooltip = ({ active, payload, label }) => {
@@ -38,7 +67,12 @@ const StockChart = ({ data }) => {
           <p style={{ margin: '0', fontWeight: 'bold' }}>{`日期: ${label}`}</p>
           {payload.map((entry, index) => (
             <p key={index} style={{ margin: '4px 0', color: entry.color }}>
-              {`${entry.name}: $${entry.value.toFixed(2)}`}
+              {entry.dataKey === 'rs' ? `${entry.name}: ${entry.value.toFixed(2)}` : `${entry.name}: $${entry.value.toFixed(2)}`}
+            </p>
+          ))}
+          {payload[0].payload.patterns.map(pattern => (
+            <p key={pattern.pattern} style={{ margin: '4px 0', color: patternColors[pattern.bias] }}>
+              {`K线形态: ${pattern.name}`}
             </p>
           ))}
         </div>
@@ -64,6 +98,13 @@ const StockChart = ({ data }) => {
               orientation="left"
               domain={['auto', 'auto']}
             />
+            {rsLine.length > 0 && (
+              <YAxis
+                yAxisId="rs"
+                orientation="right"
+                domain={['auto', 'auto']}
+              />
+            )}
             <Tooltip content={<CustomTooltip />} />
             <Legend />
             <Line
@@ -93,10 +134,92 @@ const StockChart = ({ data }) => {
               dot={false}
               name="最低价"
             />
+            {rsLine.length > 0 && (
+              <Line
+                yAxisId="rs"
+                type="monotone"
+                dataKey="rs"
+                stroke="#9c27b0"
+                strokeWidth={1.5}
+                strokeDasharray="4 2"
+                dot={false}
+                connectNulls
+                name={`相对强度 (vs ${relativeStrength.benchmark})`}
+              />
+            )}
+            {chartData.filter(item => item.patterns.length > 0).map((item, index) => {
+              const pattern = item.patterns[item.patterns.length - 1];
+              return (
+                <ReferenceDot
+                  key={`${item.date}-${index}`}
+                  yAxisId="price"
+                  x={item.date}
+                  y={item.close}
+                  r={4}
+                  fill={patternColors[pattern.bias]}
+                  stroke="none"
+                />
+              );
+            })}
+            {chartPatterns.map(pattern => {
+              const color = patternColors[pattern.bias];
+              const lines = [pattern.neckline, pattern.upperLine, pattern.lowerLine].filter(Boolean);
+              return (
+                <React.Fragment key={pattern.pattern}>
+                  {lines.map((line, index) => (
+                    <ReferenceLine
+                      key={index}
+                      yAxisId="price"
+                      segment={[
+                        { x: formatDate(line.startDate), y: line.startPrice },
+                        { x: formatDate(line.endDate), y: line.endPrice }
+                      ]}
+                      stroke={color}
+                      strokeWidth={1.5}
+                      ifOverflow="extendDomain"
+                    />
+                  ))}
+                  {pattern.points.map((point, index) => (
+                    <ReferenceDot
+                      key={`${pattern.pattern}-${index}`}
+                      yAxisId="price"
+                      x={formatDate(point.date)}
+                      y={point.price}
+                      r={3}
+                      fill={color}
+                      stroke="none"
+                      label={{ value: point.label, position: 'top', fontSize: 10, fill: color }}
+                    />
+                  ))}
+                  {pattern.target !== null && (
+                    <ReferenceLine
+                      yAxisId="price"
+                      y={pattern.target}
+                      stroke={color}
+                      strokeDasharray="6 3"
+                      ifOverflow="extendDomain"
+                      label={{ value: `${pattern.name}目标 $${pattern.target.toFixed(2)}`, position: 'insideRight', fontSize: 11, fill: color }}
+                    />
+                  )}
+                </React.Fragment>
+              );
+            })}
           </LineChart>
         </ResponsiveContainer>
       </div>
 
+      {chartPatterns.length > 0 && (
+        <div style={{ marginBottom: '20px', fontSize: '13px' }}>
+          {chartPatterns.map(pattern => (
+            <p key={pattern.pattern} style={{ margin: '4px 0', color: patternColors[pattern.bias] }}>
+              {`${pattern.name}（${chartPatternStatus[pattern.status]}，${pattern.startDate} ~ ${pattern.endDate}）`}
+              {pattern.breakoutLevel !== null && ` 突破位 $${pattern.breakoutLevel.toFixed(2)}`}
+              {pattern.target !== null && ` 量度目标 $${pattern.target.toFixed(2)}`}
+            </p>
+          ))}
+        </div>
+      )}
+
       <div style={{ height: '200px' }}>
         <ResponsiveContainer width="100%" height="100%">
           <BarChart data={chartData}>
@@ -12,21 +12,77 @@ import {
 } from '@mui/material';
 import InfoOutlinedIcon from '@mui/icons-material/InfoOutlined';
 
-const indicatorDescriptions = {
-  rsi: '相对强弱指数 (RSI) 衡量价格上涨与下跌的平均幅度，数值高于70通常视为超买，低于30视为超卖。',
-  macd: '移动平均收敛背离 (MACD) 通过快慢指数移动平均线的差值来判断趋势强弱和方向。',
-  bollinger: '布林带由中轨均线及上下标准差轨道组成，可辅助判断价格的波动区间与压力支撑。',
-  sma: '简单移动平均线 (SMA) 是一段时间内的平均价格，用于平滑短期波动并观察趋势。',
-  ema: '指数移动平均线 (EMA) 对近期价格赋予更高权重，使均线对最新行情更敏感。',
-  adx: '平均趋向指数 (ADX) 衡量趋势强度，数值越高代表趋势越明显，通常25以上被视为强趋势。'
+const overboughtSignal = (value, overbought, oversold) => {
+  if (value > overbought) return { label: '超买', color: 'error' };
+  if (value < oversold) return { label: '超卖', color: 'success' };
+  return { label: '正常', color: 'warning' };
 };
 
-const TechnicalIndicatorsPanel = ({ indicators }) => {
-  if (!indicators) {
+const priceVersusSignal = (price, level, above, below) => {
+  if (!price || level === null || level === undefined) return null;
+  return price > level ? { label: above, color: 'success' } : { label: below, color: 'error' };
+};
+
+// Optional interpretation per indicator id: (latest, indicator, currentPrice) => { label, color, detail }.
+// Indicators without one still render their values.
+const signalRules = {
+  rsi: (latest) => overboughtSignal(latest, 70, 30),
+  macd: (latest) => (latest.MACD > latest.signal
+    ? { label: '看涨', color: 'success' }
+    : { label: '看跌', color: 'error' }),
+  adx: (latest) => {
+    if (latest > 25) return { label: '趋势强劲', color: 'success' };
+    if (latest > 20) return { label: '趋势中等', color: 'warning' };
+    return { label: '趋势较弱', color: 'default' };
+  },
+  atr: (latest, indicator, currentPrice) => {
+    if (!currentPrice) return null;
+    const percent = latest / currentPrice * 100;
+    return {
+      label: percent > 4 ? '波动较大' : percent > 2 ? '波动中等' : '波动较小',
+      color: percent > 4 ? 'error' : percent > 2 ? 'warning' : 'success',
+      detail: `日均波幅 ${percent.toFixed(2)}%，2倍ATR止损位 $${(currentPrice - 2 * latest).toFixed(2)}`
+    };
+  },
+  stochastic: (latest) => {
+    if (latest.k > 80) return { label: '超买', color: 'error' };
+    if (latest.k < 20) return { label: '超卖', color: 'success' };
+    return latest.k > latest.d ? { label: '看涨', color: 'success' } : { label: '看跌', color: 'error' };
+  },
+  obv: (latest, indicator) => {
+    const values = indicator.values;
+    if (!values || values.length < 21) return null;
+    return latest > values[values.length - 21]
+      ? { label: '资金流入', color: 'success', detail: '近20日OBV上升' }
+      : { label: '资金流出', color: 'error', detail: '近20日OBV下降' };
+  },
+  vwap: (latest, indicator, currentPrice) => priceVersusSignal(currentPrice, latest, '高于VWAP', '低于VWAP'),
+  williamsr: (latest) => overboughtSignal(latest, -20, -80),
+  cci: (latest) => overboughtSignal(latest, 100, -100),
+  mfi: (latest) => overboughtSignal(latest, 80, 20),
+  ichimoku: (latest, indicator, currentPrice) => {
+    if (!currentPrice) return null;
+    const cloudTop = Math.max(latest.spanA, latest.spanB);
+    const cloudBottom = Math.min(latest.spanA, latest.spanB);
+    const detail = latest.conversion > latest.base ? '转换线在基准线之上' : '转换线在基准线之下';
+    if (currentPrice > cloudTop) return { label: '云上看涨', color: 'success', detail };
+    if (currentPrice < cloudBottom) return { label: '云下看跌', color: 'error', detail };
+    return { label: '云中震荡', color: 'warning', detail };
+  },
+  psar: (latest, indicator, currentPrice) => priceVersusSignal(currentPrice, latest, '上升趋势', '下降趋势')
+};
+
+const formatNumber = (value) => {
+  if (typeof value !== 'number') return value ?? 'N/A';
+  return Math.abs(value) >= 1 ? value.toFixed(2) : value.toFixed(4);
+};
+
+const TechnicalIndicatorsPanel = ({ indicators, currentPrice }) => {
+  if (!indicators || Object.keys(indicators).length === 0) {
     return <Typography color="text.secondary">暂无指标数据</Typography>;
   }
 
-  const renderTitle = (label, descKey) => (
+  const renderTitle = (indicator) => (
     <Box
       sx={{
         display: 'flex',
@@ -35,10 +91,10 @@ const TechnicalIndicatorsPanel = ({ indicators }) => {
       }}
     >
       <Typography variant="subtitle2" color="text.secondary" gutterBottom>
-        {label}
+        {indicator.name} ({Object.values(indicator.params || {}).join('/')})
       </Typography>
-      {indicatorDescriptions[descKey] && (
-        <Tooltip title={indicatorDescriptions[descKey]} arrow>
+      {indicator.description && (
+        <Tooltip title={indicator.description} arrow>
           <IconButton size="small" sx={{ ml: 1 }}>
             <InfoOutlinedIcon fontSize="small" />
           </IconButton>
@@ -47,178 +103,76 @@ const TechnicalIndicatorsPanel = ({ indicators }) => {
     </Box>
   );
 
-  const getLatestValue = (indicator) => {
-    if (!indicator || !Array.isArray(indicator)) return null;
-    return indicator[indicator.length - 1];
-  };
+  const renderValue = (indicator) => {
+    const { latest, outputs, range } = indicator;
 
-  const getRSISignal = (rsi) => {
-    if (rsi > 70) return { label: '超买', color: 'error' };
-    if (rsi < 30) return { label: '超卖', color: 'success' };
-    return { label: '正常', color: 'warning' };
-  };
+    if (latest === null || latest === undefined) {
+      return (
+        <Typography color="text.secondary">
+          {indicator.error ? `数据不足（至少需要 ${indicator.minBars} 个交易日）` : '数据加载中'}
+        </Typography>
+      );
+    }
 
-  const getMACDSignal = (macd) => {
-    if (!macd || !Array.isArray(macd) || macd.length < 1) return { label: '未知', color: 'default' };
-    const last = macd[macd.length - 1];
-    if (last.MACD > last.signal) {
-      return { label: '看涨', color: 'success' };
-    } else {
-      return { label: '看跌', color: 'error' };
+    if (typeof latest === 'object') {
+      return Object.keys(latest).map(field => (
+        <Typography variant="body2" key={field}>
+          {outputs?.[field] || field}: {formatNumber(latest[field])}
+        </Typography>
+      ));
     }
-  };
 
-  const latestRSI = getLatestValue(indicators.rsi);
-  const latestMACD = getLatestValue(indicators.macd);
-  const latestBollinger = getLatestValue(indicators.bollinger);
-  const latestSMA20 = getLatestValue(indicators.sma20);
-  const latestSMA50 = getLatestValue(indicators.sma50);
-  const latestSMA200 = getLatestValue(indicators.sma200);
+    return (
+      <>
+        <Typography variant="h6">
+          {formatNumber(latest)}
+        </Typography>
+        {range && (
+          <LinearProgress
+            variant="determinate"
+            value={Math.min(100, Math.max(0, (latest - range[0]) / (range[1] - range[0]) * 100))}
+            sx={{ mt: 1, mb: 1 }}
+          />
+        )}
+      </>
+    );
+  };
 
   return (
     <Grid container spacing={3}>
-      <Grid item xs={12} sm={6} md={4}>
-        <Card variant="outlined">
-          <CardContent>
-            {renderTitle('RSI (14)', 'rsi')}
-            {latestRSI !== null ? (
-              <>
-                <Typography variant="h6">
-                  {latestRSI.toFixed(2)}
-                </Typography>
-                <Chip
-                  label={getRSISignal(latestRSI).label}
-                  color={getRSISignal(latestRSI).color}
-                  size="small"
-                />
-                <LinearProgress
-                  variant="determinate"
-                  value={latestRSI}
-                  sx={{ mt: 1 }}
-                />
-              </>
-            ) : (
-              <Typography color="text.secondary">数据加载中</Typography>
-            )}
-          </CardContent>
-        </Card>
-      </Grid>
-
-      <Grid item xs={12} sm={6} md={4}>
-        <Card variant="outlined">
-          <CardContent>
-            {renderTitle('MACD', 'macd')}
-            {latestMACD ? (
-              <>
-                <Typography variant="body2">
-                  MACD: {latestMACD.MACD?.toFixed(4)}
-                </Typography>
-                <Typography variant="body2">
-                  Signal: {latestMACD.signal?.toFixed(4)}
-                </Typography>
-                <Typography variant="body2">
-                  Histogram: {latestMACD.histogram?.toFixed(4)}
-                </Typography>
-                <Chip
-                  label={getMACDSignal(indicators.macd).label}
-                  color={getMACDSignal(indicators.macd).color}
-                  size="small"
-                  sx={{ mt: 1 }}
-                />
-              </>
-            ) : (
-              <Typography color="text.secondary">数据加载中</Typography>
-            )}
-          </CardContent>
-        </Card>
-      </Grid>
-
-      <Grid item xs={12} sm={6} md={4}>
-        <Card variant="outlined">
-          <CardContent>
-            {renderTitle('布林带 (20/2)', 'bollinger')}
-            {latestBollinger ? (
-              <>
-                <Typography variant="body2">
-                  上轨: ${latestBollinger.upperBand?.toFixed(2)}
-                </Typography>
-                <Typography variant="body2">
-                  中轨: ${latestBollinger.middleBand?.toFixed(2)}
-                </Typography>
-                <Typography variant="body2">
-                  下轨: ${latestBollinger.lowerBand?.toFixed(2)}
-                </Typography>
-              </>
-            ) : (
-              <Typography color="text.secondary">数据加载中</Typography>
-            )}
-          </CardContent>
-        </Card>
-      </Grid>
-
-      <Grid item xs={12} sm={6} md={4}>
-        <Card variant="outlined">
-          <CardContent>
-            {renderTitle('移动平均线', 'sma')}
-            <Box sx={{ mb: 1 }}>
-              <Typography variant="body2">
-                SMA 20: ${latestSMA20?.toFixed(2)}
-              </Typography>
-            </Box>
-            <Box sx={{ mb: 1 }}>
-              <Typography variant="body2">
-                SMA 50: ${latestSMA50?.toFixed(2)}
-              </Typography>
-            </Box>
-            <Box>
-              <Typography variant="body2">
-                SMA 200: ${latestSMA200?.toFixed(2)}
-              </Typography>
-            </Box>
-          </CardContent>
-        </Card>
-      </Grid>
-
-      <Grid item xs={12} sm={6} md={4}>
-        <Card variant="outlined">
-          <CardContent>
-            {renderTitle('EMA', 'ema')}
-            <Box sx={{ mb: 1 }}>
-              <Typography variant="body2">
-                EMA 12: ${getLatestValue(indicators.ema12)?.toFixed(2)}
-              </Typography>
-            </Box>
-            <Box>
-              <Typography variant="body2">
-                EMA 26: ${getLatestValue(indicators.ema26)?.toFixed(2)}
-              </Typography>
-            </Box>
-          </CardContent>
-        </Card>
-      </Grid>
+      {Object.keys(indicators).map(key => {
+        const indicator = indicators[key];
+        const signal = indicator.latest !== null && indicator.latest !== undefined && signalRules[indicator.id]
+          ? signalRules[indicator.id](indicator.latest, indicator, currentPrice)
+          : null;
 
-      <Grid item xs={12} sm={6} md={4}>
-        <Card variant="outlined">
-          <CardContent>
-            {renderTitle('ADX', 'adx')}
-            {indicators.adx && indicators.adx.length > 0 ? (
-              <>
-                <Typography variant="h6">
-                  {indicators.adx[indicators.adx.length - 1].toFixed(2)}
-                </Typography>
-                <Typography variant="body2" color="text.secondary">
-                  {indicators.adx[indicators.adx.length - 1] > 25 ? '趋势强劲' :
-                   indicators.adx[indicators.adx.length - 1] > 20 ? '趋势中等' : '趋势较弱'}
-                </Typography>
-              </>
-            ) : (
-              <Typography color="text.secondary">数据加载中</Typography>
-            )}
-          </CardContent>
-        </Card>
-      </Grid>
+        return (
+          <Grid item xs={12} sm={6} md={4} key={key}>
+            <Card variant="outlined">
+              <CardContent>
+                {renderTitle(indicator)}
+                {renderValue(indicator)}
+                {signal && (
+                  <Box sx={{ mt: 1 }}>
+                    <Chip
+                      label={signal.label}
+                      color={signal.color}
+                      size="small"
+                    />
+                    {signal.detail && (
+                      <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+                        {signal.detail}
+                      </Typography>
+                    )}
+                  </Box>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        );
+      })}
     </Grid>
   );
 };
 
-export default TechnicalIndicatorsPanel;
\ No newline at end of file
+export default TechnicalIndicatorsPanel;
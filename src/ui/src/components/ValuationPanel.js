@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  Divider,
+  TextField,
+  Button,
+  Slider,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Alert
+} from '@mui/material';
+
+const formatPrice = (value) => (value === null || value === undefined ? 'N/A' : `$${value.toFixed(2)}`);
+const formatPercent = (value, digits = 2) => (value === null || value === undefined ? 'N/A' : `${(value * 100).toFixed(digits)}%`);
+const formatBillions = (value) => `$${(value / 1000000000).toFixed(2)}B`;
+
+const upsideColor = (value) => {
+  if (value === null || value === undefined) return 'inherit';
+  return value >= 0 ? 'success.main' : 'error.main';
+};
+
+const stagesToText = (stages) => stages
+  .map(stage => `${stage.years}:${stage.growth === 'fade' ? 'fade' : stage.growth}`)
+  .join(',');
+
+// Form values are percentages; the API takes fractions
+const toRate = (value) => (value === '' ? undefined : parseFloat(value) / 100);
+
+const ValuationPanel = ({ valuation, error, onRecalculate }) => {
+  const assumptions = valuation?.assumptions;
+  const [form, setForm] = useState(null);
+  const [weight, setWeight] = useState(50);
+
+  if (!valuation) {
+    return error
+      ? <Alert severity="info">{error}</Alert>
+      : <Typography color="text.secondary">暂无估值数据</Typography>;
+  }
+
+  const values = form || {
+    riskFreeRate: (assumptions.riskFreeRate * 100).toFixed(2),
+    equityRiskPremium: (assumptions.equityRiskPremium * 100).toFixed(2),
+    beta: String(assumptions.beta),
+    terminalGrowth: (assumptions.terminalGrowth * 100).toFixed(2),
+    stages: stagesToText(assumptions.stages)
+  };
+
+  const handleChange = (field) => (e) => setForm({ ...values, [field]: e.target.value });
+
+  const handleRecalculate = () => {
+    onRecalculate({
+      riskFreeRate: toRate(values.riskFreeRate),
+      equityRiskPremium: toRate(values.equityRiskPremium),
+      beta: values.beta === '' ? undefined : parseFloat(values.beta),
+      terminalGrowth: toRate(values.terminalGrowth),
+      stages: values.stages || undefined,
+      weight: weight / 100
+    });
+  };
+
+  const { sensitivity, blend } = valuation;
+
+  return (
+    <Box>
+      {error && <Alert severity="warning" sx={{ mb: 2 }}>{error}</Alert>}
+      <Grid container spacing={1}>
+        <Grid item xs={6}>
+          <Typography variant="body2"><strong>内在价值:</strong> {formatPrice(valuation.intrinsicValue)}</Typography>
+        </Grid>
+        <Grid item xs={6}>
+          <Typography variant="body2">
+            <strong>相对现价:</strong>{' '}
+            <Box component="span" sx={{ color: upsideColor(valuation.upside) }}>
+              {valuation.upside === null ? 'N/A' : `${valuation.upside.toFixed(2)}%`}
+            </Box>
+          </Typography>
+        </Grid>
+        <Grid item xs={6}>
+          <Typography variant="body2"><strong>WACC:</strong> {formatPercent(valuation.wacc.rate)}</Typography>
+        </Grid>
+        <Grid item xs={6}>
+          <Typography variant="body2"><strong>股权成本:</strong> {formatPercent(valuation.wacc.costOfEquity)}</Typography>
+        </Grid>
+        <Grid item xs={6}>
+          <Typography variant="body2"><strong>企业价值:</strong> {formatBillions(valuation.enterpriseValue)}</Typography>
+        </Grid>
+        <Grid item xs={6}>
+          <Typography variant="body2"><strong>净债务:</strong> {formatBillions(valuation.netDebt)}</Typography>
+        </Grid>
+        <Grid item xs={6}>
+          <Typography variant="body2"><strong>基准自由现金流:</strong> {formatBillions(valuation.baseCashFlow)}</Typography>
+        </Grid>
+        <Grid item xs={6}>
+          <Typography variant="body2"><strong>终值占比:</strong> {formatPercent(valuation.terminalShare, 1)}</Typography>
+        </Grid>
+      </Grid>
+
+      <Divider sx={{ my: 2 }} />
+
+      <Typography variant="subtitle2" color="primary" sx={{ fontWeight: 'bold', mb: 1 }}>
+        与技术目标价融合
+      </Typography>
+      <Typography variant="body2">
+        技术目标价 {formatPrice(blend.technicalTarget)} × {formatPercent(1 - blend.weight, 0)} + DCF {formatPrice(valuation.intrinsicValue)} × {formatPercent(blend.weight, 0)}
+      </Typography>
+      <Typography variant="h6" sx={{ color: upsideColor(blend.upside) }}>
+        {formatPrice(blend.targetPrice)}
+        {blend.upside !== null && ` (${blend.upside.toFixed(2)}%)`}
+      </Typography>
+      <Box sx={{ px: 1 }}>
+        <Typography variant="caption" color="text.secondary">DCF 权重 {weight}%</Typography>
+        <Slider
+          size="small"
+          value={weight}
+          step={5}
+          min={0}
+          max={100}
+          onChange={(e, value) => setWeight(value)}
+          onChangeCommitted={handleRecalculate}
+        />
+      </Box>
+
+      <Divider sx={{ my: 2 }} />
+
+      <Typography variant="subtitle2" color="primary" sx={{ fontWeight: 'bold', mb: 1 }}>
+        假设
+      </Typography>
+      <Grid container spacing={1}>
+        <Grid item xs={6}>
+          <TextField size="small" fullWidth label="无风险利率 (%)" value={values.riskFreeRate} onChange={handleChange('riskFreeRate')} />
+        </Grid>
+        <Grid item xs={6}>
+          <TextField size="small" fullWidth label="股权风险溢价 (%)" value={values.equityRiskPremium} onChange={handleChange('equityRiskPremium')} />
+        </Grid>
+        <Grid item xs={6}>
+          <TextField size="small" fullWidth label="Beta" value={values.beta} onChange={handleChange('beta')} />
+        </Grid>
+        <Grid item xs={6}>
+          <TextField size="small" fullWidth label="永续增长率 (%)" value={values.terminalGrowth} onChange={handleChange('terminalGrowth')} />
+        </Grid>
+        <Grid item xs={12}>
+          <TextField
+            size="small"
+            fullWidth
+            label="增长阶段"
+            helperText="年数:增长率，逗号分隔；fade 表示逐年过渡到永续增长率，如 5:0.12,5:fade"
+            value={values.stages}
+            onChange={handleChange('stages')}
+          />
+        </Grid>
+        <Grid item xs={12}>
+          <Button variant="outlined" size="small" onClick={handleRecalculate}>
+            重新计算
+          </Button>
+        </Grid>
+      </Grid>
+
+      <Divider sx={{ my: 2 }} />
+
+      <Typography variant="subtitle2" color="primary" sx={{ fontWeight: 'bold', mb: 1 }}>
+        敏感性分析（每股价值）
+      </Typography>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>WACC \ 永续增长</TableCell>
+            {sensitivity.terminalGrowthRates.map(growth => (
+              <TableCell key={growth} align="right">{formatPercent(growth, 1)}</TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {sensitivity.discountRates.map((rate, row) => (
+            <TableRow key={rate}>
+              <TableCell>{formatPercent(rate, 1)}</TableCell>
+              {sensitivity.values[row].map((value, column) => (
+                <TableCell
+                  key={column}
+                  align="right"
+                  sx={{ fontWeight: rate === valuation.wacc.rate && column === 2 ? 'bold' : 'normal' }}
+                >
+                  {formatPrice(value)}
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+export default ValuationPanel;
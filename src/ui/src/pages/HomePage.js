@@ -96,6 +96,12 @@ function HomePage() {
         </Alert>
       )}
 
+      <Box sx={{ textAlign: 'center', mb: 4 }}>
+        <Button variant="outlined" onClick={() => navigate('/screener')}>
+          按条件筛选本地股票
+        </Button>
+      </Box>
+
       <Typography variant="h6" align="center" color="text.primary" gutterBottom>
         热门股票
       </Typography>
@@ -0,0 +1,383 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  TextField,
+  Button,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Alert,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TableSortLabel,
+  TablePagination
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import stockService from '../services/stockService';
+
+// Range filters shown in the form; the API accepts more (see README)
+const RANGE_FILTERS = [
+  { field: 'peRatio', label: '市盈率' },
+  { field: 'dividendYield', label: '股息率' },
+  { field: 'marketCap', label: '市值' },
+  { field: 'debtToEquity', label: '负债权益比' },
+  { field: 'revenueGrowth', label: '营收增长率' },
+  { field: 'rsi', label: 'RSI(14)' },
+  { field: 'upside', label: '目标价上涨空间 (%)' }
+];
+
+const formatNumber = (value, digits = 2) => (value === null || value === undefined ? 'N/A' : value.toFixed(digits));
+const formatPercent = (value) => (value === null || value === undefined ? 'N/A' : `${value.toFixed(1)}%`);
+const formatMarketCap = (value) => {
+  if (value === null || value === undefined) return 'N/A';
+  if (value >= 1e12) return `${(value / 1e12).toFixed(2)}T`;
+  if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+  return `${(value / 1e6).toFixed(0)}M`;
+};
+
+const crossoverText = (crossover) => {
+  if (!crossover) return '—';
+  return `${crossover.direction === 'bullish' ? '金叉' : '死叉'} (${crossover.barsAgo}天前)`;
+};
+
+const COLUMNS = [
+  { key: 'symbol', label: '代码' },
+  { key: 'name', label: '名称' },
+  { key: 'sector', label: '板块' },
+  { key: 'price', label: '价格', align: 'right', format: (row) => formatNumber(row.price) },
+  { key: 'peRatio', label: '市盈率', align: 'right', format: (row) => formatNumber(row.peRatio) },
+  { key: 'dividendYield', label: '股息率', align: 'right', format: (row) => formatNumber(row.dividendYield) },
+  { key: 'marketCap', label: '市值', align: 'right', format: (row) => formatMarketCap(row.marketCap) },
+  { key: 'rsi', label: 'RSI', align: 'right', format: (row) => formatNumber(row.rsi, 1) },
+  { key: 'priceVsSma200', label: '距SMA200', align: 'right', format: (row) => formatPercent(row.priceVsSma200) },
+  { key: 'macdCrossover', label: 'MACD交叉', sortable: false, format: (row) => crossoverText(row.macdCrossover) },
+  { key: 'upside', label: '上涨空间', align: 'right', format: (row) => formatPercent(row.upside) }
+];
+
+const emptyForm = () => ({ ranges: {}, sector: '', sma200: '', macd: '', macdDays: '5' });
+
+// Form state -> API filters; empty inputs are left out
+const buildFilters = (form) => {
+  const filters = {};
+  Object.entries(form.ranges).forEach(([field, range]) => {
+    const bounds = {};
+    if (range.min !== undefined && range.min !== '') bounds.min = Number(range.min);
+    if (range.max !== undefined && range.max !== '') bounds.max = Number(range.max);
+    if (Object.keys(bounds).length) filters[field] = bounds;
+  });
+  const sectors = form.sector.split(',').map(s => s.trim()).filter(Boolean);
+  if (sectors.length) filters.sector = sectors;
+  if (form.sma200) filters.priceAboveSma200 = form.sma200 === 'above';
+  if (form.macd) filters.macdCrossover = { direction: form.macd, withinDays: Number(form.macdDays) || 5 };
+  return filters;
+};
+
+const formFromFilters = (filters = {}) => {
+  const form = emptyForm();
+  RANGE_FILTERS.forEach(({ field }) => {
+    if (filters[field]) {
+      form.ranges[field] = {
+        min: filters[field].min !== undefined ? String(filters[field].min) : '',
+        max: filters[field].max !== undefined ? String(filters[field].max) : ''
+      };
+    }
+  });
+  form.sector = (filters.sector || []).join(', ');
+  if (filters.priceAboveSma200 !== undefined) form.sma200 = filters.priceAboveSma200 ? 'above' : 'below';
+  if (filters.macdCrossover) {
+    form.macd = filters.macdCrossover.direction;
+    form.macdDays = String(filters.macdCrossover.withinDays);
+  }
+  return form;
+};
+
+function Screener() {
+  const navigate = useNavigate();
+  const [form, setForm] = useState(emptyForm());
+  const [appliedFilters, setAppliedFilters] = useState({});
+  const [sort, setSort] = useState('symbol');
+  const [order, setOrder] = useState('asc');
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(25);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [screens, setScreens] = useState([]);
+  const [selectedScreen, setSelectedScreen] = useState('');
+  const [screenName, setScreenName] = useState('');
+
+  const loadScreens = useCallback(() => {
+    stockService.getScreens()
+      .then(setScreens)
+      .catch(() => setScreens([]));
+  }, []);
+
+  useEffect(() => {
+    loadScreens();
+  }, [loadScreens]);
+
+  useEffect(() => {
+    setLoading(true);
+    stockService.runScreener({ filters: appliedFilters, sort, order, page: page + 1, pageSize })
+      .then((data) => {
+        setResult(data);
+        setError('');
+      })
+      .catch((err) => setError(err.response?.data?.error || '筛选失败'))
+      .finally(() => setLoading(false));
+  }, [appliedFilters, sort, order, page, pageSize]);
+
+  const updateRange = (field, bound, value) => {
+    setForm(prev => ({
+      ...prev,
+      ranges: { ...prev.ranges, [field]: { ...prev.ranges[field], [bound]: value } }
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setPage(0);
+    setAppliedFilters(buildFilters(form));
+  };
+
+  const handleSort = (key) => {
+    setOrder(sort === key && order === 'asc' ? 'desc' : 'asc');
+    setSort(key);
+    setPage(0);
+  };
+
+  const handleLoadScreen = (name) => {
+    setSelectedScreen(name);
+    const screen = screens.find(s => s.name === name);
+    if (!screen) return;
+    setForm(formFromFilters(screen.criteria.filters));
+    setScreenName(screen.name);
+    setSort(screen.criteria.sort);
+    setOrder(screen.criteria.order);
+    setPage(0);
+    setAppliedFilters(screen.criteria.filters);
+  };
+
+  const handleSaveScreen = async () => {
+    if (!screenName.trim()) {
+      setError('请输入筛选方案名称');
+      return;
+    }
+    try {
+      await stockService.saveScreen(screenName.trim(), { filters: buildFilters(form), sort, order });
+      setSelectedScreen(screenName.trim());
+      loadScreens();
+    } catch (err) {
+      setError(err.response?.data?.error || '保存筛选方案失败');
+    }
+  };
+
+  const handleDeleteScreen = async () => {
+    try {
+      await stockService.deleteScreen(selectedScreen);
+      setSelectedScreen('');
+      loadScreens();
+    } catch (err) {
+      setError(err.response?.data?.error || '删除筛选方案失败');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
+        <Button startIcon={<ArrowBackIcon />} onClick={() => navigate('/')}>
+          返回
+        </Button>
+        <Typography variant="h4" component="h1">
+          股票筛选
+        </Typography>
+      </Box>
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box component="form" onSubmit={handleSubmit}>
+            <Box sx={{ display: 'grid', gridTemplateColumns: { md: '1fr 1fr 1fr' }, gap: 2, mb: 2 }}>
+              {RANGE_FILTERS.map(({ field, label }) => (
+                <Box key={field} sx={{ display: 'flex', gap: 1 }}>
+                  <TextField
+                    size="small"
+                    type="number"
+                    label={`${label} 最小`}
+                    value={form.ranges[field]?.min || ''}
+                    onChange={(e) => updateRange(field, 'min', e.target.value)}
+                  />
+                  <TextField
+                    size="small"
+                    type="number"
+                    label="最大"
+                    value={form.ranges[field]?.max || ''}
+                    onChange={(e) => updateRange(field, 'max', e.target.value)}
+                  />
+                </Box>
+              ))}
+              <TextField
+                size="small"
+                label="板块"
+                placeholder="例如: Technology, Energy"
+                value={form.sector}
+                onChange={(e) => setForm(prev => ({ ...prev, sector: e.target.value }))}
+              />
+              <FormControl size="small">
+                <InputLabel>价格与SMA200</InputLabel>
+                <Select
+                  label="价格与SMA200"
+                  value={form.sma200}
+                  onChange={(e) => setForm(prev => ({ ...prev, sma200: e.target.value }))}
+                >
+                  <MenuItem value="">不限</MenuItem>
+                  <MenuItem value="above">位于SMA200上方</MenuItem>
+                  <MenuItem value="below">位于SMA200下方</MenuItem>
+                </Select>
+              </FormControl>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <FormControl size="small" sx={{ flex: 1 }}>
+                  <InputLabel>MACD交叉</InputLabel>
+                  <Select
+                    label="MACD交叉"
+                    value={form.macd}
+                    onChange={(e) => setForm(prev => ({ ...prev, macd: e.target.value }))}
+                  >
+                    <MenuItem value="">不限</MenuItem>
+                    <MenuItem value="bullish">金叉</MenuItem>
+                    <MenuItem value="bearish">死叉</MenuItem>
+                  </Select>
+                </FormControl>
+                <TextField
+                  size="small"
+                  type="number"
+                  label="最近天数"
+                  value={form.macdDays}
+                  onChange={(e) => setForm(prev => ({ ...prev, macdDays: e.target.value }))}
+                  disabled={!form.macd}
+                  sx={{ width: 110 }}
+                />
+              </Box>
+            </Box>
+
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1 }}>
+              <Button type="submit" variant="contained">
+                筛选
+              </Button>
+              <Button onClick={() => setForm(emptyForm())}>
+                清空条件
+              </Button>
+              <Box sx={{ flexGrow: 1 }} />
+              <FormControl size="small" sx={{ minWidth: 160 }}>
+                <InputLabel>已保存方案</InputLabel>
+                <Select
+                  label="已保存方案"
+                  value={selectedScreen}
+                  onChange={(e) => handleLoadScreen(e.target.value)}
+                >
+                  {screens.map(screen => (
+                    <MenuItem key={screen.name} value={screen.name}>{screen.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <TextField
+                size="small"
+                label="方案名称"
+                value={screenName}
+                onChange={(e) => setScreenName(e.target.value)}
+              />
+              <Button variant="outlined" onClick={handleSaveScreen}>
+                保存
+              </Button>
+              <Button color="error" onClick={handleDeleteScreen} disabled={!selectedScreen}>
+                删除
+              </Button>
+            </Box>
+          </Box>
+        </CardContent>
+      </Card>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Card>
+        {loading && <LinearProgress />}
+        <CardContent>
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 1 }}>
+            在本地数据库已保存的股票中筛选；技术指标基于已保存的日线数据，上涨空间基于最近一次分析的目标价。点击行查看详细分析。
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                {COLUMNS.map(column => (
+                  <TableCell key={column.key} align={column.align || 'left'}>
+                    {column.sortable === false ? column.label : (
+                      <TableSortLabel
+                        active={sort === column.key}
+                        direction={sort === column.key ? order : 'asc'}
+                        onClick={() => handleSort(column.key)}
+                      >
+                        {column.label}
+                      </TableSortLabel>
+                    )}
+                  </TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {result && result.results.map(row => (
+                <TableRow
+                  key={row.symbol}
+                  hover
+                  sx={{ cursor: 'pointer' }}
+                  onClick={() => navigate(`/analysis/${row.symbol}`)}
+                >
+                  {COLUMNS.map(column => (
+                    <TableCell key={column.key} align={column.align || 'left'}>
+                      {column.format ? column.format(row) : (row[column.key] || '—')}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))}
+              {result && result.results.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={COLUMNS.length}>
+                    <Typography variant="body2" color="text.secondary">
+                      没有符合条件的股票
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+          <TablePagination
+            component="div"
+            count={result ? result.total : 0}
+            page={page}
+            rowsPerPage={pageSize}
+            rowsPerPageOptions={[10, 25, 50, 100]}
+            onPageChange={(e, newPage) => setPage(newPage)}
+            onRowsPerPageChange={(e) => {
+              setPageSize(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+            labelRowsPerPage="每页"
+          />
+        </CardContent>
+      </Card>
+    </Box>
+  );
+}
+
+export default Screener;
@@ -14,7 +14,12 @@ import {
   Alert,
   Chip,
   Divider,
-  Tooltip
+  Tooltip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField
 } from '@mui/material';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import RefreshIcon from '@mui/icons-material/Refresh';
@@ -23,6 +28,11 @@ import StockChart from '../components/StockChart';
 import TechnicalIndicatorsPanel from '../components/TechnicalIndicatorsPanel';
 import AnalysisResultsPanel from '../components/AnalysisResultsPanel';
 import LlmAnalysisPanel from '../components/LlmAnalysisPanel';
+import RiskMetricsPanel from '../components/RiskMetricsPanel';
+import FanChart from '../components/FanChart';
+import ValuationPanel from '../components/ValuationPanel';
+import RelativeValuationPanel from '../components/RelativeValuationPanel';
+import DividendPanel from '../components/DividendPanel';
 import stockService from '../services/stockService';
 
 function StockAnalysis() {
@@ -37,6 +47,25 @@ function StockAnalysis() {
   const [llmAnalysis, setLlmAnalysis] = useState(null);
   const [isLlmLoading, setIsLlmLoading] = useState(false);
   const [llmError, setLlmError] = useState('');
+  const [profiles, setProfiles] = useState([]);
+  const [selectedProfile, setSelectedProfile] = useState('default');
+  const [adjustment, setAdjustment] = useState('split');
+  const [barInterval, setBarInterval] = useState('1d');
+  const [indicatorSpecs, setIndicatorSpecs] = useState('');
+  const [indicatorInput, setIndicatorInput] = useState('');
+  const [benchmark, setBenchmark] = useState('');
+  const [benchmarkInput, setBenchmarkInput] = useState('');
+  const [riskMetrics, setRiskMetrics] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+  const [simulationMethod, setSimulationMethod] = useState('gbm');
+  const [valuation, setValuation] = useState(null);
+  const [valuationError, setValuationError] = useState('');
+  const [valuationParams, setValuationParams] = useState({});
+  const [relativeValuation, setRelativeValuation] = useState(null);
+  const [peerSets, setPeerSets] = useState([]);
+  const [peerInput, setPeerInput] = useState('');
+  const [peerQuery, setPeerQuery] = useState({});
+  const [dividends, setDividends] = useState(null);
 
   const loadData = useCallback(async () => {
     setLoading(true);
@@ -45,8 +74,8 @@ function StockAnalysis() {
     try {
       // Fetch all data in parallel
       const [stock, analysis, llm] = await Promise.all([
-        stockService.getStockData(symbol),
-        stockService.getStockAnalysis(symbol),
+        stockService.getStockData(symbol, { adjustment }),
+        stockService.getStockAnalysis(symbol, { profile: selectedProfile, indicators: indicatorSpecs, adjustment, interval: barInterval, benchmark }),
         stockService.getLlmAnalysis(symbol)
       ]);
 
@@ -54,6 +83,14 @@ function StockAnalysis() {
       setAnalysisData(analysis);
       setLlmAnalysis(llm);
 
+      // Risk metrics are optional; a missing benchmark must not fail the page
+      stockService.getRiskMetrics(symbol, { adjustment })
+        .then(setRiskMetrics)
+        .catch(() => setRiskMetrics(null));
+      stockService.getDividends(symbol)
+        .then(setDividends)
+        .catch(() => setDividends(null));
+
     } catch (err) {
       if (err.response?.status === 404 || (err.message && err.message.includes('local database'))) {
         setError('未找到该股票的本地数据，请点击刷新按钮从远程获取。');
@@ -63,7 +100,43 @@ function StockAnalysis() {
     } finally {
       setLoading(false);
     }
-  }, [symbol]);
+  }, [symbol, selectedProfile, indicatorSpecs, adjustment, barInterval, benchmark]);
+
+  // Re-run after each analysis so the probability refers to the latest target price
+  const snapshotId = analysisData?.snapshotId;
+  useEffect(() => {
+    if (!snapshotId) return;
+    stockService.getSimulation(symbol, { method: simulationMethod, adjustment })
+      .then(setSimulation)
+      .catch(() => setSimulation(null));
+  }, [symbol, simulationMethod, snapshotId, adjustment]);
+
+  // The blend uses the technical target, so it is also refreshed after each analysis
+  useEffect(() => {
+    if (!snapshotId) return;
+    stockService.getValuation(symbol, valuationParams)
+      .then((result) => {
+        setValuation(result);
+        setValuationError('');
+      })
+      // Keep the last result so invalid assumptions can be corrected in place
+      .catch((err) => setValuationError(err.response?.data?.error || '估值计算失败'));
+  }, [symbol, snapshotId, valuationParams]);
+
+  useEffect(() => {
+    stockService.getRelativeValuation(symbol, peerQuery)
+      .then(setRelativeValuation)
+      .catch(() => setRelativeValuation(null));
+  }, [symbol, peerQuery]);
+
+  useEffect(() => {
+    stockService.getModelProfiles()
+      .then(setProfiles)
+      .catch(() => setProfiles([]));
+    stockService.getPeerSets()
+      .then(setPeerSets)
+      .catch(() => setPeerSets([]));
+  }, []);
   
   const handleExportPrompt = async () => {
     try {
@@ -103,6 +176,9 @@ function StockAnalysis() {
     try {
       // 触发后端从远程API刷新数据
       await stockService.refreshStockData(symbol);
+      if (barInterval !== '1d') {
+        await stockService.refreshIntradayData(symbol, barInterval);
+      }
       // 重新加载数据（此时会从已更新的本地数据库获取）
       await loadData();
     } catch (err) {
@@ -193,14 +269,62 @@ function StockAnalysis() {
             />
           )}
         </Box>
-        <Button
-          variant="outlined"
-          startIcon={refreshing ? <CircularProgress size={20} /> : <RefreshIcon />}
-          onClick={handleRefresh}
-          disabled={refreshing}
-        >
-          {refreshing ? '刷新中...' : '刷新数据'}
-        </Button>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          {profiles.length > 0 && (
+            <FormControl size="small" sx={{ minWidth: 160 }}>
+              <InputLabel id="model-profile-label">目标价模型</InputLabel>
+              <Select
+                labelId="model-profile-label"
+                value={selectedProfile}
+                label="目标价模型"
+                onChange={(e) => setSelectedProfile(e.target.value)}
+              >
+                {profiles.map(profile => (
+                  <MenuItem key={profile.name} value={profile.name} title={profile.description}>
+                    {profile.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel id="price-adjustment-label">价格复权</InputLabel>
+            <Select
+              labelId="price-adjustment-label"
+              value={adjustment}
+              label="价格复权"
+              onChange={(e) => setAdjustment(e.target.value)}
+            >
+              <MenuItem value="raw">不复权</MenuItem>
+              <MenuItem value="split">拆股复权</MenuItem>
+              <MenuItem value="total">全复权（含分红）</MenuItem>
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 110 }}>
+            <InputLabel id="bar-interval-label">K线周期</InputLabel>
+            <Select
+              labelId="bar-interval-label"
+              value={barInterval}
+              label="K线周期"
+              onChange={(e) => setBarInterval(e.target.value)}
+            >
+              <MenuItem value="1d">日线</MenuItem>
+              <MenuItem value="1h">1小时</MenuItem>
+              <MenuItem value="30m">30分钟</MenuItem>
+              <MenuItem value="15m">15分钟</MenuItem>
+              <MenuItem value="5m">5分钟</MenuItem>
+              <MenuItem value="1m">1分钟</MenuItem>
+            </Select>
+          </FormControl>
+          <Button
+            variant="outlined"
+            startIcon={refreshing ? <CircularProgress size={20} /> : <RefreshIcon />}
+            onClick={handleRefresh}
+            disabled={refreshing}
+          >
+            {refreshing ? '刷新中...' : '刷新数据'}
+          </Button>
+        </Box>
       </Box>
 
       {error && (
@@ -259,11 +383,30 @@ function StockAnalysis() {
         <Grid item xs={12} lg={8}>
           <Card sx={{ mb: 3 }}>
             <CardContent>
-              <Typography variant="h6" gutterBottom>
-                股价走势图
-              </Typography>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                <Typography variant="h6">
+                  股价走势图
+                </Typography>
+                <TextField
+                  size="small"
+                  label="对比基准"
+                  placeholder="如 SPY、XLK"
+                  helperText="回车应用，叠加相对强度线"
+                  value={benchmarkInput}
+                  onChange={(e) => setBenchmarkInput(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') setBenchmark(benchmarkInput.trim().toUpperCase());
+                  }}
+                  sx={{ minWidth: 200 }}
+                />
+              </Box>
               {stockData?.historicalData ? (
-                <StockChart data={stockData.historicalData} />
+                <StockChart
+                  data={stockData.historicalData}
+                  patterns={analysisData?.candlestickPatterns}
+                  chartPatterns={analysisData?.chartPatterns}
+                  relativeStrength={analysisData?.relativeStrength}
+                />
               ) : (
                 <Typography color="text.secondary">
                   暂无历史数据
@@ -272,13 +415,54 @@ function StockAnalysis() {
             </CardContent>
           </Card>
 
+          {simulation && (
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                  <Typography variant="h6">
+                    价格分布模拟
+                  </Typography>
+                  <FormControl size="small" sx={{ minWidth: 160 }}>
+                    <InputLabel>模拟方法</InputLabel>
+                    <Select
+                      value={simulationMethod}
+                      label="模拟方法"
+                      onChange={(e) => setSimulationMethod(e.target.value)}
+                    >
+                      <MenuItem value="gbm">几何布朗运动</MenuItem>
+                      <MenuItem value="bootstrap">历史收益重抽样</MenuItem>
+                    </Select>
+                  </FormControl>
+                </Box>
+                <FanChart history={stockData?.historicalData} simulation={simulation} />
+              </CardContent>
+            </Card>
+          )}
+
           {analysisData && (
             <Card sx={{ mb: 3 }}>
               <CardContent>
-                <Typography variant="h6" gutterBottom>
-                  技术指标分析
-                </Typography>
-                <TechnicalIndicatorsPanel indicators={analysisData.technicalIndicators} />
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                  <Typography variant="h6">
+                    技术指标分析
+                  </Typography>
+                  <TextField
+                    size="small"
+                    label="自定义指标"
+                    placeholder="如 rsi(7),bollinger(50,2.5)"
+                    helperText="回车应用，留空使用默认指标"
+                    value={indicatorInput}
+                    onChange={(e) => setIndicatorInput(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') setIndicatorSpecs(indicatorInput.trim());
+                    }}
+                    sx={{ minWidth: 280 }}
+                  />
+                </Box>
+                <TechnicalIndicatorsPanel
+                  indicators={analysisData.indicators}
+                  currentPrice={analysisData.currentPrice}
+                />
               </CardContent>
             </Card>
           )}
@@ -453,6 +637,82 @@ function StockAnalysis() {
               </CardContent>
             </Card>
           )}
+
+          {(valuation || valuationError) && (
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  DCF估值
+                </Typography>
+                <ValuationPanel
+                  valuation={valuation}
+                  error={valuationError}
+                  onRecalculate={setValuationParams}
+                />
+              </CardContent>
+            </Card>
+          )}
+
+          {relativeValuation && (
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  可比公司估值
+                </Typography>
+                <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+                  {peerSets.length > 0 && (
+                    <FormControl size="small" sx={{ minWidth: 120 }}>
+                      <InputLabel>可比组合</InputLabel>
+                      <Select
+                        value={peerQuery.peerSet || ''}
+                        label="可比组合"
+                        onChange={(e) => setPeerQuery(e.target.value ? { peerSet: e.target.value } : {})}
+                      >
+                        <MenuItem value="">同行业</MenuItem>
+                        {peerSets.map(peerSet => (
+                          <MenuItem key={peerSet.name} value={peerSet.name}>{peerSet.name}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  )}
+                  <TextField
+                    size="small"
+                    fullWidth
+                    label="自定义可比公司"
+                    placeholder="如 MSFT,ORCL,CRM，回车应用"
+                    value={peerInput}
+                    onChange={(e) => setPeerInput(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') setPeerQuery(peerInput.trim() ? { peers: peerInput.trim() } : {});
+                    }}
+                  />
+                </Box>
+                <RelativeValuationPanel valuation={relativeValuation} />
+              </CardContent>
+            </Card>
+          )}
+
+          {dividends && (
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  股息分析
+                </Typography>
+                <DividendPanel dividends={dividends} />
+              </CardContent>
+            </Card>
+          )}
+
+          {riskMetrics && (
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  风险指标
+                </Typography>
+                <RiskMetricsPanel risk={riskMetrics} />
+              </CardContent>
+            </Card>
+          )}
           
                     {stockData?.overview && (
             <Card sx={{ mb: 3 }}>
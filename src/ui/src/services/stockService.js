@@ -3,9 +3,10 @@ import axios from 'axios';
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000/api';
 
 const stockService = {
-  async getStockData(symbol) {
+  // params: { adjustment: 'raw' | 'split' | 'total' }
+  async getStockData(symbol, params = {}) {
     try {
-      const response = await axios.get(`${API_BASE_URL}/stock/${symbol}?t=${Date.now()}`);
+      const response = await axios.get(`${API_BASE_URL}/stock/${symbol}`, { params: { ...params, t: Date.now() } });
       return response.data;
     } catch (error) {
       console.error('Error fetching stock data:', error);
@@ -13,9 +14,16 @@ const stockService = {
     }
   },
 
-  async getStockAnalysis(symbol) {
+  // options: { profile, indicators, adjustment }, e.g. indicators 'rsi(7),bollinger(50,2.5)'
+  async getStockAnalysis(symbol, options = {}) {
     try {
-      const response = await axios.get(`${API_BASE_URL}/analysis/${symbol}`);
+      const params = {};
+      if (options.profile) params.profile = options.profile;
+      if (options.indicators) params.indicators = options.indicators;
+      if (options.adjustment) params.adjustment = options.adjustment;
+      if (options.interval) params.interval = options.interval;
+      if (options.benchmark) params.benchmark = options.benchmark;
+      const response = await axios.get(`${API_BASE_URL}/analysis/${symbol}`, { params });
       return response.data;
     } catch (error) {
       console.error('Error fetching stock analysis:', error);
@@ -23,6 +31,122 @@ const stockService = {
     }
   },
 
+  async getModelProfiles() {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/profiles`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching model profiles:', error);
+      throw error;
+    }
+  },
+
+  // params: { benchmark, startDate, endDate, window, riskFreeRate, adjustment }
+  async getRiskMetrics(symbol, params = {}) {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/risk/${symbol}`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching risk metrics:', error);
+      throw error;
+    }
+  },
+
+  // params: { method: 'gbm' | 'bootstrap', horizons: '5,20,60', paths, seed, target, adjustment }
+  async getSimulation(symbol, params = {}) {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/simulation/${symbol}`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching price simulation:', error);
+      throw error;
+    }
+  },
+
+  // params: { riskFreeRate, equityRiskPremium, beta, terminalGrowth, stages: '5:0.12,5:fade', weight }
+  async getValuation(symbol, params = {}) {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/valuation/${symbol}`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching valuation:', error);
+      throw error;
+    }
+  },
+
+  // params: { peers: 'AAPL,MSFT' } or { peerSet: name }; defaults to the same industry
+  async getRelativeValuation(symbol, params = {}) {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/relative-valuation/${symbol}`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching relative valuation:', error);
+      throw error;
+    }
+  },
+
+  async getPeerSets() {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/peer-sets`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching peer sets:', error);
+      throw error;
+    }
+  },
+
+  // body: { filters, sort, order, page, pageSize } or { screen: name }
+  async runScreener(body) {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/screener`, body);
+      return response.data;
+    } catch (error) {
+      console.error('Error running screener:', error);
+      throw error;
+    }
+  },
+
+  async getScreens() {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/screens`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching saved screens:', error);
+      throw error;
+    }
+  },
+
+  // criteria: { filters, sort, order }
+  async saveScreen(name, criteria, description = '') {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/screens/${encodeURIComponent(name)}`, { description, criteria });
+      return response.data;
+    } catch (error) {
+      console.error('Error saving screen:', error);
+      throw error;
+    }
+  },
+
+  async deleteScreen(name) {
+    try {
+      const response = await axios.delete(`${API_BASE_URL}/screens/${encodeURIComponent(name)}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting screen:', error);
+      throw error;
+    }
+  },
+
+  async getDividends(symbol) {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/dividends/${symbol}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching dividends:', error);
+      throw error;
+    }
+  },
+
   async getLlmAnalysis(symbol) {
     try {
       const response = await axios.get(`${API_BASE_URL}/llm-analysis/${symbol}`);
@@ -71,6 +195,16 @@ const stockService = {
     }
   },
 
+  async refreshIntradayData(symbol, interval) {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/intraday/${symbol}/refresh`, null, { params: { interval } });
+      return response.data;
+    } catch (error) {
+      console.error('Error refreshing intraday data:', error);
+      throw error;
+    }
+  },
+
   async getHealthCheck() {
     try {
       const response = await axios.get(`${API_BASE_URL}/health`);
@@ -0,0 +1,90 @@
+const accuracyTracker = require('../src/analysis/accuracyTracker');
+const stockAPI = require('../src/api/stockData');
+const { db, setupDatabase, closeDatabase } = require('./helpers/database');
+const { barsFromCloses } = require('./helpers/fixtures');
+
+const snapshot = (id, analysisDate, fields) => ({
+    id,
+    analysis_date: analysisDate,
+    confidence_score: 50,
+    price_range_low: null,
+    price_range_high: null,
+    recommendation_action: null,
+    ...fields
+});
+
+describe('accuracy scoring', () => {
+    const prices = barsFromCloses([100, 101, 102, 103, 104, 105]);
+    const snapshots = [
+        snapshot(1, '2024-01-01', { current_price: 100, target_price: 110, price_range_low: 95, price_range_high: 105, recommendation_action: 'BUY', confidence_score: 70 }),
+        snapshot(2, '2024-01-02', { current_price: 101, target_price: 90, price_range_low: 90, price_range_high: 100, recommendation_action: 'SELL', confidence_score: 30 })
+    ];
+
+    test('compares each snapshot with the close the horizon after its analysis day', () => {
+        const outcomes = accuracyTracker.evaluateSnapshots(snapshots, prices, [1, 3]);
+        expect(outcomes.map(o => [o.snapshotId, o.horizon, o.realizedDate, o.realizedPrice])).toEqual([
+            [1, 1, '2024-01-02', 101],
+            [1, 3, '2024-01-04', 103],
+            [2, 1, '2024-01-03', 102],
+            [2, 3, '2024-01-05', 104]
+        ]);
+        expect(outcomes[0]).toMatchObject({ realizedReturn: 1, inRange: true, absoluteError: 9, directionCorrect: true });
+        expect(outcomes[2]).toMatchObject({ inRange: false, absoluteError: 12, directionCorrect: false });
+    });
+
+    test('skips horizons past the last stored close', () => {
+        const outcomes = accuracyTracker.evaluateSnapshots(snapshots, prices, [5]);
+        expect(outcomes.map(o => o.snapshotId)).toEqual([1]);
+    });
+
+    test('summarizes hit rate, errors, direction and calibration', () => {
+        const summary = accuracyTracker.summarize(accuracyTracker.evaluateSnapshots(snapshots, prices, [1]), 1);
+        expect(summary).toMatchObject({ horizon: 1, evaluated: 2, hitRate: 0.5, meanAbsoluteError: 10.5 });
+        expect(summary.directional).toEqual({
+            BUY: { count: 1, correct: 1, accuracy: 1 },
+            SELL: { count: 1, correct: 0, accuracy: 0 }
+        });
+        // 0-40 bucket: 30% confidence, no hit; 60-80 bucket: 70% confidence, one hit
+        expect(summary.calibration.expectedCalibrationError).toBeCloseTo(0.3, 10);
+        expect(summary.calibration).toMatchObject({ monotonic: true, calibrated: false });
+        expect(accuracyTracker.summarize([], 5)).toEqual({ horizon: 5, evaluated: 0 });
+    });
+
+    test('counts a HOLD as correct while the price stays within the band', () => {
+        const hold = [snapshot(3, '2024-01-01', { current_price: 100, target_price: 100, recommendation_action: 'HOLD' })];
+        expect(accuracyTracker.evaluateSnapshots(hold, prices, [5])[0].directionCorrect).toBe(true);
+        expect(accuracyTracker.evaluateSnapshots(hold, barsFromCloses([100, 106]), [1])[0].directionCorrect).toBe(false);
+    });
+});
+
+describe('accuracy of stored DEMO snapshots', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await setupDatabase();
+        await stockAPI.updateStockData('DEMO', db);
+        await new Promise((resolve, reject) => db.run(
+            `INSERT INTO price_analysis (stock_symbol, analysis_date, target_price, confidence_score, current_price,
+                price_range_low, price_range_high, recommendation_action)
+             SELECT stock_symbol, date, close_price * 1.05, 65, close_price, close_price * 0.9, close_price * 1.1, 'BUY'
+             FROM daily_prices WHERE stock_symbol = 'DEMO' AND date = '2026-09-01'`,
+            err => (err ? reject(err) : resolve())
+        ));
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('scores the snapshot against the closes after it', async () => {
+        const report = await accuracyTracker.evaluateSymbol('DEMO', db, [5, 500]);
+        expect(report.snapshots).toBe(1);
+        expect(report.outcomes).toHaveLength(1);
+        expect(report.outcomes[0]).toMatchObject({ analysisDate: '2026-09-01', horizon: 5, realizedDate: '2026-09-08' });
+        expect(report.horizons.map(h => h.evaluated)).toEqual([1, 0]);
+
+        const all = await accuracyTracker.evaluateAll(db, [5]);
+        expect(all.symbols).toBe(1);
+        expect(all.bySymbol[0].symbol).toBe('DEMO');
+    });
+});
@@ -0,0 +1,78 @@
+const _ = require('lodash');
+const backtester = require('../src/analysis/backtester');
+const stockAPI = require('../src/api/stockData');
+const { db, setupDatabase, closeDatabase } = require('./helpers/database');
+const { loadDemoBars } = require('./helpers/fixtures');
+
+const curve = (values) => values.map((equity, i) => ({ date: `2024-01-${String(i + 1).padStart(2, '0')}`, equity }));
+
+describe('backtest metrics', () => {
+    test('measures the return, drawdown and Sharpe of an equity curve', () => {
+        const metrics = backtester.calculateMetrics(curve([100, 110, 99, 121]), { riskFreeRate: 0 });
+        expect(metrics).toMatchObject({
+            startEquity: 100,
+            endEquity: 121,
+            maxDrawdownPeakDate: '2024-01-02',
+            maxDrawdownTroughDate: '2024-01-03'
+        });
+        expect(metrics.totalReturn).toBeCloseTo(21, 10);
+        expect(metrics.maxDrawdown).toBeCloseTo(-10, 10);
+        expect(metrics.sharpe).toBeGreaterThan(0);
+    });
+
+    test('has no Sharpe ratio without variation', () => {
+        const metrics = backtester.calculateMetrics(curve([100, 100, 100]), { riskFreeRate: 0 });
+        expect(metrics.sharpe).toBeNull();
+        expect(metrics.maxDrawdown).toBe(0);
+    });
+});
+
+describe('walk-forward backtest of DEMO', () => {
+    let result;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await setupDatabase();
+        await stockAPI.updateStockData('DEMO', db);
+        result = await backtester.run('DEMO', db, { startDate: '2026-07-01', commissionRate: 0, slippageBps: 0 });
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('steps through every bar from the start date', () => {
+        expect(result.period).toMatchObject({ start: '2026-07-01', end: '2026-10-16' });
+        expect(result.equityCurve).toHaveLength(result.period.bars);
+        expect(result.equityCurve[0].equity).toBe(10000);
+        expect(Object.values(result.metrics.signals).reduce((sum, count) => sum + count, 0)).toBe(result.period.bars);
+    });
+
+    test('fills the trades at the open after the signal', async () => {
+        const bars = _.keyBy(await loadDemoBars(), 'date');
+        expect(result.trades.length).toBeGreaterThan(0);
+        result.trades.forEach(trade => {
+            expect(trade.entryDate > '2026-07-01').toBe(true);
+            expect(trade.entryPrice).toBe(bars[trade.entryDate].open);
+            if (!trade.open) {
+                expect(trade.exitPrice).toBe(bars[trade.exitDate].open);
+                expect(trade.pnl).toBeCloseTo((trade.exitPrice - trade.entryPrice) * trade.shares, 8);
+            }
+        });
+    });
+
+    test('buys and holds the benchmark at the first open', async () => {
+        const bars = await loadDemoBars();
+        const entry = bars.find(bar => bar.date === '2026-07-01');
+        const shares = Math.floor(10000 / entry.open);
+        const cash = 10000 - shares * entry.open;
+
+        expect(result.equityCurve[0].benchmark).toBeCloseTo(cash + shares * entry.close, 8);
+        expect(result.benchmark.endEquity).toBeCloseTo(cash + shares * 137.36, 8);
+    });
+
+    test('needs enough history', async () => {
+        await expect(backtester.run('EMPTY', db)).rejects.toThrow('Not enough price history to backtest EMPTY');
+    });
+});
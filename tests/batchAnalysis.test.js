@@ -0,0 +1,80 @@
+const batchAnalysis = require('../src/analysis/batchAnalysis');
+const analysisEngine = require('../src/analysis/priceAnalyzer');
+const { get, run } = require('../src/database/query');
+const { db, setupDatabase, closeDatabase } = require('./helpers/database');
+
+const statuses = (job) => job.items.map(item => [item.symbol, item.status]);
+const countSnapshots = async () => (await get(db, 'SELECT COUNT(*) AS count FROM price_analysis', [])).count;
+
+describe('batch analysis', () => {
+    let jobId;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await setupDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('analyzes every symbol and records failures without stopping', async () => {
+        const created = await batchAnalysis.createJob(db, { symbols: 'demo, nope demo', options: { concurrency: 2 } });
+        jobId = created.id;
+        expect(created.progress.total).toBe(2);
+
+        const job = await batchAnalysis.waitForJob(jobId, db);
+        expect(job.status).toBe('completed');
+        expect(job.running).toBe(false);
+        expect(job.progress).toMatchObject({ total: 2, done: 1, failed: 1, pending: 0, percent: 100 });
+        expect(statuses(job)).toEqual([['DEMO', 'done'], ['NOPE', 'failed']]);
+        expect(job.items[0].snapshotId).toEqual(expect.any(Number));
+        expect(job.items[0].targetPrice).toBeGreaterThan(0);
+        expect(job.items[1].error).toBeTruthy();
+    });
+
+    test('resumes an interrupted job, optionally leaving the failed symbols alone', async () => {
+        await run(db, `UPDATE batch_job_items SET status = 'running' WHERE job_id = ? AND symbol = 'DEMO'`, [jobId]);
+        await run(db, `UPDATE batch_jobs SET status = 'running' WHERE id = ?`, [jobId]);
+        await batchAnalysis.markInterruptedJobs(db);
+        expect((await batchAnalysis.getJob(jobId, db)).status).toBe('interrupted');
+
+        const analyzeStock = jest.spyOn(analysisEngine, 'analyzeStock');
+        await batchAnalysis.resumeJob(jobId, db, { retryFailed: false });
+        let job = await batchAnalysis.waitForJob(jobId, db);
+        expect(job.status).toBe('completed');
+        expect(statuses(job)).toEqual([['DEMO', 'done'], ['NOPE', 'failed']]);
+        expect(analyzeStock.mock.calls.map(call => call[0])).toEqual(['DEMO']);
+
+        await batchAnalysis.resumeJob(jobId, db);
+        job = await batchAnalysis.waitForJob(jobId, db);
+        expect(statuses(job)).toEqual([['DEMO', 'done'], ['NOPE', 'failed']]);
+        analyzeStock.mockRestore();
+    });
+
+    test('validates the job request', async () => {
+        await expect(batchAnalysis.createJob(db, { symbols: ' , ' })).rejects.toThrow('A batch job needs a universe or at least one symbol');
+        await expect(batchAnalysis.createJob(db, { symbols: 'DEMO', options: { concurrency: 11 } })).rejects.toThrow('Concurrency must be between 1 and 10');
+        await expect(batchAnalysis.createJob(db, { symbols: 'DEMO', options: { timeoutMs: 500 } })).rejects.toThrow('timeoutMs must be at least 1000');
+        await expect(batchAnalysis.resumeJob(999, db)).rejects.toThrow('Unknown batch job: 999');
+    });
+
+    test('fails a timed-out symbol and saves nothing once its analysis finishes', async () => {
+        const analyzeStock = analysisEngine.analyzeStock.bind(analysisEngine);
+        // Holds the analysis until the batch gives up on it, then lets it run to the save
+        jest.spyOn(analysisEngine, 'analyzeStock').mockImplementation((symbol, database, options) => new Promise(resolve => {
+            options.signal.addEventListener('abort', resolve);
+        }).then(() => analyzeStock(symbol, database, options)));
+        const snapshots = await countSnapshots();
+
+        const created = await batchAnalysis.createJob(db, { symbols: ['DEMO'], options: { timeoutMs: 1000, skipUpdate: true } });
+        const job = await batchAnalysis.waitForJob(created.id, db);
+        expect(statuses(job)).toEqual([['DEMO', 'failed']]);
+        expect(job.items[0].error).toBe('Timed out after 1s analyzing DEMO');
+        expect(await countSnapshots()).toBe(snapshots);
+        analysisEngine.analyzeStock.mockRestore();
+    });
+});
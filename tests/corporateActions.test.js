@@ -0,0 +1,97 @@
+const corporateActions = require('../src/api/corporateActions');
+const { run } = require('../src/database/query');
+const { db, setupDatabase, closeDatabase } = require('./helpers/database');
+
+// A 2:1 split before the third bar and a cash dividend before the fourth
+const bars = [
+    { date: '2026-01-05', open: 198, high: 201, low: 197, close: 200, volume: 1000 },
+    { date: '2026-01-06', open: 200, high: 203, low: 199, close: 202, volume: 1200 },
+    { date: '2026-01-07', open: 101, high: 102, low: 99, close: 100, volume: 2600 },
+    { date: '2026-01-08', open: 100, high: 102, low: 100, close: 101, volume: 2400 }
+];
+const dividendFactor = 1 - 1.01 / 100;
+
+const insertBars = async (symbol, closes) => {
+    for (const bar of closes) {
+        await run(
+            db,
+            'INSERT INTO daily_prices (stock_symbol, date, open_price, high_price, low_price, close_price, volume) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [symbol, bar.date, bar.open, bar.high, bar.low, bar.close, bar.volume]
+        );
+    }
+};
+
+describe('corporate actions', () => {
+    let factors;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await setupDatabase();
+        await insertBars('SPLT', bars);
+        await corporateActions.saveActions('SPLT', 'split', [{ date: '2026-01-07', value: 2 }, { date: '2020-01-02', value: 3 }], db);
+        await corporateActions.saveActions('SPLT', 'dividend', [{ date: '2026-01-08', value: 1.01 }], db);
+        factors = await corporateActions.getAdjustmentFactors('SPLT', db);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('stores actions once per date and type', async () => {
+        await corporateActions.saveActions('SPLT', 'dividend', [{ date: '2026-01-08', value: 1.01 }], db);
+        expect(await corporateActions.getActions('SPLT', db)).toEqual([
+            { date: '2020-01-02', type: 'split', value: 3 },
+            { date: '2026-01-07', type: 'split', value: 2 },
+            { date: '2026-01-08', type: 'dividend', value: 1.01 }
+        ]);
+        expect(await corporateActions.getActions('SPLT', db, 'dividend')).toHaveLength(1);
+        await expect(corporateActions.saveActions('SPLT', 'merger', [], db)).rejects.toThrow('Unknown corporate action type: merger');
+    });
+
+    test('derives factors from the actions inside the stored history', () => {
+        // The 2020 split predates every stored bar
+        expect(factors).toEqual([
+            { date: '2026-01-07', type: 'split', priceFactor: 0.5, volumeFactor: 2 },
+            { date: '2026-01-08', type: 'dividend', priceFactor: dividendFactor, volumeFactor: 1 }
+        ]);
+    });
+
+    test('ignores a split the stored history is already adjusted for', async () => {
+        await insertBars('ADJD', bars.map(bar => ({ ...bar, close: 100 })));
+        await corporateActions.saveActions('ADJD', 'split', [{ date: '2026-01-07', value: 2 }], db);
+        expect(await corporateActions.getAdjustmentFactors('ADJD', db)).toEqual([]);
+    });
+
+    test('back-adjusts the bars before each action', () => {
+        const split = corporateActions.adjust(bars, factors, 'split');
+        expect(split.map(bar => bar.close)).toEqual([100, 101, 100, 101]);
+        expect(split.map(bar => bar.volume)).toEqual([2000, 2400, 2600, 2400]);
+        expect(split[2]).toBe(bars[2]);
+
+        const total = corporateActions.adjust(bars, factors, 'total');
+        expect(total[0].close).toBeCloseTo(100 * dividendFactor, 10);
+        expect(total[2].open).toBeCloseTo(101 * dividendFactor, 10);
+        expect(total[3]).toBe(bars[3]);
+
+        expect(corporateActions.adjust(bars, factors, 'raw')).toBe(bars);
+    });
+
+    test('scales a single value observed before the actions', () => {
+        expect(corporateActions.priceFactorAfter(factors, '2026-01-06', 'split')).toBe(0.5);
+        expect(corporateActions.priceFactorAfter(factors, '2026-01-06', 'total')).toBeCloseTo(0.5 * dividendFactor, 12);
+        expect(corporateActions.priceFactorAfter(factors, '2026-01-07', 'split')).toBe(1);
+        expect(corporateActions.priceFactorAfter(factors, '2026-01-06', 'raw')).toBe(1);
+    });
+
+    test('loads the factors when adjusting stored bars', async () => {
+        const adjusted = await corporateActions.adjustBars('SPLT', db, bars, 'total');
+        expect(adjusted.map(bar => bar.close)).toEqual(corporateActions.adjust(bars, factors, 'total').map(bar => bar.close));
+    });
+
+    test('defaults to split adjustment', () => {
+        expect(corporateActions.resolveAdjustment()).toBe('split');
+        expect(corporateActions.resolveAdjustment('total')).toBe('total');
+        expect(() => corporateActions.resolveAdjustment('dividend')).toThrow('Unknown price adjustment: dividend. Use one of raw, split, total');
+    });
+});
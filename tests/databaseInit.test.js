@@ -0,0 +1,65 @@
+const { all, get, run } = require('../src/database/query');
+const { db, setupDatabase, closeDatabase } = require('./helpers/database');
+
+// The price_analysis table as released before snapshots, one row per symbol
+const legacyTable = (columns) => `CREATE TABLE price_analysis (
+    id INTEGER PRIMARY KEY,
+    stock_symbol TEXT NOT NULL UNIQUE,
+    analysis_date DATE NOT NULL,
+    ${columns.join(',\n    ')}
+)`;
+
+const LEGACY_COLUMNS = [
+    'target_price REAL', 'confidence_score REAL', 'analysis_method TEXT', 'price_range_low REAL',
+    'price_range_high REAL', 'technical_indicators TEXT', 'current_price REAL', 'price_change REAL',
+    'price_change_percent REAL', 'volume INTEGER', 'created_at DATETIME DEFAULT CURRENT_TIMESTAMP'
+];
+
+const tableSql = async (name) => {
+    const row = await get(db, `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`, [name]);
+    return row ? row.sql : null;
+};
+
+const createLegacyTable = async (columns) => {
+    await run(db, 'DROP TABLE price_analysis', []);
+    await run(db, legacyTable(columns), []);
+    await run(db, `INSERT INTO price_analysis (stock_symbol, analysis_date, target_price) VALUES ('DEMO', '2024-01-02', 150)`, []);
+};
+
+describe('database migrations', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await setupDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('rolls back a failed price_analysis rebuild', async () => {
+        // Without the volume column the copy into the new table fails
+        await createLegacyTable(LEGACY_COLUMNS.filter(column => !column.startsWith('volume')));
+        await expect(setupDatabase()).rejects.toThrow('no such column: volume');
+
+        expect(await tableSql('price_analysis')).toMatch(/stock_symbol TEXT NOT NULL UNIQUE/);
+        expect(await tableSql('price_analysis_legacy')).toBeNull();
+        expect(await all(db, 'SELECT stock_symbol, target_price FROM price_analysis', [])).toEqual([
+            { stock_symbol: 'DEMO', target_price: 150 }
+        ]);
+    });
+
+    test('keeps the legacy rows as the first snapshots', async () => {
+        await createLegacyTable(LEGACY_COLUMNS);
+        await setupDatabase();
+
+        expect(await tableSql('price_analysis')).not.toMatch(/UNIQUE/);
+        expect(await tableSql('price_analysis_legacy')).toBeNull();
+        await run(db, `INSERT INTO price_analysis (stock_symbol, analysis_date, target_price) VALUES ('DEMO', '2024-01-03', 155)`, []);
+        expect(await all(db, 'SELECT analysis_date, target_price FROM price_analysis ORDER BY analysis_date', [])).toEqual([
+            { analysis_date: '2024-01-02', target_price: 150 },
+            { analysis_date: '2024-01-03', target_price: 155 }
+        ]);
+    });
+});
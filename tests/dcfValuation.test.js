@@ -0,0 +1,77 @@
+const dcfValuation = require('../src/analysis/dcfValuation');
+
+// No debt and a 10% cost of equity, so the discount rate is a round 10%
+const overview = {
+    symbol: 'TEST',
+    freeCashflow: 100,
+    shares_outstanding: 10,
+    marketCap: 1000,
+    totalDebt: 0,
+    totalCash: 0,
+    beta: 1,
+    revenueGrowth: 0.1
+};
+const assumptions = { riskFreeRate: 0.04, equityRiskPremium: 0.06, terminalGrowth: 0.02 };
+
+describe('DCF valuation', () => {
+    test('discounts the projected cash flows and the Gordon terminal value', () => {
+        const valuation = dcfValuation.value(overview, { ...assumptions, stages: [{ years: 2, growth: 0.1 }] });
+
+        expect(valuation.wacc.rate).toBeCloseTo(0.1, 12);
+        expect(valuation.projections.map(p => p.cashFlow)).toEqual([110.00000000000001, 121.00000000000003]);
+        // 110 / 1.1 + 121 / 1.21
+        expect(valuation.presentValueOfCashFlows).toBeCloseTo(200, 8);
+        // 121 * 1.02 / (0.10 - 0.02), discounted two years
+        expect(valuation.terminalValue).toBeCloseTo(1542.75, 8);
+        expect(valuation.presentValueOfTerminal).toBeCloseTo(1275, 8);
+        expect(valuation.intrinsicValue).toBeCloseTo(147.5, 8);
+    });
+
+    test('subtracts net debt from the enterprise value', () => {
+        const indebted = { ...overview, totalDebt: 250, totalCash: 50, marketCap: 750 };
+        const valuation = dcfValuation.value(indebted, { ...assumptions, stages: [{ years: 2, growth: 0.1 }] });
+
+        // 75% equity at 10%, 25% debt at 5% after 21% tax
+        expect(valuation.wacc.rate).toBeCloseTo(0.75 * 0.1 + 0.25 * 0.05 * 0.79, 12);
+        expect(valuation.netDebt).toBe(200);
+        expect(valuation.intrinsicValue).toBeCloseTo((valuation.enterpriseValue - 200) / 10, 8);
+    });
+
+    test('uses the company growth estimate and fades it to the terminal rate', () => {
+        const rates = dcfValuation.growthSchedule(dcfValuation.resolveAssumptions(overview, {
+            ...assumptions,
+            stages: [{ years: 1, growth: null }, { years: 3, growth: 'fade' }]
+        }));
+        expect(rates.map(rate => Number(rate.toFixed(10)))).toEqual([0.1, 0.08, 0.06, 0.04]);
+    });
+
+    test('centres the sensitivity grid on the base case', () => {
+        const valuation = dcfValuation.value(overview, { ...assumptions, stages: [{ years: 2, growth: 0.1 }] });
+        expect(valuation.sensitivity.values[2][2]).toBeCloseTo(valuation.intrinsicValue, 8);
+        expect(valuation.sensitivity.values[0][4]).toBeGreaterThan(valuation.sensitivity.values[4][0]);
+    });
+
+    test('parses growth stages', () => {
+        expect(dcfValuation.parseStages('5:0.12,5:fade')).toEqual([{ years: 5, growth: 0.12 }, { years: 5, growth: 'fade' }]);
+        expect(dcfValuation.parseStages('3')).toEqual([{ years: 3, growth: null }]);
+        expect(() => dcfValuation.parseStages('5:x')).toThrow('Invalid growth stage: 5:x');
+        expect(() => dcfValuation.parseStages('2.5:0.1')).toThrow('Invalid growth stage: 2.5:0.1');
+        expect(() => dcfValuation.parseStages('5:0.1,')).toThrow('Invalid growth stage: ');
+    });
+
+    test('rejects inputs the model cannot value', () => {
+        expect(() => dcfValuation.value({ ...overview, freeCashflow: -1 })).toThrow('DCF needs a positive free cash flow; TEST reports -1');
+        expect(() => dcfValuation.value(overview, { ...assumptions, terminalGrowth: 0.12 })).toThrow('Discount rate (10.00%) must exceed terminal growth (12.00%)');
+        expect(() => dcfValuation.discountCashFlows(100, [0.1], 0.02, 0.03)).toThrow('Discount rate (2.00%) must exceed terminal growth (3.00%)');
+        expect(() => dcfValuation.resolveAssumptions(overview, { stages: [{ years: 5, growth: 'fade' }] })).toThrow('The first growth stage cannot fade');
+    });
+
+    test('blends the intrinsic value with the technical target', () => {
+        expect(dcfValuation.blend({ intrinsicValue: 150 }, 100, 100, 0.25)).toEqual({
+            weight: 0.25,
+            technicalTarget: 100,
+            targetPrice: 112.5,
+            upside: 12.5
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const dividendAnalysis = require('../src/analysis/dividendAnalysis');
+const stockAPI = require('../src/api/stockData');
+const { db, setupDatabase, closeDatabase } = require('./helpers/database');
+
+// A 10% required return: beta 1 at a 4% risk-free rate and 6% equity risk premium
+const overview = { symbol: 'TEST', beta: 1 };
+const assumptions = { riskFreeRate: 0.04, equityRiskPremium: 0.06, terminalGrowth: 0.02 };
+
+describe('dividend discount model', () => {
+    const growth = { '1y': 0.05, '3y': 0.05, '5y': 0.05, '10y': null };
+
+    test('values the dividend with Gordon growth and a multi-stage fade', () => {
+        const ddm = dividendAnalysis.dividendDiscountModel(overview, 2, growth, 40, assumptions);
+        expect(ddm.requiredReturn).toBeCloseTo(0.1, 12);
+        expect(ddm.highGrowth).toBe(0.05);
+        // 2 * 1.02 / (0.10 - 0.02)
+        expect(ddm.gordon).toBeCloseTo(25.5, 10);
+        expect(ddm.gordonUpside).toBeCloseTo(-36.25, 10);
+        // Five years at 5%, five fading to 2%, then Gordon growth
+        expect(ddm.multiStage).toBeCloseTo(30.30869238945234, 8);
+    });
+
+    test('caps the historical growth used for the first stage', () => {
+        const ddm = dividendAnalysis.dividendDiscountModel(overview, 2, { ...growth, '5y': 0.4 }, 40, assumptions);
+        expect(ddm.highGrowth).toBe(0.15);
+    });
+
+    test('needs a required return above the stable growth', () => {
+        const ddm = dividendAnalysis.dividendDiscountModel(overview, 2, growth, 40, { ...assumptions, terminalGrowth: 0.12 });
+        expect(ddm.gordon).toBeNull();
+        expect(ddm.error).toBe('Required return must exceed stable growth');
+    });
+
+    test('compounds calendar-year totals', () => {
+        const totals = [1, 1.1, 1.21, 1.331].map((total, i) => ({ year: 2020 + i, total }));
+        const rates = dividendAnalysis.growthRates(totals);
+        expect(rates['1y']).toBeCloseTo(0.1, 10);
+        expect(rates['3y']).toBeCloseTo(0.1, 10);
+        expect(rates['5y']).toBeNull();
+        expect(dividendAnalysis.consecutiveIncreases(totals)).toBe(3);
+    });
+});
+
+describe('dividend analysis for DEMO', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await setupDatabase();
+        await stockAPI.updateStockData('DEMO', db);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('analyzes the recorded dividend history', async () => {
+        const analysis = await dividendAnalysis.analyze('DEMO', db, { asOf: '2026-10-16' });
+        expect(analysis.paysDividend).toBe(true);
+        expect(analysis.history[0].date).toBe('2016-02-10');
+        expect(analysis.trailingAnnualDividend).toBeCloseTo(dividendAnalysis.trailingAnnualDividend(analysis.history, '2026-10-16'), 12);
+        expect(analysis.annualTotals[analysis.annualTotals.length - 1].year).toBe(2025);
+        expect(analysis.ddm.gordon).toBeGreaterThan(0);
+    });
+
+    test('does not refetch a history that was fetched empty', async () => {
+        const getDividends = jest.spyOn(stockAPI, 'getDividends').mockResolvedValue([]);
+        await new Promise((resolve, reject) => db.run(
+            `DELETE FROM corporate_actions WHERE stock_symbol = 'DEMO' AND action_type = 'dividend'`,
+            err => (err ? reject(err) : resolve())
+        ));
+
+        await dividendAnalysis.analyze('DEMO', db);
+        expect(getDividends).not.toHaveBeenCalled();
+        await dividendAnalysis.analyze('DEMO', db, { refresh: true });
+        expect(getDividends).toHaveBeenCalledTimes(1);
+    });
+});
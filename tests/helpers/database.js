@@ -0,0 +1,12 @@
+const { db, initialize } = require('../../src/database/init');
+
+// Creates the schema in this test file's in-memory database
+const setupDatabase = () => new Promise((resolve, reject) => {
+    initialize(err => (err ? reject(err) : resolve(db)));
+});
+
+const closeDatabase = () => new Promise((resolve, reject) => {
+    db.close(err => (err ? reject(err) : resolve()));
+});
+
+module.exports = { db, setupDatabase, closeDatabase };
@@ -0,0 +1,16 @@
+const { FixtureProvider } = require('../../src/api/providers/fixtureProvider');
+
+// DEMO's recorded daily bars, shaped as the analysis code reads them from daily_prices
+const loadDemoBars = () => new FixtureProvider().getHistory('DEMO', '1y');
+
+// Bars from a list of closes, with a fixed range around each close
+const barsFromCloses = (closes, range = 0.5) => closes.map((close, i) => ({
+    date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0],
+    open: close,
+    high: close + range,
+    low: close - range,
+    close,
+    volume: 1000000
+}));
+
+module.exports = { loadDemoBars, barsFromCloses };
@@ -0,0 +1,84 @@
+const historyService = require('../src/api/historyService');
+const analysisEngine = require('../src/analysis/priceAnalyzer');
+const stockAPI = require('../src/api/stockData');
+const { db, setupDatabase, closeDatabase } = require('./helpers/database');
+
+const setTarget = (id, targetPrice) => new Promise((resolve, reject) => {
+    db.run('UPDATE price_analysis SET target_price = ? WHERE id = ?', [targetPrice, id], err => (err ? reject(err) : resolve()));
+});
+
+describe('analysis history', () => {
+    let first;
+    let second;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await setupDatabase();
+        historyService.setDatabase(db);
+        await stockAPI.updateStockData('DEMO', db);
+        first = await analysisEngine.analyzeStock('DEMO', db);
+        second = await analysisEngine.analyzeStock('DEMO', db);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('keeps a snapshot of every run, newest first', async () => {
+        expect(second.snapshotId).toBeGreaterThan(first.snapshotId);
+
+        const history = await historyService.getAnalysisHistory('DEMO');
+        expect(history.map(snapshot => snapshot.id)).toEqual([second.snapshotId, first.snapshotId]);
+        expect(history[0]).toMatchObject({ symbol: 'DEMO', targetPrice: second.targetPrice, currentPrice: 137.36 });
+        expect(history[0].breakdown.length).toBeGreaterThan(0);
+    });
+
+    test('reads a single snapshot of the symbol', async () => {
+        expect((await historyService.getAnalysisSnapshot('DEMO', first.snapshotId)).id).toBe(first.snapshotId);
+        expect(await historyService.getAnalysisSnapshot('OTHER', first.snapshotId)).toBeNull();
+    });
+
+    test('diffs the latest two snapshots', async () => {
+        await setTarget(second.snapshotId, first.targetPrice + 10);
+
+        const diff = await historyService.compareAnalysisSnapshots('DEMO');
+        expect(diff.from.id).toBe(first.snapshotId);
+        expect(diff.to.id).toBe(second.snapshotId);
+        expect(diff.targetPrice.change).toBeCloseTo(10, 8);
+        expect(diff.targetPrice.changePercent).toBeCloseTo(10 / first.targetPrice * 100, 8);
+        expect(diff.currentPrice).toEqual({ from: 137.36, to: 137.36, change: 0, changePercent: 0 });
+        expect(diff.breakdown.every(source => source.status === 'changed')).toBe(true);
+        expect(diff.analystData).toEqual({});
+    });
+
+    test('diffs two snapshots by id in either order', async () => {
+        const diff = await historyService.compareAnalysisSnapshots('DEMO', second.snapshotId, first.snapshotId);
+        expect(diff.targetPrice.change).toBeCloseTo(-10, 8);
+        expect(await historyService.compareAnalysisSnapshots('DEMO', first.snapshotId, 999)).toBeNull();
+    });
+
+    test('needs both ids to compare specific snapshots', async () => {
+        const message = 'Both snapshot ids are required to compare specific snapshots';
+        await expect(historyService.compareAnalysisSnapshots('DEMO', first.snapshotId)).rejects.toThrow(message);
+        await expect(historyService.compareAnalysisSnapshots('DEMO', null, second.snapshotId)).rejects.toThrow(message);
+        await expect(historyService.compareAnalysisSnapshots('DEMO', first.snapshotId, NaN)).rejects.toThrow(message);
+    });
+
+    test('tracks the target price over time, oldest first', async () => {
+        const timeline = await historyService.getTargetPriceTimeline('DEMO');
+        expect(timeline.map(point => point.id)).toEqual([first.snapshotId, second.snapshotId]);
+        expect(timeline[0].targetPriceChange).toBeNull();
+        expect(timeline[1].targetPriceChange).toBeCloseTo(10, 8);
+    });
+
+    test('keeps every snapshot unless a retention period is set', async () => {
+        await new Promise((resolve, reject) => {
+            db.run(`UPDATE price_analysis SET analysis_date = '2020-01-02' WHERE id = ?`, [first.snapshotId], err => (err ? reject(err) : resolve()));
+        });
+        expect(await historyService.cleanupOldData()).toEqual({ priceAnalysis: 0, dailyPrices: 0 });
+
+        expect(await historyService.cleanupOldData({ analysisDays: 365 })).toEqual({ priceAnalysis: 1, dailyPrices: 0 });
+        expect((await historyService.getAnalysisHistory('DEMO')).map(snapshot => snapshot.id)).toEqual([second.snapshotId]);
+    });
+});
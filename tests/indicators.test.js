@@ -0,0 +1,105 @@
+const _ = require('lodash');
+const {
+    DEFAULT_INDICATORS,
+    parseIndicatorSpecs,
+    calculateIndicator,
+    computeIndicators,
+    registerIndicator,
+    listIndicators
+} = require('../src/analysis/indicators');
+const { loadDemoBars } = require('./helpers/fixtures');
+
+describe('parseIndicatorSpecs', () => {
+    test('parses a comma separated list, filling in defaults', () => {
+        expect(parseIndicatorSpecs('rsi(7), bollinger(50,2.5),sma')).toEqual([
+            { id: 'rsi', params: { period: 7 }, key: 'rsi(7)' },
+            { id: 'bollinger', params: { period: 50, stdDev: 2.5 }, key: 'bollinger(50,2.5)' },
+            { id: 'sma', params: { period: 20 }, key: 'sma(20)' }
+        ]);
+    });
+
+    test('accepts arrays and parameterless indicators', () => {
+        expect(parseIndicatorSpecs(['OBV', 'macd(5)']).map(spec => spec.key)).toEqual(['obv', 'macd(5,26,9)']);
+    });
+
+    test('parses every default indicator', () => {
+        expect(parseIndicatorSpecs(DEFAULT_INDICATORS).map(spec => spec.key)).toEqual(DEFAULT_INDICATORS);
+    });
+
+    test.each([
+        ['sma(-5)', 'period for sma must be between 1 and 500, got -5'],
+        ['rsi(0)', 'period for rsi must be between 1 and 500, got 0'],
+        ['sma(1.5)', 'period for sma must be an integer, got 1.5'],
+        ['ema(abc)', 'Invalid period for ema: abc'],
+        ['bollinger(20,0)', 'stdDev for bollinger must be between 0.1 and 10, got 0'],
+        ['psar(0.02,2)', 'max for psar must be between 0.001 and 1, got 2'],
+        ['sma(10,20)', 'sma takes at most 1 parameters'],
+        ['nope(3)', 'Unknown indicator: nope']
+    ])('rejects %s', (spec, message) => {
+        expect(() => parseIndicatorSpecs(spec)).toThrow(message);
+    });
+});
+
+describe('computeIndicators on the DEMO history', () => {
+    let bars;
+
+    beforeAll(async () => {
+        bars = await loadDemoBars();
+    });
+
+    test('computes the simple moving average of the closes', () => {
+        const { 'sma(20)': sma } = computeIndicators(bars, ['sma(20)']);
+        expect(sma.values).toHaveLength(bars.length - 19);
+        expect(sma.latest).toBeCloseTo(_.meanBy(bars.slice(-20), 'close'), 8);
+    });
+
+    test('keeps oscillators within their range', () => {
+        const results = computeIndicators(bars, ['rsi(14)', 'williamsr(14)', 'mfi(14)']);
+        expect(results['rsi(14)'].values.every(value => value >= 0 && value <= 100)).toBe(true);
+        expect(results['williamsr(14)'].values.every(value => value >= -100 && value <= 0)).toBe(true);
+        expect(results['mfi(14)'].range).toEqual([0, 100]);
+    });
+
+    test('labels the fields of multi-value indicators', () => {
+        const { 'bollinger(20,2)': bollinger } = computeIndicators(bars, ['bollinger(20,2)']);
+        expect(Object.keys(bollinger.latest)).toEqual(['upperBand', 'middleBand', 'lowerBand', 'pb']);
+        expect(bollinger.latest.middleBand).toBeCloseTo(_.meanBy(bars.slice(-20), 'close'), 8);
+        expect(bollinger.latest.upperBand).toBeGreaterThan(bollinger.latest.lowerBand);
+    });
+
+    test('reports an error instead of values when there are too few bars', () => {
+        const { 'sma(200)': sma } = computeIndicators(bars.slice(-50), ['sma(200)']);
+        expect(sma.values).toBeNull();
+        expect(sma.error).toBe('Needs at least 200 bars, got 50');
+        expect(calculateIndicator('sma(200)', bars.slice(-50))).toBeNull();
+    });
+
+    test('keys results by parameters so variants coexist', () => {
+        const results = computeIndicators(bars, ['rsi(7)', 'rsi(14)']);
+        expect(Object.keys(results)).toEqual(['rsi(7)', 'rsi(14)']);
+        expect(results['rsi(7)'].latest).not.toBe(results['rsi(14)'].latest);
+    });
+});
+
+describe('registerIndicator', () => {
+    test('makes a custom indicator available to specs and the listing', async () => {
+        registerIndicator({
+            id: 'roc',
+            name: 'ROC',
+            params: [{ name: 'period', default: 12, integer: true, min: 1 }],
+            minBars: ({ period }) => period + 1,
+            compute: (bars, { period }) => bars.slice(period).map((bar, i) => (bar.close / bars[i].close - 1) * 100)
+        });
+
+        const bars = await loadDemoBars();
+        const roc = calculateIndicator('roc(10)', bars);
+        const last = bars.length - 1;
+        expect(roc[roc.length - 1]).toBeCloseTo((bars[last].close / bars[last - 10].close - 1) * 100, 8);
+        expect(listIndicators().find(indicator => indicator.id === 'roc')).toMatchObject({ key: 'roc(12)', minBars: 13 });
+        expect(() => parseIndicatorSpecs('roc(0)')).toThrow('period for roc must be between 1 and ∞, got 0');
+    });
+
+    test('requires an id and a compute function', () => {
+        expect(() => registerIndicator({ id: 'broken' })).toThrow('An indicator needs an id and a compute function');
+    });
+});
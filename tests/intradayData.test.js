@@ -0,0 +1,56 @@
+const intradayData = require('../src/api/intradayData');
+const { db, setupDatabase, closeDatabase } = require('./helpers/database');
+
+const now = (iso) => jest.spyOn(Date, 'now').mockReturnValue(new Date(iso).getTime());
+
+describe('intraday data', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await setupDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('stores the recorded hourly bars with their timestamps', async () => {
+        now('2026-10-19T12:00:00Z');
+        const update = await intradayData.updateIntradayData('DEMO', '1h', db);
+        expect(update).toEqual({ symbol: 'DEMO', interval: '1h', start: '2024-10-20', fetched: 280, removed: 0 });
+
+        const bars = await intradayData.getIntradayBars('DEMO', '1h', db);
+        expect(bars).toHaveLength(280);
+        expect(bars[0]).toMatchObject({ date: '2026-08-24T13:30:00.000Z', open: 141.87, close: 143.55, volume: 478220 });
+        expect(bars[279].date).toBe('2026-10-16T19:30:00.000Z');
+    });
+
+    test('updates from the day of the last stored bar', async () => {
+        now('2026-10-19T12:00:00Z');
+        const update = await intradayData.updateIntradayData('DEMO', '1h', db);
+        expect(update).toMatchObject({ start: '2026-10-16', fetched: 7 });
+        expect(await intradayData.getIntradayBars('DEMO', '1h', db)).toHaveLength(280);
+    });
+
+    test('reads a time window', async () => {
+        const bars = await intradayData.getIntradayBars('DEMO', '1h', db, { start: '2026-10-16', end: '2026-10-16T15:00:00Z' });
+        expect(bars.map(bar => bar.date)).toEqual(['2026-10-16T13:30:00.000Z', '2026-10-16T14:30:00.000Z']);
+    });
+
+    test('drops the bars older than the retention window', async () => {
+        const before = await intradayData.getIntradayBars('DEMO', '1h', db);
+        // 730 days of hourly bars before 2028-08-25 reach back to 2026-08-26
+        now('2028-08-25T00:00:00Z');
+        const removed = await intradayData.applyRetention(db);
+        const expired = before.filter(bar => bar.date < '2026-08-26').length;
+        expect(expired).toBeGreaterThan(0);
+        expect(removed).toEqual({ '1m': 0, '5m': 0, '15m': 0, '30m': 0, '1h': expired });
+        expect(await intradayData.getIntradayBars('DEMO', '1h', db)).toHaveLength(280 - expired);
+    });
+
+    test('knows the supported intervals', async () => {
+        expect(intradayData.retentionDays('1m')).toBe(30);
+        expect(() => intradayData.resolveInterval('2h')).toThrow('Unknown intraday interval: 2h. Use one of 1m, 5m, 15m, 30m, 1h');
+        await expect(intradayData.getIntradayBars('DEMO', '1d', db)).rejects.toThrow('Unknown intraday interval: 1d');
+    });
+});
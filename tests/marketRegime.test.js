@@ -0,0 +1,90 @@
+const marketRegime = require('../src/analysis/marketRegime');
+const { barsFromCloses } = require('./helpers/fixtures');
+
+// Seeded standard normal draws, so the generated series are the same on every run
+const normals = (seed) => {
+    let state = seed;
+    const uniform = () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647;
+    };
+    return () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+};
+
+// Closes compounding the log returns produced by `next`
+const series = (count, next) => {
+    const closes = [100];
+    for (let i = 1; i < count; i++) closes.push(closes[i - 1] * Math.exp(next(i)));
+    return closes;
+};
+
+// Returns that carry on in the same direction: AR(1) with a positive coefficient
+const persistent = (seed, { drift = 0, scale = 0.01 } = {}) => {
+    const normal = normals(seed);
+    let previous = 0;
+    return series(300, () => (previous = 0.9 * previous + scale * normal()) + drift);
+};
+
+// Independent returns: a geometric random walk over the default 250-bar lookback
+const randomWalk = (seed) => {
+    const normal = normals(seed);
+    return series(250, () => 0.01 * normal());
+};
+
+describe('market regime', () => {
+    test('estimates a high Hurst exponent for persistent returns', () => {
+        expect(marketRegime.hurst(persistent(7))).toBeGreaterThan(0.55);
+    });
+
+    test('estimates a low Hurst exponent for returns that keep reversing', () => {
+        expect(marketRegime.hurst(series(300, i => (i % 2 ? 0.01 : -0.01)))).toBeLessThan(0.45);
+    });
+
+    test('centres the Hurst exponent of random walks on 0.5', () => {
+        const exponents = Array.from({ length: 200 }, (_, i) => marketRegime.hurst(randomWalk(i + 1)));
+        const mean = exponents.reduce((total, value) => total + value, 0) / exponents.length;
+        expect(mean).toBeGreaterThan(0.48);
+        expect(mean).toBeLessThan(0.52);
+        // The uncorrected rescaled range read most random walks as trending
+        expect(exponents.filter(value => value > 0.55).length).toBeLessThan(50);
+        expect(exponents.filter(value => value < 0.45).length).toBeLessThan(50);
+    });
+
+    test('needs at least 100 returns for the Hurst exponent', () => {
+        expect(marketRegime.hurst(series(100, () => 0.01))).toBeNull();
+    });
+
+    test('classifies a persistent rally as an upward trend', () => {
+        const regime = marketRegime.classify(barsFromCloses(persistent(7, { drift: 0.003, scale: 0.001 })));
+        expect(regime.behavior).toBe('trending');
+        expect(regime.direction).toBe('up');
+        expect(regime.adx).toBeGreaterThan(25);
+    });
+
+    test('classifies a choppy range as mean reverting', () => {
+        const regime = marketRegime.classify(barsFromCloses(series(300, i => (i % 2 ? 0.01 : -0.01))));
+        expect(regime.behavior).toBe('mean_reverting');
+        expect(regime.direction).toBe('flat');
+    });
+
+    test('classifies a random walk as mixed', () => {
+        const regime = marketRegime.classify(barsFromCloses(randomWalk(10)));
+        expect(regime.behavior).toBe('mixed');
+        expect(regime.hurst).toBeGreaterThan(0.45);
+        expect(regime.hurst).toBeLessThan(0.55);
+    });
+
+    test('takes the volatility regime from the forecast rank', () => {
+        const bars = barsFromCloses(persistent(7));
+        expect(marketRegime.classify(bars, { volatility: { currentLevel: 'high', percentile: 92 } }))
+            .toMatchObject({ volatility: 'high', volatilityPercentile: 92 });
+        expect(marketRegime.classify(bars, { volatility: { currentLevel: 'medium' } }))
+            .toMatchObject({ volatility: 'normal', volatilityPercentile: null });
+    });
+
+    test('reads the direction from the moving-average trend when there is one', () => {
+        const bars = barsFromCloses(persistent(7, { drift: 0.003, scale: 0.001 }));
+        expect(marketRegime.direction(bars, { trend: 'strong_downtrend' })).toBe('down');
+        expect(marketRegime.direction(bars, { trend: 'neutral', movingAverages: {} })).toBe('flat');
+    });
+});
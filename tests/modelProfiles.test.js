@@ -0,0 +1,95 @@
+const modelProfiles = require('../src/analysis/modelProfiles');
+const analysisEngine = require('../src/analysis/priceAnalyzer');
+const stockAPI = require('../src/api/stockData');
+const { run } = require('../src/database/query');
+const { db, setupDatabase, closeDatabase } = require('./helpers/database');
+
+describe('model profiles', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await setupDatabase();
+        await modelProfiles.seedBuiltinProfiles(db);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('seeds the built-in profiles merged over the default', async () => {
+        const profiles = await modelProfiles.listProfiles(db);
+        expect(profiles.map(profile => [profile.name, profile.builtin])).toEqual([
+            ['conservative', true],
+            ['default', true],
+            ['momentum', true]
+        ]);
+        const conservative = profiles[0];
+        expect(conservative.rangeMultiplier).toBe(0.75);
+        expect(conservative.confidence).toEqual(modelProfiles.DEFAULT_PROFILE.confidence);
+        expect(conservative.enabledSources).toEqual(modelProfiles.DEFAULT_PROFILE.enabledSources);
+    });
+
+    test('refreshes stale built-in rows when seeding again', async () => {
+        await run(db, `UPDATE model_profiles SET config = '{"rangeMultiplier":2}' WHERE name = 'conservative'`, []);
+        expect((await modelProfiles.getProfile('conservative', db)).rangeMultiplier).toBe(2);
+
+        await modelProfiles.seedBuiltinProfiles(db);
+        expect((await modelProfiles.getProfile('conservative', db)).rangeMultiplier).toBe(0.75);
+    });
+
+    test('falls back to the built-in definitions without a database', async () => {
+        expect((await modelProfiles.getProfile(null)).name).toBe('default');
+        expect(await modelProfiles.getProfile('momentum')).toMatchObject({ builtin: true, maProjectionPercent: 8 });
+        await expect(modelProfiles.getProfile('nope', db)).rejects.toThrow('Unknown model profile: nope');
+    });
+
+    test('saves a user profile, replacing arrays and merging objects', async () => {
+        const saved = await modelProfiles.saveProfile('mean-only', '只看布林中轨', {
+            enabledSources: ['bollinger_middle'],
+            weights: { bollinger_middle: 1 }
+        }, db);
+        expect(saved).toMatchObject({ name: 'mean-only', description: '只看布林中轨', builtin: false, enabledSources: ['bollinger_middle'] });
+        expect(saved.weights).toEqual({ ...modelProfiles.DEFAULT_PROFILE.weights, bollinger_middle: 1 });
+    });
+
+    test('rejects unknown sources and range models', async () => {
+        await expect(modelProfiles.saveProfile('bad', '', { weights: { foo: 1 } }, db)).rejects.toThrow('Unknown target price sources: foo');
+        await expect(modelProfiles.saveProfile('bad', '', { enabledSources: ['bar'] }, db)).rejects.toThrow('Unknown target price sources: bar');
+        await expect(modelProfiles.saveProfile('bad', '', { rangeModel: 'magic' }, db)).rejects.toThrow('Unknown range model: magic');
+    });
+
+    test('refuses to overwrite a built-in profile', async () => {
+        await expect(modelProfiles.saveProfile('default', '', { rangeMultiplier: 2 }, db)).rejects.toThrow('Built-in model profile default cannot be modified');
+        expect((await modelProfiles.getProfile('default', db)).rangeMultiplier).toBe(modelProfiles.DEFAULT_PROFILE.rangeMultiplier);
+    });
+
+    test.each([
+        [{ weights: { bollinger_middle: 'heavy' } }, 'weights.bollinger_middle must be a non-negative number, got "heavy"'],
+        [{ weights: { bollinger_middle: -1 } }, 'weights.bollinger_middle must be a non-negative number, got -1'],
+        [{ regimeWeights: { trending: { bollinger_middle: null } } }, 'regimeWeights.trending.bollinger_middle must be a non-negative number, got null'],
+        [{ confidence: 0.5 }, 'confidence must be an object of numbers'],
+        [{ recommendation: { buyThreshold: '5' } }, 'recommendation.buyThreshold must be a number, got "5"'],
+        [{ rangeMultiplier: -0.5 }, 'rangeMultiplier must be a non-negative number'],
+        [{ enabledSources: 'bollinger_middle' }, 'enabledSources must be an array of target price sources'],
+        [{ rangeHorizon: 0 }, 'rangeHorizon must be an integer between 1 and 504'],
+        [{ rangeHorizon: 10.5 }, 'rangeHorizon must be an integer between 1 and 504'],
+        [{ rangeSimulationPaths: 50 }, 'rangeSimulationPaths must be an integer between 100 and 10000'],
+        [{ rangeSimulationPaths: '1000' }, 'rangeSimulationPaths must be an integer between 100 and 10000']
+    ])('rejects non-numeric settings %j', async (config, message) => {
+        await expect(modelProfiles.saveProfile('bad', '', config, db)).rejects.toThrow(message);
+    });
+
+    test('weights the target price with the requested profile', async () => {
+        await stockAPI.updateStockData('DEMO', db);
+        const analysis = await analysisEngine.analyzeStock('DEMO', db, { profile: 'mean-only' });
+        expect(analysis.modelProfile).toBe('mean-only');
+        expect(analysis.breakdown.map(target => target.source)).toEqual(['bollinger_middle']);
+        expect(analysis.targetPrice).toBeCloseTo(analysis.breakdown[0].price, 8);
+    });
+
+    test('deletes user profiles but not the built-ins', async () => {
+        await modelProfiles.deleteProfile('mean-only', db);
+        await expect(modelProfiles.getProfile('mean-only', db)).rejects.toThrow('Unknown model profile: mean-only');
+        await expect(modelProfiles.deleteProfile('default', db)).rejects.toThrow('Built-in model profile default cannot be deleted');
+    });
+});
@@ -0,0 +1,68 @@
+const monteCarlo = require('../src/analysis/monteCarlo');
+const { loadDemoBars, barsFromCloses } = require('./helpers/fixtures');
+
+// Closes rising exactly 1% a day, so every sampled return is the same
+const steady = barsFromCloses(Array.from({ length: 30 }, (value, i) => 100 * Math.pow(1.01, i)));
+
+describe('Monte Carlo simulation', () => {
+    let bars;
+
+    beforeAll(async () => {
+        bars = await loadDemoBars();
+    });
+
+    test('repeats a run with the same seed', () => {
+        const first = monteCarlo.simulate(bars, { seed: 42, paths: 500 });
+        const second = monteCarlo.simulate(bars, { seed: 42, paths: 500 });
+        expect(second.horizons).toEqual(first.horizons);
+        expect(monteCarlo.simulate(bars, { seed: 43, paths: 500 }).horizons[0].mean).not.toBe(first.horizons[0].mean);
+    });
+
+    test('fans out from the last close over the next trading days', () => {
+        const result = monteCarlo.simulate(bars, { seed: 1, paths: 1000, horizons: [20, 5, 5] });
+        expect(result).toMatchObject({ method: 'gbm', paths: 1000, startDate: '2026-10-16', startPrice: 137.36, lookback: 252 });
+        expect(result.horizons.map(h => [h.days, h.date])).toEqual([[5, '2026-10-23'], [20, '2026-11-13']]);
+        expect(result.bands).toHaveLength(21);
+        expect(result.bands[0]).toEqual({ day: 0, date: '2026-10-16', p5: 137.36, p25: 137.36, p50: 137.36, p75: 137.36, p95: 137.36 });
+        expect(result.bands[1].date).toBe('2026-10-19');
+        result.bands.forEach(band => {
+            expect(band.p5).toBeLessThanOrEqual(band.p25);
+            expect(band.p25).toBeLessThanOrEqual(band.p50);
+            expect(band.p50).toBeLessThanOrEqual(band.p75);
+            expect(band.p75).toBeLessThanOrEqual(band.p95);
+        });
+        // The spread widens with the horizon
+        expect(result.bands[20].p95 - result.bands[20].p5).toBeGreaterThan(result.bands[5].p95 - result.bands[5].p5);
+    });
+
+    test('compounds the only historical return when bootstrapping', () => {
+        const result = monteCarlo.simulate(steady, { method: 'bootstrap', seed: 7, horizons: [5], targetPrice: 300 });
+        const expected = steady[steady.length - 1].close * Math.pow(1.01, 5);
+        const [horizon] = result.horizons;
+        expect(horizon.percentiles.p5).toBeCloseTo(expected, 8);
+        expect(horizon.percentiles.p95).toBeCloseTo(expected, 8);
+        expect(horizon.probabilityUp).toBe(1);
+        expect(horizon.probabilityReachTarget).toBe(0);
+        expect(result.annualizedDrift).toBeCloseTo(Math.log(1.01) * 252 * 100, 8);
+    });
+
+    test('counts the paths that touch or finish beyond the target', () => {
+        const reachable = steady[steady.length - 1].close * 1.02;
+        const [horizon] = monteCarlo.simulate(steady, { method: 'bootstrap', seed: 7, horizons: [5], targetPrice: reachable }).horizons;
+        expect(horizon.probabilityReachTarget).toBe(1);
+        expect(horizon.probabilityBeyondTarget).toBe(1);
+        expect(monteCarlo.simulate(steady, { seed: 7, horizons: [5] }).horizons[0].probabilityReachTarget).toBeNull();
+    });
+
+    test('keeps the number of paths within bounds', () => {
+        expect(monteCarlo.simulate(steady, { seed: 1, paths: 5, horizons: [1] }).paths).toBe(100);
+        expect(monteCarlo.simulate(steady, { seed: 1, paths: 1e6, horizons: [1] }).paths).toBe(10000);
+    });
+
+    test('rejects invalid requests', () => {
+        expect(() => monteCarlo.simulate(bars, { method: 'magic' })).toThrow('Unknown simulation method: magic');
+        expect(() => monteCarlo.simulate(bars, { horizons: [0] })).toThrow('Horizons must be whole numbers of trading days between 1 and 504');
+        expect(() => monteCarlo.simulate(bars, { horizons: [505] })).toThrow('between 1 and 504');
+        expect(() => monteCarlo.simulate(bars.slice(-10))).toThrow('At least 20 daily returns are needed to simulate price paths');
+    });
+});
@@ -0,0 +1,84 @@
+const candlestickPatterns = require('../src/analysis/candlestickPatterns');
+const chartPatterns = require('../src/analysis/chartPatterns');
+const { loadDemoBars, barsFromCloses } = require('./helpers/fixtures');
+
+// Linear path from `from` towards `to`, excluding the end point
+const leg = (from, to, bars) => Array.from({ length: bars }, (value, i) => from + (to - from) * i / bars);
+
+describe('candlestick patterns', () => {
+    // Three falling candles, then a bullish candle whose body engulfs the previous bearish one
+    const engulfing = [
+        { date: '2024-01-01', open: 100, high: 100.5, low: 98.5, close: 99 },
+        { date: '2024-01-02', open: 99, high: 99.5, low: 97.5, close: 98 },
+        { date: '2024-01-03', open: 98, high: 98.5, low: 96.5, close: 97 },
+        { date: '2024-01-04', open: 97, high: 97.2, low: 94.8, close: 95 },
+        { date: '2024-01-05', open: 94.5, high: 97.8, low: 94.3, close: 97.5 }
+    ];
+
+    test('detects a bullish engulfing on the latest bar', () => {
+        const found = candlestickPatterns.detect(engulfing);
+        expect(found.map(pattern => pattern.pattern)).toEqual(['bullish_engulfing', 'piercing_line']);
+        expect(found[0]).toMatchObject({ date: '2024-01-05', price: 97.5, bias: 'bullish', reliability: 'high', barsAgo: 0 });
+    });
+
+    test('weights the net bias by reliability', () => {
+        expect(candlestickPatterns.netBias(candlestickPatterns.detect(engulfing))).toBe(1.5);
+        expect(candlestickPatterns.netBias([
+            { bias: 'bearish', reliability: 'high' },
+            { bias: 'neutral', reliability: 'low' },
+            { bias: 'bullish', reliability: 'medium' }
+        ])).toBe(-0.5);
+    });
+
+    test('needs a full window of candles', () => {
+        expect(candlestickPatterns.detect(engulfing.slice(1))).toEqual([]);
+        expect(candlestickPatterns.detect(null)).toEqual([]);
+    });
+
+    test('only scans the lookback window of the DEMO history', async () => {
+        const bars = await loadDemoBars();
+        const found = candlestickPatterns.detect(bars, 30);
+        expect(found.length).toBeGreaterThan(0);
+        found.forEach(pattern => {
+            expect(pattern.barsAgo).toBeLessThan(30);
+            expect(bars[bars.length - 1 - pattern.barsAgo].date).toBe(pattern.date);
+        });
+    });
+});
+
+describe('chart patterns', () => {
+    // Two equal peaks around 120 with a trough at 108, then a break below the trough
+    const doubleTop = barsFromCloses([
+        ...leg(100, 120, 15), ...leg(120, 108, 10), ...leg(108, 120, 10), ...leg(120, 100, 15),
+        100, 99, 98, 97, 96, 95
+    ]);
+
+    test('finds alternating swing highs and lows', () => {
+        const swings = chartPatterns.findSwingPoints(doubleTop);
+        expect(swings.map(swing => swing.type)).toEqual(['high', 'low', 'high']);
+        expect(swings.map(swing => swing.price)).toEqual([120.5, 107.5, 120.5]);
+    });
+
+    test('confirms a double top once the neckline breaks', () => {
+        const pattern = chartPatterns.detect(doubleTop).find(p => p.pattern === 'double_top');
+        expect(pattern).toMatchObject({
+            bias: 'bearish',
+            status: 'confirmed',
+            breakoutLevel: 107.5,
+            height: 13,
+            target: 94.5
+        });
+        expect(pattern.points.map(point => point.label)).toEqual(['顶1', '颈线', '顶2']);
+    });
+
+    test('needs enough bars for a multi-week pattern', () => {
+        expect(chartPatterns.detect(doubleTop.slice(0, 20))).toEqual([]);
+    });
+
+    test('reports at most one pattern of each type on the DEMO history', async () => {
+        const patterns = chartPatterns.detect(await loadDemoBars());
+        const types = patterns.map(pattern => pattern.pattern);
+        expect(new Set(types).size).toBe(types.length);
+        patterns.forEach(pattern => expect(['bullish', 'bearish', 'neutral']).toContain(pattern.bias));
+    });
+});
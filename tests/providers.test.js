@@ -0,0 +1,129 @@
+const axios = require('axios');
+const YFinanceProxyProvider = require('../src/api/providers/yfinanceProxyProvider');
+const { FixtureProvider } = require('../src/api/providers/fixtureProvider');
+const FallbackProvider = require('../src/api/providers/fallbackProvider');
+const { MarketDataProviders, createProvider, registerProvider } = require('../src/api/providers');
+
+const failingProvider = (name = 'down') => ({
+    name,
+    getQuote: jest.fn(async () => { throw new Error(`${name} is unavailable`); })
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('fixture provider', () => {
+    const provider = new FixtureProvider();
+
+    test('replays the recorded DEMO quote', async () => {
+        const quote = await provider.getQuote('DEMO');
+        expect(quote.symbol).toBe('DEMO');
+        expect(quote.price).toBe(137.36);
+        expect(quote.previous_close).toBe(135.15);
+        expect(quote.change).toBeCloseTo(2.21, 6);
+    });
+
+    test('serves a shorter period from the longer recorded history', async () => {
+        const bars = await provider.getHistory('DEMO', '3mo');
+        expect(bars).toHaveLength(265);
+        expect(bars[0]).toEqual({ date: '2025-10-13', open: 99.93, high: 100, low: 99.4, close: 99.82, volume: 4945884 });
+        expect(bars[bars.length - 1].date).toBe('2026-10-16');
+    });
+
+    test('keeps the timestamp of intraday bars', async () => {
+        const bars = await provider.getHistory('DEMO', '1mo', { interval: '1h' });
+        expect(bars).toHaveLength(280);
+        expect(bars[0].date).toMatch(/T\d{2}:\d{2}:\d{2}/);
+    });
+
+    test('filters incremental history from the start date', async () => {
+        const bars = await provider.getHistory('DEMO', '1y', { start: '2026-10-01' });
+        expect(bars.length).toBeGreaterThan(0);
+        expect(bars.every(bar => bar.date >= '2026-10-01')).toBe(true);
+    });
+
+    test('rejects symbols without a recording', async () => {
+        await expect(provider.getQuote('NOPE')).rejects.toThrow('No fixture recorded for NOPE (fast-info)');
+    });
+});
+
+describe('yfinance proxy provider', () => {
+    test('passes the abort signal to the proxy request', async () => {
+        const get = jest.spyOn(axios, 'get').mockResolvedValue({ data: { lastPrice: 10, previousClose: 8 } });
+        const { signal } = new AbortController();
+        const provider = new YFinanceProxyProvider({ target: 'http://proxy' });
+
+        await expect(provider.getQuote('ABC', { signal })).resolves.toMatchObject({ price: 10, change: 2 });
+        expect(get).toHaveBeenCalledWith('http://proxy/ticker/ABC/fast-info', expect.objectContaining({ signal }));
+
+        await provider.getHistory('ABC', '1y', { start: '2026-10-01', signal }).catch(() => {});
+        expect(get).toHaveBeenLastCalledWith('http://proxy/ticker/ABC/history', expect.objectContaining({
+            params: { start: '2026-10-01', interval: '1d' },
+            signal
+        }));
+    });
+});
+
+describe('fallback provider', () => {
+    test('returns the first successful result', async () => {
+        const down = failingProvider();
+        const chain = new FallbackProvider([down, new FixtureProvider()]);
+
+        const quote = await chain.getQuote('DEMO');
+        expect(down.getQuote).toHaveBeenCalledWith('DEMO');
+        expect(quote.price).toBe(137.36);
+    });
+
+    test('throws the last error when every provider fails', async () => {
+        const chain = new FallbackProvider([failingProvider('first'), failingProvider('second')]);
+        await expect(chain.getQuote('DEMO')).rejects.toThrow('second is unavailable');
+    });
+
+    test('does not fall back once the request is aborted', async () => {
+        const controller = new AbortController();
+        controller.abort(new Error('Timed out'));
+        const next = failingProvider('next');
+        const chain = new FallbackProvider([new FixtureProvider(), next]);
+
+        await expect(chain.getQuote('DEMO', { signal: controller.signal })).rejects.toThrow('Timed out');
+        expect(next.getQuote).not.toHaveBeenCalled();
+    });
+
+    test('skips providers that do not implement the method', async () => {
+        const chain = new FallbackProvider([{ name: 'quotes-only' }, new FixtureProvider()]);
+        await expect(chain.getAnalystTargets('DEMO')).resolves.toMatchObject({ mean: 153.84 });
+    });
+});
+
+describe('provider configuration', () => {
+    beforeAll(() => {
+        registerProvider('broken', () => failingProvider('broken'));
+    });
+
+    test('chains the primary provider with the fallbacks', async () => {
+        const providers = new MarketDataProviders({ primary: 'broken', fallbacks: ['fixture'] });
+        const chain = providers.forSymbol('DEMO');
+
+        expect(chain.name).toBe('broken -> fixture');
+        await expect(chain.getQuote('DEMO')).resolves.toMatchObject({ symbol: 'DEMO', price: 137.36 });
+    });
+
+    test('uses the per-symbol override before the default', () => {
+        const providers = new MarketDataProviders({ primary: 'broken', fallbacks: [], symbolProviders: { DEMO: 'fixture' } });
+        expect(providers.forSymbol('demo').name).toBe('fixture');
+        expect(providers.forSymbol('OTHER').name).toBe('broken');
+    });
+
+    test('reads the chain from the environment', () => {
+        expect(new MarketDataProviders().forSymbol('DEMO').name).toBe('fixture');
+    });
+
+    test('rejects unknown providers', () => {
+        expect(() => createProvider('nope')).toThrow('Unknown market data provider: nope');
+    });
+});
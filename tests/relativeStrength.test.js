@@ -0,0 +1,72 @@
+const relativeStrength = require('../src/analysis/relativeStrength');
+const { run } = require('../src/database/query');
+const { barsFromCloses } = require('./helpers/fixtures');
+const { db, setupDatabase, closeDatabase } = require('./helpers/database');
+
+const BARS = 300;
+const compound = (rate) => Array.from({ length: BARS }, (_, i) => 100 * Math.pow(1 + rate, i));
+const percent = (rate, bars) => (Math.pow(1 + rate, bars) - 1) * 100;
+
+const insertCloses = async (symbol, closes) => {
+    for (const bar of barsFromCloses(closes)) {
+        await run(db, 'INSERT INTO daily_prices (stock_symbol, date, close_price) VALUES (?, ?, ?)', [symbol, bar.date, bar.close]);
+    }
+};
+
+describe('relative strength', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await setupDatabase();
+        await insertCloses('STK', compound(0.002));
+        await insertCloses('BENCH', compound(0.001));
+        await insertCloses('FAST', compound(0.003));
+        await insertCloses('FLAT', compound(0));
+        await insertCloses('ONE', [100]);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('rebases the stock / benchmark ratio to 100', async () => {
+        const analysis = await relativeStrength.analyze('STK', db, { benchmark: 'bench' });
+        expect(analysis).toMatchObject({ symbol: 'STK', benchmark: 'BENCH', adjustment: 'split', observations: BARS });
+        expect(analysis.line[0]).toEqual({ date: '2024-01-01', value: 100 });
+        expect(analysis.latest).toBeCloseTo(100 * Math.pow(1.002 / 1.001, BARS - 1), 8);
+    });
+
+    test('ranks the period returns among the stored stocks', async () => {
+        const { periods } = await relativeStrength.analyze('STK', db, { benchmark: 'BENCH' });
+        expect(periods['1m'].stockReturn).toBeCloseTo(percent(0.002, 21), 8);
+        expect(periods['1m'].benchmarkReturn).toBeCloseTo(percent(0.001, 21), 8);
+        expect(periods['1m'].excessReturn).toBeCloseTo(percent(0.002, 21) - percent(0.001, 21), 8);
+        // Ahead of FLAT, behind FAST; the benchmark is not ranked and ONE has no return over the period
+        expect(periods['12m']).toMatchObject({ rank: 50, universe: 3 });
+        expect((await relativeStrength.analyze('FAST', db, { benchmark: 'BENCH' })).periods['3m'].rank).toBe(99);
+        expect((await relativeStrength.analyze('FLAT', db, { benchmark: 'BENCH' })).periods['6m'].rank).toBe(1);
+    });
+
+    test('leaves out the periods longer than the shared history', async () => {
+        const pairs = barsFromCloses(compound(0.002).slice(0, 30)).map(bar => ({ date: bar.date, close: bar.close, benchmarkClose: 100 }));
+        const periods = await relativeStrength.periodReturns('STK', 'BENCH', pairs, db, 'split');
+        expect(periods['1m'].stockReturn).toBeCloseTo(percent(0.002, 21), 8);
+        expect(periods['3m']).toEqual({ stockReturn: null, benchmarkReturn: null, excessReturn: null, rank: null, universe: 0 });
+    });
+
+    test('correlates the daily returns over a rolling window', () => {
+        const benchmark = Array.from({ length: 40 }, (_, i) => 100 + 5 * Math.sin(i));
+        const pairs = barsFromCloses(benchmark).map(bar => ({ date: bar.date, close: bar.close * 2, benchmarkClose: bar.close }));
+        const correlation = relativeStrength.rollingCorrelation(pairs, 20);
+        expect(correlation.rolling).toHaveLength(20);
+        expect(correlation.rolling[0].date).toBe(pairs[20].date);
+        expect(correlation.latest).toBeCloseTo(1, 12);
+        expect(correlation.full).toBeCloseTo(1, 12);
+        expect(relativeStrength.rollingCorrelation(pairs.slice(0, 10), 20)).toMatchObject({ latest: null, rolling: [] });
+    });
+
+    test('needs a separate benchmark with overlapping history', async () => {
+        await expect(relativeStrength.analyze('BENCH', db, { benchmark: 'BENCH' })).rejects.toThrow('The benchmark must differ from the analyzed symbol');
+        await expect(relativeStrength.analyze('ONE', db, { benchmark: 'BENCH' })).rejects.toThrow('Not enough overlapping price history with BENCH');
+    });
+});
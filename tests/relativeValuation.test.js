@@ -0,0 +1,89 @@
+const relativeValuation = require('../src/analysis/relativeValuation');
+const stockAPI = require('../src/api/stockData');
+const { run } = require('../src/database/query');
+const { db, setupDatabase, closeDatabase } = require('./helpers/database');
+
+const INDUSTRY = 'Software—Application';
+
+const insertStock = (symbol, fields) => {
+    const columns = ['symbol', ...Object.keys(fields)];
+    return run(
+        db,
+        `INSERT INTO stocks (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        [symbol, ...Object.values(fields)]
+    );
+};
+
+const byKey = (analysis) => Object.fromEntries(analysis.multiples.map(multiple => [multiple.key, multiple]));
+
+describe('relative valuation', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await setupDatabase();
+        // DEMO: trailing P/E 24.5, P/B 6.2, last close 137.36
+        await stockAPI.updateStockData('DEMO', db);
+        await insertStock('PEER1', { industry: INDUSTRY, sector: 'Technology', trailing_pe: 20, price_to_book: 5 });
+        await insertStock('PEER2', { industry: INDUSTRY, sector: 'Technology', trailing_pe: 30, price_to_book: 7 });
+        await insertStock('LOSS', { industry: INDUSTRY, sector: 'Technology', trailing_pe: -5 });
+        await insertStock('SOLO', { industry: 'Unique', sector: 'Technology', trailing_pe: 10 });
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('compares each multiple with the industry peers', async () => {
+        const analysis = await relativeValuation.analyze('DEMO', db);
+        expect(analysis.peerGroup).toEqual({ type: 'industry', name: INDUSTRY, missing: [] });
+        expect(analysis.peers.map(peer => peer.symbol).sort()).toEqual(['LOSS', 'PEER1', 'PEER2']);
+        expect(analysis.peers.find(peer => peer.symbol === 'LOSS').multiples.trailingPE).toBeNull();
+
+        const { trailingPE, priceToBook, forwardPE } = byKey(analysis);
+        // The loss-making peer's negative P/E is left out
+        expect(trailingPE).toMatchObject({ value: 24.5, peerCount: 2, peerMedian: 25, peerLow: 20, peerHigh: 30, percentile: 50 });
+        expect(trailingPE.impliedPrice).toBeCloseTo(137.36 * 25 / 24.5, 8);
+        expect(priceToBook.impliedPrice).toBeCloseTo(137.36 * 6 / 6.2, 8);
+        expect(forwardPE).toMatchObject({ value: 21.3, peerCount: 0, peerMedian: null, impliedPrice: null });
+    });
+
+    test('takes the median implied price as the fair value', async () => {
+        const analysis = await relativeValuation.analyze('DEMO', db);
+        const fairValue = (137.36 * 25 / 24.5 + 137.36 * 6 / 6.2) / 2;
+        expect(analysis.fairValue).toBeCloseTo(fairValue, 8);
+        expect(analysis.upside).toBeCloseTo((fairValue / 137.36 - 1) * 100, 8);
+    });
+
+    test('falls back to the sector when the industry has no other stock', async () => {
+        const analysis = await relativeValuation.analyze('SOLO', db);
+        expect(analysis.peerGroup).toEqual({ type: 'sector', name: 'Technology', missing: [] });
+        expect(analysis.peers.map(peer => peer.symbol).sort()).toEqual(['DEMO', 'LOSS', 'PEER1', 'PEER2']);
+        // Without any stored price there is nothing to imply
+        expect(analysis.fairValue).toBeNull();
+    });
+
+    test('uses explicit peers and reports the ones not stored', async () => {
+        const analysis = await relativeValuation.analyze('DEMO', db, { peers: ['peer1', 'DEMO', 'ghost'] });
+        expect(analysis.peerGroup).toEqual({ type: 'custom', name: null, missing: ['GHOST'] });
+        expect(analysis.peers.map(peer => peer.symbol)).toEqual(['PEER1']);
+        expect(byKey(analysis).trailingPE.peerMedian).toBe(20);
+    });
+
+    test('saves peer sets and values against them', async () => {
+        const saved = await relativeValuation.savePeerSet('saas', '软件同行', ['peer2', ' PEER2 ', 'solo'], db);
+        expect(saved.symbols).toEqual(['PEER2', 'SOLO']);
+        expect((await relativeValuation.listPeerSets(db)).map(set => set.name)).toEqual(['saas']);
+
+        const analysis = await relativeValuation.analyze('DEMO', db, { peerSet: 'saas' });
+        expect(analysis.peerGroup).toEqual({ type: 'peer_set', name: 'saas', missing: [] });
+        expect(byKey(analysis).trailingPE.peerMedian).toBe(20);
+
+        await relativeValuation.deletePeerSet('saas', db);
+        await expect(relativeValuation.getPeerSet('saas', db)).rejects.toThrow('Unknown peer set: saas');
+        await expect(relativeValuation.savePeerSet('empty', '', [' '], db)).rejects.toThrow('A peer set needs at least one symbol');
+    });
+
+    test('needs the stock in the local database', async () => {
+        await expect(relativeValuation.analyze('NOPE', db)).rejects.toThrow('Stock NOPE not found in local database.');
+    });
+});
@@ -0,0 +1,98 @@
+const riskMetrics = require('../src/analysis/riskMetrics');
+const stockAPI = require('../src/api/stockData');
+const { db, setupDatabase, closeDatabase } = require('./helpers/database');
+
+const pricesFrom = (closes) => closes.map((close, i) => ({ date: `2024-01-${String(i + 1).padStart(2, '0')}`, close }));
+
+describe('risk metric math', () => {
+    test('computes daily returns between consecutive closes', () => {
+        const returns = riskMetrics.dailyReturns(pricesFrom([100, 110, 99]));
+        expect(returns.map(r => r.date)).toEqual(['2024-01-02', '2024-01-03']);
+        expect(returns[0].value).toBeCloseTo(0.1, 12);
+        expect(returns[1].value).toBeCloseTo(-0.1, 12);
+    });
+
+    test('measures the deepest drawdown and its recovery', () => {
+        const drawdown = riskMetrics.maxDrawdown(pricesFrom([100, 120, 90, 100, 130, 125]));
+        expect(drawdown).toEqual({
+            value: -25,
+            peakDate: '2024-01-02',
+            troughDate: '2024-01-03',
+            recoveryDate: '2024-01-05',
+            declineDays: 1,
+            durationDays: 3,
+            recovered: true
+        });
+    });
+
+    test('counts an unrecovered drawdown until the last close', () => {
+        const drawdown = riskMetrics.maxDrawdown(pricesFrom([100, 80, 90]));
+        expect(drawdown).toMatchObject({ recoveryDate: null, durationDays: 2, recovered: false });
+        expect(drawdown.value).toBeCloseTo(-20, 10);
+        expect(riskMetrics.maxDrawdown(pricesFrom([100, 101, 102])).value).toBe(0);
+    });
+
+    test('takes historical VaR and CVaR from the loss tail', () => {
+        // 100 returns from -5% to +4.9%: the worst 5 are -5% .. -4.6%
+        const values = Array.from({ length: 100 }, (value, i) => (i - 50) / 1000);
+        const { historical, parametric } = riskMetrics.valueAtRisk(values, 0.95);
+        expect(historical.var).toBeCloseTo(4.6, 10);
+        expect(historical.cvar).toBeCloseTo(4.8, 10);
+        expect(parametric.cvar).toBeGreaterThan(parametric.var);
+    });
+
+    test('annualizes Sharpe and Sortino ratios', () => {
+        const values = [0.01, -0.005, 0.02, -0.01, 0.015];
+        const mean = 0.006;
+        const stdDev = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / 4);
+        const downside = Math.sqrt((0.005 * 0.005 + 0.01 * 0.01) / 5);
+        expect(riskMetrics.sharpe(values)).toBeCloseTo(mean / stdDev * Math.sqrt(252), 10);
+        expect(riskMetrics.sortino(values)).toBeCloseTo(mean / downside * Math.sqrt(252), 10);
+        expect(riskMetrics.sharpe([0.01, 0.01, 0.01])).toBeNull();
+    });
+
+    test('derives beta, alpha and correlation against the benchmark', () => {
+        const market = [0.01, -0.02, 0.015, 0.005, -0.01].map((value, i) => ({ date: `d${i}`, value }));
+        const stock = market.map(r => ({ date: r.date, value: 2 * r.value + 0.001 }));
+        const statistics = riskMetrics.benchmarkStatistics(stock, market);
+        expect(statistics.observations).toBe(5);
+        expect(statistics.beta).toBeCloseTo(2, 10);
+        expect(statistics.correlation).toBeCloseTo(1, 10);
+        expect(statistics.alpha).toBeCloseTo(0.001 * 252 * 100, 8);
+        expect(riskMetrics.benchmarkStatistics(stock.slice(0, 2), market)).toBeNull();
+    });
+});
+
+describe('risk metrics for DEMO', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await setupDatabase();
+        await stockAPI.updateStockData('DEMO', db);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('analyzes the stored history', async () => {
+        const metrics = await riskMetrics.analyze('DEMO', db, { riskFreeRate: 0.04 });
+        expect(metrics.period).toEqual({ start: '2025-10-13', end: '2026-10-16', tradingDays: 265 });
+        expect(metrics.riskFreeRate).toBe(0.04);
+        expect(metrics.maxDrawdown.value).toBeLessThan(0);
+        expect(metrics.valueAtRisk.map(v => v.level)).toEqual([0.95, 0.99]);
+        expect(metrics.rolling).toHaveLength(264 - 63 + 1);
+    });
+
+    test('reports a benchmark without data instead of failing', async () => {
+        const metrics = await riskMetrics.analyze('DEMO', db, { benchmark: 'nope' });
+        expect(metrics.benchmark).toMatchObject({ symbol: 'NOPE', observations: 0, beta: null });
+        expect(metrics.benchmark.error).toBe('Not enough overlapping price history with NOPE');
+    });
+
+    test('rejects symbols without history', async () => {
+        await expect(riskMetrics.analyze('EMPTY', db)).rejects.toThrow('Not enough price history to compute risk metrics for EMPTY');
+    });
+});
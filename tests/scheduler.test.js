@@ -0,0 +1,70 @@
+const scheduler = require('../src/api/scheduler');
+const { parseCron } = scheduler;
+
+const values = (field) => [...field.values].sort((a, b) => a - b);
+
+describe('cron parser', () => {
+    test('expands lists, ranges and steps', () => {
+        const cron = parseCron('*/15 9-17/4 1,15 * 1-5');
+        expect(values(cron.minute)).toEqual([0, 15, 30, 45]);
+        expect(values(cron.hour)).toEqual([9, 13, 17]);
+        expect(values(cron.dayOfMonth)).toEqual([1, 15]);
+        expect(cron.month.any).toBe(true);
+        expect(values(cron.month)).toHaveLength(12);
+        expect(values(cron.dayOfWeek)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('treats 7 as Sunday and steps from a start value to the maximum', () => {
+        expect(values(parseCron('0 0 * * 5-7').dayOfWeek)).toEqual([0, 5, 6]);
+        expect(values(parseCron('50/5 0 * * *').minute)).toEqual([50, 55]);
+    });
+
+    test.each([
+        ['* * * *', 'Invalid cron expression "* * * *": expected 5 fields'],
+        ['60 * * * *', 'Invalid cron minute field: 60'],
+        ['0 5-1 * * *', 'Invalid cron hour field: 5-1'],
+        ['0 0 0 * *', 'Invalid cron dayOfMonth field: 0'],
+        ['0 0 * 1/0 *', 'Invalid cron month field: 1/0'],
+        ['0 0 * * mon', 'Invalid cron dayOfWeek field: mon']
+    ])('rejects "%s"', (expression, message) => {
+        expect(() => parseCron(expression)).toThrow(message);
+    });
+});
+
+describe('cron schedule', () => {
+    const parts = { minute: 30, hour: 16, dayOfMonth: 15, month: 6, dayOfWeek: 1 };
+
+    test('matches day of month or day of week when both are restricted', () => {
+        const cron = parseCron('30 16 1 * 5');
+        expect(scheduler.matches(cron, parts)).toBe(false);
+        expect(scheduler.matches(cron, { ...parts, dayOfMonth: 1 })).toBe(true);
+        expect(scheduler.matches(cron, { ...parts, dayOfWeek: 5 })).toBe(true);
+    });
+
+    test('requires both when either day field is a wildcard', () => {
+        const cron = parseCron('30 16 * 6 1-5');
+        expect(scheduler.matches(cron, parts)).toBe(true);
+        expect(scheduler.matches(cron, { ...parts, month: 7 })).toBe(false);
+        expect(scheduler.matches(cron, { ...parts, dayOfWeek: 6 })).toBe(false);
+        expect(scheduler.matches(cron, { ...parts, minute: 31 })).toBe(false);
+    });
+
+    test('finds the next weekday run in the scheduler timezone', () => {
+        const cron = parseCron('30 16 * * 1-5');
+        // Friday 2026-10-16 17:00 EDT, after the close run, rolls over the weekend
+        expect(scheduler.nextRun(cron, new Date('2026-10-16T21:00:00Z'))).toBe('2026-10-19T20:30:00.000Z');
+        // Monday 2026-10-19 16:29 EDT
+        expect(scheduler.nextRun(cron, new Date('2026-10-19T20:29:30Z'))).toBe('2026-10-19T20:30:00.000Z');
+        // Never the current minute
+        expect(scheduler.nextRun(cron, new Date('2026-10-19T20:30:00Z'))).toBe('2026-10-20T20:30:00.000Z');
+    });
+
+    test('follows the daylight saving change', () => {
+        // Sunday 2026-11-01: clocks go back, 03:00 is EST
+        expect(scheduler.nextRun(parseCron('0 3 * * 0'), new Date('2026-10-31T12:00:00Z'))).toBe('2026-11-01T08:00:00.000Z');
+    });
+
+    test('gives up on a schedule that never matches', () => {
+        expect(scheduler.nextRun(parseCron('0 0 31 2 *'), new Date('2026-10-19T00:00:00Z'))).toBeNull();
+    });
+});
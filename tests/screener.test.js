@@ -0,0 +1,85 @@
+const screener = require('../src/analysis/screener');
+const stockAPI = require('../src/api/stockData');
+const { run } = require('../src/database/query');
+const { db, setupDatabase, closeDatabase } = require('./helpers/database');
+
+const symbols = (result) => result.results.map(stock => stock.symbol);
+
+describe('screener', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await setupDatabase();
+        await stockAPI.updateStockData('DEMO', db);
+        // A cheap financial stock without any stored prices
+        await run(
+            db,
+            `INSERT INTO stocks (symbol, name, sector, market_cap, pe_ratio, dividend_yield) VALUES (?, ?, ?, ?, ?, ?)`,
+            ['BANK', 'Bank Holdings', 'Financial Services', 5e9, 9, 3.5]
+        );
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        jest.restoreAllMocks();
+    });
+
+    test('lists every stock with its technical values', async () => {
+        const result = await screener.screen(db);
+        expect(result).toMatchObject({ total: 2, page: 1, pageSize: 25, criteria: { filters: {}, sort: 'symbol', order: 'asc' } });
+        expect(symbols(result)).toEqual(['BANK', 'DEMO']);
+
+        const demo = result.results[1];
+        expect(demo).toMatchObject({ sector: 'Technology', peRatio: 24.5, price: 137.36, targetPrice: null });
+        expect(demo.rsi).toBeGreaterThan(0);
+        expect(demo.priceVsSma200).toBeCloseTo((137.36 / demo.sma200 - 1) * 100, 10);
+        expect(result.results[0]).toMatchObject({ price: null, rsi: null, sma200: null });
+    });
+
+    test('filters on fundamentals and sectors', async () => {
+        expect(symbols(await screener.screen(db, { filters: { peRatio: { max: 15 } } }))).toEqual(['BANK']);
+        expect(symbols(await screener.screen(db, { filters: { marketCap: { min: '1e10' } } }))).toEqual(['DEMO']);
+        expect(symbols(await screener.screen(db, { filters: { sector: 'Technology' } }))).toEqual(['DEMO']);
+        expect(symbols(await screener.screen(db, { filters: { sector: ['Technology', 'Financial Services'], dividendYield: { min: 1 } } }))).toEqual(['BANK']);
+    });
+
+    test('filters on values computed from the daily bars', async () => {
+        const [demo] = (await screener.screen(db, { filters: { sector: 'Technology' } })).results;
+        expect(symbols(await screener.screen(db, { filters: { rsi: { min: demo.rsi - 1, max: demo.rsi + 1 } } }))).toEqual(['DEMO']);
+        expect(symbols(await screener.screen(db, { filters: { rsi: { max: demo.rsi - 1 } } }))).toEqual([]);
+        expect(symbols(await screener.screen(db, { filters: { priceAboveSma200: demo.priceVsSma200 > 0 } }))).toEqual(['DEMO']);
+
+        const { direction, barsAgo } = demo.macdCrossover;
+        expect(symbols(await screener.screen(db, { filters: { macdCrossover: { direction, withinDays: barsAgo + 1 } } }))).toEqual(['DEMO']);
+        expect(symbols(await screener.screen(db, { filters: { macdCrossover: { direction, withinDays: barsAgo } } }))).toEqual([]);
+    });
+
+    test('sorts with missing values last and pages the results', async () => {
+        expect(symbols(await screener.screen(db, { sort: 'peRatio', order: 'desc' }))).toEqual(['DEMO', 'BANK']);
+        expect(symbols(await screener.screen(db, { sort: 'rsi', order: 'desc' }))).toEqual(['DEMO', 'BANK']);
+        expect(symbols(await screener.screen(db, { sort: 'rsi' }))).toEqual(['DEMO', 'BANK']);
+
+        const second = await screener.screen(db, { sort: 'peRatio' }, { page: 2, pageSize: 1 });
+        expect(second).toMatchObject({ total: 2, page: 2, pageSize: 1 });
+        expect(symbols(second)).toEqual(['DEMO']);
+    });
+
+    test.each([
+        [{ filters: { foo: { min: 1 } } }, 'Unknown screener filter: foo'],
+        [{ filters: { rsi: { min: 'low' } } }, 'Filter rsi needs a numeric min and/or max'],
+        [{ filters: { peRatio: {} } }, 'Filter peRatio needs a numeric min and/or max'],
+        [{ filters: { macdCrossover: { withinDays: 61 } } }, 'MACD crossover withinDays must be between 1 and 60'],
+        [{ filters: { macdCrossover: { direction: 'up' } } }, 'Unknown MACD crossover direction: up'],
+        [{ sort: 'x' }, 'Unknown sort field: x']
+    ])('rejects %j', (criteria, message) => {
+        expect(() => screener.normalizeCriteria(criteria)).toThrow(message);
+    });
+
+    test('saves screens with their normalized criteria', async () => {
+        const saved = await screener.saveScreen('cheap', '低估值', { filters: { peRatio: { max: '15' } } }, db);
+        expect(saved.criteria).toEqual({ filters: { peRatio: { max: 15 } }, sort: 'symbol', order: 'asc' });
+        expect((await screener.listScreens(db)).map(screen => screen.name)).toEqual(['cheap']);
+
+        await screener.deleteScreen('cheap', db);
+        await expect(screener.getScreen('cheap', db)).rejects.toThrow('Unknown screen: cheap');
+    });
+});
@@ -0,0 +1,16 @@
+const path = require('path');
+
+// Each test file gets its own in-memory database and replays the recorded market data in fixtures/
+process.env.DATABASE_PATH = ':memory:';
+process.env.MARKET_DATA_PROVIDER = 'fixture';
+process.env.MARKET_DATA_FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'market-data');
+process.env.SCHEDULER_TIMEZONE = 'America/New_York';
+[
+    'MARKET_DATA_FALLBACK_PROVIDERS',
+    'MARKET_DATA_SYMBOL_PROVIDERS',
+    'RISK_BENCHMARK_SYMBOL',
+    'RISK_FREE_RATE',
+    'DCF_EQUITY_RISK_PREMIUM',
+    'PRICE_ADJUSTMENT',
+    'INTRADAY_RETENTION_DAYS'
+].forEach(name => delete process.env[name]);
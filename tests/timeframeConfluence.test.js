@@ -0,0 +1,51 @@
+const timeframeConfluence = require('../src/analysis/timeframeConfluence');
+const { barsFromCloses } = require('./helpers/fixtures');
+
+const compound = (start, rate, count) => Array.from({ length: count }, (_, i) => start * Math.pow(1 + rate, i + 1));
+const signalStates = (timeframe) => timeframe.signals.map(signal => `${signal.indicator}:${signal.state}`);
+
+describe('timeframe confluence', () => {
+    test('resamples daily bars into weeks starting on Monday and calendar months', () => {
+        // Daily bars from Monday 2024-01-01
+        const bars = barsFromCloses(Array.from({ length: 40 }, (_, i) => i + 1));
+        expect(timeframeConfluence.resample(bars, 'daily')).toBe(bars);
+
+        const weeks = timeframeConfluence.resample(bars, 'weekly');
+        expect(weeks).toHaveLength(6);
+        expect(weeks[0]).toEqual({ date: '2024-01-07', open: 1, high: 7.5, low: 0.5, close: 7, volume: 7000000 });
+        expect(weeks[1].date).toBe('2024-01-14');
+
+        const months = timeframeConfluence.resample(bars, 'monthly');
+        expect(months.map(month => [month.date, month.open, month.close])).toEqual([['2024-01-31', 1, 31], ['2024-02-09', 32, 40]]);
+    });
+
+    test('aligns when every timeframe with a trend agrees', () => {
+        const analysis = timeframeConfluence.analyze(barsFromCloses(compound(100, 0.001, 700)));
+        expect(analysis.alignment).toBe('bullish');
+        expect(analysis.direction).toBe('bullish');
+        expect(signalStates(analysis.timeframes.daily)).toEqual(['trend:uptrend', 'sma:above_sma', 'rsi:overbought', 'macd:bullish']);
+        // Too few months for SMA(50) and MACD
+        expect(analysis.timeframes.monthly).toMatchObject({ bars: 23, sma50: null, macdHistogram: null });
+        expect(signalStates(analysis.timeframes.monthly)).toEqual(['sma:above_sma', 'rsi:overbought']);
+        // Overbought RSI reads against the move on every timeframe
+        expect(analysis.conflicts.map(signal => `${signal.timeframe}:${signal.indicator}`)).toEqual(['daily:rsi', 'weekly:rsi', 'monthly:rsi']);
+        expect(analysis.score).toBeCloseTo(0.4, 12);
+    });
+
+    test('flags a daily pullback against the weekly uptrend as conflicting', () => {
+        const rise = compound(100, 0.002, 700);
+        const analysis = timeframeConfluence.analyze(barsFromCloses([...rise, ...compound(rise[699], -0.01, 20)]));
+        expect(analysis.alignment).toBe('conflicting');
+        expect(analysis.direction).toBe('bearish');
+        expect(analysis.timeframes.daily.signals[0].state).toBe('downtrend');
+        expect(analysis.timeframes.weekly.signals[0].state).toBe('uptrend');
+        expect(analysis.agreements.every(signal => signal.bias === 'bearish')).toBe(true);
+        expect(analysis.conflicts).toContainEqual(expect.objectContaining({ timeframe: 'weekly', indicator: 'trend' }));
+    });
+
+    test('gives no signals without enough history', () => {
+        const analysis = timeframeConfluence.analyze(barsFromCloses([1, 2, 3, 4, 5]));
+        expect(analysis).toMatchObject({ alignment: 'mixed', direction: 'neutral', score: 0, agreements: [], conflicts: [] });
+        expect(analysis.timeframes.daily).toMatchObject({ bars: 5, close: 5, sma20: null, rsi: null, signals: [] });
+    });
+});
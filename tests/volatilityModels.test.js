@@ -0,0 +1,84 @@
+const _ = require('lodash');
+const volatilityModels = require('../src/analysis/volatilityModels');
+const priceAnalyzer = require('../src/analysis/priceAnalyzer');
+const { loadDemoBars, barsFromCloses } = require('./helpers/fixtures');
+
+describe('volatility models', () => {
+    let bars;
+
+    beforeAll(async () => {
+        bars = await loadDemoBars();
+    });
+
+    test('annualizes the close-to-close volatility of the last period', () => {
+        const returns = bars.slice(-21).slice(1).map((bar, i) => Math.log(bar.close / bars[bars.length - 21 + i].close));
+        const mean = _.mean(returns);
+        const variance = _.sumBy(returns, r => Math.pow(r - mean, 2)) / returns.length;
+        expect(volatilityModels.closeToClose(bars, 20)).toBeCloseTo(Math.sqrt(variance * 252), 10);
+    });
+
+    test('scales with the bars per year', () => {
+        const daily = volatilityModels.closeToClose(bars, 20);
+        expect(volatilityModels.closeToClose(bars, 20, 252 * 4)).toBeCloseTo(daily * 2, 10);
+    });
+
+    test('range estimators use the high/low of each bar', () => {
+        // A constant 1% range: Parkinson gives ln(1.01)^2 / (4 ln 2) per bar
+        const flat = Array.from({ length: 20 }, () => ({ open: 100, high: 101, low: 100, close: 100 }));
+        expect(volatilityModels.parkinson(flat, 20)).toBeCloseTo(Math.sqrt(Math.pow(Math.log(1.01), 2) / (4 * Math.LN2) * 252), 10);
+        expect(volatilityModels.garmanKlass(flat, 20)).toBeCloseTo(Math.sqrt(0.5 * Math.pow(Math.log(1.01), 2) * 252), 10);
+    });
+
+    test('constant prices have no volatility', () => {
+        const flat = barsFromCloses(Array(30).fill(100));
+        expect(volatilityModels.closeToClose(flat)).toBe(0);
+        expect(volatilityModels.ewma(Array(30).fill(0))).toBe(0);
+    });
+
+    test('fits GARCH(1,1) on the DEMO history', () => {
+        const estimate = volatilityModels.estimate(bars);
+        expect(estimate.model).toBe('garch');
+        expect(estimate.forecast).toBe(estimate.garch.forecast);
+        expect(estimate.garch.persistence).toBeLessThan(1);
+        expect(estimate.garch.alpha).toBeGreaterThan(0);
+        [estimate.forecast, estimate.closeToClose, estimate.ewma, estimate.parkinson, estimate.garmanKlass].forEach(volatility => {
+            expect(volatility).toBeGreaterThan(0.1);
+            expect(volatility).toBeLessThan(0.5);
+        });
+    });
+
+    test('falls back to EWMA with too few returns for GARCH', () => {
+        const estimate = volatilityModels.estimate(bars.slice(-40));
+        expect(estimate.garch).toBeNull();
+        expect(estimate.model).toBe('ewma');
+        expect(estimate.forecast).toBe(estimate.ewma);
+    });
+
+    test('ranks the forecast against the rolling volatility', () => {
+        const regime = volatilityModels.regime(bars, volatilityModels.closeToClose(bars));
+        expect(regime.samples).toBe(bars.length - 20);
+        expect(regime.percentile).toBeGreaterThanOrEqual(0);
+        expect(regime.percentile).toBeLessThanOrEqual(100);
+        expect(volatilityModels.regime(bars, 10).level).toBe('high');
+        expect(volatilityModels.regime(bars, 0).level).toBe('low');
+    });
+
+    test('ranks against the whole regime history, not only the analysis window', () => {
+        const long = barsFromCloses(_.range(1000).map(i => 100 * Math.exp(0.2 * Math.sin(i / 7) + 0.01 * Math.sin(i * i))));
+        const window = long.slice(-250);
+        const estimate = volatilityModels.estimate(window, { regimeHistory: long });
+        expect(estimate.regime.samples).toBe(756);
+        expect(estimate.regime).toEqual(volatilityModels.regime(long, estimate.forecast));
+        expect(volatilityModels.estimate(window).regime.samples).toBe(230);
+
+        const volatility = priceAnalyzer.calculateVolatility(window, 20, 252, long);
+        expect(volatility.percentile).toBe(estimate.regime.percentile);
+    });
+
+    test('uses fixed cutoffs with a short history', () => {
+        const short = bars.slice(-50);
+        expect(volatilityModels.regime(short, 0.3)).toMatchObject({ level: 'high', percentile: null });
+        expect(volatilityModels.regime(short, 0.2).level).toBe('medium');
+        expect(volatilityModels.regime(short, 0.1).level).toBe('low');
+    });
+});